@@ -19,6 +19,26 @@ const MARKERS = {
   '{{ GRAPHQL_LIB }}': 'src/zip-graphql-js-lib-v2-optimized.js',
   '{{ DOM_BUILDER }}': 'src/rewst-dom-builder.js',
   '{{ THEME_MANAGER }}': 'src/theme-manager.js',
+  '{{ DATE_RANGE }}': 'src/date-range.js',
+  '{{ TABLE_EXPORT }}': 'src/table-export.js',
+  '{{ REPORT_BUILDER }}': 'src/report-builder.js',
+  '{{ VALUATION }}': 'src/valuation.js',
+  '{{ URL_STATE }}': 'src/url-state.js',
+  '{{ SAVED_VIEWS }}': 'src/saved-views.js',
+  '{{ ORG_GROUPS }}': 'src/org-groups.js',
+  '{{ ORG_TREE }}': 'src/org-tree.js',
+  '{{ DURATION_STATS }}': 'src/duration-stats.js',
+  '{{ FAILURE_SIGNATURES }}': 'src/failure-signatures.js',
+  '{{ EXECUTION_TIMELINE }}': 'src/execution-timeline.js',
+  '{{ CALL_GRAPH }}': 'src/call-graph.js',
+  '{{ ALERT_RULES }}': 'src/alert-rules.js',
+  '{{ INSIGHT_NOTIFIER }}': 'src/insight-notifier.js',
+  '{{ ANOMALY_DETECTION }}': 'src/anomaly-detection.js',
+  '{{ CRON_SCHEDULE }}': 'src/cron-schedule.js',
+  '{{ FORM_FUNNEL }}': 'src/form-funnel.js',
+  '{{ CROSSTAB }}': 'src/crosstab.js',
+  '{{ TEXT_ANALYTICS }}': 'src/text-analytics.js',
+  '{{ EXECUTION_DELTA }}': 'src/execution-delta.js',
   '{{ PAGE_OVERALL }}': 'pages/overalldash.js',
   '{{ PAGE_WORKFLOW }}': 'pages/workflowdetail.js',
   '{{ PAGE_FORM }}': 'pages/formdetail.js',
@@ -152,8 +152,8 @@ function renderAdoptionDashboard() {
 
   const orgStats = {};
 
-  // Initialize ALL managed orgs with zero values (so they appear even with no submissions)
-  const managedOrgs = window.dashboardData.managedOrgs || [];
+  // Initialize every selected managed org with zero values (so they appear even with no submissions)
+  const managedOrgs = (window.dashboardData.managedOrgs || []).filter(org => isOrgSelected(org.id));
 
   // DEBUG: Log trigger types found in the data
   const triggerTypeCounts = {};
@@ -1122,31 +1122,63 @@ function renderAdoptionDashboard() {
   // TABLE: Organization Breakdown
   // ============================================================
   
-  const tableData = orgArray.map(org => ({
-    organization: org.name,
-    form_submissions: org.formSubmissions,
-    time_saved: formatTimeSaved(org.timeSaved),
-    time_saved_raw: org.timeSaved, // For sorting
-    executions: org.executions
-    // tasks_used removed
-  }));
+  // When parent orgs and their sub-orgs are both listed, rows follow the org tree
+  // (children indented under their managing org) with subtotals that include all sub-orgs
+  const subtotals = RewstOrgTree.rollUpTotals(orgArray, managedOrgs, ['formSubmissions', 'timeSaved']);
+  const isHierarchy = Array.from(subtotals.values()).some(total => total.descendantCount > 0);
+
+  let orderedOrgs = orgArray;
+  const depthById = new Map();
+  if (isHierarchy) {
+    const listedOrgs = managedOrgs.filter(org => subtotals.has(org.id));
+    const treeRows = RewstOrgTree.flattenOrgTree(RewstOrgTree.buildOrgTree(listedOrgs));
+    const orgsById = new Map(orgArray.filter(org => org.id).map(org => [org.id, org]));
+    treeRows.forEach(row => depthById.set(row.id, row.depth));
+    orderedOrgs = [
+      ...treeRows.map(row => orgsById.get(row.id)),
+      ...orgArray.filter(org => !org.id)
+    ];
+  }
+
+  const tableData = orderedOrgs.map(org => {
+    const depth = depthById.get(org.id) || 0;
+    const subtotal = subtotals.get(org.id);
+    return {
+      organization: depth > 0 ? `${'\u00a0\u00a0\u00a0\u00a0'.repeat(depth - 1)}\u2514\u00a0${org.name}` : org.name,
+      form_submissions: org.formSubmissions,
+      time_saved: formatTimeSaved(org.timeSaved),
+      time_saved_raw: org.timeSaved, // For sorting
+      executions: org.executions,
+      // tasks_used removed
+      ...(isHierarchy ? {
+        subtotal_submissions: subtotal?.formSubmissions ?? org.formSubmissions,
+        subtotal_time_saved: formatTimeSaved(subtotal?.timeSaved ?? org.timeSaved)
+      } : {})
+    };
+  });
 
   const table = RewstDOM.createTable(tableData, {
     title: '<span class="material-icons text-rewst-teal">business</span> Organization Adoption',
-    columns: ['organization', 'form_submissions', 'time_saved', 'executions'],
+    columns: isHierarchy
+      ? ['organization', 'form_submissions', 'subtotal_submissions', 'time_saved', 'subtotal_time_saved', 'executions']
+      : ['organization', 'form_submissions', 'time_saved', 'executions'],
     headers: {
       organization: 'Organization',
       form_submissions: 'Form Submissions',
+      subtotal_submissions: 'Submissions incl. Sub-orgs',
       time_saved: 'Time Saved',
+      subtotal_time_saved: 'Time Saved incl. Sub-orgs',
       executions: 'Total Executions'
     },
     searchable: true,
-    defaultSort: {
+    // Tree order is kept until a column header is clicked
+    defaultSort: isHierarchy ? null : {
       column: 'form_submissions',
       direction: 'desc'
     },
     transforms: {
       form_submissions: (value) => value.toLocaleString(),
+      subtotal_submissions: (value) => value.toLocaleString(),
       executions: (value) => value.toLocaleString()
     }
   });
@@ -179,6 +179,8 @@ async function renderFormDetailsDashboard() {
 function renderSelectedForm(selected) {
   // Store for re-rendering on filter changes
   window.selectedForm = selected;
+  // Keep the selection in the URL so the view can be reloaded or shared
+  syncUrlState();
 
   const area = document.getElementById('form-display-area');
   if (!area) return;
@@ -230,6 +232,7 @@ function renderSelectedForm(selected) {
 
   renderFormMetrics(executions);
   renderFormInsights(executions);
+  renderFormOutcomes(executions, selected.id);
   renderFormSubmissionsTable(executions);
   renderInputAnalytics(executions);
   enrichDynamicFormLabels(selected.id);
@@ -254,7 +257,7 @@ function renderFormMetrics(executions) {
   const formWorkflowStat = (window.dashboardData?.workflowStats || []).find(s => s.id === formWorkflowId);
   const totalTasksUsed = formWorkflowStat?.numSucceededTasks || 0;
   const avgTasksUsed = totalExecutions ? (totalTasksUsed / totalExecutions).toFixed(1) : 0;
-  const monetaryValue = (totalTimeSaved / 3600) * 50; // assuming $50/hr
+  const monetaryValue = getExecutionsValue(executions);
 
 
   const orgCounts = executions.reduce((acc, e) => {
@@ -284,8 +287,8 @@ function renderFormMetrics(executions) {
   // Monetary Value (solid fandango)
   RewstDOM.loadMetricCard("#form-metric-value", {
     title: "Monetary Value",
-    subtitle: "At $50/hour",
-    value: "$" + parseInt(monetaryValue).toLocaleString(),
+    subtitle: "At " + getHourlyRateLabel(),
+    value: formatMoney(monetaryValue),
     icon: "attach_money",
     color: "fandango",
     solidBackground: true,
@@ -587,29 +590,160 @@ function renderFormInsights(executions) {
 
 
 /* ============================================================
- * Submissions Table (with header, icon link, and status badges)
+ * Submission Outcomes
+ * - Funnel: submitted -> workflow started -> finished -> succeeded
+ * - Time to complete for succeeded vs failed runs
+ * - Input values (and pairs of values) with the highest failure rate
  * ============================================================ */
-function renderFormSubmissionsTable(executions) {
+function renderFormOutcomes(executions, formId) {
+  const funnelHost = document.getElementById('form-funnel');
+  const summaryHost = document.getElementById('form-completion-summary');
+  const histogramHost = document.getElementById('form-completion-histogram');
+  const failuresHost = document.getElementById('form-input-failures');
+  if (!funnelHost || !summaryHost || !histogramHost || !failuresHost) return;
+
+  [funnelHost, summaryHost, histogramHost, failuresHost].forEach(el => { el.innerHTML = ''; });
+  if (window.formCompletionChart) {
+    window.formCompletionChart.destroy();
+    window.formCompletionChart = null;
+  }
 
-  // Helper to build execution link with fallback
-  function getExecutionLink(e) {
-    // 1. Try existing link
-    if (e.link) return e.link;
-    // 2. Build from execution ID and org ID
-    const orgId = e.organization?.id || e.triggerInfo?.organization?.id;
-    if (e.id && orgId) {
-      return `${rewst._getBaseUrl()}/organizations/${orgId}/results/${e.id}`;
-    }
-    // 3. Try using selected org as fallback (execution might be from parent org)
-    if (e.id && window.selectedOrg?.id) {
-      return `${rewst._getBaseUrl()}/organizations/${window.selectedOrg.id}/results/${e.id}`;
-    }
-    return null;
+  // --- Funnel ---
+  const { stages, outcomes } = RewstFormFunnel.buildFunnel(executions);
+  const stageColors = ['rgba(0,148,144,0.85)', 'rgba(0,148,144,0.65)', 'rgba(0,148,144,0.5)', 'rgba(34,197,94,0.7)'];
+  funnelHost.innerHTML = `
+    <div class="space-y-3">
+      ${stages.map((stage, index) => `
+        <div>
+          <div class="flex justify-between text-sm mb-1">
+            <span class="font-medium text-rewst-black">${stage.label}</span>
+            <span class="text-rewst-gray">${stage.count.toLocaleString()} · ${stage.rate.toFixed(1)}%${index > 0 ? ` <span class="text-xs">(${stage.stepRate.toFixed(1)}% of previous)</span>` : ''}</span>
+          </div>
+          <div class="w-full rounded bg-rewst-light-gray" style="height: 14px;">
+            <div class="rounded" style="height: 14px; width: ${Math.max(stage.rate, stage.count > 0 ? 1 : 0)}%; background: ${stageColors[index]};"></div>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+    <div class="flex flex-wrap gap-2 mt-4 text-xs">
+      <span class="badge badge-success">${outcomes.succeeded.toLocaleString()} succeeded</span>
+      <span class="badge badge-error">${outcomes.failed.toLocaleString()} failed</span>
+      ${outcomes.canceled > 0 ? `<span class="badge badge-warning">${outcomes.canceled.toLocaleString()} canceled</span>` : ''}
+      ${outcomes.running > 0 ? `<span class="badge badge-warning">${outcomes.running.toLocaleString()} still running</span>` : ''}
+      ${outcomes.pending > 0 ? `<span class="badge">${outcomes.pending.toLocaleString()} not started</span>` : ''}
+    </div>
+  `;
+
+  // --- Time to complete (createdAt -> updatedAt) by outcome ---
+  const formatDuration = RewstDurationStats.formatDuration;
+  const byOutcome = (outcome) => executions.filter(e => RewstFormFunnel.classifyStatus(e.status) === outcome);
+  const succeeded = byOutcome('succeeded');
+  const failed = byOutcome('failed');
+  const succeededSummary = RewstDurationStats.summarizeDurations(succeeded);
+  const failedSummary = RewstDurationStats.summarizeDurations(failed);
+  const describe = (label, summary) => summary.count > 0
+    ? `<strong>${label}</strong>: median ${formatDuration(summary.p50)}, p90 ${formatDuration(summary.p90)}`
+    : `<strong>${label}</strong>: —`;
+  summaryHost.innerHTML = `${describe('Succeeded', succeededSummary)} · ${describe('Failed', failedSummary)}`;
+
+  const buckets = RewstDurationStats.buildHistogram([...succeeded, ...failed]);
+  if (succeededSummary.count + failedSummary.count === 0) {
+    histogramHost.innerHTML = '<p class="text-rewst-gray italic">No finished submissions to time.</p>';
+  } else {
+    // Histograms drop trailing empty buckets, so pad each outcome to the combined length
+    const countsFor = (group) => {
+      const groupBuckets = RewstDurationStats.buildHistogram(group);
+      return buckets.map((bucket, index) => groupBuckets[index]?.count || 0);
+    };
+    const wrapper = document.createElement('div');
+    wrapper.className = 'relative w-full';
+    wrapper.style.height = '240px';
+    const canvas = document.createElement('canvas');
+    wrapper.appendChild(canvas);
+    histogramHost.appendChild(wrapper);
+
+    window.formCompletionChart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: buckets.map(bucket => bucket.label),
+        datasets: [
+          { label: 'Succeeded', data: countsFor(succeeded), backgroundColor: 'rgba(34,197,94,0.7)' },
+          { label: 'Failed', data: countsFor(failed), backgroundColor: 'rgba(239,68,68,0.7)' },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { stacked: true, title: { display: true, text: 'Time to complete' } },
+          y: { stacked: true, beginAtZero: true, title: { display: true, text: 'Submissions' } },
+        },
+      },
+    });
   }
 
+  // --- Inputs linked to failures ---
+  const analysis = RewstFormFunnel.analyzeInputFailures(executions, {
+    getInputs: (e) => e.form?.input || e.triggerInfo?.submittedInputs || {},
+    getFieldKey: (e, rawKey) => normalizeFieldKey(formId, rawKey),
+  });
+  const failing = analysis.rows.filter(row => row.failed > 0 && row.failureRate > analysis.baselineRate).slice(0, 50);
+  if (failing.length === 0) {
+    failuresHost.innerHTML = `
+      <div class="card p-6 text-sm text-rewst-gray">
+        No input value fails more often than the form overall (${analysis.baselineRate.toFixed(1)}% of ${analysis.completed.toLocaleString()} finished submissions).
+      </div>
+    `;
+    return;
+  }
+
+  const describeConditions = (conditions) => conditions
+    .map(({ field, value }) => {
+      const meta = resolveFormFieldMeta(formId, field, value);
+      return `${meta.label || field} = ${meta.displayValue}`;
+    })
+    .join(' + ');
+
+  const rows = failing.map(row => ({
+    inputs: describeConditions(row.conditions),
+    submissions: row.submissions,
+    failed: row.failed,
+    failure_rate: row.failureRate,
+    lift: row.lift,
+  }));
+
+  const table = RewstDOM.createTable(rows, {
+    title: `<span class="material-icons text-red-600">report</span> Inputs Linked to Failures <span class="text-sm font-normal text-rewst-gray">(form overall: ${analysis.baselineRate.toFixed(1)}% failed)</span>`,
+    columns: ['inputs', 'submissions', 'failed', 'failure_rate', 'lift'],
+    headers: {
+      inputs: 'Input Values',
+      submissions: 'Finished Submissions',
+      failed: 'Failed',
+      failure_rate: 'Failure Rate',
+      lift: 'vs Overall'
+    },
+    transforms: {
+      failure_rate: (value) => `${value.toFixed(1)}%`,
+      lift: (value) => (value === null ? '—' : `${value.toFixed(1)}×`)
+    },
+    defaultSort: {
+      column: 'failure_rate',
+      direction: 'desc'
+    },
+    pagination: 10,
+    searchable: true
+  });
+
+  RewstDOM.place(table, '#form-input-failures');
+}
+
+/* ============================================================
+ * Submissions Table (with header, icon link, and status badges)
+ * ============================================================ */
+function renderFormSubmissionsTable(executions) {
   const rows = executions.map(e => {
     return {
-      view: getExecutionLink(e), // Build link with fallback
+      view: getFormExecutionLink(e), // Build link with fallback
       timestamp: parseInt(e.createdAt), // Raw timestamp for sorting/filtering
       status: e.status || '—',
       organization: e.organization?.name || e.triggerInfo?.organization?.name || '—',
@@ -769,6 +903,172 @@ function renderInputAnalytics(executions) {
   select.addEventListener("change", (e) => {
     drawInputAnalytics(e.target.value, fieldValueCounts, chartHost, tableHost, executions);
   });
+
+  renderInputPivot(executions, fieldNames, getFormIdFromExec(executions[0]));
+}
+
+/* ============================================================
+ * Cross-field Pivot (two dimensions -> heatmap of counts / %)
+ * Dimensions are input fields, execution status or organization.
+ * Values go through resolveFormFieldMeta so dynamic labels resolve.
+ * ============================================================ */
+function renderInputPivot(executions, fieldNames, formId) {
+  const host = document.getElementById("input-pivot");
+  if (!host) return;
+  host.innerHTML = "";
+
+  const dimensions = [
+    ...fieldNames.map((name) => ({
+      value: name,
+      label: resolveFormFieldMeta(formId, name, null).label || name,
+      getValues: (e) => {
+        const inputs = e.form?.input || e.triggerInfo?.submittedInputs || {};
+        return Object.entries(inputs)
+          .filter(([k, v]) => v !== null && v !== undefined && v !== "" && normalizeFieldKey(formId, k) === name)
+          .flatMap(([, v]) => (Array.isArray(v) ? v : [v]).map((val) => resolveFormFieldMeta(formId, name, val).displayValue));
+      },
+    })),
+    { value: "__status", label: "Execution Status", getValues: (e) => String(e.status || "—").toUpperCase() },
+    {
+      value: "__org",
+      label: "Organization",
+      getValues: (e) => e.organization?.name || e.triggerInfo?.organization?.name || "Unknown",
+    },
+  ];
+
+  // Keep the chosen dimensions while the same form re-renders (filters, dynamic labels)
+  const saved = window.inputPivotState?.formId === formId ? window.inputPivotState : null;
+  const has = (value) => dimensions.some((d) => d.value === value);
+  const state = {
+    formId,
+    row: saved && has(saved.row) ? saved.row : fieldNames[0],
+    column: saved && has(saved.column) ? saved.column : fieldNames[1] || "__status",
+    mode: saved?.mode || "row",
+  };
+  window.inputPivotState = state;
+
+  const heading = document.createElement("div");
+  heading.innerHTML = `
+    <h4 class="text-md font-semibold text-rewst-black mb-1 flex items-center gap-2">
+      <span class="material-icons text-rewst-teal">grid_on</span>
+      Compare Two Fields
+    </h4>
+    <p class="text-sm text-rewst-gray mb-4">Submissions counted by a pair of answers. Multi-select answers count once per choice.</p>
+  `;
+  host.appendChild(heading);
+
+  const controls = document.createElement("div");
+  controls.className = "grid grid-cols-1 md:grid-cols-3 gap-4 mb-4";
+  const selectClass =
+    "w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:ring-2 focus:ring-rewst-teal focus:outline-none";
+  const createSelect = (labelText, options, value, onChange) => {
+    const wrap = document.createElement("label");
+    wrap.className = "block text-sm text-rewst-gray";
+    wrap.textContent = labelText;
+    const select = document.createElement("select");
+    select.className = `${selectClass} mt-1`;
+    options.forEach((option) => {
+      const opt = document.createElement("option");
+      opt.value = option.value;
+      opt.textContent = option.label;
+      select.appendChild(opt);
+    });
+    select.value = value;
+    select.addEventListener("change", (e) => {
+      onChange(e.target.value);
+      draw();
+    });
+    wrap.appendChild(select);
+    controls.appendChild(wrap);
+  };
+  createSelect("Rows", dimensions, state.row, (value) => { state.row = value; });
+  createSelect("Columns", dimensions, state.column, (value) => { state.column = value; });
+  createSelect(
+    "Percent of",
+    [
+      { value: "row", label: "Row total" },
+      { value: "column", label: "Column total" },
+      { value: "total", label: "All submissions" },
+    ],
+    state.mode,
+    (value) => { state.mode = value; }
+  );
+  host.appendChild(controls);
+
+  const grid = document.createElement("div");
+  grid.className = "overflow-x-auto";
+  host.appendChild(grid);
+
+  function draw() {
+    const rowDimension = dimensions.find((d) => d.value === state.row);
+    const columnDimension = dimensions.find((d) => d.value === state.column);
+    const table = RewstCrossTab.buildCrossTab(executions, {
+      getRowValues: rowDimension.getValues,
+      getColumnValues: columnDimension.getValues,
+    });
+
+    if (table.total === 0) {
+      grid.innerHTML = `<p class="text-rewst-gray italic">No submissions answer both ${rowDimension.label} and ${columnDimension.label}.</p>`;
+      return;
+    }
+
+    const palette = getDashboardChartPalette();
+    const labelFor = (key) => (key === RewstCrossTab.OTHER_KEY ? "Other" : key);
+    const percents = table.rows.map((_, r) => table.columns.map((__, c) => RewstCrossTab.getPercent(table, r, c, state.mode)));
+    const maxPercent = Math.max(...percents.flat(), 1);
+    const cellStyle = "padding: 6px 10px; text-align: center; white-space: nowrap;";
+
+    const headerCells = table.columns
+      .map((key) => `<th style="${cellStyle}" class="text-xs font-semibold text-rewst-dark-gray">${labelFor(key)}</th>`)
+      .join("");
+    const bodyRows = table.rows
+      .map((rowKey, r) => {
+        const cells = table.columns
+          .map((columnKey, c) => {
+            const count = table.cells[r][c];
+            const percent = percents[r][c];
+            const alpha = count > 0 ? 0.08 + (percent / maxPercent) * 0.77 : 0;
+            const textColor = alpha > 0.5 ? "#ffffff" : palette.text;
+            return `<td style="${cellStyle} background: rgba(0,148,144,${alpha.toFixed(2)}); color: ${textColor};" title="${labelFor(rowKey)} × ${labelFor(columnKey)}: ${count} (${percent.toFixed(1)}%)">
+              <div class="text-sm font-semibold">${count.toLocaleString()}</div>
+              <div class="text-xs">${percent.toFixed(1)}%</div>
+            </td>`;
+          })
+          .join("");
+        return `<tr>
+          <th style="${cellStyle} text-align: left;" class="text-xs font-semibold text-rewst-dark-gray">${labelFor(rowKey)}</th>
+          ${cells}
+          <td style="${cellStyle}" class="text-xs text-rewst-gray">${table.rowTotals[r].toLocaleString()}</td>
+        </tr>`;
+      })
+      .join("");
+    const totalsRow = table.columnTotals
+      .map((total) => `<td style="${cellStyle}" class="text-xs text-rewst-gray">${total.toLocaleString()}</td>`)
+      .join("");
+
+    grid.innerHTML = `
+      <table class="min-w-full border-collapse" style="border: 1px solid ${palette.border};">
+        <thead>
+          <tr>
+            <th style="${cellStyle} text-align: left;" class="text-xs text-rewst-gray">${rowDimension.label} ↓ / ${columnDimension.label} →</th>
+            ${headerCells}
+            <th style="${cellStyle}" class="text-xs text-rewst-gray">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${bodyRows}
+          <tr>
+            <th style="${cellStyle} text-align: left;" class="text-xs text-rewst-gray">Total</th>
+            ${totalsRow}
+            <td style="${cellStyle}" class="text-xs font-semibold text-rewst-dark-gray">${table.total.toLocaleString()}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p class="text-xs text-rewst-gray mt-2">${table.records.toLocaleString()} of ${executions.length.toLocaleString()} submissions answer both.</p>
+    `;
+  }
+
+  draw();
 }
 
 function drawInputAnalytics(field, fieldValueCounts, chartHost, tableHost, executions) {
@@ -791,6 +1091,18 @@ function drawInputAnalytics(field, fieldValueCounts, chartHost, tableHost, execu
 
   const dataMap = fieldValueCounts[field] || {};
   const formId = getFormIdFromExec(executions[0]);
+
+  // Exact-value counts say nothing about free text, so those fields get text analytics
+  const formField = (window.dashboardData?.forms || [])
+    .find(f => f.id === formId)?.fields?.find(fl => fl?.schema?.name === field);
+  const rawAnswers = executions.flatMap((e) => Object.entries(e.form?.input || e.triggerInfo?.submittedInputs || {})
+    .filter(([k, v]) => typeof v === "string" && normalizeFieldKey(formId, k) === field)
+    .map(([, v]) => v));
+  if (RewstTextAnalytics.isFreeTextField(formField?.type || null, rawAnswers)) {
+    drawTextAnalytics(field, formId, chartHost, tableHost, executions);
+    return;
+  }
+
   const labels = Object.keys(dataMap);
   const counts = Object.values(dataMap);
   const total = counts.reduce((a, b) => a + b, 0);
@@ -857,10 +1169,161 @@ function drawInputAnalytics(field, fieldValueCounts, chartHost, tableHost, execu
   RewstDOM.place(table, tableHost);
 }
 
+/* ============================================================
+ * Free-text Analytics (TEXT_INPUT / TEXTAREA)
+ * - Filled vs empty, answer length distribution
+ * - Top terms and bigrams (stopwords removed)
+ * - Searchable answer list linked to executions
+ * ============================================================ */
+function drawTextAnalytics(field, formId, chartHost, tableHost, executions) {
+  const escapeText = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+  // One answer per submission; a submission without the field counts as empty
+  const answers = executions.map((e) => {
+    const inputs = e.form?.input || e.triggerInfo?.submittedInputs || {};
+    const entry = Object.entries(inputs).find(([k]) => normalizeFieldKey(formId, k) === field);
+    const value = entry ? entry[1] : null;
+    return { execution: e, text: Array.isArray(value) ? value.join(", ") : String(value ?? "").trim() };
+  });
+  const analysis = RewstTextAnalytics.analyzeAnswers(answers.map((a) => a.text));
+  const { label } = resolveFormFieldMeta(formId, field, null);
+
+  // Summary + length distribution
+  const summary = document.createElement("div");
+  summary.className = "grid grid-cols-1 md:grid-cols-3 gap-4 mb-4";
+  summary.innerHTML = [
+    ["Filled In", `${analysis.filled.toLocaleString()} of ${analysis.total.toLocaleString()}`, `${analysis.filledRate.toFixed(1)}% of submissions`],
+    ["Left Empty", analysis.empty.toLocaleString(), `${(100 - analysis.filledRate).toFixed(1)}% of submissions`],
+    ["Answer Length", analysis.length.median === null ? "—" : `${Math.round(analysis.length.median)} chars`, analysis.length.max === null ? "" : `median · longest ${analysis.length.max.toLocaleString()}`],
+  ].map(([title, value, caption]) => `
+    <div class="card p-4">
+      <p class="text-xs text-rewst-gray uppercase">${title}</p>
+      <p class="text-xl font-semibold text-rewst-black">${value}</p>
+      <p class="text-xs text-rewst-gray">${caption}</p>
+    </div>
+  `).join("");
+  chartHost.appendChild(summary);
+
+  const chartsRow = document.createElement("div");
+  chartsRow.className = "grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6";
+  chartHost.appendChild(chartsRow);
+
+  const wrap = document.createElement("div");
+  wrap.className = "relative w-full";
+  wrap.style.height = "240px";
+  const canvas = document.createElement("canvas");
+  wrap.appendChild(canvas);
+  const lengthCard = document.createElement("div");
+  lengthCard.innerHTML = `<h4 class="text-sm font-semibold text-rewst-black mb-2">Answer Length (characters)</h4>`;
+  lengthCard.appendChild(wrap);
+  chartsRow.appendChild(lengthCard);
+
+  new Chart(canvas.getContext("2d"), {
+    type: "bar",
+    data: {
+      labels: analysis.lengthBuckets.map((bucket) => bucket.label),
+      datasets: [
+        {
+          label: `Answers to ${label}`,
+          data: analysis.lengthBuckets.map((bucket) => bucket.count),
+          backgroundColor: "rgba(0,148,144,0.7)",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { display: false } },
+      scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+    },
+  });
+
+  const termList = (title, terms) => {
+    const card = document.createElement("div");
+    const items = terms.length
+      ? terms.map((t) => `
+          <li class="flex justify-between gap-2 text-sm">
+            <span class="text-rewst-black">${escapeText(t.term)}</span>
+            <span class="text-rewst-gray">${t.answers.toLocaleString()} answers</span>
+          </li>
+        `).join("")
+      : `<li class="text-sm text-rewst-gray italic">Not enough text yet.</li>`;
+    card.innerHTML = `
+      <h4 class="text-sm font-semibold text-rewst-black mb-2">${title}</h4>
+      <ol class="space-y-1 overflow-y-auto" style="max-height: 240px;">${items}</ol>
+    `;
+    chartsRow.appendChild(card);
+  };
+  termList("Top Terms", analysis.terms);
+  termList("Top Phrases", analysis.bigrams);
+
+  // Searchable answers
+  const rows = answers
+    .filter((a) => a.text)
+    .map((a) => ({
+      view: getFormExecutionLink(a.execution),
+      timestamp: parseInt(a.execution.createdAt),
+      answer: a.text,
+      organization: a.execution.organization?.name || a.execution.triggerInfo?.organization?.name || "—",
+      status: a.execution.status || "—",
+    }));
+
+  const table = RewstDOM.createTable(rows, {
+    columns: ["timestamp", "answer", "organization", "status", "view"],
+    headers: {
+      timestamp: "Submitted",
+      answer: label || field,
+      organization: "Organization",
+      status: "Status",
+      view: "Execution",
+    },
+    transforms: {
+      timestamp: (value) => (Number.isFinite(value) ? new Date(value).toLocaleString() : "—"),
+      answer: (value) => `<span style="white-space: pre-wrap;">${escapeText(value)}</span>`,
+      view: (value) => (value
+        ? `<a href="${value}" target="_blank" class="text-rewst-teal font-semibold flex items-center gap-1">
+             <span class="material-icons" style="font-size:16px;line-height:1;">open_in_new</span>
+             <span>View</span>
+           </a>`
+        : "—"),
+    },
+    defaultSort: {
+      column: "timestamp",
+      direction: "desc",
+    },
+    pagination: 10,
+    searchable: true,
+    compact: true,
+  });
+
+  RewstDOM.place(table, tableHost);
+}
+
 
 /* ============================================================
  * Helpers
  * ============================================================ */
+
+// Execution results link with fallbacks
+function getFormExecutionLink(e) {
+  // 1. Try existing link
+  if (e.link) return e.link;
+  // 2. Build from execution ID and org ID
+  const orgId = e.organization?.id || e.triggerInfo?.organization?.id;
+  if (e.id && orgId) {
+    return `${rewst._getBaseUrl()}/organizations/${orgId}/results/${e.id}`;
+  }
+  // 3. Try using selected org as fallback (execution might be from parent org)
+  if (e.id && window.selectedOrg?.id) {
+    return `${rewst._getBaseUrl()}/organizations/${window.selectedOrg.id}/results/${e.id}`;
+  }
+  return null;
+}
+
 function countBy(arr) {
   return arr.reduce((acc, v) => (acc[v] = (acc[v] || 0) + 1, acc), {});
 }
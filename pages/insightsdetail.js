@@ -38,9 +38,30 @@ function renderInsightsDashboard() {
 
   // Render insight sections
   renderInsightSection('attention', insights.attention);
+  renderAnomalySection(insights.anomalies);
+  const schedulePromise = renderScheduleAdherence();
+  const scheduleRequestId = window.scheduleAdherenceRequestId;
+  schedulePromise.catch(error => {
+    debugError('Schedule adherence render failed:', error);
+    // Replace the loading state, unless a newer render owns the container by now
+    if (window.scheduleAdherenceRequestId !== scheduleRequestId) return;
+    document.getElementById('insights-schedule').innerHTML = `
+      <div class="card p-6 text-sm text-rewst-gray">Schedules could not be checked for this range.</div>
+    `;
+  });
   renderInsightSection('optimization', insights.optimization);
   renderInsightSection('activity', insights.activity);
   renderMissingDataTable(insights.missing);
+  renderAlertRules(insights.attention);
+
+  // Attention and optimization items can be pushed to a Rewst workflow (opt-in)
+  const alertCandidates = [...insights.attention, ...insights.anomalies, ...insights.optimization];
+  renderInsightNotifications(alertCandidates);
+  if (window.insightNotificationSettings?.enabled && window.insightNotificationSettings.autoSend) {
+    sendInsightNotifications(alertCandidates).then(result => {
+      if (result?.sent) renderInsightNotifications(alertCandidates);
+    });
+  }
 }
 
 /**
@@ -77,6 +98,7 @@ function getDateRange(executions) {
 function generateInsights(workflows, executions, forms) {
   const insights = {
     attention: [],
+    anomalies: [],
     optimization: [],
     activity: [],
     missing: []
@@ -125,136 +147,43 @@ function generateInsights(workflows, executions, forms) {
     }
   });
 
-  // 🚨 NEEDS ATTENTION: High failure rate
-  Object.values(workflowStats).forEach(wf => {
-    const total = wf.executions.length;
-    if (total < 5) return; // Need at least 5 executions to be meaningful
+  // 🚨 NEEDS ATTENTION: Alert rules (failure rate, consecutive failures, execution drops, ...)
+  // Thresholds are user-configurable; see the Alert Rules section
+  const ruleExecutions = standardExecutions.filter(exec => validWorkflowIds.has(exec.workflow?.id));
+  insights.attention = RewstAlertRules.evaluateRules(window.alertRules || RewstAlertRules.normalizeRules(), ruleExecutions, { forms });
 
-    const failureRate = (wf.failed / total) * 100;
-    if (failureRate >= 30) { // 30% or higher failure rate
-      insights.attention.push({
-        type: 'high_failure_rate',
-        workflowId: wf.id,
-        workflowName: wf.name,
-        workflowLink: wf.link,
-        title: `${wf.name} has ${failureRate.toFixed(1)}% failure rate`,
-        description: `${wf.failed} failures out of ${total} executions in this period`,
-        severity: failureRate >= 50 ? 'critical' : 'high',
-        failureRate: failureRate,
-        failedCount: wf.failed
-      });
-    }
-  });
-
-  // Sort by failure rate (highest first), then by failed count
-  insights.attention.sort((a, b) => {
-    if (b.failureRate !== a.failureRate) {
-      return b.failureRate - a.failureRate;
-    }
-    return b.failedCount - a.failedCount;
-  });
-
-  // 🚨 NEEDS ATTENTION: Consecutive failures
-  Object.values(workflowStats).forEach(wf => {
-    const sortedExecs = wf.executions.sort((a, b) => 
-      parseInt(b.createdAt) - parseInt(a.createdAt)
-    );
-
-    let consecutiveFailures = 0;
-    for (let i = 0; i < Math.min(5, sortedExecs.length); i++) {
-      if (['FAILED', 'failed'].includes(sortedExecs[i].status)) {
-        consecutiveFailures++;
-      } else {
-        break;
-      }
-    }
-
-    if (consecutiveFailures >= 3) {
-      insights.attention.push({
-        type: 'consecutive_failures',
-        workflowId: wf.id,
-        workflowName: wf.name,
-        workflowLink: wf.link,
-        title: `${wf.name} failed ${consecutiveFailures} times consecutively`,
-        description: `Last ${consecutiveFailures} executions all failed`,
-        severity: 'high',
-        failureRate: 0, // For sorting purposes
-        failedCount: consecutiveFailures
-      });
-    }
-  });
+  // 📈 VOLUME ANOMALIES: spikes and drops against a day-of-week baseline
+  insights.anomalies = detectVolumeAnomalies(workflowStats);
 
   // ⚠️ OPTIMIZATION: Slow execution times
+  // Judged on p90 so a slow tail shows up even when most runs are quick
   Object.values(workflowStats).forEach(wf => {
     if (wf.runtimes.length < 5) return;
 
-    const avgRuntime = wf.runtimes.reduce((a, b) => a + b, 0) / wf.runtimes.length;
-    
-    if (avgRuntime > 60) { // More than 60 seconds
+    const durations = RewstDurationStats.summarizeDurations(wf.executions);
+    const formatDuration = RewstDurationStats.formatDuration;
+
+    if (durations.p90 > 60) { // 1 in 10 runs takes more than 60 seconds
       insights.optimization.push({
         type: 'slow_execution',
         workflowId: wf.id,
         workflowName: wf.name,
         workflowLink: wf.link,
         title: `${wf.name} has slow execution time`,
-        description: `Average runtime: ${avgRuntime.toFixed(1)}s across ${wf.runtimes.length} executions`,
+        description: `Runtime p50 ${formatDuration(durations.p50)} · p90 ${formatDuration(durations.p90)} · p99 ${formatDuration(durations.p99)} across ${durations.count} executions`,
         severity: 'medium',
-        avgRuntime: avgRuntime
+        p90Runtime: durations.p90
       });
     }
   });
 
   // Sort optimization by slowest first
-  insights.optimization.sort((a, b) => b.avgRuntime - a.avgRuntime);
+  insights.optimization.sort((a, b) => b.p90Runtime - a.p90Runtime);
 
   // Task-usage spike/drop insights removed — they relied on per-execution numSuccessfulTasks
   // which is no longer fetched in bulk. These can be reintroduced later by querying an
   // aggregate endpoint scoped to historical vs recent windows.
 
-  // 🚨 NEEDS ATTENTION: Sudden drop in executions for consistent workflows
-  Object.values(workflowStats).forEach(wf => {
-    const execs = wf.executions;
-    if (execs.length < 10) return;
-
-    // Sort by date
-    const sorted = [...execs].sort((a, b) => parseInt(a.createdAt) - parseInt(b.createdAt));
-
-    // Split into historical (first 70%) and recent (last 30%)
-    const splitIndex = Math.floor(sorted.length * 0.7);
-    const historical = sorted.slice(0, splitIndex);
-    const recent = sorted.slice(splitIndex);
-
-    if (historical.length < 5 || recent.length < 2) return;
-
-    // Calculate executions per day
-    const historicalStart = parseInt(historical[0].createdAt);
-    const historicalEnd = parseInt(historical[historical.length - 1].createdAt);
-    const historicalDays = Math.max(1, (historicalEnd - historicalStart) / (1000 * 60 * 60 * 24));
-    const historicalRate = historical.length / historicalDays;
-
-    const recentStart = parseInt(recent[0].createdAt);
-    const recentEnd = parseInt(recent[recent.length - 1].createdAt);
-    const recentDays = Math.max(1, (recentEnd - recentStart) / (1000 * 60 * 60 * 24));
-    const recentRate = recent.length / recentDays;
-
-    // Drop: recent rate is less than 50% of historical rate (and was running at least once per day)
-    if (historicalRate >= 1 && recentRate < historicalRate * 0.5) {
-      const dropPercent = ((historicalRate - recentRate) / historicalRate) * 100;
-      insights.attention.push({
-        type: 'execution_drop',
-        workflowId: wf.id,
-        workflowName: wf.name,
-        workflowLink: wf.link,
-        title: `${wf.name} executions dropped ${dropPercent.toFixed(0)}%`,
-        description: `Recent: ${recentRate.toFixed(1)}/day vs historical: ${historicalRate.toFixed(1)}/day`,
-        severity: dropPercent >= 80 ? 'high' : 'medium',
-        failureRate: 0,
-        failedCount: 0,
-        dropPercent
-      });
-    }
-  });
-
   // Task-usage drop insight removed — relied on per-execution numSuccessfulTasks.
   // Workflow-health detection here can be reintroduced via aggregate stats queries later.
 
@@ -333,6 +262,297 @@ function generateInsights(workflows, executions, forms) {
   return insights;
 }
 
+/**
+ * Find recent spikes / drops in daily execution volume, per workflow and for tasks org-wide
+ */
+function detectVolumeAnomalies(workflowStats) {
+  const range = window.filterState?.dateRange || {};
+  const seriesRange = { start: range.start || null, end: range.end || null };
+  const weekday = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short' });
+  const anomalies = [];
+
+  const toInsight = (point, points, subject) => {
+    const severe = Math.abs(point.z) >= 6 || (point.anomaly === 'drop' && point.actual === 0);
+    const unit = subject.unit || 'executions';
+    return {
+      type: `${subject.typePrefix}${point.anomaly === 'spike' ? 'spike' : 'drop'}`,
+      severity: severe ? 'high' : 'medium',
+      title: `${subject.name} ${unit} ${point.anomaly === 'spike' ? 'spiked' : 'dropped'} on ${weekday(point.date)} ${point.date}`,
+      description: `${point.actual.toLocaleString()} ${unit} vs ${Math.round(point.expected).toLocaleString()} expected for a ${weekday(point.date)}`,
+      value: point.z,
+      date: point.date,
+      points: points.slice(-28),
+      ...subject.fields
+    };
+  };
+
+  // Busy workflows are only sampled, so their daily counts aren't real volumes
+  const sampledIds = new Set((window.dashboardData?.excludedWorkflows || []).map(w => w.id));
+
+  Object.values(workflowStats).forEach(wf => {
+    if (wf.executions.length < 14 || sampledIds.has(wf.id)) return;
+    const series = RewstAnomalyDetection.dropPartialDay(RewstAnomalyDetection.toDailySeries(wf.executions, seriesRange));
+    const points = RewstAnomalyDetection.scoreSeries(series);
+    const anomaly = RewstAnomalyDetection.findRecentAnomaly(points);
+    if (anomaly) {
+      anomalies.push(toInsight(anomaly, points, {
+        name: wf.name,
+        typePrefix: 'volume_',
+        fields: { workflowId: wf.id, workflowName: wf.name, workflowLink: wf.link }
+      }));
+    }
+  });
+
+  // Org-wide task counts come from the aggregate endpoint for the signed-in org, so they
+  // only describe the data when no org filter is narrowing it
+  const dailyTasks = window.dashboardData?.aggregates?.dailyTasks || [];
+  if (dailyTasks.length > 0 && !(window.filterState?.selectedOrgIds?.length > 0)) {
+    const points = RewstAnomalyDetection.scoreSeries(RewstAnomalyDetection.dropPartialDay(RewstAnomalyDetection.fromDailyCounts(dailyTasks)));
+    const anomaly = RewstAnomalyDetection.findRecentAnomaly(points);
+    if (anomaly) {
+      anomalies.push(toInsight(anomaly, points, { name: 'All workflows:', unit: 'tasks', typePrefix: 'task_volume_', fields: {} }));
+    }
+  }
+
+  return anomalies.sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+}
+
+/**
+ * Small SVG sparkline: expected band, expected (dashed) and actual lines, anomalies marked
+ */
+function createAnomalySparkline(points, { width = 240, height = 56 } = {}) {
+  if (points.length < 2) return '';
+  const palette = getDashboardChartPalette();
+  const maxValue = Math.max(1, ...points.map(p => Math.max(p.actual, p.upper ?? 0)));
+  const x = (index) => ((index / (points.length - 1)) * (width - 8) + 4).toFixed(1);
+  const y = (value) => (height - 4 - (value / maxValue) * (height - 8)).toFixed(1);
+
+  const scored = points.map((point, index) => ({ ...point, index })).filter(p => p.expected !== null);
+  const band = scored.length > 1
+    ? `<polygon points="${[...scored.map(p => `${x(p.index)},${y(p.upper)}`), ...[...scored].reverse().map(p => `${x(p.index)},${y(p.lower)}`)].join(' ')}" fill="${palette.trendUpFill}" stroke="none"></polygon>`
+    : '';
+  const expected = scored.length > 1
+    ? `<polyline points="${scored.map(p => `${x(p.index)},${y(p.expected)}`).join(' ')}" fill="none" stroke="${palette.trendUp}" stroke-width="1" stroke-dasharray="3 2"></polyline>`
+    : '';
+  const actual = `<polyline points="${points.map((p, index) => `${x(index)},${y(p.actual)}`).join(' ')}" fill="none" stroke="${palette.text}" stroke-width="1.5"></polyline>`;
+  const markers = points
+    .map((p, index) => (p.anomaly ? `<circle cx="${x(index)}" cy="${y(p.actual)}" r="3" fill="${palette.trendDown}"><title>${p.date}: ${p.actual} (expected ${Math.round(p.expected)})</title></circle>` : ''))
+    .join('');
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Daily volume against the expected range">${band}${expected}${actual}${markers}</svg>`;
+}
+
+/**
+ * Render volume anomaly cards with sparklines
+ */
+function renderAnomalySection(anomalies) {
+  const container = document.getElementById('insights-anomalies-cards');
+
+  if (anomalies.length === 0) {
+    container.innerHTML = `
+      <div class="insight-empty-state">
+        <span class="material-icons">check_circle</span>
+        <p class="insight-empty-state-text">No unusual execution volume in the last 7 days</p>
+      </div>
+    `;
+    return;
+  }
+
+  const cardsHtml = anomalies.map(anomaly => {
+    const clickHandler = anomaly.workflowId ? `navigateToWorkflowDetail('${anomaly.workflowId}')` : '';
+    return `
+      <div class="card card-accent-orange insight-card${clickHandler ? ' insight-card-clickable' : ''}" ${clickHandler ? `onclick="${clickHandler}"` : ''}>
+        <div class="insight-card-content">
+          <h4 class="insight-card-title">${anomaly.title}</h4>
+          <p class="insight-card-description">${anomaly.description}</p>
+        </div>
+        <div class="flex items-end justify-between gap-3">
+          ${createAnomalySparkline(anomaly.points)}
+          ${clickHandler ? '<span class="material-icons text-rewst-orange insight-card-arrow">arrow_forward</span>' : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  container.innerHTML = `<div class="grid grid-cols-1 lg:grid-cols-2 gap-4">${cardsHtml}</div>`;
+}
+
+/**
+ * Compare Cron Job workflows with their schedules, per workflow and org. Cron expressions
+ * and timezones live on the trigger, so they are fetched here and the table fills in after.
+ */
+async function renderScheduleAdherence() {
+  const container = document.getElementById('insights-schedule');
+  // A filter change may re-render before the trigger lookups finish
+  const requestId = (window.scheduleAdherenceRequestId || 0) + 1;
+  window.scheduleAdherenceRequestId = requestId;
+
+  const { workflows = [], executions = [], excludedWorkflows = [], managedOrgs = [] } = window.dashboardData;
+  const cronWorkflows = workflows.filter(wf => (wf.triggers || []).some(t => t.triggerType?.name === 'Cron Job'));
+  const renderEmpty = (message) => {
+    container.innerHTML = `
+      <div class="insight-empty-state">
+        <span class="material-icons">check_circle</span>
+        <p class="insight-empty-state-text">${message}</p>
+      </div>
+    `;
+  };
+
+  if (cronWorkflows.length === 0) {
+    renderEmpty('No workflows with a Cron Job trigger');
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="card p-6 flex items-center gap-3 text-sm text-rewst-gray">
+      <span class="material-icons animate-spin">autorenew</span>
+      Loading schedules for ${cronWorkflows.length} workflows...
+    </div>
+  `;
+
+  let triggersByWorkflow;
+  try {
+    triggersByWorkflow = await rewst.getCronTriggers(cronWorkflows.map(wf => wf.id));
+  } catch (error) {
+    console.error('Failed to load cron triggers:', error);
+    triggersByWorkflow = new Map();
+  }
+  if (window.scheduleAdherenceRequestId !== requestId) return;
+
+  // Ongoing ranges stop at now; slots too recent to have run yet are skipped by compareRuns
+  const now = Date.now();
+  const range = window.filterState.dateRange;
+  const start = new Date(range.start).getTime();
+  const end = RewstDateRange.isOpenEnded(range) ? now : Math.min(new Date(range.end).getTime(), now);
+
+  const orgNames = new Map(managedOrgs.map(org => [org.id, org.name]));
+  executions.forEach(exec => {
+    if (exec.organization?.id && exec.organization.name) orgNames.set(exec.organization.id, exec.organization.name);
+  });
+
+  // Cron runs per workflow and org. Executions without trigger info are counted; anything
+  // else (manual or test runs, other triggers) isn't a scheduled run.
+  const runsByKey = new Map();
+  executions.forEach(exec => {
+    const type = exec.triggerInfo?.type;
+    if (type && type !== 'Cron Job') return;
+    const key = `${exec.workflow?.id}|${getExecutionOrgId(exec) || rewst.orgId}`;
+    const time = parseInt(exec.createdAt, 10);
+    if (!Number.isFinite(time)) return;
+    if (!runsByKey.has(key)) runsByKey.set(key, []);
+    runsByKey.get(key).push(time);
+  });
+
+  // Busy cron workflows are only sampled, so their runs can't be checked slot by slot
+  const sampledIds = new Set(excludedWorkflows.map(w => w.id));
+  const rows = [];
+  const notes = [];
+
+  cronWorkflows.forEach(wf => {
+    const triggers = (triggersByWorkflow.get(wf.id) || []).filter(trigger => trigger.enabled);
+    if (!triggersByWorkflow.has(wf.id)) {
+      notes.push(`${wf.name}: schedule unavailable`);
+      return;
+    }
+    if (triggers.length === 0) return;
+    if (sampledIds.has(wf.id)) {
+      notes.push(`${wf.name}: not checked (high-volume workflow, executions are sampled)`);
+      return;
+    }
+
+    // Several cron triggers on one workflow share its runs, so their slots are merged
+    const slotsByOrg = new Map();
+    const schedules = [];
+    triggers.forEach(trigger => {
+      const schedule = RewstCronSchedule.getTriggerSchedule(trigger.parameters);
+      if (!schedule) return;
+      let expected;
+      try {
+        expected = RewstCronSchedule.getExpectedRuns(schedule.cron, { start, end, timeZone: schedule.timeZone });
+      } catch (error) {
+        notes.push(`${wf.name}: ${error.message}`);
+        return;
+      }
+      schedules.push(`${schedule.cron} (${schedule.timeZone})`);
+      trigger.orgIds.filter(orgId => isOrgSelected(orgId)).forEach(orgId => {
+        if (!slotsByOrg.has(orgId)) slotsByOrg.set(orgId, new Set());
+        expected.forEach(time => slotsByOrg.get(orgId).add(time));
+      });
+    });
+
+    slotsByOrg.forEach((slots, orgId) => {
+      const expected = Array.from(slots).sort((a, b) => a - b);
+      const result = RewstCronSchedule.compareRuns(expected, runsByKey.get(`${wf.id}|${orgId}`) || [], { now });
+      if (result.expected === 0) return;
+      rows.push({
+        workflow_id: wf.id,
+        workflow_name: wf.name,
+        org_name: orgNames.get(orgId) || orgId,
+        schedule: Array.from(new Set(schedules)).join(', '),
+        expected: result.expected,
+        on_time: result.onTime,
+        late: result.late.length,
+        missed: result.missed.length,
+        duplicates: result.duplicates.length,
+        last_missed: result.missed.length > 0 ? result.missed[result.missed.length - 1] : null,
+        max_delay: result.late.reduce((max, item) => Math.max(max, item.delayMs), 0),
+      });
+    });
+  });
+
+  if (rows.length === 0) {
+    renderEmpty(notes.length > 0
+      ? `No scheduled runs to check. ${notes.join('; ')}`
+      : 'No scheduled runs in the selected range');
+    return;
+  }
+
+  const issueCount = (row) => row.missed + row.late + row.duplicates;
+  const table = RewstDOM.createTable(rows.map(row => ({ ...row, status: issueCount(row) })), {
+    columns: ['workflow_name', 'org_name', 'schedule', 'expected', 'on_time', 'late', 'missed', 'duplicates', 'last_missed', 'status'],
+    headers: {
+      workflow_name: 'Workflow',
+      org_name: 'Organization',
+      schedule: 'Schedule',
+      expected: 'Expected',
+      on_time: 'On Time',
+      late: 'Late',
+      missed: 'Missed',
+      duplicates: 'Duplicates',
+      last_missed: 'Last Missed',
+      status: 'Status'
+    },
+    transforms: {
+      workflow_name: (value, row) => `<a href="#" class="text-rewst-teal hover:underline" onclick="navigateToWorkflowDetail('${row.workflow_id}'); return false;">${value}</a>`,
+      schedule: (value) => `<code class="text-xs">${value}</code>`,
+      late: (value, row) => (value > 0 ? `${value} <span class="text-xs text-rewst-gray">(up to ${Math.round(row.max_delay / 60000)} min)</span>` : '0'),
+      last_missed: (value) => (value ? new Date(value).toLocaleString() : '—'),
+      status: (value, row) => {
+        if (value === 0) return '<span class="badge badge-success">On schedule</span>';
+        return row.missed > 0
+          ? '<span class="badge badge-error">Missed runs</span>'
+          : `<span class="badge badge-warning">${row.late > 0 ? 'Late runs' : 'Duplicate runs'}</span>`;
+      }
+    },
+    sortable: true,
+    searchable: true,
+    pagination: 10,
+    defaultSort: {
+      column: 'status',
+      direction: 'desc'
+    }
+  });
+
+  container.innerHTML = '';
+  container.appendChild(table);
+  if (notes.length > 0) {
+    const note = document.createElement('p');
+    note.className = 'text-xs text-rewst-gray mt-2';
+    note.textContent = notes.join('; ');
+    container.appendChild(note);
+  }
+}
+
 /**
  * Render summary metric cards
  */
@@ -411,12 +631,18 @@ function renderInsightSection(sectionName, insights) {
     // Get the correct link
     const link = insight.workflowLink || insight.formLink;
 
-    const clickHandler = isExternal
-      ? `window.open('${link}', '_blank')`
-      : `navigateToWorkflowDetail('${insight.workflowId}')`;
+    // Rule matches can be for a form or an org instead of a workflow
+    let clickHandler = '';
+    if (isExternal) {
+      clickHandler = `window.open('${link}', '_blank')`;
+    } else if (insight.workflowId) {
+      clickHandler = `navigateToWorkflowDetail('${insight.workflowId}')`;
+    } else if (insight.formId) {
+      clickHandler = `navigateToFormDetail('${insight.formId}')`;
+    }
 
     return `
-      <div class="card card-accent-${color} insight-card insight-card-clickable" onclick="${clickHandler}">
+      <div class="card card-accent-${color} insight-card${clickHandler ? ' insight-card-clickable' : ''}" ${clickHandler ? `onclick="${clickHandler}"` : ''}>
         <div class="insight-card-content">
           <h4 class="insight-card-title">${insight.title}</h4>
           <p class="insight-card-description">${insight.description}</p>
@@ -487,4 +713,317 @@ function renderMissingDataTable(insights) {
 
   container.innerHTML = '';
   container.appendChild(table);
-}
\ No newline at end of file
+}
+
+/**
+ * Render the alert rule list and editor. Rules drive the Needs Attention section;
+ * changes are saved through saveAlertRules and re-render the page.
+ */
+function renderAlertRules(attention = []) {
+  const container = document.getElementById('insights-rules');
+  const rules = window.alertRules || RewstAlertRules.normalizeRules();
+  const inputClass = 'w-full px-3 py-2 text-sm border-2 border-rewst-light-gray rounded-md focus:outline-none focus:ring-2 focus:ring-rewst-teal';
+
+  const matchCounts = attention.reduce((counts, item) => {
+    if (item.ruleId) counts[item.ruleId] = (counts[item.ruleId] || 0) + 1;
+    return counts;
+  }, {});
+
+  container.innerHTML = `
+    <div class="card p-6">
+      <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <p class="text-sm text-rewst-gray">Each rule is checked against every workflow, form or organization in the loaded data. Matches appear under Needs Attention.</p>
+        <div class="flex flex-wrap gap-2">
+          <button type="button" id="alert-rules-add" class="btn-primary text-sm">Add rule</button>
+          <button type="button" id="alert-rules-import" class="btn-secondary text-sm">Import</button>
+          <button type="button" id="alert-rules-export" class="btn-secondary text-sm">Export</button>
+          <button type="button" id="alert-rules-reset" class="btn-tertiary text-sm">Reset to defaults</button>
+          <input type="file" id="alert-rules-file" accept="application/json,.json" class="hidden">
+        </div>
+      </div>
+      <div id="alert-rules-editor" class="mb-4"></div>
+      <div id="alert-rules-list"></div>
+    </div>
+  `;
+
+  const list = document.getElementById('alert-rules-list');
+  if (rules.length === 0) {
+    list.innerHTML = '<p class="text-sm text-rewst-gray">No alert rules. Needs Attention stays empty until a rule is added.</p>';
+  } else {
+    const table = RewstDOM.createTable(rules.map(rule => ({
+      enabled: rule.enabled,
+      name: rule.name,
+      condition: RewstAlertRules.describeRule(rule),
+      scope: RewstAlertRules.SCOPES.find(scope => scope.value === rule.scope)?.label || rule.scope,
+      severity: rule.severity,
+      matches: rule.enabled ? (matchCounts[rule.id] || 0) : null,
+      id: rule.id
+    })), {
+      columns: ['enabled', 'name', 'condition', 'scope', 'severity', 'matches', 'id'],
+      headers: {
+        enabled: 'On',
+        name: 'Rule',
+        condition: 'Condition',
+        scope: 'Applies to',
+        severity: 'Severity',
+        matches: 'Matches',
+        id: ''
+      },
+      transforms: {
+        enabled: (value, row) => `<input type="checkbox" data-rule-toggle="${row.id}" ${value ? 'checked' : ''} title="Enable or disable this rule">`,
+        id: (value) => `
+          <button type="button" class="btn-tertiary btn-sm" data-rule-edit="${value}" title="Edit rule"><span class="material-icons text-sm">edit</span></button>
+          <button type="button" class="btn-tertiary btn-sm" data-rule-delete="${value}" title="Delete rule"><span class="material-icons text-sm">delete</span></button>
+        `
+      },
+      sortable: false,
+      searchable: false,
+      defaultSort: null
+    });
+    list.appendChild(table);
+  }
+
+  list.onclick = (event) => {
+    const editId = event.target.closest('[data-rule-edit]')?.dataset.ruleEdit;
+    const deleteId = event.target.closest('[data-rule-delete]')?.dataset.ruleDelete;
+    if (editId) {
+      renderAlertRuleEditor(rules.find(rule => rule.id === editId));
+    } else if (deleteId) {
+      const rule = rules.find(item => item.id === deleteId);
+      if (rule && confirm(`Delete the alert rule "${rule.name}"?`)) {
+        saveAlertRules(rules.filter(item => item.id !== deleteId), 'Alert rule deleted');
+      }
+    }
+  };
+  list.onchange = (event) => {
+    const toggleId = event.target.dataset?.ruleToggle;
+    if (!toggleId) return;
+    saveAlertRules(rules.map(rule => (rule.id === toggleId ? { ...rule, enabled: event.target.checked } : rule)));
+  };
+
+  document.getElementById('alert-rules-add').addEventListener('click', () => renderAlertRuleEditor(null));
+
+  document.getElementById('alert-rules-export').addEventListener('click', () => {
+    RewstTableExport.downloadFile(RewstAlertRules.exportRules(rules), 'alert-rules.json', 'application/json;charset=utf-8');
+  });
+
+  const fileInput = document.getElementById('alert-rules-file');
+  document.getElementById('alert-rules-import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+    try {
+      const imported = RewstAlertRules.parseRulesImport(await file.text());
+      if (confirm(`Replace your ${rules.length} alert rule(s) with ${imported.length} imported rule(s)?`)) {
+        await saveAlertRules(imported, 'Alert rules imported');
+      }
+    } catch (error) {
+      debugError('Alert rules import failed:', error);
+      RewstDOM.showError(error.message);
+    }
+    fileInput.value = '';
+  });
+
+  document.getElementById('alert-rules-reset').addEventListener('click', () => {
+    if (confirm('Replace your alert rules with the defaults?')) {
+      saveAlertRules(null, 'Alert rules reset to defaults');
+    }
+  });
+
+  /**
+   * Inline form for a new rule (rule = null) or an existing one. Nothing applies until "Save rule".
+   */
+  function renderAlertRuleEditor(rule) {
+    const editor = document.getElementById('alert-rules-editor');
+    const draft = rule
+      ? { ...rule }
+      : { name: '', metric: 'failure_rate', scope: 'workflow', comparator: 'gte', threshold: 30, windowDays: null, minExecutions: 5, severity: 'high', enabled: true };
+
+    editor.innerHTML = '';
+    const form = document.createElement('div');
+    form.className = 'border-2 border-rewst-light-gray rounded-md p-4';
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4';
+
+    const createField = (label, control, hint = null) => {
+      const field = document.createElement('div');
+      const labelEl = document.createElement('label');
+      labelEl.className = 'block text-sm font-medium text-rewst-dark-gray mb-2';
+      labelEl.textContent = label;
+      field.appendChild(labelEl);
+      field.appendChild(control);
+      if (hint) {
+        const hintEl = document.createElement('p');
+        hintEl.className = 'text-xs text-rewst-gray mt-1';
+        hintEl.textContent = hint;
+        field.appendChild(hintEl);
+      }
+      grid.appendChild(field);
+    };
+
+    const createInput = (key, type = 'text', placeholder = '') => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.className = inputClass;
+      input.placeholder = placeholder;
+      input.value = draft[key] ?? '';
+      if (type === 'number') input.min = '0';
+      input.addEventListener('input', () => { draft[key] = input.value; });
+      return input;
+    };
+
+    const createDropdown = (key, options) => RewstDOM.createStyledDropdown(options, {
+      defaultValue: draft[key],
+      onChange: (selectedOption, value) => { draft[key] = value; }
+    });
+
+    createField('Name', createInput('name', 'text', 'e.g. Client onboarding failing'));
+    createField('Metric', createDropdown('metric', RewstAlertRules.METRICS));
+    createField('Applies to', createDropdown('scope', RewstAlertRules.SCOPES));
+    createField('Severity', createDropdown('severity', RewstAlertRules.SEVERITIES.map(value => ({ value, label: value.charAt(0).toUpperCase() + value.slice(1) }))));
+    createField('Comparison', createDropdown('comparator', RewstAlertRules.COMPARATORS.map(({ value, label }) => ({ value, label }))));
+    createField('Threshold', createInput('threshold', 'number'));
+    createField('Window (days)', createInput('windowDays', 'number', 'Whole date range'), 'Counted back from the latest loaded execution');
+    createField('Minimum executions', createInput('minExecutions', 'number'), 'Skip anything with fewer executions in the window');
+    form.appendChild(grid);
+
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2 justify-end';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn-secondary text-sm';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => { editor.innerHTML = ''; });
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'btn-primary text-sm';
+    saveBtn.textContent = 'Save rule';
+    saveBtn.addEventListener('click', () => {
+      const normalized = RewstAlertRules.normalizeRule(draft);
+      if (!normalized) {
+        RewstDOM.showError('A rule needs a metric, scope and numeric threshold');
+        return;
+      }
+      saveAlertRules(rule
+        ? rules.map(item => (item.id === rule.id ? normalized : item))
+        : [...rules, normalized]);
+    });
+    actions.appendChild(cancelBtn);
+    actions.appendChild(saveBtn);
+    form.appendChild(actions);
+
+    editor.appendChild(form);
+  }
+}
+
+/**
+ * Render the alert notification settings: which workflow receives alerts, the minimum
+ * severity, the dedupe window, and a "Send now" action for the current insights.
+ */
+function renderInsightNotifications(alertCandidates = []) {
+  const container = document.getElementById('insights-notifications');
+  const draft = { ...window.insightNotificationSettings };
+  const inputClass = 'w-full px-3 py-2 text-sm border-2 border-rewst-light-gray rounded-md focus:outline-none focus:ring-2 focus:ring-rewst-teal';
+
+  container.innerHTML = `
+    <div class="card p-6">
+      <p class="text-sm text-rewst-gray mb-4">Send triggered insights to one of your Rewst workflows (for example one that posts to Teams or opens a PSA ticket). Alerts are batched into one run, and the same alert is not sent again within the dedupe window.</p>
+      <label class="flex items-center gap-2 text-sm text-rewst-dark-gray mb-4">
+        <input type="checkbox" id="insight-notify-enabled" ${draft.enabled ? 'checked' : ''}>
+        Send alerts to a Rewst workflow
+      </label>
+      <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        <div>
+          <label class="block text-sm font-medium text-rewst-dark-gray mb-2">Alert workflow</label>
+          <div id="insight-notify-workflow"></div>
+          <p id="insight-notify-workflow-current" class="text-xs text-rewst-gray mt-1"></p>
+        </div>
+        <div>
+          <label class="block text-sm font-medium text-rewst-dark-gray mb-2">Minimum severity</label>
+          <div id="insight-notify-severity"></div>
+        </div>
+        <div>
+          <label class="block text-sm font-medium text-rewst-dark-gray mb-2">Dedupe window (hours)</label>
+          <input type="number" min="0" id="insight-notify-dedupe" class="${inputClass}" value="${draft.dedupeHours}">
+        </div>
+        <div class="flex items-end">
+          <label class="flex items-center gap-2 text-sm text-rewst-dark-gray">
+            <input type="checkbox" id="insight-notify-auto" ${draft.autoSend ? 'checked' : ''}>
+            Send automatically when Insights loads
+          </label>
+        </div>
+      </div>
+      <div class="flex flex-wrap items-center justify-between gap-3">
+        <span id="insight-notify-status" class="text-sm text-rewst-gray"></span>
+        <div class="flex gap-2">
+          <button type="button" id="insight-notify-send" class="btn-secondary text-sm">Send now</button>
+          <button type="button" id="insight-notify-save" class="btn-primary text-sm">Save</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const currentWorkflow = document.getElementById('insight-notify-workflow-current');
+  const renderCurrentWorkflow = () => {
+    currentWorkflow.textContent = draft.workflowId ? `Selected: ${draft.workflowName || draft.workflowId}` : 'No workflow selected';
+  };
+  renderCurrentWorkflow();
+
+  const workflows = (window.dashboardData?.workflows || [])
+    .map(workflow => ({ id: workflow.id, name: workflow.name || 'Unknown Workflow' }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  RewstDOM.place(RewstDOM.createAutocomplete(workflows, {
+    labelKey: 'name',
+    valueKey: 'id',
+    placeholder: 'Search workflows...',
+    showClearButton: false,
+    onSelect: (item) => {
+      if (!item) return;
+      draft.workflowId = item.id;
+      draft.workflowName = item.name;
+      renderCurrentWorkflow();
+    }
+  }), '#insight-notify-workflow');
+
+  RewstDOM.place(RewstDOM.createStyledDropdown(
+    RewstInsightNotifier.SEVERITIES.map(value => ({ value, label: `${value.charAt(0).toUpperCase() + value.slice(1)} and above` })),
+    { defaultValue: draft.minSeverity, onChange: (selectedOption, value) => { draft.minSeverity = value; } }
+  ), '#insight-notify-severity');
+
+  const readForm = () => ({
+    ...draft,
+    enabled: document.getElementById('insight-notify-enabled').checked,
+    dedupeHours: document.getElementById('insight-notify-dedupe').value,
+    autoSend: document.getElementById('insight-notify-auto').checked
+  });
+
+  const status = document.getElementById('insight-notify-status');
+  const sendBtn = document.getElementById('insight-notify-send');
+  const renderStatus = async () => {
+    const settings = window.insightNotificationSettings;
+    sendBtn.disabled = !settings.enabled;
+    if (!settings.enabled) {
+      status.textContent = 'Notifications are off';
+      return;
+    }
+    const { pending, suppressed } = await previewInsightNotifications(alertCandidates);
+    status.textContent = `${pending.length} alert(s) ready to send · ${suppressed.length} sent in the last ${settings.dedupeHours}h`;
+  };
+  renderStatus();
+
+  document.getElementById('insight-notify-save').addEventListener('click', async () => {
+    const settings = readForm();
+    if (settings.enabled && !settings.workflowId) {
+      RewstDOM.showError('Choose the workflow that should receive alerts');
+      return;
+    }
+    await saveInsightNotificationSettings(settings);
+    renderStatus();
+  });
+
+  sendBtn.addEventListener('click', async () => {
+    sendBtn.disabled = true;
+    await sendInsightNotifications(alertCandidates, { manual: true });
+    renderStatus();
+  });
+}
@@ -24,6 +24,170 @@ function getExecutionsForMetric(executions, metricType) {
     return executions;
 }
 
+/**
+ * Period-over-period change between two values
+ * @param {number} current - Value for the selected period
+ * @param {number} previous - Value for the previous equivalent period
+ * @returns {Object} - { direction: 'up'|'down'|'neutral', difference, percent (null when previous is 0) }
+ */
+function getPeriodDelta(current, previous) {
+    const difference = (current || 0) - (previous || 0);
+    const direction = difference > 0 ? 'up' : (difference < 0 ? 'down' : 'neutral');
+    const percent = previous ? (difference / previous) * 100 : null;
+    return { direction, difference, percent };
+}
+
+/**
+ * Format a period delta for a metric card trend line
+ * @param {Object} delta - Result of getPeriodDelta
+ * @param {string} unit - 'percent' (relative change), 'points' (percentage points) or 'count' (absolute)
+ * @returns {string} - e.g. "+12.5% vs previous period"
+ */
+function formatPeriodDelta(delta, unit = 'percent') {
+    const sign = delta.difference > 0 ? '+' : (delta.difference < 0 ? '−' : '±');
+    const suffix = ' vs previous period';
+
+    if (unit === 'points') {
+        return sign + Math.abs(delta.difference).toFixed(1) + ' pts' + suffix;
+    }
+    if (unit === 'count') {
+        return sign + Math.abs(delta.difference).toLocaleString() + suffix;
+    }
+    if (delta.percent === null) {
+        return (delta.difference > 0 ? 'New' : 'No change') + suffix;
+    }
+    return sign + Math.abs(delta.percent).toFixed(1) + '%' + suffix;
+}
+
+/**
+ * Whether a root execution was a form submission
+ * @param {Object} e - Execution
+ * @returns {boolean}
+ */
+function isFormSubmissionExecution(e) {
+    // Skip option generators
+    if (e.workflow?.type === 'OPTION_GENERATOR') return false;
+
+    // 1. Primary: check triggerInfo.type
+    const triggerType = e.triggerInfo?.type || e.triggerInfo?.Type || '';
+    const tLower = String(triggerType).toLowerCase();
+    if (tLower === 'form submission') return true;
+
+    // 2. Check for form-specific data
+    if (e.triggerInfo?.formId || e.triggerInfo?.submittedInputs || e.form?.id) return true;
+
+    // 3. Check conductor.input for Cron/Webhook signatures
+    const ci = e.conductor?.input || {};
+    if ((ci.cron && ci.timezone) || (ci.method && ci.headers)) return false;
+
+    // 4. If triggerInfo.type exists and is NOT "form submission", trust it
+    if (triggerType && tLower !== '' && tLower !== 'form submission') return false;
+
+    // 5. Fallback: check workflow.triggers ONLY when triggerInfo.type is missing
+    if (e.workflow?.triggers) {
+        const formTrigger = e.workflow.triggers.find(t =>
+            (t.triggerType?.name === 'Form Submission' || t.triggerType?.ref?.includes('form')) &&
+            t.formId
+        );
+        if (formTrigger) return true;
+    }
+    return false;
+}
+
+/**
+ * Reduce one period's filtered executions to the Overview card metrics
+ * @param {Array} executions - Filtered executions (parent + sub-workflows)
+ * @returns {Object} - { hoursSaved, value, succeeded, failed, successRate, avgMinutes, formSubmissions, formCounts, formsUsed }
+ */
+function summarizeOverviewPeriod(executions) {
+    // executionsForTime: ALL (parent + subs) - for hours/money calculations
+    // executionsForTasks: ROOT ONLY (no subs) - for task counts, execution counts, success rate
+    const executionsForTime = getExecutionsForMetric(executions, 'time');
+    const executionsForTasks = getExecutionsForMetric(executions, 'tasks');
+
+    // HOURS SAVED: Use executionsForTime (ALL executions) - each has its own humanSecondsSaved
+    const hoursSaved = executionsForTime.reduce((sum, exec) => {
+        const secondsSaved = exec.workflow?.humanSecondsSaved || 0;
+        return sum + (secondsSaved / 3600);
+    }, 0);
+
+    // SUCCESS RATE: Use executionsForTasks (ROOT ONLY) - avoid counting sub-workflow failures twice
+    const succeeded = executionsForTasks.filter(e =>
+        e.status === 'COMPLETED' || e.status === 'SUCCESS' || e.status === 'succeeded'
+    ).length;
+    const failed = executionsForTasks.filter(e =>
+        e.status === 'FAILED' || e.status === 'failed'
+    ).length;
+
+    // Form submission stats: forms are root executions
+    const formCounts = {};
+    executionsForTasks.forEach(exec => {
+        const triggerType = (exec.triggerInfo?.type || '').toLowerCase();
+        if (triggerType === 'form submission') {
+            const formName = exec.triggerInfo?.formName || exec.workflow?.name || 'Unknown Form';
+            formCounts[formName] = (formCounts[formName] || 0) + 1;
+        }
+    });
+
+    return {
+        hoursSaved,
+        value: getExecutionsValue(executionsForTime, exec => exec.workflow?.humanSecondsSaved),
+        succeeded,
+        failed,
+        successRate: executionsForTasks.length > 0 ? (succeeded / executionsForTasks.length) * 100 : 0,
+        // AVG MINUTES: Total time (ALL) divided by root execution count (TASKS)
+        avgMinutes: executionsForTasks.length > 0 ? (hoursSaved * 60) / executionsForTasks.length : 0,
+        formSubmissions: executionsForTasks.filter(isFormSubmissionExecution).length,
+        formCounts,
+        formsUsed: Object.keys(formCounts).length
+    };
+}
+
+/**
+ * Reduce one period of comparison aggregates (rewst.getPeriodComparison) to the Overview card metrics
+ * @param {Object} period - { stats, dailyTimeSaved, workflowStats }
+ * @param {Set} formWorkflowIds - IDs of workflows triggered by form submissions
+ * @returns {Object} - { hoursSaved, value, successRate, avgMinutes, formSubmissions, formsUsed }
+ */
+function summarizeComparisonPeriod(period, formWorkflowIds) {
+    const stats = period?.stats || {};
+    const succeeded = stats.succeeded || 0;
+    const failed = stats.failed || 0;
+    const finished = succeeded + failed;
+    const hoursSaved = (stats.humanSecondsSaved || 0) / 3600;
+    const workflowStats = period?.workflowStats || [];
+    const formRows = workflowStats.filter(w => formWorkflowIds.has(w.id));
+
+    return {
+        hoursSaved,
+        value: getExecutionsValue(workflowStats.map(w => ({
+            humanSecondsSaved: w.totalHumanSecondsSaved,
+            organization: { id: w.orgId },
+            workflow: { id: w.id }
+        }))),
+        successRate: finished > 0 ? (succeeded / finished) * 100 : 0,
+        avgMinutes: finished > 0 ? (hoursSaved * 60) / finished : 0,
+        formSubmissions: formRows.reduce((sum, w) => sum + (w.totalExecutions || 0), 0),
+        formsUsed: formRows.filter(w => w.totalExecutions > 0).length
+    };
+}
+
+/**
+ * Whole days between the start of a range and a date, used to line up the
+ * previous period's daily points with the current period's chart labels
+ * @param {string|number|Date} value - Date, epoch ms, or "YYYY-MM-DD" (read as a local day)
+ * @param {Date} rangeStart - Start of the period the value belongs to
+ * @returns {number}
+ */
+function getDayOffset(value, rangeStart) {
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    const day = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+    day.setHours(0, 0, 0, 0);
+    const start = new Date(rangeStart);
+    start.setHours(0, 0, 0, 0);
+    return Math.round((day - start) / (24 * 60 * 60 * 1000));
+}
+
 function renderDashboard() {
     try {
         // Safety check
@@ -43,61 +207,17 @@ function renderDashboard() {
 
         console.log(`Rendering with ${filteredExecutions.length} total executions (${executionsForTasks.length} root, ${executionsForTime.length - executionsForTasks.length} subs) (exclude test: ${document.getElementById('exclude-test-runs')?.checked})`);
 
-        document.getElementById('chart-title-time').textContent = `Execution Trend (Last ${DAYS_TO_FETCH} Days)`;
+        document.getElementById('chart-title-time').textContent = `Execution Trend (${getDateRangeLabel()})`;
 
         // Calculate metrics
-        // HOURS SAVED: Use executionsForTime (ALL executions) - each has its own humanSecondsSaved
-        const totalHoursSaved = executionsForTime.reduce((sum, exec) => {
-            const secondsSaved = exec.workflow?.humanSecondsSaved || 0;
-            return sum + (secondsSaved / 3600);
-        }, 0);
-
-        const monetaryValue = totalHoursSaved * 50;
-
-        // SUCCESS RATE: Use executionsForTasks (ROOT ONLY) - avoid counting sub-workflow failures twice
-        const succeededCount = executionsForTasks.filter(e =>
-            e.status === 'COMPLETED' || e.status === 'SUCCESS' || e.status === 'succeeded'
-        ).length;
-        const failedCount = executionsForTasks.filter(e =>
-            e.status === 'FAILED' || e.status === 'failed'
-        ).length;
-        const successRate = executionsForTasks.length > 0
-            ? (succeededCount / executionsForTasks.length * 100).toFixed(1)
-            : 0;
-
-        // FORM SUBMISSIONS: Use executionsForTasks (ROOT ONLY) - forms are root executions
-        const formSubmissions = executionsForTasks.filter(e => {
-            // Skip option generators
-            if (e.workflow?.type === 'OPTION_GENERATOR') return false;
-
-            // 1. Primary: check triggerInfo.type
-            const triggerType = e.triggerInfo?.type || e.triggerInfo?.Type || '';
-            const tLower = String(triggerType).toLowerCase();
-            if (tLower === 'form submission') return true;
-
-            // 2. Check for form-specific data
-            if (e.triggerInfo?.formId || e.triggerInfo?.submittedInputs || e.form?.id) return true;
-
-            // 3. Check conductor.input for Cron/Webhook signatures
-            const ci = e.conductor?.input || {};
-            if ((ci.cron && ci.timezone) || (ci.method && ci.headers)) return false;
-
-            // 4. If triggerInfo.type exists and is NOT "form submission", trust it
-            if (triggerType && tLower !== '' && tLower !== 'form submission') return false;
-
-            // 5. Fallback: check workflow.triggers ONLY when triggerInfo.type is missing
-            if (e.workflow?.triggers) {
-                const formTrigger = e.workflow.triggers.find(t =>
-                    (t.triggerType?.name === 'Form Submission' || t.triggerType?.ref?.includes('form')) &&
-                    t.formId
-                );
-                if (formTrigger) return true;
-            }
-            return false;
-        }).length;
-
-        // AVG MINUTES: Total time (ALL) divided by root execution count (TASKS)
-        const avgMinutesSaved = executionsForTasks.length > 0 ? (totalHoursSaved * 60) / executionsForTasks.length : 0;
+        const currentPeriod = summarizeOverviewPeriod(filteredExecutions);
+        const totalHoursSaved = currentPeriod.hoursSaved;
+        const monetaryValue = currentPeriod.value;
+        const succeededCount = currentPeriod.succeeded;
+        const failedCount = currentPeriod.failed;
+        const successRate = executionsForTasks.length > 0 ? currentPeriod.successRate.toFixed(1) : 0;
+        const formSubmissions = currentPeriod.formSubmissions;
+        const avgMinutesSaved = currentPeriod.avgMinutes;
 
         // COMPUTE REAL TREND DATA
         // Top workflow by hours saved
@@ -116,9 +236,9 @@ function renderDashboard() {
             : 'No data';
 
         // Avg $ per execution
-        const avgDollarPerExec = executionsForTasks.length > 0
-            ? (monetaryValue / executionsForTasks.length).toFixed(2)
-            : '0.00';
+        const avgDollarPerExec = formatMoney(executionsForTasks.length > 0
+            ? monetaryValue / executionsForTasks.length
+            : 0, 2);
 
         // Max single execution time saved (in minutes)
         const maxMinutesSaved = executionsForTime.reduce((max, exec) => {
@@ -126,37 +246,57 @@ function renderDashboard() {
             return mins > max ? mins : max;
         }, 0);
 
-        // Form submission stats
-        const formCounts = {};
-        executionsForTasks.forEach(exec => {
-            const triggerType = (exec.triggerInfo?.type || '').toLowerCase();
-            if (triggerType === 'form submission') {
-                const formName = exec.triggerInfo?.formName || exec.workflow?.name || 'Unknown Form';
-                formCounts[formName] = (formCounts[formName] || 0) + 1;
-            }
-        });
-
         // What % of executions are form submissions
         const formSubmissionPct = executionsForTasks.length > 0
             ? ((formSubmissions / executionsForTasks.length) * 100).toFixed(1)
             : '0';
 
         // Forms used vs available
-        const formsWithSubmissions = Object.keys(formCounts).length;
+        const formsWithSubmissions = currentPeriod.formsUsed;
         const formsUnused = forms.length - formsWithSubmissions;
         const formsUsedTrend = formsWithSubmissions > formsUnused ? 'up' : (formsUnused > formsWithSubmissions ? 'down' : 'neutral');
 
+        // PERIOD COMPARISON: deltas come from backend aggregates for both windows, so the current
+        // and previous numbers are measured the same way without refetching the previous period's
+        // executions (see getPeriodComparison)
+        const comparison = isPeriodComparisonEnabled() ? getPeriodComparison() : null;
+        let periodDeltas = null;
+        if (comparison?.status === 'ready') {
+            const formWorkflowIds = new Set(workflows
+                .filter(w => w.triggers?.some(t => t?.triggerType?.name === 'Form Submission' || t?.formId != null))
+                .map(w => w.id));
+            const currentAggregate = summarizeComparisonPeriod(comparison.current, formWorkflowIds);
+            const previousAggregate = summarizeComparisonPeriod(comparison.previous, formWorkflowIds);
+            periodDeltas = {
+                hoursSaved: getPeriodDelta(currentAggregate.hoursSaved, previousAggregate.hoursSaved),
+                value: getPeriodDelta(currentAggregate.value, previousAggregate.value),
+                successRate: getPeriodDelta(currentAggregate.successRate, previousAggregate.successRate),
+                avgMinutes: getPeriodDelta(currentAggregate.avgMinutes, previousAggregate.avgMinutes),
+                formSubmissions: getPeriodDelta(currentAggregate.formSubmissions, previousAggregate.formSubmissions),
+                formsUsed: getPeriodDelta(currentAggregate.formsUsed, previousAggregate.formsUsed)
+            };
+        }
+
+        // Card trend line: the period delta when comparing, otherwise the card's own summary
+        const cardTrend = (trend, trendValue, deltaKey, unit) => {
+            if (comparison?.status === 'loading') {
+                return { trend: 'neutral', trendValue: 'Comparing to previous period...' };
+            }
+            if (!periodDeltas) return { trend, trendValue };
+            const delta = periodDeltas[deltaKey];
+            return { trend: delta.direction, trendValue: formatPeriodDelta(delta, unit) };
+        };
+
         let metricsAnimated = false;
 
         // Render Metric Cards
         RewstDOM.place(RewstDOM.createMetricCard({
             title: 'Total Hours Saved',
-            subtitle: 'Last ' + DAYS_TO_FETCH + ' days (includes sub-workflows)',
+            subtitle: getDateRangeLabel() + ' (includes sub-workflows)',
             value: formatTimeSaved(totalHoursSaved * 3600),
             icon: 'schedule',
             color: 'teal',
-            trend: 'up',
-            trendValue: executionsForTime.length.toLocaleString() + ' executions',
+            ...cardTrend('up', executionsForTime.length.toLocaleString() + ' executions', 'hoursSaved'),
             solidBackground: true
         }), '#metric-total-hours');
 
@@ -165,47 +305,43 @@ function renderDashboard() {
 
         RewstDOM.place(RewstDOM.createMetricCard({
             title: 'Monetary Value',
-            subtitle: 'Total value at $50/hour (includes sub-workflows)',
-            value: '$' + monetaryValue.toLocaleString('en-US', { maximumFractionDigits: 0 }),
+            subtitle: 'Total value at ' + getHourlyRateLabel() + ' (includes sub-workflows)',
+            value: formatMoney(monetaryValue),
             icon: 'attach_money',
             color: 'fandango',
-            trend: 'up',
-            trendValue: '$' + avgDollarPerExec + '/exec avg',
+            ...cardTrend('up', avgDollarPerExec + '/exec avg', 'value'),
             solidBackground: true
         }), '#metric-total-forms');
 
         RewstDOM.place(RewstDOM.createMetricCard({
             title: 'Success Rate',
-            subtitle: 'Last ' + DAYS_TO_FETCH + ' days (root executions only)',
+            subtitle: getDateRangeLabel() + ' (root executions only)',
             value: successRate + '%',
             icon: 'check_circle',
             color: 'snooze',
-            trend: succeededCount > failedCount ? 'up' : 'down',
-            trendValue: succeededCount + ' succeeded, ' + failedCount + ' failed',
+            ...cardTrend(succeededCount > failedCount ? 'up' : 'down', succeededCount + ' succeeded, ' + failedCount + ' failed', 'successRate', 'points'),
             cardClass: 'card card-accent-snooze',
             solidBackground: false
         }), '#metric-success-rate');
 
         RewstDOM.place(RewstDOM.createMetricCard({
             title: 'Avg. Minutes/Execution',
-            subtitle: 'Per root execution (' + DAYS_TO_FETCH + ' days)',
+            subtitle: 'Per root execution (' + getDateRangeLabel() + ')',
             value: avgMinutesSaved.toFixed(1),
             icon: 'trending_up',
             color: 'teal',
-            trend: 'up',
-            trendValue: maxMinutesSaved > 0 ? 'Max: ' + maxMinutesSaved.toFixed(1) + ' min' : 'No data',
+            ...cardTrend('up', maxMinutesSaved > 0 ? 'Max: ' + maxMinutesSaved.toFixed(1) + ' min' : 'No data', 'avgMinutes'),
             cardClass: 'card card-accent-teal',
             solidBackground: false
         }), '#metric-avg-time-saved');
 
         RewstDOM.place(RewstDOM.createMetricCard({
             title: 'Total Form Submissions',
-            subtitle: 'Last ' + DAYS_TO_FETCH + ' days',
+            subtitle: getDateRangeLabel(),
             value: formSubmissions,
             icon: 'edit_note',
             color: 'orange',
-            trend: formSubmissions > 0 ? 'up' : 'neutral',
-            trendValue: formSubmissionPct + '% of executions',
+            ...cardTrend(formSubmissions > 0 ? 'up' : 'neutral', formSubmissionPct + '% of executions', 'formSubmissions'),
             cardClass: 'card card-accent-orange',
             solidBackground: false
         }), '#metric-form-submissions');
@@ -216,8 +352,7 @@ function renderDashboard() {
             value: forms.length,
             icon: 'assignment',
             color: 'bask',
-            trend: formsUsedTrend,
-            trendValue: formsWithSubmissions + ' used, ' + formsUnused + ' unused',
+            ...cardTrend(formsUsedTrend, formsWithSubmissions + ' used, ' + formsUnused + ' unused', 'formsUsed', 'count'),
             cardClass: 'card card-accent-bask',
             solidBackground: false
         }), '#metric-form-completion');
@@ -261,6 +396,21 @@ function renderDashboard() {
             failed: executionTrendData[date].failed
         }));
 
+        // Previous period's executions per chart day, lined up by day offset from each
+        // period's start so day N of the previous period sits under day N of this one
+        let previousTrend = null;
+        if (comparison?.status === 'ready') {
+            const previousByOffset = new Map();
+            (comparison.previousDailyExecutions || []).forEach(point => {
+                const offset = getDayOffset(point.date, comparison.previousRange.start);
+                previousByOffset.set(offset, (previousByOffset.get(offset) || 0) + point.count);
+            });
+            const currentStart = window.filterState.dateRange.start;
+            previousTrend = sortedDates.map(date =>
+                previousByOffset.get(getDayOffset(executionTrendData[date].sortKey, currentStart)) || 0
+            );
+        }
+
         // Prepare task usage data
         const topChartTaskUsageData = {};
 
@@ -400,7 +550,17 @@ function renderDashboard() {
                             borderWidth: 2,
                             tension: 0.4,
                             fill: true
-                        }
+                        },
+                        ...(previousTrend ? [{
+                            label: 'Total (previous period)',
+                            data: previousTrend,
+                            borderColor: chartPalette.mutedText,
+                            borderDash: [6, 4],
+                            borderWidth: 2,
+                            tension: 0.4,
+                            fill: false,
+                            pointRadius: 0
+                        }] : [])
                     ]
                 },
                 options: {
@@ -121,6 +121,8 @@ function renderWorkflowDetailsDashboard() {
 function renderSelectedWorkflow(workflow, executions) {
   // Store for re-rendering on filter changes
   window.selectedWorkflow = workflow;
+  // Keep the selection in the URL so the view can be reloaded or shared
+  syncUrlState();
 
   console.log("Selected workflow:", workflow.name, "ID:", workflow.id);
   console.log("Total executions to filter:", executions.length);
@@ -152,6 +154,8 @@ function renderSelectedWorkflow(workflow, executions) {
 
   renderWorkflowMetrics(workflowExecutions);
   renderWorkflowTimeline(workflowExecutions);
+  renderWorkflowDurations(workflowExecutions);
+  renderWorkflowCallGraph(workflowExecutions);
   renderWorkflowFailures(workflowExecutions);
   renderWorkflowExecutionsTable(workflowExecutions, executions); // Pass full executions for parent lookup
 }
@@ -181,8 +185,7 @@ function renderWorkflowMetrics(execs) {
     (sum, e) => sum + (e.humanSecondsSaved || 0),
     0
   );
-  const hoursSaved = totalSecondsSaved / 3600;
-  const monetaryValue = (hoursSaved * 50).toFixed(0);
+  const monetaryValue = getExecutionsValue(execs);
   // Task totals come from the org-wide workflow stats aggregate (already loaded in template
    // via getWorkflowStatsByOrg). We can no longer sum exec.tasksUsed because the bulk
    // workflowExecutions query no longer selects numSuccessfulTasks (that field triggered a
@@ -210,8 +213,8 @@ function renderWorkflowMetrics(execs) {
 
   RewstDOM.loadMetricCard("#workflow-metric-value", {
     title: "Monetary Value",
-    subtitle: "At $50/hour",
-    value: "$" + parseInt(monetaryValue).toLocaleString(),
+    subtitle: "At " + getHourlyRateLabel(),
+    value: formatMoney(monetaryValue),
     icon: "attach_money",
     color: "fandango",
     solidBackground: true,
@@ -379,6 +382,321 @@ function renderWorkflowTimeline(execs) {
     .addEventListener("change", (e) => renderChart(e.target.value));
 }
 
+/**
+ * Render execution duration percentiles, histogram and duration-over-time scatter
+ */
+function renderWorkflowDurations(execs) {
+  const summary = RewstDurationStats.summarizeDurations(execs);
+  const container = document.getElementById("workflow-durations");
+
+  if (summary.count === 0) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const formatDuration = RewstDurationStats.formatDuration;
+  const statTile = (label, value) => `
+    <div class="p-4 rounded-lg border border-gray-200">
+      <div class="text-xs font-medium text-rewst-gray uppercase tracking-wide">${label}</div>
+      <div class="text-2xl font-semibold text-rewst-black mt-1">${formatDuration(value)}</div>
+    </div>
+  `;
+
+  container.innerHTML = `
+    <div class="card p-6">
+      <div class="flex items-center justify-between mb-4">
+        <h3 class="text-lg font-semibold text-rewst-black">Execution Duration</h3>
+        <span class="text-sm text-rewst-gray">${summary.count.toLocaleString()} timed executions</span>
+      </div>
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        ${statTile("Median (p50)", summary.p50)}
+        ${statTile("p90", summary.p90)}
+        ${statTile("p99", summary.p99)}
+        ${statTile("Longest", summary.max)}
+      </div>
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h4 class="text-sm font-semibold text-rewst-dark-gray mb-2">Runtime Distribution</h4>
+          <div id="workflow-duration-histogram"></div>
+        </div>
+        <div>
+          <h4 class="text-sm font-semibold text-rewst-dark-gray mb-2">Duration Over Time</h4>
+          <div id="workflow-duration-scatter"></div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const chartPalette = getDashboardChartPalette();
+  const createChartWrapper = () => {
+    const canvas = document.createElement("canvas");
+    const wrapper = document.createElement("div");
+    wrapper.className = "relative w-full";
+    wrapper.style.height = "260px";
+    wrapper.appendChild(canvas);
+    return { canvas, wrapper };
+  };
+
+  const buckets = RewstDurationStats.buildHistogram(execs);
+  const histogram = createChartWrapper();
+  new Chart(histogram.canvas, {
+    type: "bar",
+    data: {
+      labels: buckets.map((bucket) => bucket.label),
+      datasets: [
+        {
+          label: "Executions",
+          data: buckets.map((bucket) => bucket.count),
+          backgroundColor: "rgba(0,148,144,0.7)",
+          borderColor: "rgba(0,148,144,1)",
+          borderWidth: 1,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        y: { beginAtZero: true, title: { display: true, text: "Number of Executions" } },
+        x: { title: { display: true, text: "Runtime" } },
+      },
+      plugins: { legend: { display: false } },
+    },
+  });
+  RewstDOM.place(histogram.wrapper, "#workflow-duration-histogram");
+
+  // Failed runs are plotted separately so slow failures (timeouts) stand out
+  const points = RewstDurationStats.toScatterPoints(execs);
+  const isFailed = (point) => ["FAILED", "failed"].includes(point.status);
+  const scatter = createChartWrapper();
+  new Chart(scatter.canvas, {
+    type: "scatter",
+    data: {
+      datasets: [
+        {
+          label: "Succeeded / other",
+          data: points.filter((point) => !isFailed(point)),
+          backgroundColor: chartPalette.trendUp,
+          pointRadius: 3,
+        },
+        {
+          label: "Failed",
+          data: points.filter(isFailed),
+          backgroundColor: chartPalette.trendDown,
+          pointRadius: 3,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: {
+          type: "linear",
+          ticks: {
+            maxTicksLimit: 6,
+            callback: (value) => {
+              const date = new Date(value);
+              return `${date.getMonth() + 1}/${date.getDate()}`;
+            },
+          },
+        },
+        y: {
+          beginAtZero: true,
+          title: { display: true, text: "Runtime" },
+          ticks: { callback: (value) => formatDuration(value) },
+        },
+      },
+      plugins: {
+        legend: {
+          display: true,
+          position: "top",
+          labels: { usePointStyle: true, padding: 15 },
+        },
+        tooltip: {
+          callbacks: {
+            label: (context) =>
+              `${new Date(context.raw.x).toLocaleString()}: ${formatDuration(context.raw.y)}`,
+          },
+        },
+      },
+    },
+  });
+  RewstDOM.place(scatter.wrapper, "#workflow-duration-scatter");
+}
+
+/**
+ * Render the sub-workflow call graph: which workflows this one calls, how often,
+ * how often those calls fail and where the time goes
+ */
+function renderWorkflowCallGraph(execs) {
+  const container = document.getElementById("workflow-call-graph");
+  const allExecutions = window.dashboardData?.executions || [];
+  const graph = RewstCallGraph.buildCallGraph(execs, allExecutions);
+
+  if (graph.edges.length === 0) {
+    const subWorkflowsLoaded = allExecutions.some((e) => e.parentExecutionId);
+    container.innerHTML = `
+      <div class="card p-6 flex items-center justify-between gap-4">
+        <div>
+          <h3 class="text-lg font-semibold text-rewst-black">Sub-workflow Calls</h3>
+          <p class="text-sm text-rewst-gray mt-1">${subWorkflowsLoaded
+            ? "No sub-workflow calls found for this workflow in the selected period."
+            : "Sub-workflow executions are not loaded yet."}</p>
+        </div>
+        ${subWorkflowsLoaded ? "" : '<button type="button" id="call-graph-load-subs" class="btn-secondary text-sm">Load sub-workflows</button>'}
+      </div>
+    `;
+    document.getElementById("call-graph-load-subs")?.addEventListener("click", () => loadSubWorkflows());
+    return;
+  }
+
+  const layout = RewstCallGraph.layoutCallGraph(graph);
+  const root = graph.nodes.find((node) => node.id === graph.rootId);
+  const formatDuration = RewstDurationStats.formatDuration;
+  const svgNs = "http://www.w3.org/2000/svg";
+  const createSvg = (tag, attributes = {}) => {
+    const element = document.createElementNS(svgNs, tag);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+  };
+
+  container.innerHTML = `
+    <div class="card p-6">
+      <div class="flex items-center justify-between mb-4">
+        <h3 class="text-lg font-semibold text-rewst-black">Sub-workflow Calls</h3>
+        <span class="text-sm text-rewst-gray">Edge width = calls · red edges fail 10%+ of the time</span>
+      </div>
+      <div id="call-graph-diagram" class="overflow-x-auto"></div>
+      <div id="call-graph-details" class="mt-4 text-sm text-rewst-gray">Click a workflow for its call and time breakdown.</div>
+    </div>
+  `;
+
+  const svg = createSvg("svg", { width: layout.width, height: layout.height, viewBox: `0 0 ${layout.width} ${layout.height}` });
+  svg.style.fontFamily = "inherit";
+  const maxCalls = Math.max(...graph.edges.map((edge) => edge.calls));
+  const chartPalette = getDashboardChartPalette();
+
+  // Edges first so nodes are drawn over them
+  const edgeElements = graph.edges.map((edge) => {
+    const from = layout.positions.get(edge.from);
+    const to = layout.positions.get(edge.to);
+    const x1 = from.x + layout.nodeWidth;
+    const y1 = from.y + layout.nodeHeight / 2;
+    const x2 = to.x;
+    const y2 = to.y + layout.nodeHeight / 2;
+    // Recursive calls loop over the top of the node; everything else curves left to right
+    const d = edge.from === edge.to
+      ? `M ${from.x + layout.nodeWidth * 0.7} ${from.y} C ${from.x + layout.nodeWidth * 0.7} ${from.y - 40}, ${from.x + layout.nodeWidth * 0.3} ${from.y - 40}, ${from.x + layout.nodeWidth * 0.3} ${from.y}`
+      : `M ${x1} ${y1} C ${(x1 + x2) / 2} ${y1}, ${(x1 + x2) / 2} ${y2}, ${x2} ${y2}`;
+
+    const path = createSvg("path", {
+      d,
+      fill: "none",
+      stroke: edge.failureRate >= 10 ? chartPalette.trendDown : "rgba(0,148,144,0.7)",
+      "stroke-width": 1.5 + (edge.calls / maxCalls) * 6,
+      "stroke-linecap": "round",
+    });
+    path.style.transition = "opacity 0.2s";
+    const title = createSvg("title");
+    title.textContent = `${edge.from} → ${edge.to}\n${edge.calls.toLocaleString()} calls · ${edge.failureRate.toFixed(1)}% failed · avg ${formatDuration(edge.avgSeconds)}`;
+    path.appendChild(title);
+    svg.appendChild(path);
+
+    if (edge.from !== edge.to) {
+      const label = createSvg("text", {
+        x: (x1 + x2) / 2,
+        y: (y1 + y2) / 2 - 6,
+        "text-anchor": "middle",
+        "font-size": 11,
+        fill: chartPalette.mutedText || "#6b7280",
+      });
+      label.textContent = `${edge.calls.toLocaleString()}× · ${edge.failureRate.toFixed(0)}% fail`;
+      svg.appendChild(label);
+    }
+    return { edge, path };
+  });
+
+  const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+  const showDetails = (node) => {
+    const details = document.getElementById("call-graph-details");
+    const calledBy = graph.edges.filter((edge) => edge.to === node.id);
+    const calls = graph.edges.filter((edge) => edge.from === node.id);
+    const share = root?.totalSeconds > 0 ? (node.selfSeconds / root.totalSeconds) * 100 : 0;
+
+    details.innerHTML = "";
+    const heading = document.createElement("div");
+    heading.className = "flex items-center justify-between gap-4 mb-2";
+    const name = document.createElement("span");
+    name.className = "font-semibold text-rewst-black";
+    name.textContent = node.name;
+    heading.appendChild(name);
+    if (node.id !== graph.rootId && node.workflowId) {
+      const open = document.createElement("button");
+      open.type = "button";
+      open.className = "btn-secondary text-sm";
+      open.textContent = "Open workflow";
+      open.addEventListener("click", () => navigateToWorkflowDetail(node.workflowId));
+      heading.appendChild(open);
+    }
+    details.appendChild(heading);
+
+    const lines = [
+      `${node.executions.toLocaleString()} executions · ${node.failed.toLocaleString()} failed`,
+      `Total time ${formatDuration(node.totalSeconds)} · own time ${formatDuration(node.selfSeconds)} (${share.toFixed(1)}% of ${graph.rootId})`,
+      ...calledBy.map((edge) => `Called by ${edge.from}: ${edge.calls.toLocaleString()}× · ${edge.failureRate.toFixed(1)}% failed`),
+      ...calls.map((edge) => `Calls ${edge.to}: ${edge.calls.toLocaleString()}× · ${edge.failureRate.toFixed(1)}% failed · ${formatDuration(edge.totalSeconds)} total`),
+    ];
+    lines.forEach((line) => {
+      const item = document.createElement("div");
+      item.textContent = line;
+      details.appendChild(item);
+    });
+  };
+
+  graph.nodes.forEach((node) => {
+    const position = layout.positions.get(node.id);
+    const group = createSvg("g", { transform: `translate(${position.x}, ${position.y})` });
+    group.style.cursor = "pointer";
+
+    const failed = node.failed > 0 && node.failed / node.executions >= 0.1;
+    group.appendChild(createSvg("rect", {
+      width: layout.nodeWidth,
+      height: layout.nodeHeight,
+      rx: 8,
+      fill: chartPalette.surface || "#ffffff",
+      stroke: node.id === graph.rootId ? "rgba(0,148,144,1)" : failed ? chartPalette.trendDown : chartPalette.border || "#d1d5db",
+      "stroke-width": node.id === graph.rootId ? 2.5 : 1.5,
+    }));
+
+    const name = createSvg("text", { x: 12, y: 24, "font-size": 13, "font-weight": 600, fill: chartPalette.text || "#111827" });
+    name.textContent = truncate(node.name, 26);
+    const stats = createSvg("text", { x: 12, y: 46, "font-size": 11, fill: chartPalette.mutedText || "#6b7280" });
+    stats.textContent = `${node.executions.toLocaleString()} runs · own ${formatDuration(node.selfSeconds)}`;
+    const title = createSvg("title");
+    title.textContent = node.name;
+
+    group.appendChild(title);
+    group.appendChild(name);
+    group.appendChild(stats);
+
+    // Hovering a workflow fades the edges it is not part of
+    group.addEventListener("mouseenter", () => {
+      edgeElements.forEach(({ edge, path }) => {
+        path.style.opacity = edge.from === node.id || edge.to === node.id ? "1" : "0.15";
+      });
+    });
+    group.addEventListener("mouseleave", () => {
+      edgeElements.forEach(({ path }) => { path.style.opacity = "1"; });
+    });
+    group.addEventListener("click", () => showDetails(node));
+    svg.appendChild(group);
+  });
+
+  document.getElementById("call-graph-diagram").appendChild(svg);
+}
+
 /**
  * Render failures table
  */
@@ -391,7 +709,13 @@ function renderWorkflowFailures(execs) {
     return;
   }
 
-  const failureData = failed
+  target.innerHTML = `
+    <div id="workflow-failure-signatures" class="mb-6"></div>
+    <div id="workflow-recent-failures"></div>
+  `;
+  renderFailureSignatures(failed);
+
+  const failureData = [...failed]
     .sort((a, b) => parseInt(b.createdAt) - parseInt(a.createdAt))
     .slice(0, 10)
     .map((e) => ({
@@ -416,7 +740,176 @@ function renderWorkflowFailures(execs) {
     },
   });
 
-  RewstDOM.place(table, "#workflow-failures");
+  RewstDOM.place(table, "#workflow-recent-failures");
+}
+
+/**
+ * Group failures by reason (failing task + normalized error message) and chart them over time
+ */
+async function renderFailureSignatures(failed) {
+  const container = document.getElementById("workflow-failure-signatures");
+  // A newer workflow selection or filter change may re-render before the lookups finish
+  const requestId = (window.failureSignatureRequestId || 0) + 1;
+  window.failureSignatureRequestId = requestId;
+
+  // Reasons are fetched per execution, so only the most recent failures are looked up
+  const maxLookups = 100;
+  const lookedUp = [...failed]
+    .sort((a, b) => parseInt(b.createdAt) - parseInt(a.createdAt))
+    .slice(0, maxLookups);
+
+  container.innerHTML = `
+    <div class="card p-6 flex items-center gap-3 text-sm text-rewst-gray">
+      <span class="material-icons animate-spin">autorenew</span>
+      Loading failure reasons for ${lookedUp.length} executions...
+    </div>
+  `;
+
+  let details;
+  try {
+    details = await rewst.getExecutionFailureDetails(lookedUp);
+  } catch (error) {
+    console.error("Failed to load failure reasons:", error);
+    details = new Map();
+  }
+  if (window.failureSignatureRequestId !== requestId) return;
+
+  const groups = RewstFailureSignatures.groupFailures(lookedUp, details);
+  if (groups.length === 0) {
+    container.innerHTML = `
+      <div class="card p-6 text-sm text-rewst-gray">Failure reasons could not be loaded for these executions.</div>
+    `;
+    return;
+  }
+
+  const formatTimestamp = (value) => new Date(value).toLocaleString();
+  const card = document.createElement("div");
+  card.className = "card p-6";
+
+  const header = document.createElement("div");
+  header.className = "flex items-center justify-between mb-4";
+  header.innerHTML = `
+    <h3 class="text-lg font-semibold text-rewst-black flex items-center gap-2">
+      <span class="material-icons text-red-600">bug_report</span> Failure Reasons
+    </h3>
+  `;
+  const caption = document.createElement("span");
+  caption.className = "text-sm text-rewst-gray";
+  caption.textContent = `${groups.length} signatures across ${details.size} of ${failed.length} failures` +
+    (failed.length > lookedUp.length ? ` (most recent ${lookedUp.length} checked)` : "");
+  header.appendChild(caption);
+  card.appendChild(header);
+
+  const chartHost = document.createElement("div");
+  chartHost.className = "mb-6";
+  card.appendChild(chartHost);
+
+  // One collapsible row per signature; expanding shows the raw message and example executions.
+  // Messages are untrusted text, so they are set with textContent.
+  const list = document.createElement("div");
+  list.className = "divide-y divide-gray-100 border border-gray-100 rounded-md";
+  groups.forEach((group) => {
+    const row = document.createElement("details");
+    row.className = "group";
+
+    const summary = document.createElement("summary");
+    summary.className = "flex items-center gap-4 px-4 py-3 cursor-pointer hover:bg-gray-50";
+    const count = document.createElement("span");
+    count.className = "badge badge-error shrink-0";
+    count.textContent = group.count.toLocaleString();
+    const label = document.createElement("div");
+    label.className = "flex-1 min-w-0";
+    const task = document.createElement("div");
+    task.className = "text-xs font-medium text-rewst-gray";
+    task.textContent = group.taskName || "Workflow error";
+    const message = document.createElement("div");
+    message.className = "text-sm text-rewst-black truncate";
+    message.textContent = group.message;
+    message.title = group.message;
+    label.appendChild(task);
+    label.appendChild(message);
+    const seen = document.createElement("div");
+    seen.className = "text-xs text-rewst-gray text-right shrink-0";
+    seen.innerHTML = `<div>First: ${formatTimestamp(group.firstSeen)}</div><div>Last: ${formatTimestamp(group.lastSeen)}</div>`;
+    summary.appendChild(count);
+    summary.appendChild(label);
+    summary.appendChild(seen);
+    row.appendChild(summary);
+
+    const body = document.createElement("div");
+    body.className = "px-4 pb-4 pl-16 space-y-3";
+    const raw = document.createElement("pre");
+    raw.className = "text-xs bg-gray-50 rounded-md p-3 whitespace-pre-wrap break-words text-rewst-dark-gray";
+    raw.textContent = group.sampleMessage || RewstFailureSignatures.UNKNOWN_MESSAGE;
+    body.appendChild(raw);
+
+    const examples = document.createElement("ul");
+    examples.className = "space-y-1 text-sm";
+    group.examples.forEach((exec) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = exec.link || "#";
+      link.target = "_blank";
+      link.className = "inline-flex items-center gap-2 text-rewst-teal hover:text-rewst-light-teal";
+      link.innerHTML = '<span class="material-icons" style="font-size:16px;">open_in_new</span>';
+      link.appendChild(document.createTextNode(formatTimestamp(parseInt(exec.createdAt))));
+      item.appendChild(link);
+      examples.appendChild(item);
+    });
+    body.appendChild(examples);
+    row.appendChild(body);
+    list.appendChild(row);
+  });
+  card.appendChild(list);
+
+  RewstDOM.place(card, container);
+  renderFailureSignatureChart(groups, chartHost);
+}
+
+/**
+ * Stacked daily failures per signature (top signatures, the rest as "Other")
+ */
+function renderFailureSignatureChart(groups, target) {
+  const timeline = RewstFailureSignatures.buildSignatureTimeline(groups);
+  const colors = ["#dc2626", "#f59e0b", "#7c3aed", "#0891b2", "#db2777", "#9ca3af"];
+
+  const canvas = document.createElement("canvas");
+  const wrapper = document.createElement("div");
+  wrapper.className = "relative w-full";
+  wrapper.style.height = "260px";
+  wrapper.appendChild(canvas);
+
+  new Chart(canvas, {
+    type: "bar",
+    data: {
+      labels: timeline.days.map((day) => {
+        const [, month, date] = day.split("-");
+        return `${parseInt(month)}/${parseInt(date)}`;
+      }),
+      datasets: timeline.series.map((series, index) => ({
+        label: series.label.length > 60 ? `${series.label.slice(0, 59)}…` : series.label,
+        data: series.counts,
+        backgroundColor: colors[Math.min(index, colors.length - 1)],
+      })),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { stacked: true },
+        y: { stacked: true, beginAtZero: true, title: { display: true, text: "Failures" } },
+      },
+      plugins: {
+        legend: {
+          display: true,
+          position: "bottom",
+          labels: { usePointStyle: true, padding: 12, boxWidth: 8 },
+        },
+      },
+    },
+  });
+
+  RewstDOM.place(wrapper, target);
 }
 
 /**
@@ -451,6 +944,7 @@ function renderWorkflowExecutionsTable(execs, allExecutions = []) {
     return {
       execution_id: e.id,
       execution_link: e.link,
+      org_id: orgId,
       timestamp: parseInt(e.createdAt), // KEEP RAW TIMESTAMP HERE
       status: e.status,
       organization: e.organization?.name || "Unknown",
@@ -496,11 +990,12 @@ function renderWorkflowExecutionsTable(execs, allExecutions = []) {
       trigger_type: { label: "Trigger Type" }
     },
     transforms: {
+      // Both open the in-dashboard execution panel (see the click handler below)
       execution_id: (value, row) =>
-        `<a href="${row.execution_link}" target="_blank" class="flex items-center gap-2 text-rewst-teal hover:text-rewst-light-teal"><span class="material-icons" style="font-size:16px;">open_in_new</span><span>View execution</span></a>`,
+        `<button type="button" data-execution-id="${value}" data-org-id="${row.org_id}" class="flex items-center gap-2 text-rewst-teal hover:text-rewst-light-teal"><span class="material-icons" style="font-size:16px;">visibility</span><span>View execution</span></button>`,
       parent_execution: (value, row) => {
         if (!row.parent_execution) return '—';
-        return `<a href="${row.parent_execution.link}" target="_blank" class="flex items-center gap-2 text-rewst-teal hover:text-rewst-light-teal" title="${row.parent_execution.workflowName}"><span class="material-icons" style="font-size:16px;">open_in_new</span><span>View Parent</span></a>`;
+        return `<button type="button" data-execution-id="${row.parent_execution.id}" data-org-id="${row.org_id}" class="flex items-center gap-2 text-rewst-teal hover:text-rewst-light-teal" title="${row.parent_execution.workflowName}"><span class="material-icons" style="font-size:16px;">visibility</span><span>View Parent</span></button>`;
       },
       timestamp: (value) => {
         const date = new Date(value);
@@ -535,4 +1030,11 @@ function renderWorkflowExecutionsTable(execs, allExecutions = []) {
   });
 
   RewstDOM.place(table, "#workflow-executions");
+
+  // Delegated so it survives table paging / sorting; assigned (not added) so re-renders don't stack handlers
+  document.getElementById("workflow-executions").onclick = (e) => {
+    const button = e.target.closest("[data-execution-id]");
+    if (!button) return;
+    openExecutionPanel(button.dataset.executionId, button.dataset.orgId || null);
+  };
 }
@@ -0,0 +1,353 @@
+(function attachRewstAlertRules(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstAlertRules = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstAlertRulesApi() {
+  const PREFERENCE_KEY = 'alertRules';
+  const EXPORT_VERSION = 1;
+  const DAY = 24 * 60 * 60 * 1000;
+  const MAX_NAME_LENGTH = 80;
+
+  const METRICS = [
+    { value: 'failure_rate', label: 'Failure rate (%)' },
+    { value: 'failure_count', label: 'Failed executions' },
+    { value: 'consecutive_failures', label: 'Consecutive failures' },
+    { value: 'execution_count', label: 'Executions' },
+    { value: 'execution_drop', label: 'Execution drop (%)' },
+  ];
+
+  const SCOPES = [
+    { value: 'workflow', label: 'Each workflow' },
+    { value: 'form', label: 'Each form' },
+    { value: 'org', label: 'Each organization' },
+  ];
+
+  const COMPARATORS = [
+    { value: 'gte', label: '≥', test: (value, threshold) => value >= threshold },
+    { value: 'gt', label: '>', test: (value, threshold) => value > threshold },
+    { value: 'lte', label: '≤', test: (value, threshold) => value <= threshold },
+    { value: 'lt', label: '<', test: (value, threshold) => value < threshold },
+  ];
+
+  const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+  // The thresholds Insights used before rules were configurable
+  const DEFAULT_RULES = [
+    { id: 'default_failure_rate_high', name: 'High failure rate', metric: 'failure_rate', scope: 'workflow', comparator: 'gte', threshold: 30, windowDays: null, minExecutions: 5, severity: 'high' },
+    { id: 'default_failure_rate_critical', name: 'Critical failure rate', metric: 'failure_rate', scope: 'workflow', comparator: 'gte', threshold: 50, windowDays: null, minExecutions: 5, severity: 'critical' },
+    { id: 'default_consecutive_failures', name: 'Consecutive failures', metric: 'consecutive_failures', scope: 'workflow', comparator: 'gte', threshold: 3, windowDays: null, minExecutions: 3, severity: 'high' },
+    { id: 'default_execution_drop', name: 'Execution drop', metric: 'execution_drop', scope: 'workflow', comparator: 'gt', threshold: 50, windowDays: null, minExecutions: 10, severity: 'medium' },
+    { id: 'default_execution_drop_high', name: 'Severe execution drop', metric: 'execution_drop', scope: 'workflow', comparator: 'gte', threshold: 80, windowDays: null, minExecutions: 10, severity: 'high' },
+  ];
+
+  const FAILED_STATUSES = ['FAILED', 'failed'];
+
+  function createId() {
+    return `rule_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function toNumber(value, fallback) {
+    const number = Number(value);
+    return value !== null && value !== '' && Number.isFinite(number) ? number : fallback;
+  }
+
+  function getOption(options, value) {
+    return options.find(option => option.value === value) || null;
+  }
+
+  /**
+   * Fill defaults for a rule; returns null when it cannot be evaluated
+   * @param {Object} rule - { id, name, metric, scope, comparator, threshold, windowDays?, minExecutions?, severity?, enabled? }
+   * @returns {Object|null}
+   */
+  function normalizeRule(rule) {
+    if (!rule || !getOption(METRICS, rule.metric) || !getOption(SCOPES, rule.scope)) return null;
+    const threshold = toNumber(rule.threshold, null);
+    if (threshold === null) return null;
+
+    const windowDays = toNumber(rule.windowDays, null);
+    const metricLabel = getOption(METRICS, rule.metric).label;
+
+    return {
+      id: typeof rule.id === 'string' && rule.id ? rule.id : createId(),
+      // Names end up in insight card HTML, so angle brackets are dropped
+      name: String(rule.name ?? '').replace(/[<>]/g, '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH) || metricLabel,
+      metric: rule.metric,
+      scope: rule.scope,
+      comparator: getOption(COMPARATORS, rule.comparator) ? rule.comparator : 'gte',
+      threshold,
+      windowDays: windowDays !== null && windowDays > 0 ? windowDays : null,
+      minExecutions: Math.max(0, Math.floor(toNumber(rule.minExecutions, 0))),
+      severity: SEVERITIES.includes(rule.severity) ? rule.severity : 'medium',
+      enabled: rule.enabled !== false,
+    };
+  }
+
+  /**
+   * Normalize a stored rule list. Nothing stored yet means the default rules;
+   * an empty list is kept so deleting every rule sticks.
+   * @param {Array|null} value
+   * @returns {Array}
+   */
+  function normalizeRules(value) {
+    if (!Array.isArray(value)) return DEFAULT_RULES.map(normalizeRule);
+
+    const seen = new Set();
+    return value.map(normalizeRule).filter(Boolean).map(rule => {
+      const unique = seen.has(rule.id) ? { ...rule, id: createId() } : rule;
+      seen.add(unique.id);
+      return unique;
+    });
+  }
+
+  function getExecutionTime(execution) {
+    const time = parseInt(execution.createdAt, 10);
+    return Number.isFinite(time) ? time : null;
+  }
+
+  function getSubject(execution, scope, formsById) {
+    if (scope === 'workflow') {
+      const id = execution.workflow?.id;
+      return id ? { id, name: execution.workflow?.name || 'Unknown Workflow', link: execution.workflow?.link || null } : null;
+    }
+    if (scope === 'form') {
+      if (execution.triggerInfo?.type !== 'Form Submission') return null;
+      const id = execution.triggerInfo?.formId || execution.form?.id;
+      const form = formsById.get(id);
+      return id ? { id, name: form?.name || execution.form?.name || 'Unknown Form', link: form?.link || null } : null;
+    }
+    const organization = execution.organization || execution.triggerInfo?.organization;
+    return organization?.id ? { id: organization.id, name: organization.name || 'Unknown Organization', link: null } : null;
+  }
+
+  // Split into historical (first 70%) and recent (last 30%) and compare per-day rates.
+  // Only meaningful for something that ran at least daily; otherwise null.
+  function getExecutionDrop(sorted) {
+    const splitIndex = Math.floor(sorted.length * 0.7);
+    const historical = sorted.slice(0, splitIndex);
+    const recent = sorted.slice(splitIndex);
+    if (historical.length < 5 || recent.length < 2) return null;
+
+    const rate = (items) => items.length / Math.max(1, (items[items.length - 1].time - items[0].time) / DAY);
+    const historicalRate = rate(historical);
+    const recentRate = rate(recent);
+    if (historicalRate < 1) return null;
+
+    return {
+      value: Math.max(0, ((historicalRate - recentRate) / historicalRate) * 100),
+      historicalRate,
+      recentRate,
+    };
+  }
+
+  /**
+   * Compute a rule's metric for one group of executions
+   * @param {string} metric
+   * @param {Array} items - [{ execution, time }] sorted oldest first
+   * @returns {Object|null} - { value, failed, total, ... } or null when the metric cannot be computed
+   */
+  function computeMetric(metric, items) {
+    const total = items.length;
+    const failed = items.filter(item => FAILED_STATUSES.includes(item.execution.status)).length;
+
+    switch (metric) {
+      case 'failure_rate':
+        return total > 0 ? { value: (failed / total) * 100, failed, total } : null;
+      case 'failure_count':
+        return { value: failed, failed, total };
+      case 'execution_count':
+        return { value: total, failed, total };
+      case 'consecutive_failures': {
+        let streak = 0;
+        for (let i = items.length - 1; i >= 0 && FAILED_STATUSES.includes(items[i].execution.status); i--) streak++;
+        return { value: streak, failed, total };
+      }
+      case 'execution_drop': {
+        const drop = getExecutionDrop(items);
+        return drop ? { ...drop, failed, total } : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  function describeRule(rule) {
+    const metric = getOption(METRICS, rule.metric)?.label || rule.metric;
+    const comparator = getOption(COMPARATORS, rule.comparator)?.label || rule.comparator;
+    const window = rule.windowDays ? ` over the last ${rule.windowDays} day${rule.windowDays === 1 ? '' : 's'}` : '';
+    return `${metric} ${comparator} ${rule.threshold}${window}`;
+  }
+
+  function describeMatch(rule, subject, result) {
+    switch (rule.metric) {
+      case 'failure_rate':
+        return {
+          title: `${subject.name} has ${result.value.toFixed(1)}% failure rate`,
+          description: `${result.failed} failures out of ${result.total} executions`,
+        };
+      case 'failure_count':
+        return {
+          title: `${subject.name} failed ${result.value} times`,
+          description: `${result.failed} failures out of ${result.total} executions`,
+        };
+      case 'consecutive_failures':
+        return {
+          title: `${subject.name} failed ${result.value} times consecutively`,
+          description: `Last ${result.value} executions all failed`,
+        };
+      case 'execution_count':
+        return {
+          title: `${subject.name} ran ${result.value} times`,
+          description: `${result.total} executions, ${result.failed} failed`,
+        };
+      case 'execution_drop':
+        return {
+          title: `${subject.name} executions dropped ${result.value.toFixed(0)}%`,
+          description: `Recent: ${result.recentRate.toFixed(1)}/day vs historical: ${result.historicalRate.toFixed(1)}/day`,
+        };
+      default:
+        return { title: subject.name, description: '' };
+    }
+  }
+
+  /**
+   * Evaluate rules against loaded executions. When several rules on the same metric
+   * fire for the same workflow / form / org, only the most severe one is reported.
+   * Only workflows / forms / orgs with executions inside a rule's window are checked.
+   * @param {Array} rules - Normalized rules
+   * @param {Array} executions - Executions to evaluate
+   * @param {Object} [options]
+   * @param {Array} [options.forms] - Forms, for names and links in form-scoped results
+   * @param {number} [options.now] - End of rule windows (epoch ms); defaults to the latest execution
+   * @returns {Array} - Insight items: [{ type: 'rule', ruleId, ruleName, metric, scope, subjectId, subjectName,
+   *   value, threshold, severity, title, description, workflowId?, workflowLink?, formId?, formLink?, orgId? }]
+   *   most severe first
+   */
+  function evaluateRules(rules = [], executions = [], { forms = [], now = null } = {}) {
+    const formsById = new Map(forms.map(form => [form.id, form]));
+    const timed = executions
+      .map(execution => ({ execution, time: getExecutionTime(execution) }))
+      .filter(item => item.time !== null)
+      .sort((a, b) => a.time - b.time);
+    const end = now ?? (timed.length > 0 ? timed[timed.length - 1].time : Date.now());
+
+    const groupCache = new Map();
+    const getGroups = (scope, windowDays) => {
+      const key = `${scope}:${windowDays || ''}`;
+      if (!groupCache.has(key)) {
+        const start = windowDays ? end - windowDays * DAY : -Infinity;
+        const groups = new Map();
+        timed.forEach(item => {
+          if (item.time < start || item.time > end) return;
+          const subject = getSubject(item.execution, scope, formsById);
+          if (!subject) return;
+          if (!groups.has(subject.id)) groups.set(subject.id, { subject, items: [] });
+          groups.get(subject.id).items.push(item);
+        });
+        groupCache.set(key, groups);
+      }
+      return groupCache.get(key);
+    };
+
+    const matches = new Map();
+    rules.filter(rule => rule.enabled !== false).forEach(rule => {
+      const comparator = getOption(COMPARATORS, rule.comparator);
+      getGroups(rule.scope, rule.windowDays).forEach(({ subject, items }) => {
+        if (items.length < (rule.minExecutions || 0)) return;
+        const result = computeMetric(rule.metric, items);
+        if (!result || !comparator.test(result.value, rule.threshold)) return;
+
+        const key = `${rule.metric}\n${rule.scope}\n${subject.id}`;
+        const existing = matches.get(key);
+        if (existing && SEVERITIES.indexOf(existing.severity) <= SEVERITIES.indexOf(rule.severity)) return;
+
+        const { title, description } = describeMatch(rule, subject, result);
+        matches.set(key, {
+          type: 'rule',
+          ruleId: rule.id,
+          ruleName: rule.name,
+          metric: rule.metric,
+          scope: rule.scope,
+          subjectId: subject.id,
+          subjectName: subject.name,
+          value: result.value,
+          failedCount: result.failed,
+          executionCount: result.total,
+          threshold: rule.threshold,
+          severity: rule.severity,
+          title,
+          description: `${description} · ${rule.name}: ${describeRule(rule)}`,
+          ...(rule.scope === 'workflow' && { workflowId: subject.id, workflowName: subject.name, workflowLink: subject.link }),
+          ...(rule.scope === 'form' && { formId: subject.id, formName: subject.name, formLink: subject.link }),
+          ...(rule.scope === 'org' && { orgId: subject.id }),
+        });
+      });
+    });
+
+    return Array.from(matches.values()).sort((a, b) =>
+      SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || b.value - a.value
+    );
+  }
+
+  function exportRules(rules) {
+    return JSON.stringify({ version: EXPORT_VERSION, rules: normalizeRules(rules) }, null, 2);
+  }
+
+  /**
+   * Read rules from exported JSON (an export file or a bare array)
+   * @param {string} text
+   * @returns {Array} - Normalized rules
+   */
+  function parseRulesImport(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Alert rules file is not valid JSON');
+    }
+
+    const list = Array.isArray(parsed) ? parsed : parsed?.rules;
+    if (!Array.isArray(list)) {
+      throw new Error('Alert rules file has no rules list');
+    }
+    const rules = normalizeRules(list);
+    if (list.length > 0 && rules.length === 0) {
+      throw new Error('Alert rules file has no valid rules');
+    }
+    return rules;
+  }
+
+  async function loadRules(store) {
+    return normalizeRules(await store.load(PREFERENCE_KEY));
+  }
+
+  async function saveRules(store, rules) {
+    const normalized = normalizeRules(rules);
+    await store.save(PREFERENCE_KEY, normalized);
+    return normalized;
+  }
+
+  return {
+    PREFERENCE_KEY,
+    METRICS,
+    SCOPES,
+    COMPARATORS,
+    SEVERITIES,
+    DEFAULT_RULES,
+    normalizeRule,
+    normalizeRules,
+    computeMetric,
+    describeRule,
+    evaluateRules,
+    exportRules,
+    parseRulesImport,
+    loadRules,
+    saveRules,
+  };
+});
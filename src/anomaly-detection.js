@@ -0,0 +1,167 @@
+(function attachRewstAnomalyDetection(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstAnomalyDetection = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstAnomalyDetectionApi() {
+  // Scales MAD to a standard deviation for normally distributed data
+  const MAD_SCALE = 1.4826;
+  const DEFAULT_THRESHOLD = 3.5;
+
+  function pad(value) {
+    return String(value).padStart(2, '0');
+  }
+
+  // Local calendar day, matching how the charts bucket executions
+  function toDayKey(value) {
+    const date = new Date(value);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function fromDayKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  function eachDay(startKey, endKey, callback) {
+    const date = fromDayKey(startKey);
+    const end = fromDayKey(endKey);
+    while (date <= end) {
+      callback(toDayKey(date), date.getDay());
+      date.setDate(date.getDate() + 1);
+    }
+  }
+
+  function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  // Median absolute deviation: a spread estimate one outlier can't drag around
+  function mad(values) {
+    const center = median(values);
+    return center === null ? null : median(values.map(value => Math.abs(value - center)));
+  }
+
+  /**
+   * Count executions per day, with zero days filled in
+   * @param {Array} executions - Executions with createdAt (epoch ms string)
+   * @param {Object} range - { start, end } Dates or timestamps; defaults to the executions' own span
+   * @returns {Array} - [{ date: 'YYYY-MM-DD', dayOfWeek, count }]
+   */
+  function toDailySeries(executions = [], { start = null, end = null } = {}) {
+    const counts = new Map();
+    executions.forEach(execution => {
+      const time = parseInt(execution.createdAt, 10);
+      if (!Number.isFinite(time)) return;
+      const key = toDayKey(time);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    const keys = Array.from(counts.keys()).sort();
+    const startKey = start !== null ? toDayKey(start) : keys[0];
+    const endKey = end !== null ? toDayKey(end) : keys[keys.length - 1];
+    if (!startKey || !endKey) return [];
+
+    const series = [];
+    eachDay(startKey, endKey, (date, dayOfWeek) => series.push({ date, dayOfWeek, count: counts.get(date) || 0 }));
+    return series;
+  }
+
+  /**
+   * Zero-filled series from aggregate rows such as getDailyTaskCountsByDateRange
+   * @param {Array} rows - [{ date, count }] with date as 'YYYY-MM-DD' or an ISO timestamp
+   * @returns {Array} - [{ date, dayOfWeek, count }]
+   */
+  function fromDailyCounts(rows = []) {
+    const counts = new Map();
+    rows.forEach(row => {
+      const key = typeof row?.date === 'string' ? row.date.slice(0, 10) : null;
+      if (!key || !/^\d{4}-\d{2}-\d{2}$/.test(key)) return;
+      counts.set(key, (counts.get(key) || 0) + (Number(row.count) || 0));
+    });
+
+    const keys = Array.from(counts.keys()).sort();
+    if (keys.length === 0) return [];
+    const series = [];
+    eachDay(keys[0], keys[keys.length - 1], (date, dayOfWeek) => series.push({ date, dayOfWeek, count: counts.get(date) || 0 }));
+    return series;
+  }
+
+  // Today is still running, so its count always looks like a drop
+  function dropPartialDay(series, now = Date.now()) {
+    const today = toDayKey(now);
+    return series.filter(point => point.date < today);
+  }
+
+  /**
+   * Score each day against a seasonal baseline: the same weekday in earlier weeks, so a
+   * quiet weekend after a busy week is normal. Days with too few earlier same-weekday
+   * values are left unscored. Scores are robust z-scores, (actual - median) / (1.4826 × MAD),
+   * with the spread floored at √median so quiet, steady series don't alarm on ±1.
+   * @param {Array} series - [{ date, dayOfWeek, count }] oldest first
+   * @param {Object} [options]
+   * @param {number} [options.threshold=3.5] - |z| at which a day is an anomaly
+   * @param {number} [options.minBaseline=3] - Earlier same-weekday values needed before a day is scored
+   * @returns {Array} - [{ date, actual, expected, lower, upper, z, anomaly: 'spike'|'drop'|null }]
+   *   with expected / lower / upper / z null for unscored days
+   */
+  function scoreSeries(series = [], { threshold = DEFAULT_THRESHOLD, minBaseline = 3 } = {}) {
+    return series.map((point, index) => {
+      const baseline = series.slice(0, index)
+        .filter(item => item.dayOfWeek === point.dayOfWeek)
+        .map(item => item.count);
+
+      if (baseline.length < minBaseline) {
+        return { date: point.date, actual: point.count, expected: null, lower: null, upper: null, z: null, anomaly: null };
+      }
+
+      const expected = median(baseline);
+      const spread = Math.max(MAD_SCALE * mad(baseline), Math.sqrt(Math.max(expected, 1)));
+      const z = (point.count - expected) / spread;
+
+      return {
+        date: point.date,
+        actual: point.count,
+        expected,
+        lower: Math.max(0, expected - threshold * spread),
+        upper: expected + threshold * spread,
+        z,
+        anomaly: Math.abs(z) >= threshold ? (z > 0 ? 'spike' : 'drop') : null,
+      };
+    });
+  }
+
+  /**
+   * The most extreme anomaly in the last few days of a scored series, if any
+   * @param {Array} points - Output of scoreSeries
+   * @param {Object} [options]
+   * @param {number} [options.recentDays=7] - How far back an anomaly still counts as current
+   * @returns {Object|null} - The anomalous point
+   */
+  function findRecentAnomaly(points = [], { recentDays = 7 } = {}) {
+    return points
+      .slice(-recentDays)
+      .filter(point => point.anomaly)
+      .sort((a, b) => Math.abs(b.z) - Math.abs(a.z) || b.date.localeCompare(a.date))[0] || null;
+  }
+
+  return {
+    DEFAULT_THRESHOLD,
+    toDayKey,
+    median,
+    mad,
+    toDailySeries,
+    fromDailyCounts,
+    dropPartialDay,
+    scoreSeries,
+    findRecentAnomaly,
+  };
+});
@@ -0,0 +1,154 @@
+(function attachRewstCallGraph(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstCallGraph = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstCallGraphApi() {
+  const FAILED_STATUSES = ['FAILED', 'failed'];
+
+  function getDuration(execution) {
+    const start = parseInt(execution.createdAt, 10);
+    const end = parseInt(execution.updatedAt, 10);
+    return Number.isFinite(start) && Number.isFinite(end) && end >= start ? (end - start) / 1000 : 0;
+  }
+
+  // Workflows are grouped by name, like the Workflow Detail selector: same-named
+  // workflows in different sub-orgs are one node
+  function getNodeId(execution) {
+    return execution.workflow?.name || 'Unknown Workflow';
+  }
+
+  /**
+   * Call graph of the sub-workflows a workflow invokes, from loaded executions.
+   * Children are found through parentExecutionId, so sub-workflow executions must be loaded.
+   *
+   * Time attribution: a node's totalSeconds is the wall time of its executions inside this
+   * graph; selfSeconds subtracts the time spent waiting on its direct sub-workflow calls.
+   *
+   * @param {Array} rootExecutions - Executions of the selected workflow
+   * @param {Array} allExecutions - Every loaded execution (sub-workflows included)
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth=6] - Levels of sub-workflow calls to follow
+   * @returns {Object} - { rootId, nodes: [{ id, name, workflowId, depth, executions, failed, totalSeconds, selfSeconds }],
+   *   edges: [{ from, to, calls, failed, failureRate, totalSeconds, avgSeconds }] }
+   */
+  function buildCallGraph(rootExecutions = [], allExecutions = [], { maxDepth = 6 } = {}) {
+    const childrenByParent = new Map();
+    allExecutions.forEach(execution => {
+      if (!execution.parentExecutionId || execution.parentExecutionId === execution.id) return;
+      if (!childrenByParent.has(execution.parentExecutionId)) childrenByParent.set(execution.parentExecutionId, []);
+      childrenByParent.get(execution.parentExecutionId).push(execution);
+    });
+
+    const nodes = new Map();
+    const edges = new Map();
+    const visited = new Set();
+
+    const addToNode = (execution, depth, childSeconds) => {
+      const id = getNodeId(execution);
+      if (!nodes.has(id)) {
+        nodes.set(id, {
+          id,
+          name: id,
+          workflowId: execution.workflow?.id || null,
+          depth,
+          executions: 0,
+          failed: 0,
+          totalSeconds: 0,
+          selfSeconds: 0,
+        });
+      }
+      const node = nodes.get(id);
+      const duration = getDuration(execution);
+      node.depth = Math.min(node.depth, depth);
+      node.executions++;
+      if (FAILED_STATUSES.includes(execution.status)) node.failed++;
+      node.totalSeconds += duration;
+      node.selfSeconds += Math.max(duration - childSeconds, 0);
+    };
+
+    let level = rootExecutions.filter(execution => execution?.id).map(execution => ({ execution, depth: 0 }));
+    while (level.length > 0) {
+      const next = [];
+      level.forEach(({ execution, depth }) => {
+        if (visited.has(execution.id)) return;
+        visited.add(execution.id);
+
+        const children = depth < maxDepth ? (childrenByParent.get(execution.id) || []) : [];
+        addToNode(execution, depth, children.reduce((sum, child) => sum + getDuration(child), 0));
+
+        // A child has a single parent, so each call is counted once
+        children.forEach(child => {
+          const key = `${getNodeId(execution)}\n${getNodeId(child)}`;
+          if (!edges.has(key)) {
+            edges.set(key, { from: getNodeId(execution), to: getNodeId(child), calls: 0, failed: 0, totalSeconds: 0 });
+          }
+          const edge = edges.get(key);
+          edge.calls++;
+          if (FAILED_STATUSES.includes(child.status)) edge.failed++;
+          edge.totalSeconds += getDuration(child);
+          if (!visited.has(child.id)) next.push({ execution: child, depth: depth + 1 });
+        });
+      });
+      level = next;
+    }
+
+    return {
+      rootId: rootExecutions[0] ? getNodeId(rootExecutions[0]) : null,
+      nodes: Array.from(nodes.values()),
+      edges: Array.from(edges.values()).map(edge => ({
+        ...edge,
+        failureRate: edge.calls > 0 ? (edge.failed / edge.calls) * 100 : 0,
+        avgSeconds: edge.calls > 0 ? edge.totalSeconds / edge.calls : 0,
+      })),
+    };
+  }
+
+  /**
+   * Column layout for the diagram: one column per call depth, busiest workflows on top
+   * @param {Object} graph - Output of buildCallGraph
+   * @param {Object} [options]
+   * @returns {Object} - { width, height, nodeWidth, nodeHeight, positions: Map(nodeId → { x, y }) }
+   *   with x / y the node's top-left corner
+   */
+  function layoutCallGraph(graph, { nodeWidth = 200, nodeHeight = 64, columnGap = 120, rowGap = 24, padding = 16 } = {}) {
+    const columns = [];
+    graph.nodes.forEach(node => {
+      if (!columns[node.depth]) columns[node.depth] = [];
+      columns[node.depth].push(node);
+    });
+
+    const positions = new Map();
+    let rows = 0;
+    columns.forEach((column, depth) => {
+      if (!column) return;
+      column
+        .sort((a, b) => b.executions - a.executions || a.name.localeCompare(b.name))
+        .forEach((node, row) => {
+          positions.set(node.id, {
+            x: padding + depth * (nodeWidth + columnGap),
+            y: padding + row * (nodeHeight + rowGap),
+          });
+        });
+      rows = Math.max(rows, column.length);
+    });
+
+    return {
+      width: padding * 2 + Math.max(columns.length, 1) * nodeWidth + Math.max(columns.length - 1, 0) * columnGap,
+      height: padding * 2 + Math.max(rows, 1) * nodeHeight + Math.max(rows - 1, 0) * rowGap,
+      nodeWidth,
+      nodeHeight,
+      positions,
+    };
+  }
+
+  return {
+    buildCallGraph,
+    layoutCallGraph,
+  };
+});
@@ -0,0 +1,291 @@
+(function attachRewstCronSchedule(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstCronSchedule = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstCronScheduleApi() {
+  const MINUTE = 60 * 1000;
+  const DAY = 24 * 60 * MINUTE;
+
+  // A run up to this long after its slot counts as on time
+  const DEFAULT_LATE_AFTER_MS = 5 * MINUTE;
+  // Schedulers can fire a little early; runs this close before a slot belong to it
+  const DEFAULT_EARLY_TOLERANCE_MS = MINUTE;
+  const MAX_EXPECTED_RUNS = 20000;
+
+  const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+  };
+
+  const FIELDS = [
+    { key: 'minute', min: 0, max: 59 },
+    { key: 'hour', min: 0, max: 23 },
+    { key: 'dayOfMonth', min: 1, max: 31 },
+    { key: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { key: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+  ];
+
+  function parseValue(value, field, expression) {
+    const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+    const number = index !== -1 ? index + (field.key === 'month' ? 1 : 0) : Number(value);
+    if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+      throw new Error(`Invalid cron expression "${expression}": ${value} is out of range for ${field.key}`);
+    }
+    return number;
+  }
+
+  function parseField(text, field, expression) {
+    const values = new Set();
+    text.split(',').forEach(part => {
+      const [range, stepText] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid cron expression "${expression}": bad step in ${part}`);
+      }
+
+      let from = field.min;
+      let to = field.max;
+      if (range !== '*' && range !== '?') {
+        const [start, end] = range.split('-');
+        from = parseValue(start, field, expression);
+        to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field, expression);
+      }
+      if (from > to) {
+        throw new Error(`Invalid cron expression "${expression}": ${part} is backwards`);
+      }
+      for (let value = from; value <= to; value += step) values.add(value);
+    });
+    return values;
+  }
+
+  /**
+   * Parse a five-field cron expression (minute hour day-of-month month day-of-week).
+   * Supports *, lists, ranges, steps, month / weekday names, 7 as Sunday and @daily-style macros.
+   * @param {string} expression
+   * @returns {Object} - { expression, minute, hour, dayOfMonth, month, dayOfWeek } as Sets,
+   *   plus whether the day fields are restricted (cron ORs them when both are)
+   * @throws {Error} when the expression can't be parsed
+   */
+  function parseCron(expression) {
+    const text = String(expression ?? '').trim();
+    const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error(`Invalid cron expression "${text}": expected 5 fields, got ${fields[0] ? fields.length : 0}`);
+    }
+
+    const parsed = { expression: text };
+    FIELDS.forEach((field, index) => {
+      parsed[field.key] = parseField(fields[index], field, text);
+    });
+    if (parsed.dayOfWeek.delete(7)) parsed.dayOfWeek.add(0);
+
+    parsed.dayOfMonthRestricted = !['*', '?'].includes(fields[2]);
+    parsed.dayOfWeekRestricted = !['*', '?'].includes(fields[4]);
+    return parsed;
+  }
+
+  const formatterCache = new Map();
+
+  function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+      formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+      }));
+    }
+    return formatterCache.get(timeZone);
+  }
+
+  // Wall-clock parts of a timestamp in a time zone
+  function getZonedParts(timestamp, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+      if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    });
+    return parts;
+  }
+
+  function getOffset(timestamp, timeZone) {
+    const parts = getZonedParts(timestamp, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return asUtc - Math.floor(timestamp / MINUTE) * MINUTE;
+  }
+
+  /**
+   * The instant a wall-clock time happens in a time zone. Times skipped by a DST
+   * change return null; repeated times resolve to the first occurrence.
+   */
+  function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const candidates = [wall - getOffset(wall, timeZone), wall - getOffset(wall - getOffset(wall, timeZone), timeZone)];
+    const matches = candidates.filter(time => {
+      const parts = getZonedParts(time, timeZone);
+      return parts.year === year && parts.month === month && parts.day === day && parts.hour === hour && parts.minute === minute;
+    });
+    return matches.length > 0 ? Math.min(...matches) : null;
+  }
+
+  function isValidTimeZone(timeZone) {
+    try {
+      getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Scheduled run times between start (inclusive) and end (exclusive)
+   * @param {Object|string} schedule - Parsed schedule or a cron expression
+   * @param {Object} options - { start, end, timeZone = 'UTC' } with start / end as Dates or timestamps
+   * @returns {Array} - Epoch ms timestamps, ascending
+   */
+  function getExpectedRuns(schedule, { start, end, timeZone = 'UTC' } = {}) {
+    const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : 'UTC';
+    const startTime = new Date(start).getTime();
+    const endTime = new Date(end).getTime();
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || endTime <= startTime) return [];
+
+    const hours = Array.from(cron.hour).sort((a, b) => a - b);
+    const minutes = Array.from(cron.minute).sort((a, b) => a - b);
+    const runs = [];
+
+    // Walk the calendar days of the time zone, padded a day each side for offsets
+    const first = getZonedParts(startTime - DAY, zone);
+    const last = getZonedParts(endTime + DAY, zone);
+    const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+
+    for (let day = Date.UTC(first.year, first.month - 1, first.day); day <= lastDay; day += DAY) {
+      const date = new Date(day);
+      const month = date.getUTCMonth() + 1;
+      const dayOfMonth = date.getUTCDate();
+      if (!cron.month.has(month)) continue;
+
+      const domMatch = cron.dayOfMonth.has(dayOfMonth);
+      const dowMatch = cron.dayOfWeek.has(date.getUTCDay());
+      const dayMatches = cron.dayOfMonthRestricted && cron.dayOfWeekRestricted
+        ? domMatch || dowMatch
+        : domMatch && dowMatch;
+      if (!dayMatches) continue;
+
+      // Without a DST change anywhere near this day one offset converts every slot;
+      // otherwise each slot is resolved on its own
+      const offset = getOffset(day - 14 * 60 * MINUTE, zone);
+      const stableOffset = offset === getOffset(day + 38 * 60 * MINUTE, zone);
+
+      for (const hour of hours) {
+        for (const minute of minutes) {
+          const time = stableOffset
+            ? day + (hour * 60 + minute) * MINUTE - offset
+            : zonedTimeToUtc(date.getUTCFullYear(), month, dayOfMonth, hour, minute, zone);
+          if (time === null || time < startTime || time >= endTime) continue;
+          runs.push(time);
+          if (runs.length >= MAX_EXPECTED_RUNS) return runs;
+        }
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Match actual runs to scheduled slots. Each run belongs to the latest slot at or
+   * before it (allowing for slightly early runs); a slot with no run is missed, a slot
+   * with more than one has duplicates, and a slot's first run is late if it started
+   * more than lateAfterMs after the slot.
+   * @param {Array} expected - Slot timestamps, ascending
+   * @param {Array} actual - Run timestamps
+   * @param {Object} [options] - { lateAfterMs, earlyToleranceMs, now }; slots too recent to judge are skipped
+   * @returns {Object} - { expected, onTime, late: [{ expectedAt, actualAt, delayMs }], missed: [expectedAt],
+   *   duplicates: [{ expectedAt, count }], unscheduled }
+   */
+  function compareRuns(expected = [], actual = [], {
+    lateAfterMs = DEFAULT_LATE_AFTER_MS,
+    earlyToleranceMs = DEFAULT_EARLY_TOLERANCE_MS,
+    now = Date.now(),
+  } = {}) {
+    const slots = expected.filter(time => time + lateAfterMs <= now).map(expectedAt => ({ expectedAt, runs: [] }));
+    let unscheduled = 0;
+
+    [...actual].sort((a, b) => a - b).forEach(runAt => {
+      let low = 0;
+      let high = slots.length - 1;
+      let index = -1;
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (slots[middle].expectedAt <= runAt + earlyToleranceMs) {
+          index = middle;
+          low = middle + 1;
+        } else {
+          high = middle - 1;
+        }
+      }
+      if (index === -1) {
+        unscheduled++;
+      } else {
+        slots[index].runs.push(runAt);
+      }
+    });
+
+    const result = { expected: slots.length, onTime: 0, late: [], missed: [], duplicates: [], unscheduled };
+    slots.forEach(({ expectedAt, runs }) => {
+      if (runs.length === 0) {
+        result.missed.push(expectedAt);
+        return;
+      }
+      const delayMs = runs[0] - expectedAt;
+      if (delayMs > lateAfterMs) {
+        result.late.push({ expectedAt, actualAt: runs[0], delayMs });
+      } else {
+        result.onTime++;
+      }
+      if (runs.length > 1) result.duplicates.push({ expectedAt, count: runs.length });
+    });
+    return result;
+  }
+
+  /**
+   * Cron settings from a trigger's parameters, which may arrive as an object or JSON string
+   * @param {Object|string} parameters
+   * @returns {Object|null} - { cron, timeZone }
+   */
+  function getTriggerSchedule(parameters) {
+    let value = parameters;
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        return null;
+      }
+    }
+    const cron = value?.cron || value?.cronExpression || value?.cron_expression;
+    if (typeof cron !== 'string' || !cron.trim()) return null;
+    return { cron: cron.trim(), timeZone: value.timezone || value.timeZone || 'UTC' };
+  }
+
+  return {
+    DEFAULT_LATE_AFTER_MS,
+    DEFAULT_EARLY_TOLERANCE_MS,
+    parseCron,
+    zonedTimeToUtc,
+    getExpectedRuns,
+    compareRuns,
+    getTriggerSchedule,
+  };
+});
@@ -0,0 +1,115 @@
+(function attachRewstCrossTab(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstCrossTab = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstCrossTabApi() {
+  const OTHER_KEY = '__other__';
+  const DEFAULT_MAX_VALUES = 12;
+
+  // How a cell's percentage is measured
+  const PERCENT_MODES = ['row', 'column', 'total'];
+
+  function toKeys(values) {
+    const list = Array.isArray(values) ? values : [values];
+    const keys = list
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .map(value => String(value));
+    return Array.from(new Set(keys));
+  }
+
+  // Most frequent values first; the rest fold into one "Other" bucket
+  function rankValues(counts, maxValues) {
+    const ranked = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([key]) => key);
+    if (ranked.length <= maxValues) return { kept: ranked, folded: new Set() };
+    return { kept: ranked.slice(0, maxValues - 1), folded: new Set(ranked.slice(maxValues - 1)) };
+  }
+
+  /**
+   * Cross-tabulate records by two dimensions. A record with several values on one side
+   * (a multi-select answer) counts once in each of them; records missing either side are skipped.
+   * @param {Array} records
+   * @param {Object} options
+   * @param {Function} options.getRowValues - record → value or array of values
+   * @param {Function} options.getColumnValues - record → value or array of values
+   * @param {number} [options.maxRows=12] - Distinct rows kept before the rest fold into "Other"
+   * @param {number} [options.maxColumns=12] - Same for columns
+   * @returns {Object} - { rows: [key], columns: [key], cells: number[][], rowTotals, columnTotals, total, records }
+   *   where keys are value strings or OTHER_KEY, and records is the number of records counted
+   */
+  function buildCrossTab(records = [], {
+    getRowValues,
+    getColumnValues,
+    maxRows = DEFAULT_MAX_VALUES,
+    maxColumns = DEFAULT_MAX_VALUES,
+  } = {}) {
+    const pairs = [];
+    const rowCounts = new Map();
+    const columnCounts = new Map();
+
+    records.forEach(record => {
+      const rowKeys = toKeys(getRowValues(record));
+      const columnKeys = toKeys(getColumnValues(record));
+      if (rowKeys.length === 0 || columnKeys.length === 0) return;
+      pairs.push([rowKeys, columnKeys]);
+      rowKeys.forEach(key => rowCounts.set(key, (rowCounts.get(key) || 0) + columnKeys.length));
+      columnKeys.forEach(key => columnCounts.set(key, (columnCounts.get(key) || 0) + rowKeys.length));
+    });
+
+    const rowRank = rankValues(rowCounts, maxRows);
+    const columnRank = rankValues(columnCounts, maxColumns);
+    const rows = rowRank.folded.size > 0 ? [...rowRank.kept, OTHER_KEY] : rowRank.kept;
+    const columns = columnRank.folded.size > 0 ? [...columnRank.kept, OTHER_KEY] : columnRank.kept;
+    const rowIndex = new Map(rows.map((key, index) => [key, index]));
+    const columnIndex = new Map(columns.map((key, index) => [key, index]));
+
+    const cells = rows.map(() => columns.map(() => 0));
+    pairs.forEach(([rowKeys, columnKeys]) => {
+      rowKeys.forEach(rowKey => columnKeys.forEach(columnKey => {
+        const r = rowRank.folded.has(rowKey) ? rowIndex.get(OTHER_KEY) : rowIndex.get(rowKey);
+        const c = columnRank.folded.has(columnKey) ? columnIndex.get(OTHER_KEY) : columnIndex.get(columnKey);
+        cells[r][c]++;
+      }));
+    });
+
+    const rowTotals = cells.map(row => row.reduce((sum, value) => sum + value, 0));
+    const columnTotals = columns.map((_, c) => cells.reduce((sum, row) => sum + row[c], 0));
+    return {
+      rows,
+      columns,
+      cells,
+      rowTotals,
+      columnTotals,
+      total: rowTotals.reduce((sum, value) => sum + value, 0),
+      records: pairs.length,
+    };
+  }
+
+  /**
+   * A cell as a percentage of its row, its column or the whole table
+   * @param {Object} table - Output of buildCrossTab
+   * @param {number} r - Row index
+   * @param {number} c - Column index
+   * @param {string} [mode='row'] - One of PERCENT_MODES
+   * @returns {number} - 0-100
+   */
+  function getPercent(table, r, c, mode = 'row') {
+    const denominator = mode === 'column' ? table.columnTotals[c] : mode === 'total' ? table.total : table.rowTotals[r];
+    return denominator > 0 ? (table.cells[r][c] / denominator) * 100 : 0;
+  }
+
+  return {
+    OTHER_KEY,
+    DEFAULT_MAX_VALUES,
+    PERCENT_MODES,
+    buildCrossTab,
+    getPercent,
+  };
+});
@@ -0,0 +1,243 @@
+(function attachRewstDateRange(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstDateRange = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstDateRangeApi() {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const DEFAULT_PRESET = 'last_30_days';
+  const CUSTOM_PRESET = 'custom';
+
+  // Rolling presets are measured back from "now"; calendar presets snap to
+  // local month/quarter boundaries so client reviews line up with invoices.
+  const ROLLING_DAYS = {
+    last_7_days: 7,
+    last_14_days: 14,
+    last_30_days: 30,
+    last_90_days: 90,
+  };
+
+  // Calendar presets compare against the same slice of the previous month/quarter
+  const CALENDAR_MONTHS = {
+    month_to_date: 1,
+    last_month: 1,
+    quarter_to_date: 3,
+    last_quarter: 3,
+  };
+
+  const PRESETS = [
+    { value: 'last_7_days', label: 'Last 7 days' },
+    { value: 'last_14_days', label: 'Last 14 days' },
+    { value: 'last_30_days', label: 'Last 30 days' },
+    { value: 'last_90_days', label: 'Last 90 days' },
+    { value: 'month_to_date', label: 'Month to date' },
+    { value: 'last_month', label: 'Last month' },
+    { value: 'quarter_to_date', label: 'Quarter to date' },
+    { value: 'last_quarter', label: 'Last quarter' },
+    { value: CUSTOM_PRESET, label: 'Custom range' },
+  ];
+
+  function toDate(value) {
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return date;
+  }
+
+  function startOfDay(value) {
+    const date = toDate(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  }
+
+  function addDays(value, days) {
+    const date = toDate(value);
+    date.setDate(date.getDate() + days);
+    return date;
+  }
+
+  // Move by whole months, clamping to the last day of shorter months (Mar 31 → Feb 28)
+  function shiftMonths(value, months) {
+    const date = toDate(value);
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+    return date;
+  }
+
+  function quarterStart(value) {
+    const date = startOfDay(value);
+    date.setDate(1);
+    date.setMonth(Math.floor(date.getMonth() / 3) * 3);
+    return date;
+  }
+
+  function resolvePreset(preset = DEFAULT_PRESET, now = new Date()) {
+    const end = toDate(now);
+
+    if (ROLLING_DAYS[preset]) {
+      return { preset, start: new Date(end.getTime() - ROLLING_DAYS[preset] * DAY_MS), end };
+    }
+
+    const monthStart = startOfDay(end);
+    monthStart.setDate(1);
+
+    switch (preset) {
+      case 'month_to_date':
+        return { preset, start: monthStart, end };
+      case 'last_month': {
+        const start = new Date(monthStart);
+        start.setMonth(start.getMonth() - 1);
+        return { preset, start, end: monthStart };
+      }
+      case 'quarter_to_date':
+        return { preset, start: quarterStart(end), end };
+      case 'last_quarter': {
+        const currentQuarter = quarterStart(end);
+        const start = new Date(currentQuarter);
+        start.setMonth(start.getMonth() - 3);
+        return { preset, start, end: currentQuarter };
+      }
+      default:
+        throw new Error(`Unknown date range preset: ${preset}`);
+    }
+  }
+
+  // The period immediately before `range` with the same shape: calendar presets
+  // step back a whole month/quarter, everything else steps back by its own length.
+  function getPreviousRange(range) {
+    const months = CALENDAR_MONTHS[range.preset];
+    if (months) {
+      return { preset: CUSTOM_PRESET, start: shiftMonths(range.start, -months), end: shiftMonths(range.end, -months) };
+    }
+
+    const start = toDate(range.start);
+    const span = toDate(range.end).getTime() - start.getTime();
+    return { preset: CUSTOM_PRESET, start: new Date(start.getTime() - span), end: start };
+  }
+
+  // Inputs are inclusive calendar days ("2026-03-01" to "2026-03-31"); the
+  // resulting range end is exclusive (midnight after the last day).
+  function createCustomRange(startValue, endValue) {
+    const start = startOfDay(parseInputValue(startValue));
+    const end = addDays(startOfDay(parseInputValue(endValue)), 1);
+
+    if (start >= end) {
+      throw new Error('Date range start must be on or before its end');
+    }
+
+    return { preset: CUSTOM_PRESET, start, end };
+  }
+
+  function parseInputValue(value) {
+    if (value instanceof Date) return value;
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    if (!match) return toDate(value);
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  function toInputValue(value) {
+    const date = toDate(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function isRolling(range) {
+    return Boolean(ROLLING_DAYS[range?.preset]);
+  }
+
+  // Rolling and *_to_date ranges run up to "now"; calendar and custom ranges are closed.
+  function isOpenEnded(range) {
+    return isRolling(range) || Boolean(range?.preset?.endsWith('_to_date'));
+  }
+
+  // Open-ended ranges are re-resolved against `now` so "last 30 days" still ends now
+  // after the tab has been open for a while; closed ranges are returned unchanged.
+  function refreshRange(range, now = new Date()) {
+    return isOpenEnded(range) ? resolvePreset(range.preset, now) : range;
+  }
+
+  function getRangeDays(range) {
+    return Math.max(1, Math.ceil((toDate(range.end) - toDate(range.start)) / DAY_MS));
+  }
+
+  // Open-ended ranges only bound the start: rows created after the range was
+  // resolved still belong to "last N days".
+  function containsTimestamp(range, timestamp) {
+    const time = Number(timestamp);
+    if (time < toDate(range.start).getTime()) return false;
+    return isOpenEnded(range) || time < toDate(range.end).getTime();
+  }
+
+  // True when every timestamp of `inner` falls inside `outer`. Open-ended outer
+  // ranges are treated as extending to `now`.
+  function containsRange(outer, inner, now = new Date()) {
+    if (!outer || !inner) return false;
+    const outerEnd = isOpenEnded(outer) ? toDate(now) : toDate(outer.end);
+    return toDate(inner.start) >= toDate(outer.start) && toDate(inner.end) <= outerEnd;
+  }
+
+  // Rolling ranges keep the plain day count so existing `_30_` cache entries
+  // stay valid; absolute ranges are keyed by their calendar bounds.
+  function toCacheToken(range) {
+    if (isRolling(range)) return String(ROLLING_DAYS[range.preset]);
+    const lastDay = new Date(toDate(range.end).getTime() - 1);
+    return `${toInputValue(range.start)}_${toInputValue(lastDay)}`;
+  }
+
+  function formatRangeLabel(range) {
+    if (isRolling(range)) {
+      return PRESETS.find(option => option.value === range.preset).label;
+    }
+
+    const format = date => toDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const lastDay = new Date(toDate(range.end).getTime() - 1);
+    return `${format(range.start)} – ${format(lastDay)}`;
+  }
+
+  function serializeRange(range) {
+    return {
+      preset: range.preset,
+      start: toDate(range.start).toISOString(),
+      end: toDate(range.end).toISOString(),
+    };
+  }
+
+  // Open-ended presets (rolling and *_to_date) are re-resolved so a restored
+  // range still ends "now"; closed ranges keep their stored bounds.
+  function deserializeRange(value, now = new Date()) {
+    if (!value?.preset) return resolvePreset(DEFAULT_PRESET, now);
+    if (isOpenEnded(value)) {
+      return resolvePreset(value.preset, now);
+    }
+    return { preset: value.preset, start: toDate(value.start), end: toDate(value.end) };
+  }
+
+  return {
+    DEFAULT_PRESET,
+    CUSTOM_PRESET,
+    PRESETS,
+    resolvePreset,
+    getPreviousRange,
+    createCustomRange,
+    toInputValue,
+    isRolling,
+    isOpenEnded,
+    refreshRange,
+    getRangeDays,
+    containsTimestamp,
+    containsRange,
+    toCacheToken,
+    formatRangeLabel,
+    serializeRange,
+    deserializeRange,
+  };
+});
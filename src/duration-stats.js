@@ -0,0 +1,121 @@
+(function attachRewstDurationStats(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstDurationStats = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstDurationStatsApi() {
+  // Histogram bucket edges in seconds. Runtimes are heavily skewed, so buckets widen
+  // with duration instead of splitting the range evenly.
+  const BUCKET_EDGES = [0, 1, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+
+  /**
+   * Runtime of one execution in seconds, from its createdAt / updatedAt epoch milliseconds
+   * @param {Object} execution - { createdAt, updatedAt }
+   * @returns {number|null} - null when either timestamp is missing or they are out of order
+   */
+  function getExecutionDuration(execution) {
+    const start = parseInt(execution?.createdAt, 10);
+    const end = parseInt(execution?.updatedAt, 10);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return null;
+    return (end - start) / 1000;
+  }
+
+  // Linear interpolation between the closest ranks of an ascending list
+  function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return null;
+    const rank = (p / 100) * (sortedValues.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+  }
+
+  /**
+   * Duration distribution for a set of executions
+   * @param {Array} executions - Executions with createdAt / updatedAt
+   * @returns {Object} - { count, min, max, mean, p50, p90, p99 } in seconds (null when count is 0)
+   */
+  function summarizeDurations(executions = []) {
+    const durations = executions
+      .map(getExecutionDuration)
+      .filter(duration => duration !== null)
+      .sort((a, b) => a - b);
+
+    const count = durations.length;
+    return {
+      count,
+      min: count > 0 ? durations[0] : null,
+      max: count > 0 ? durations[count - 1] : null,
+      mean: count > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / count : null,
+      p50: percentile(durations, 50),
+      p90: percentile(durations, 90),
+      p99: percentile(durations, 99),
+    };
+  }
+
+  // Compact label for axis ticks and bucket names: 45s, 2m, 1.5h
+  function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) return '—';
+    if (seconds < 60) return `${Number(seconds.toFixed(seconds < 10 ? 1 : 0))}s`;
+    if (seconds < 3600) return `${Number((seconds / 60).toFixed(1))}m`;
+    return `${Number((seconds / 3600).toFixed(1))}h`;
+  }
+
+  /**
+   * Count executions per duration bucket. Empty buckets past the longest run are dropped.
+   * @param {Array} executions - Executions with createdAt / updatedAt
+   * @returns {Array} - [{ label, min, max, count }], max is null for the open-ended last bucket
+   */
+  function buildHistogram(executions = []) {
+    const buckets = BUCKET_EDGES.map((min, index) => {
+      const max = index < BUCKET_EDGES.length - 1 ? BUCKET_EDGES[index + 1] : null;
+      return {
+        label: max === null ? `${formatDuration(min)}+` : `${formatDuration(min)}–${formatDuration(max)}`,
+        min,
+        max,
+        count: 0,
+      };
+    });
+
+    executions.forEach(execution => {
+      const duration = getExecutionDuration(execution);
+      if (duration === null) return;
+      const bucket = buckets.find(item => item.max === null || duration < item.max);
+      bucket.count++;
+    });
+
+    let last = buckets.length - 1;
+    while (last > 0 && buckets[last].count === 0) last--;
+    return buckets.slice(0, last + 1);
+  }
+
+  /**
+   * Scatter points (start time vs duration) for a duration-over-time chart
+   * @param {Array} executions - Executions with createdAt / updatedAt / status
+   * @returns {Array} - [{ x: epoch ms, y: seconds, status }] ordered by start time
+   */
+  function toScatterPoints(executions = []) {
+    return executions
+      .map(execution => ({
+        x: parseInt(execution.createdAt, 10),
+        y: getExecutionDuration(execution),
+        status: execution.status,
+      }))
+      .filter(point => point.y !== null)
+      .sort((a, b) => a.x - b.x);
+  }
+
+  return {
+    BUCKET_EDGES,
+    getExecutionDuration,
+    percentile,
+    summarizeDurations,
+    formatDuration,
+    buildHistogram,
+    toScatterPoints,
+  };
+});
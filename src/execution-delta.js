@@ -0,0 +1,104 @@
+(function attachRewstExecutionDelta(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstExecutionDelta = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstExecutionDeltaApi() {
+  // Statuses that can still change after the snapshot was taken
+  const IN_FLIGHT_STATUSES = ['running', 'in_progress', 'pending', 'queued', 'scheduled', 'created', 'paused', 'delayed'];
+
+  function toTime(value) {
+    if (value === null || value === undefined || value === '') return NaN;
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : new Date(value).getTime();
+  }
+
+  function isInFlight(execution) {
+    return IN_FLIGHT_STATUSES.includes(String(execution?.status || '').toLowerCase());
+  }
+
+  /**
+   * Ids of snapshot executions that were still in flight, newest first, to re-check on refresh.
+   * Every one is returned by default; RewstApp re-fetches them in pages of EXECUTION_ID_BATCH_SIZE.
+   * @param {Array} executions - Cached executions
+   * @param {Object} [options]
+   * @param {number} [options.limit=Infinity] - Most ids returned
+   * @param {Function} [options.filter] - execution → whether to include it
+   * @returns {Array} - Execution ids
+   */
+  function getRefreshIds(executions = [], { limit = Infinity, filter = null } = {}) {
+    return executions
+      .filter(execution => isInFlight(execution) && (!filter || filter(execution)))
+      .sort((a, b) => toTime(b.createdAt) - toTime(a.createdAt))
+      .slice(0, limit)
+      .map(execution => execution.id);
+  }
+
+  /**
+   * Merge a delta fetch into cached executions by id. Fetched rows replace cached ones but keep
+   * the cached trigger info, user and form when theirs couldn't be loaded; rows created before the window start
+   * (or at or after its exclusive end) are evicted.
+   * @param {Array} cached - Snapshot executions
+   * @param {Array} fetched - Executions from the delta fetch
+   * @param {Object} [options]
+   * @param {Date|string|number|null} [options.start] - Window start; null keeps everything older
+   * @param {Date|string|number|null} [options.end] - Exclusive window end; null keeps everything newer
+   * @param {Array} [options.replaceWorkflowIds] - Workflows whose cached rows are dropped before merging
+   *   (the delta refetched them in full, e.g. sampled busy workflows)
+   * @returns {Object} - { executions (newest first), added, updated, evicted }
+   */
+  function mergeExecutions(cached = [], fetched = [], { start = null, end = null, replaceWorkflowIds = [] } = {}) {
+    const startTime = start === null || start === undefined ? -Infinity : toTime(start);
+    const endTime = end === null || end === undefined ? Infinity : toTime(end);
+    const inWindow = execution => {
+      const createdAt = toTime(execution.createdAt);
+      return Number.isNaN(createdAt) || (createdAt >= startTime && createdAt < endTime);
+    };
+
+    const replaced = new Set(replaceWorkflowIds);
+    const byId = new Map();
+    let evicted = 0;
+    cached.forEach(execution => {
+      if (replaced.has(execution.workflow?.id)) return;
+      if (!inWindow(execution)) {
+        evicted++;
+        return;
+      }
+      byId.set(execution.id, execution);
+    });
+
+    let added = 0;
+    let updated = 0;
+    fetched.forEach(execution => {
+      if (!inWindow(execution)) return;
+      const previous = byId.get(execution.id);
+      if (!previous) {
+        added++;
+        byId.set(execution.id, execution);
+        return;
+      }
+      updated++;
+      if (execution._needsRetry && previous.triggerInfo) {
+        const { _needsRetry, error, ...rest } = execution;
+        byId.set(execution.id, { ...rest, triggerInfo: previous.triggerInfo, user: previous.user, form: previous.form });
+      } else {
+        byId.set(execution.id, execution);
+      }
+    });
+
+    const executions = Array.from(byId.values()).sort((a, b) => (toTime(b.createdAt) || 0) - (toTime(a.createdAt) || 0));
+    return { executions, added, updated, evicted };
+  }
+
+  return {
+    IN_FLIGHT_STATUSES,
+    isInFlight,
+    getRefreshIds,
+    mergeExecutions,
+  };
+});
@@ -0,0 +1,92 @@
+(function attachRewstExecutionTimeline(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstExecutionTimeline = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstExecutionTimelineApi() {
+  // Timestamps arrive as epoch-millisecond strings (executions) or ISO strings (task logs)
+  function toTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const numeric = Number(value);
+    const time = Number.isFinite(numeric) ? numeric : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+  }
+
+  /**
+   * Lay task logs out on the execution's time axis for a Gantt-style timeline.
+   * Tasks with their own createdAt / updatedAt are placed where they ran; otherwise
+   * they are chained back to back using executionTime (seconds).
+   * @param {Array} taskLogs - [{ id, status, workflowTaskName, createdAt?, updatedAt?, executionTime? }]
+   * @param {Object} execution - { createdAt, updatedAt }
+   * @returns {Object} - { start, end, duration, tasks: [{ id, name, status, start, end, duration, offsetPercent, widthPercent }] }
+   *   times in epoch ms, durations in seconds
+   */
+  function buildTaskTimeline(taskLogs = [], execution = {}) {
+    let cursor = toTimestamp(execution.createdAt);
+
+    const placed = taskLogs.map(log => {
+      let start = toTimestamp(log.createdAt);
+      let end = toTimestamp(log.updatedAt);
+      const seconds = Number(log.executionTime);
+
+      if (start === null) start = cursor;
+      if (end === null && start !== null && Number.isFinite(seconds)) end = start + seconds * 1000;
+      if (end !== null && start !== null && end < start) end = start;
+      if (end !== null) cursor = end;
+
+      return {
+        id: log.id,
+        name: log.workflowTaskName || 'Unnamed task',
+        status: log.status || 'UNKNOWN',
+        start,
+        end: end ?? start,
+      };
+    }).filter(task => task.start !== null);
+
+    const start = Math.min(toTimestamp(execution.createdAt) ?? Infinity, ...placed.map(task => task.start));
+    const end = Math.max(toTimestamp(execution.updatedAt) ?? -Infinity, ...placed.map(task => task.end));
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      return { start: null, end: null, duration: 0, tasks: [] };
+    }
+
+    const span = Math.max(end - start, 1);
+    const tasks = placed
+      .sort((a, b) => a.start - b.start)
+      .map(task => ({
+        ...task,
+        duration: (task.end - task.start) / 1000,
+        offsetPercent: ((task.start - start) / span) * 100,
+        widthPercent: ((task.end - task.start) / span) * 100,
+      }));
+
+    return { start, end, duration: (end - start) / 1000, tasks };
+  }
+
+  /**
+   * The executions above this one in a sub-workflow chain
+   * @param {Object} execution - { parentExecutionId, originatingExecutionId }
+   * @returns {Array} - [{ relation: 'parent'|'originating', label, executionId }]; the originating
+   *   execution is left out when it is also the direct parent
+   */
+  function getChainLinks(execution = {}) {
+    const links = [];
+    if (execution.parentExecutionId) {
+      links.push({ relation: 'parent', label: 'Parent execution', executionId: execution.parentExecutionId });
+    }
+    if (execution.originatingExecutionId && execution.originatingExecutionId !== execution.parentExecutionId) {
+      links.push({ relation: 'originating', label: 'Originating execution', executionId: execution.originatingExecutionId });
+    }
+    return links;
+  }
+
+  return {
+    toTimestamp,
+    buildTaskTimeline,
+    getChainLinks,
+  };
+});
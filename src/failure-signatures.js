@@ -0,0 +1,139 @@
+(function attachRewstFailureSignatures(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstFailureSignatures = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstFailureSignaturesApi() {
+  const MAX_MESSAGE_LENGTH = 200;
+  const UNKNOWN_MESSAGE = 'No error message';
+
+  // Order matters: GUIDs and timestamps contain digit runs the later rules would split
+  const VOLATILE_PATTERNS = [
+    [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<guid>'],
+    [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>'],
+    [/\b\d{4}-\d{2}-\d{2}\b/g, '<date>'],
+    [/\b\d{1,2}:\d{2}(:\d{2})?\s?(AM|PM)?\b/gi, '<time>'],
+    [/\b(0x)?[0-9a-f]{16,}\b/gi, '<id>'],
+    [/\b[A-Za-z0-9_-]*\d[A-Za-z0-9_-]{7,}\b/g, '<id>'],
+    // Short numbers (HTTP status codes, retry counts) usually tell failures apart, so they stay
+    [/\b\d{4,}(\.\d+)?\b/g, '<n>'],
+  ];
+
+  /**
+   * Reduce an error message to its stable shape so repeats of the same failure group together.
+   * GUIDs, timestamps, dates, long hex / mixed ids and numbers of 4+ digits become placeholders.
+   * @param {string} message - Raw task or conductor error message
+   * @returns {string}
+   */
+  function normalizeMessage(message) {
+    let text = String(message ?? '').replace(/\s+/g, ' ').trim();
+    if (!text) return UNKNOWN_MESSAGE;
+
+    VOLATILE_PATTERNS.forEach(([pattern, placeholder]) => {
+      text = text.replace(pattern, placeholder);
+    });
+    return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : text;
+  }
+
+  function toDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Group failed executions into failure signatures (failing task + normalized message)
+   * @param {Array} executions - Failed executions { id, createdAt, link }
+   * @param {Map} details - executionId → { taskName, message } (getExecutionFailureDetails)
+   * @param {Object} [options]
+   * @param {number} [options.maxExamples=5] - Example executions kept per signature (most recent first)
+   * @returns {Array} - [{ key, taskName, message, sampleMessage, count, firstSeen, lastSeen, executions, examples }]
+   *   sorted by count, then most recently seen
+   */
+  function groupFailures(executions = [], details = new Map(), { maxExamples = 5 } = {}) {
+    const groups = new Map();
+
+    executions.forEach(execution => {
+      const detail = details.get(execution.id);
+      if (!detail) return;
+
+      const taskName = detail.taskName || null;
+      const message = normalizeMessage(detail.message);
+      const key = `${taskName || ''}\n${message}`;
+      const createdAt = parseInt(execution.createdAt, 10);
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          taskName,
+          message,
+          sampleMessage: String(detail.message || '').trim(),
+          count: 0,
+          firstSeen: createdAt,
+          lastSeen: createdAt,
+          executions: [],
+        });
+      }
+
+      const group = groups.get(key);
+      group.count++;
+      group.firstSeen = Math.min(group.firstSeen, createdAt);
+      group.lastSeen = Math.max(group.lastSeen, createdAt);
+      group.executions.push(execution);
+    });
+
+    return Array.from(groups.values())
+      .map(group => ({
+        ...group,
+        examples: [...group.executions]
+          .sort((a, b) => parseInt(b.createdAt, 10) - parseInt(a.createdAt, 10))
+          .slice(0, maxExamples),
+      }))
+      .sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen);
+  }
+
+  /**
+   * Daily counts per signature for a stacked chart. Signatures past maxSeries are merged into "Other".
+   * @param {Array} groups - Output of groupFailures
+   * @param {Object} [options]
+   * @param {number} [options.maxSeries=5]
+   * @returns {Object} - { days: ['YYYY-MM-DD', ...], series: [{ key, label, counts }] }
+   */
+  function buildSignatureTimeline(groups = [], { maxSeries = 5 } = {}) {
+    const days = Array.from(new Set(groups.flatMap(group =>
+      group.executions.map(execution => toDayKey(parseInt(execution.createdAt, 10)))
+    ))).sort();
+
+    const countByDay = executions => days.map(day =>
+      executions.filter(execution => toDayKey(parseInt(execution.createdAt, 10)) === day).length
+    );
+
+    const series = groups.slice(0, maxSeries).map(group => ({
+      key: group.key,
+      label: group.taskName ? `${group.taskName}: ${group.message}` : group.message,
+      counts: countByDay(group.executions),
+    }));
+
+    const rest = groups.slice(maxSeries);
+    if (rest.length > 0) {
+      series.push({
+        key: 'other',
+        label: `Other (${rest.length} signatures)`,
+        counts: countByDay(rest.flatMap(group => group.executions)),
+      });
+    }
+    return { days, series };
+  }
+
+  return {
+    UNKNOWN_MESSAGE,
+    normalizeMessage,
+    groupFailures,
+    buildSignatureTimeline,
+  };
+});
@@ -0,0 +1,171 @@
+(function attachRewstFormFunnel(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstFormFunnel = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstFormFunnelApi() {
+  // Combinations seen fewer times than this are too noisy to rank
+  const DEFAULT_MIN_SUBMISSIONS = 5;
+  // Fields with more distinct values than this (free text, ids) are left out of pairs
+  const DEFAULT_MAX_PAIR_VALUES = 20;
+  const MAX_VALUE_LENGTH = 200;
+
+  const STATUS_GROUPS = {
+    succeeded: ['succeeded', 'success', 'completed'],
+    failed: ['failed', 'fail', 'error'],
+    canceled: ['canceled', 'cancelled', 'aborted'],
+    running: ['running', 'in_progress'],
+    pending: ['pending', 'queued', 'scheduled', 'created'],
+  };
+
+  /**
+   * Outcome of a submission's workflow execution
+   * @param {string} status
+   * @returns {string} - 'succeeded' | 'failed' | 'canceled' | 'running' | 'pending' | 'unknown'
+   */
+  function classifyStatus(status) {
+    const value = String(status || '').toLowerCase();
+    return Object.keys(STATUS_GROUPS).find(group => STATUS_GROUPS[group].includes(value)) || 'unknown';
+  }
+
+  /**
+   * Submitted → workflow started → finished → succeeded, with the outcomes of finished runs.
+   * Each stage's rate is against submissions, stepRate against the stage before it.
+   * @param {Array} submissions - Form submission executions with status
+   * @returns {Object} - { stages: [{ key, label, count, rate, stepRate }], outcomes: { succeeded, failed, ... } }
+   */
+  function buildFunnel(submissions = []) {
+    const outcomes = { succeeded: 0, failed: 0, canceled: 0, running: 0, pending: 0, unknown: 0 };
+    submissions.forEach(submission => { outcomes[classifyStatus(submission.status)]++; });
+
+    const submitted = submissions.length;
+    const finished = outcomes.succeeded + outcomes.failed + outcomes.canceled;
+    const counts = [
+      ['submitted', 'Submitted', submitted],
+      ['started', 'Workflow started', submitted - outcomes.pending],
+      ['finished', 'Finished', finished],
+      ['succeeded', 'Succeeded', outcomes.succeeded],
+    ];
+
+    return {
+      stages: counts.map(([key, label, count], index) => {
+        const previous = index > 0 ? counts[index - 1][2] : submitted;
+        return {
+          key,
+          label,
+          count,
+          rate: submitted > 0 ? (count / submitted) * 100 : 0,
+          stepRate: previous > 0 ? (count / previous) * 100 : 0,
+        };
+      }),
+      outcomes,
+    };
+  }
+
+  // Input answers as comparable strings; multi-selects contribute each choice
+  function toValues(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+      .filter(item => item !== null && item !== undefined && item !== '' && typeof item !== 'object')
+      .map(item => String(item))
+      .filter(item => item.length <= MAX_VALUE_LENGTH);
+  }
+
+  /**
+   * Failure rate per input value and per pair of input values, over finished submissions
+   * that succeeded or failed. A pair is only reported when it fails more often than either
+   * of its values alone, so rows point at the combination rather than repeating a single value.
+   * @param {Array} submissions - Form submission executions with status
+   * @param {Object} options
+   * @param {Function} options.getInputs - submission → { field: value }
+   * @param {Function} [options.getFieldKey] - (submission, rawKey) → field key, or null to skip the field
+   * @param {number} [options.minSubmissions=5] - Smallest group size reported
+   * @param {number} [options.maxPairValues=20] - Distinct values above which a field is left out of pairs
+   * @returns {Object} - { completed, failed, baselineRate, rows: [{ key, conditions: [{ field, value }],
+   *   submissions, failed, failureRate, lift }] } with rows ordered worst first
+   */
+  function analyzeInputFailures(submissions = [], {
+    getInputs,
+    getFieldKey = (submission, key) => key,
+    minSubmissions = DEFAULT_MIN_SUBMISSIONS,
+    maxPairValues = DEFAULT_MAX_PAIR_VALUES,
+  } = {}) {
+    const completed = [];
+    submissions.forEach(submission => {
+      const outcome = classifyStatus(submission.status);
+      if (outcome !== 'succeeded' && outcome !== 'failed') return;
+
+      const answers = [];
+      Object.entries(getInputs(submission) || {}).forEach(([rawKey, value]) => {
+        const field = getFieldKey(submission, rawKey);
+        if (!field) return;
+        toValues(value).forEach(item => answers.push({ field, value: item }));
+      });
+      completed.push({ failed: outcome === 'failed', answers });
+    });
+
+    const failedTotal = completed.filter(item => item.failed).length;
+    const baselineRate = completed.length > 0 ? (failedTotal / completed.length) * 100 : 0;
+
+    const groups = new Map();
+    const distinctValues = new Map();
+    const count = (key, conditions, failed) => {
+      if (!groups.has(key)) groups.set(key, { key, conditions, submissions: 0, failed: 0 });
+      const group = groups.get(key);
+      group.submissions++;
+      if (failed) group.failed++;
+    };
+    const singleKey = ({ field, value }) => JSON.stringify([field, value]);
+
+    completed.forEach(({ answers }) => answers.forEach(answer => {
+      if (!distinctValues.has(answer.field)) distinctValues.set(answer.field, new Set());
+      distinctValues.get(answer.field).add(answer.value);
+    }));
+
+    completed.forEach(({ failed, answers }) => {
+      answers.forEach(answer => count(singleKey(answer), [answer], failed));
+
+      const pairable = answers.filter(answer => distinctValues.get(answer.field).size <= maxPairValues);
+      for (let i = 0; i < pairable.length; i++) {
+        for (let j = i + 1; j < pairable.length; j++) {
+          if (pairable[i].field === pairable[j].field) continue;
+          const pair = [pairable[i], pairable[j]].sort((a, b) => a.field.localeCompare(b.field) || a.value.localeCompare(b.value));
+          count(pair.map(singleKey).join('&'), pair, failed);
+        }
+      }
+    });
+
+    const rateOf = (group) => (group.failed / group.submissions) * 100;
+    const rows = Array.from(groups.values())
+      .filter(group => group.submissions >= minSubmissions)
+      .filter(group => {
+        if (group.conditions.length === 1) return true;
+        const rate = rateOf(group);
+        return group.failed > 0 && group.conditions.every(condition => {
+          const single = groups.get(singleKey(condition));
+          return rate > rateOf(single);
+        });
+      })
+      .map(group => ({
+        ...group,
+        failureRate: rateOf(group),
+        lift: baselineRate > 0 ? rateOf(group) / baselineRate : null,
+      }))
+      .sort((a, b) => b.failureRate - a.failureRate || b.failed - a.failed || a.conditions.length - b.conditions.length);
+
+    return { completed: completed.length, failed: failedTotal, baselineRate, rows };
+  }
+
+  return {
+    DEFAULT_MIN_SUBMISSIONS,
+    DEFAULT_MAX_PAIR_VALUES,
+    classifyStatus,
+    buildFunnel,
+    analyzeInputFailures,
+  };
+});
@@ -0,0 +1,194 @@
+(function attachRewstInsightNotifier(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstInsightNotifier = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstInsightNotifierApi() {
+  const SETTINGS_KEY = 'insightNotifications';
+  const SENT_LOG_KEY = 'insightNotificationLog';
+  const PAYLOAD_VERSION = 1;
+  const HOUR = 60 * 60 * 1000;
+  const DEFAULT_DEDUPE_HOURS = 24;
+  const MAX_BATCH_SIZE = 50;
+
+  // Most severe first; an insight is sent when it is at least as severe as minSeverity
+  const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+  /**
+   * Fill defaults for stored or edited settings. Nothing is sent until enabled with a workflow.
+   * @param {Object} value - { enabled?, workflowId?, workflowName?, minSeverity?, dedupeHours?, autoSend? }
+   * @returns {Object} - { enabled, workflowId, workflowName, minSeverity, dedupeHours, autoSend }
+   */
+  function normalizeSettings(value = {}) {
+    const dedupeHours = Number(value?.dedupeHours);
+    const workflowId = typeof value?.workflowId === 'string' && value.workflowId ? value.workflowId : null;
+
+    return {
+      enabled: value?.enabled === true && workflowId !== null,
+      workflowId,
+      workflowName: workflowId && typeof value?.workflowName === 'string' ? value.workflowName : null,
+      minSeverity: SEVERITIES.includes(value?.minSeverity) ? value.minSeverity : 'high',
+      dedupeHours: value?.dedupeHours !== '' && value?.dedupeHours !== null && Number.isFinite(dedupeHours) && dedupeHours >= 0
+        ? dedupeHours
+        : DEFAULT_DEDUPE_HOURS,
+      autoSend: value?.autoSend === true,
+    };
+  }
+
+  // Keep only { fingerprint: sentAt } entries with a usable timestamp
+  function normalizeSentLog(value) {
+    return Object.entries(value || {}).reduce((log, [fingerprint, sentAt]) => {
+      if (fingerprint && Number.isFinite(sentAt)) log[fingerprint] = sentAt;
+      return log;
+    }, {});
+  }
+
+  /**
+   * Identity of an insight for deduplication: what it is about, not its current numbers,
+   * so a failure rate moving from 40% to 45% is still the same alert. insight.orgScope (the
+   * org selection it was raised under) keeps one org's alert from holding back another's.
+   * @param {Object} insight
+   * @returns {string}
+   */
+  function getFingerprint(insight) {
+    const subject = insight.workflowId || insight.formId || insight.orgId || insight.subjectId || insight.title || '';
+    return [insight.type, insight.ruleId || insight.metric || '', insight.scope || '', subject, insight.orgScope || ''].join('|');
+  }
+
+  /**
+   * Split insights into those to send now and those sent within the dedupe window.
+   * Insights below minSeverity are dropped.
+   * @param {Array} insights - Insight items ({ type, severity, title, ... })
+   * @param {Object} settings - Normalized settings
+   * @param {Object} sentLog - { fingerprint: sentAt }
+   * @param {number} [now]
+   * @returns {Object} - { pending: [...], suppressed: [...] }
+   */
+  function selectPending(insights, settings, sentLog = {}, now = Date.now()) {
+    const maxRank = SEVERITIES.indexOf(settings.minSeverity);
+    const seen = new Set();
+    const pending = [];
+    const suppressed = [];
+
+    insights.forEach(insight => {
+      const rank = SEVERITIES.indexOf(insight.severity);
+      if (rank === -1 || rank > maxRank) return;
+
+      const fingerprint = getFingerprint(insight);
+      if (seen.has(fingerprint)) return;
+      seen.add(fingerprint);
+
+      const sentAt = sentLog[fingerprint];
+      if (Number.isFinite(sentAt) && now - sentAt < settings.dedupeHours * HOUR) {
+        suppressed.push(insight);
+      } else {
+        pending.push(insight);
+      }
+    });
+
+    pending.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    return { pending, suppressed };
+  }
+
+  function toLink(id, name, link) {
+    return id ? { id, name: name || null, link: link || null } : null;
+  }
+
+  /**
+   * Workflow input for one batch of alerts. Everything a Teams / PSA workflow needs to
+   * route the alert without calling back into Rewst.
+   * @param {Array} insights - Pending insights, most severe first
+   * @param {Object} context - { orgId, orgName, rangeLabel, dashboardUrl, generatedAt }
+   * @returns {Object}
+   */
+  function buildPayload(insights, { orgId = null, orgName = null, rangeLabel = null, dashboardUrl = null, generatedAt = new Date() } = {}) {
+    const batch = insights.slice(0, MAX_BATCH_SIZE);
+    const severityCounts = SEVERITIES.reduce((counts, severity) => {
+      counts[severity] = batch.filter(insight => insight.severity === severity).length;
+      return counts;
+    }, {});
+
+    return {
+      source: 'rewst-analytics-dashboard',
+      version: PAYLOAD_VERSION,
+      generatedAt: generatedAt.toISOString(),
+      organization: toLink(orgId, orgName, null),
+      rangeLabel,
+      dashboardUrl,
+      alertCount: batch.length,
+      truncatedCount: insights.length - batch.length,
+      severityCounts,
+      alerts: batch.map(insight => ({
+        fingerprint: getFingerprint(insight),
+        type: insight.type,
+        severity: insight.severity,
+        title: insight.title,
+        description: insight.description || null,
+        rule: insight.ruleId ? { id: insight.ruleId, name: insight.ruleName || null, metric: insight.metric, threshold: insight.threshold } : null,
+        value: Number.isFinite(insight.value) ? insight.value : null,
+        workflow: toLink(insight.workflowId, insight.workflowName, insight.workflowLink),
+        form: toLink(insight.formId, insight.formName, insight.formLink),
+        organization: insight.orgId ? toLink(insight.orgId, insight.subjectName, null) : null,
+        counts: {
+          failed: Number.isFinite(insight.failedCount) ? insight.failedCount : null,
+          executions: Number.isFinite(insight.executionCount) ? insight.executionCount : null,
+        },
+      })),
+    };
+  }
+
+  /**
+   * Record a sent batch. Entries older than the dedupe window are pruned while we are here.
+   * @returns {Object} - New sent log
+   */
+  function recordSent(sentLog, insights, settings, now = Date.now()) {
+    const log = Object.entries(normalizeSentLog(sentLog)).reduce((kept, [fingerprint, sentAt]) => {
+      if (now - sentAt < settings.dedupeHours * HOUR) kept[fingerprint] = sentAt;
+      return kept;
+    }, {});
+    insights.slice(0, MAX_BATCH_SIZE).forEach(insight => { log[getFingerprint(insight)] = now; });
+    return log;
+  }
+
+  async function loadSettings(store) {
+    return normalizeSettings(await store.load(SETTINGS_KEY));
+  }
+
+  async function saveSettings(store, settings) {
+    const normalized = normalizeSettings(settings);
+    await store.save(SETTINGS_KEY, normalized);
+    return normalized;
+  }
+
+  async function loadSentLog(store) {
+    return normalizeSentLog(await store.load(SENT_LOG_KEY));
+  }
+
+  async function saveSentLog(store, sentLog) {
+    const normalized = normalizeSentLog(sentLog);
+    await store.save(SENT_LOG_KEY, normalized);
+    return normalized;
+  }
+
+  return {
+    SETTINGS_KEY,
+    SENT_LOG_KEY,
+    SEVERITIES,
+    MAX_BATCH_SIZE,
+    DEFAULT_DEDUPE_HOURS,
+    normalizeSettings,
+    getFingerprint,
+    selectPending,
+    buildPayload,
+    recordSent,
+    loadSettings,
+    saveSettings,
+    loadSentLog,
+    saveSentLog,
+  };
+});
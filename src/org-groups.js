@@ -0,0 +1,119 @@
+(function attachRewstOrgGroups(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstOrgGroups = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstOrgGroupsApi() {
+  const PREFERENCE_KEY = 'orgGroups';
+  const MAX_NAME_LENGTH = 60;
+
+  function createId() {
+    return `group_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Unique, sorted org ids so equal selections compare equal
+  function normalizeOrgIds(orgIds) {
+    if (!Array.isArray(orgIds)) return [];
+    return Array.from(new Set(orgIds.filter(id => typeof id === 'string' && id))).sort();
+  }
+
+  function normalizeName(name) {
+    return String(name ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+  }
+
+  /**
+   * Fill defaults and drop malformed entries from stored groups
+   * @param {Array} value - [{ id, name, orgIds }]
+   * @returns {Array} - Groups sorted by name
+   */
+  function normalizeGroups(value) {
+    const seen = new Set();
+    return (Array.isArray(value) ? value : [])
+      .map(group => ({ id: group?.id, name: normalizeName(group?.name), orgIds: normalizeOrgIds(group?.orgIds) }))
+      .filter(group => {
+        if (typeof group.id !== 'string' || !group.id || !group.name || group.orgIds.length === 0 || seen.has(group.id)) return false;
+        seen.add(group.id);
+        return true;
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save a hand-picked set of orgs under a name. Groups are never mutated; every change returns a new list.
+   * @param {Array} groups - Normalized groups
+   * @param {string} name - Display name (unique, case-insensitive)
+   * @param {Array} orgIds - Member org ids
+   * @returns {Object} - { groups, group }
+   */
+  function createGroup(groups, name, orgIds) {
+    const normalized = normalizeName(name);
+    if (!normalized) {
+      throw new Error('Group name is required');
+    }
+    if (groups.some(group => group.name.toLowerCase() === normalized.toLowerCase())) {
+      throw new Error(`A group named "${normalized}" already exists`);
+    }
+    const members = normalizeOrgIds(orgIds);
+    if (members.length === 0) {
+      throw new Error('Select at least one organization for the group');
+    }
+
+    const group = { id: createId(), name: normalized, orgIds: members };
+    return { groups: normalizeGroups([...groups, group]), group };
+  }
+
+  function deleteGroup(groups, id) {
+    if (!groups.some(group => group.id === id)) {
+      throw new Error('Organization group not found');
+    }
+    return groups.filter(group => group.id !== id);
+  }
+
+  /**
+   * Short label for an org selection, e.g. "All organizations", "Acme", "West Coast clients" or "4 organizations"
+   * @param {Array} orgIds - Selected org ids (empty = every org)
+   * @param {Array} orgs - [{ id, name }]
+   * @param {Array} groups - Normalized groups; an exact match uses the group name
+   * @returns {string}
+   */
+  function describeSelection(orgIds, orgs = [], groups = []) {
+    const selected = normalizeOrgIds(orgIds);
+    if (selected.length === 0) return 'All organizations';
+
+    const key = selected.join('\n');
+    const group = groups.find(item => item.orgIds.join('\n') === key);
+    if (group) return group.name;
+
+    if (selected.length === 1) {
+      return orgs.find(org => org.id === selected[0])?.name || '1 organization';
+    }
+    return `${selected.length} organizations`;
+  }
+
+  async function loadGroups(store) {
+    return normalizeGroups(await store.load(PREFERENCE_KEY));
+  }
+
+  async function saveGroups(store, groups) {
+    const normalized = normalizeGroups(groups);
+    await store.save(PREFERENCE_KEY, normalized);
+    return normalized;
+  }
+
+  return {
+    PREFERENCE_KEY,
+    MAX_NAME_LENGTH,
+    normalizeOrgIds,
+    normalizeGroups,
+    createGroup,
+    deleteGroup,
+    describeSelection,
+    loadGroups,
+    saveGroups,
+  };
+});
@@ -0,0 +1,141 @@
+(function attachRewstOrgTree(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstOrgTree = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstOrgTreeApi() {
+  function byName(a, b) {
+    return String(a.name || '').localeCompare(String(b.name || ''));
+  }
+
+  function groupChildren(orgs) {
+    const ids = new Set(orgs.map(org => org.id));
+    const children = new Map();
+    orgs.forEach(org => {
+      const parentId = org.managingOrgId;
+      if (!parentId || parentId === org.id || !ids.has(parentId)) return;
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(org);
+    });
+    return children;
+  }
+
+  /**
+   * Nest a flat org list (getAllManagedOrganizations) by managingOrgId.
+   * Orgs whose managing org is not in the list become roots; a cycle is broken
+   * at the first org reached, so every org appears exactly once.
+   * @param {Array} orgs - [{ id, name, managingOrgId }]
+   * @returns {Array} - [{ id, name, org, depth, children }] sorted by name at each level
+   */
+  function buildOrgTree(orgs = []) {
+    const children = groupChildren(orgs);
+    const placed = new Set();
+
+    const toNode = (org, depth) => {
+      placed.add(org.id);
+      return {
+        id: org.id,
+        name: org.name,
+        org,
+        depth,
+        children: (children.get(org.id) || [])
+          .filter(child => !placed.has(child.id))
+          .sort(byName)
+          .map(child => toNode(child, depth + 1)),
+      };
+    };
+
+    const ids = new Set(orgs.map(org => org.id));
+    const roots = orgs
+      .filter(org => !org.managingOrgId || org.managingOrgId === org.id || !ids.has(org.managingOrgId))
+      .sort(byName)
+      .map(org => toNode(org, 0));
+
+    // Orgs only reachable through a managing-org cycle
+    orgs.filter(org => !placed.has(org.id)).sort(byName).forEach(org => {
+      if (!placed.has(org.id)) roots.push(toNode(org, 0));
+    });
+    return roots;
+  }
+
+  // Depth-first rows: each parent directly followed by its descendants
+  function flattenOrgTree(roots) {
+    const rows = [];
+    const visit = (node, parentId) => {
+      rows.push({ id: node.id, name: node.name, depth: node.depth, parentId, childCount: node.children.length });
+      node.children.forEach(child => visit(child, node.id));
+    };
+    roots.forEach(node => visit(node, null));
+    return rows;
+  }
+
+  // Options for RewstDOM.createTreeSelect
+  function toTreeOptions(roots) {
+    return roots.map(node => ({ value: node.id, label: node.name, children: toTreeOptions(node.children) }));
+  }
+
+  function getDescendantIds(orgs, orgId) {
+    const children = groupChildren(orgs);
+    const found = new Set();
+    const queue = [orgId];
+    while (queue.length > 0) {
+      (children.get(queue.shift()) || []).forEach(child => {
+        if (child.id === orgId || found.has(child.id)) return;
+        found.add(child.id);
+        queue.push(child.id);
+      });
+    }
+    return Array.from(found);
+  }
+
+  /**
+   * The orgs a selection covers. With rollUpChildren, each selected parent brings in every descendant.
+   * @param {Array} orgIds - Selected org ids (empty = every org, returned as [])
+   * @param {Array} orgs - [{ id, managingOrgId }]
+   * @param {boolean} rollUpChildren
+   * @returns {Array} - Unique org ids, selected ones first
+   */
+  function expandOrgSelection(orgIds = [], orgs = [], rollUpChildren = false) {
+    const expanded = new Set(orgIds);
+    if (rollUpChildren) {
+      orgIds.forEach(orgId => getDescendantIds(orgs, orgId).forEach(id => expanded.add(id)));
+    }
+    return Array.from(expanded);
+  }
+
+  /**
+   * Totals for every org including all of its descendants (hierarchical subtotals)
+   * @param {Array} rows - Per-org rows, each with an `id`
+   * @param {Array} orgs - [{ id, managingOrgId }]
+   * @param {Array} fields - Numeric row fields to add up
+   * @returns {Map} - orgId → { [field]: total, descendantCount }
+   */
+  function rollUpTotals(rows, orgs, fields) {
+    const rowsById = new Map(rows.filter(row => row.id).map(row => [row.id, row]));
+    const totals = new Map();
+
+    rowsById.forEach((row, orgId) => {
+      const descendantIds = getDescendantIds(orgs, orgId).filter(id => rowsById.has(id));
+      const total = { descendantCount: descendantIds.length };
+      fields.forEach(field => {
+        total[field] = [orgId, ...descendantIds].reduce((sum, id) => sum + (Number(rowsById.get(id)[field]) || 0), 0);
+      });
+      totals.set(orgId, total);
+    });
+    return totals;
+  }
+
+  return {
+    buildOrgTree,
+    flattenOrgTree,
+    toTreeOptions,
+    getDescendantIds,
+    expandOrgSelection,
+    rollUpTotals,
+  };
+});
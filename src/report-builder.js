@@ -0,0 +1,287 @@
+(function attachRewstReport(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstReport = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstReportApi() {
+  const DEFAULT_TABLE_ROWS = 10;
+
+  // Report pages always print on white, regardless of the dashboard theme
+  const REPORT_CSS = `
+    * { box-sizing: border-box; }
+    body { margin: 0; padding: 32px; font-family: Arial, Helvetica, sans-serif; color: #1f2937; background: #fff; }
+    h1 { margin: 0 0 4px; font-size: 24px; color: #009490; }
+    h2 { margin: 32px 0 12px; padding-bottom: 6px; font-size: 18px; border-bottom: 2px solid #009490; }
+    h3 { margin: 20px 0 8px; font-size: 14px; }
+    .report-meta { margin: 0; font-size: 12px; color: #6b7280; }
+    .report-toolbar { margin-bottom: 24px; }
+    .report-toolbar button { padding: 8px 16px; font-size: 14px; color: #fff; background: #009490; border: 0; border-radius: 6px; cursor: pointer; }
+    .metric-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+    .metric { padding: 12px; border: 1px solid #e5e7eb; border-radius: 8px; break-inside: avoid; }
+    .metric-title { font-size: 12px; color: #6b7280; }
+    .metric-value { margin: 4px 0; font-size: 24px; font-weight: bold; }
+    .metric-note { font-size: 11px; color: #6b7280; }
+    .chart { margin: 0; break-inside: avoid; }
+    .chart img { display: block; max-width: 100%; border: 1px solid #e5e7eb; border-radius: 8px; }
+    table { width: 100%; border-collapse: collapse; font-size: 11px; }
+    thead { display: table-header-group; }
+    th { padding: 6px 8px; text-align: left; background: #f3f4f6; text-transform: uppercase; font-size: 10px; }
+    td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+    tr { break-inside: avoid; }
+    .table-note { margin: 4px 0 0; font-size: 10px; color: #6b7280; }
+    .insight { margin-bottom: 8px; padding: 8px 12px; border-left: 4px solid #009490; break-inside: avoid; }
+    .insight-critical, .insight-high { border-left-color: #dc2626; }
+    .insight-medium { border-left-color: #f59e0b; }
+    .insight-title { font-size: 13px; font-weight: bold; }
+    .insight-description { font-size: 12px; color: #4b5563; }
+    @page { size: A4; margin: 14mm; }
+    @media print {
+      body { padding: 0; }
+      .report-toolbar { display: none; }
+      section { break-before: page; }
+      section:first-of-type { break-before: auto; }
+    }
+  `;
+
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Dashboard markup → report text. Material Icons render from ligature text,
+  // so icon spans are dropped instead of leaking words like "emoji_events".
+  function toPlainText(html) {
+    return String(html ?? '')
+      .replace(/<(\w+)[^>]*class="[^"]*material-icons[^"]*"[^>]*>[\s\S]*?<\/\1>/g, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Read the metric cards (RewstDOM.createMetricCard) rendered under a root element
+   * @param {HTMLElement} root - Page container
+   * @returns {Array} - [{ title, subtitle, value, trend }]
+   */
+  function readMetricCards(root) {
+    return Array.from(root.querySelectorAll('.card-metric'))
+      .filter(card => card.dataset.metricTitle)
+      .map(card => ({
+        title: card.dataset.metricTitle,
+        subtitle: card.dataset.metricSubtitle || '',
+        value: card.dataset.metricValue || '',
+        trend: card.dataset.metricTrend || ''
+      }));
+  }
+
+  /**
+   * PNG data URL for the Chart.js chart rendered inside an element
+   * @param {HTMLElement} element - Chart container
+   * @param {Object} Chart - Chart.js namespace (window.Chart)
+   * @returns {string|null}
+   */
+  function captureChartImage(element, Chart) {
+    const canvas = element?.querySelector('canvas');
+    const chart = canvas && Chart?.getChart(canvas);
+    if (!chart) return null;
+
+    // Skip any running animation so the image shows final values
+    chart.update('none');
+    return chart.toBase64Image('image/png', 1);
+  }
+
+  /**
+   * Read the RewstDOM tables rendered under a root element (current filter/sort order)
+   * @param {HTMLElement} root - Page container
+   * @param {number} rowLimit - Rows to keep per table
+   * @returns {Array} - [{ title, columns: [{ key, label }], rows: [[text]], totalRows }]
+   */
+  function readTables(root, rowLimit = DEFAULT_TABLE_ROWS) {
+    return Array.from(root.querySelectorAll('.rewst-table-container'))
+      .filter(container => typeof container.getTableSnapshot === 'function')
+      .map(container => {
+        const snapshot = container.getTableSnapshot();
+        const columns = snapshot.columns.map(key => ({
+          key,
+          label: snapshot.headers[key] || key.replace(/_/g, ' ')
+        }));
+
+        const rows = snapshot.rows.slice(0, rowLimit).map(row => columns.map(({ key }) => {
+          let value = row[key];
+          const transform = snapshot.transforms[key];
+          if (transform) {
+            try {
+              value = transform(value, row);
+            } catch (error) {
+              // Fall back to the raw value, as the table itself does
+            }
+          }
+          return formatCell(value);
+        }));
+
+        return { title: toPlainText(snapshot.title), columns, rows, totalRows: snapshot.rows.length };
+      });
+  }
+
+  function formatCell(value) {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value === 'number') return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    if (typeof value === 'object') return JSON.stringify(value);
+    return toPlainText(value) || '-';
+  }
+
+  function renderMetrics(metrics) {
+    if (!metrics?.length) return '';
+    const cards = metrics.map(metric => `
+      <div class="metric">
+        <div class="metric-title">${escapeHtml(metric.title)}</div>
+        <div class="metric-value">${escapeHtml(metric.value)}</div>
+        ${metric.trend ? `<div class="metric-note">${escapeHtml(metric.trend)}</div>` : ''}
+        ${metric.subtitle ? `<div class="metric-note">${escapeHtml(metric.subtitle)}</div>` : ''}
+      </div>`).join('');
+    return `<div class="metric-grid">${cards}</div>`;
+  }
+
+  function renderCharts(charts) {
+    return (charts || [])
+      .filter(chart => chart.image)
+      .map(chart => `
+      <figure class="chart">
+        <h3>${escapeHtml(chart.title)}</h3>
+        <img src="${escapeHtml(chart.image)}" alt="${escapeHtml(chart.title)}">
+      </figure>`).join('');
+  }
+
+  function renderTables(tables) {
+    return (tables || []).map(table => {
+      const head = table.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('');
+      const body = table.rows.length
+        ? table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')
+        : `<tr><td colspan="${table.columns.length}">No matching results</td></tr>`;
+      const note = table.totalRows > table.rows.length
+        ? `<p class="table-note">Showing top ${table.rows.length} of ${table.totalRows.toLocaleString('en-US')} rows</p>`
+        : '';
+      return `
+      <h3>${escapeHtml(table.title)}</h3>
+      <table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>${note}`;
+    }).join('');
+  }
+
+  function renderInsights(groups) {
+    return (groups || [])
+      .filter(group => group.items?.length)
+      .map(group => `
+      <h3>${escapeHtml(group.title)}</h3>
+      ${group.items.map(item => `
+        <div class="insight insight-${escapeHtml(item.severity || 'info')}">
+          <div class="insight-title">${escapeHtml(item.title)}</div>
+          ${item.description ? `<div class="insight-description">${escapeHtml(item.description)}</div>` : ''}
+        </div>`).join('')}`).join('');
+  }
+
+  /**
+   * Build a self-contained, print-styled HTML report (inline CSS, charts as data URLs)
+   * @param {Object} report
+   * @param {string} report.title - Report heading
+   * @param {string} report.orgName - Organization the data is scoped to
+   * @param {string} report.rangeLabel - Selected date range label
+   * @param {Date} report.generatedAt - Generation time
+   * @param {Array} report.sections - [{ title, metrics, charts: [{ title, image }], tables }]
+   * @param {Array} report.insights - [{ title, items: [{ title, description, severity }] }]
+   * @returns {string} - Full HTML document
+   */
+  function buildReportHtml({ title = 'Automation Report', orgName = '', rangeLabel = '', generatedAt = new Date(), sections = [], insights = [] } = {}) {
+    const generated = generatedAt.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    const scope = [orgName, rangeLabel].filter(Boolean).map(escapeHtml).join(' · ');
+
+    const sectionHtml = sections.map(section => `
+    <section>
+      <h2>${escapeHtml(section.title)}</h2>
+      ${renderMetrics(section.metrics)}
+      ${renderCharts(section.charts)}
+      ${renderTables(section.tables)}
+    </section>`).join('');
+
+    const insightsHtml = insights.some(group => group.items?.length)
+      ? `
+    <section>
+      <h2>Insights</h2>
+      ${renderInsights(insights)}
+    </section>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml([title, orgName, rangeLabel].filter(Boolean).join(' - '))}</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <div class="report-toolbar"><button type="button" onclick="window.print()">Print / Save as PDF</button></div>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    ${scope ? `<p class="report-meta">${scope}</p>` : ''}
+    <p class="report-meta">Generated ${escapeHtml(generated)}</p>
+  </header>
+  ${sectionHtml}
+  ${insightsHtml}
+</body>
+</html>`;
+  }
+
+  /**
+   * Write report HTML into a new window, optionally straight into the print dialog
+   * @param {string} html - Output of buildReportHtml
+   * @param {Object} options - { print?: boolean, reportWindow?: Window (already opened), win?: Window }
+   * @returns {Window}
+   */
+  function openReport(html, { print = false, reportWindow = null, win = window } = {}) {
+    reportWindow = reportWindow || win.open('', '_blank');
+    if (!reportWindow) {
+      throw new Error('Report window was blocked. Allow pop-ups for this page and try again.');
+    }
+
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+
+    if (print) {
+      // document.open() clears window listeners, so wait for load only after writing
+      const startPrint = () => {
+        reportWindow.focus();
+        reportWindow.print();
+      };
+      if (reportWindow.document.readyState === 'complete') {
+        startPrint();
+      } else {
+        reportWindow.addEventListener('load', startPrint, { once: true });
+      }
+    }
+
+    return reportWindow;
+  }
+
+  return {
+    DEFAULT_TABLE_ROWS,
+    toPlainText,
+    readMetricCards,
+    captureChartImage,
+    readTables,
+    buildReportHtml,
+    openReport,
+  };
+});
@@ -50,6 +50,8 @@ const RewstDOM = {
    * @param {Boolean|Number} options.pagination - Enable pagination with rows per page (default: 10, false to disable)
    * @param {Array} options.paginationOptions - Available page size options (default: [10, 25, 50])
    * @param {String} options.title - Optional table title (supports HTML and emojis)
+   * @param {Boolean} options.exportable - Show the CSV / Excel export menu (default: true)
+   * @param {String} options.exportFileName - Export file name without extension (default: title + date)
    * @returns {HTMLElement} Container with table and optional search
    */
   createTable(data, options = {}) {
@@ -72,6 +74,7 @@ const RewstDOM = {
     const filters = options.filters || {};
     const workflowId = options.workflowId || null;
     const title = options.title || null;
+    const exportable = options.exportable !== false; // Default true
     
     // Pagination settings
     const paginationEnabled = options.pagination !== false; // Default true
@@ -170,6 +173,70 @@ const RewstDOM = {
       }
     }
 
+    // Current filtered rows in the current sort order (raw values, not transforms)
+    const getCurrentRows = () => (sortColumn
+      ? [...displayData].sort((a, b) => RewstDOM._compareTableValues(a[sortColumn], b[sortColumn], sortDirection))
+      : displayData);
+
+    // Read by report generation (RewstReport.readTables)
+    container.getTableSnapshot = () => ({ title, columns, headers, transforms, rows: getCurrentRows() });
+
+    // Export menu
+    let exportControl = null;
+    if (exportable) {
+      exportControl = document.createElement('div');
+      exportControl.className = 'relative';
+
+      const exportBtn = document.createElement('button');
+      exportBtn.className = 'material-icons bg-gray-50 text-rewst-teal hover:bg-gray-100 border border-gray-200 rounded-full p-2 transition-colors';
+      exportBtn.textContent = 'download';
+      exportBtn.title = 'Export table data';
+
+      const exportMenu = document.createElement('div');
+      exportMenu.className = 'hidden absolute right-0 z-10 mt-1 bg-white border border-gray-200 rounded-md shadow-lg min-w-[160px]';
+      exportMenu.dataset.filterDropdown = 'export'; // Closed by the outside-click handler below
+
+      [
+        { format: 'csv', label: 'CSV (.csv)' },
+        { format: 'xlsx', label: 'Excel (.xlsx)' }
+      ].forEach(({ format, label }) => {
+        const item = document.createElement('button');
+        item.className = 'block w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50';
+        item.textContent = label;
+        item.addEventListener('click', (e) => {
+          e.stopPropagation();
+          exportMenu.classList.add('hidden');
+          try {
+            const rows = getCurrentRows();
+            const sheetName = title ? window.RewstTableExport.toPlainTitle(title) : undefined;
+            window.RewstTableExport.exportRows(format, rows, {
+              columns,
+              headers,
+              fileName: options.exportFileName || window.RewstTableExport.toFileBaseName(title),
+              sheetName
+            });
+            this._log(`Exported ${rows.length} rows as ${format}`);
+          } catch (error) {
+            console.error('Failed to export table:', error);
+            this.showError('Failed to export table data');
+          }
+        });
+        exportMenu.appendChild(item);
+      });
+
+      exportBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isHidden = exportMenu.classList.contains('hidden');
+        document.querySelectorAll('[data-filter-dropdown]').forEach(d => {
+          if (d !== exportMenu) d.classList.add('hidden');
+        });
+        exportMenu.classList.toggle('hidden', !isHidden);
+      });
+
+      exportControl.appendChild(exportBtn);
+      exportControl.appendChild(exportMenu);
+    }
+
     // Create top bar with refresh button (left) and search (right)
     if (canRefresh || Object.keys(filters).length > 0 || searchable) {
       const topBar = document.createElement('div');
@@ -178,6 +245,9 @@ const RewstDOM = {
       // Left side: Refresh + Filters
       const leftSection = document.createElement('div');
       leftSection.className = 'flex items-center gap-2';
+
+      const rightSection = document.createElement('div');
+      rightSection.className = 'flex items-center gap-2';
       
       // Refresh button on the left
       if (canRefresh) {
@@ -534,7 +604,11 @@ const RewstDOM = {
       
       topBar.appendChild(leftSection);
       
-      // Right side: Search
+      // Right side: Export + Search
+      if (exportControl) {
+        rightSection.appendChild(exportControl);
+      }
+
       if (searchable) {
         const searchContainer = document.createElement('div');
         searchContainer.className = 'relative w-64';
@@ -559,16 +633,17 @@ const RewstDOM = {
 
         searchContainer.appendChild(searchIcon);
         searchContainer.appendChild(searchInput);
-        
-        // If title exists and this is search-only layout, add search to title row
-        if (title && hasSearchOnly) {
-          const titleRow = container.querySelector('.mb-4.flex');
-          if (titleRow) {
-            titleRow.appendChild(searchContainer);
-          }
-        } else {
-          topBar.appendChild(searchContainer);
+        rightSection.appendChild(searchContainer);
+      }
+
+      // If title exists and this is search-only layout, add search to title row
+      if (title && hasSearchOnly) {
+        const titleRow = container.querySelector('.mb-4.flex');
+        if (titleRow) {
+          titleRow.appendChild(rightSection);
         }
+      } else {
+        topBar.appendChild(rightSection);
       }
       
       // Only append topBar if it has children (filters/refresh exist)
@@ -576,6 +651,14 @@ const RewstDOM = {
         container.appendChild(topBar);
       }
     }
+
+    // Tables without a top bar still get the export menu, right-aligned above the table
+    if (exportControl && !container.contains(exportControl)) {
+      const exportRow = document.createElement('div');
+      exportRow.className = 'mb-4 flex justify-end';
+      exportRow.appendChild(exportControl);
+      container.appendChild(exportRow);
+    }
     
     // Close dropdowns when clicking outside
     document.addEventListener('click', (e) => {
@@ -669,36 +752,7 @@ const RewstDOM = {
     
     // Apply default sort if specified
     if (defaultSort && defaultSort.column) {
-      displayData.sort((a, b) => {
-        let aVal = a[defaultSort.column];
-        let bVal = b[defaultSort.column];
-
-        // Handle null/undefined
-        if (aVal === null || aVal === undefined) aVal = '';
-        if (bVal === null || bVal === undefined) bVal = '';
-
-        // Handle numbers - use raw values which are always source of truth
-        if (typeof aVal === 'number' && typeof bVal === 'number') {
-          return defaultSort.direction === 'asc' ? aVal - bVal : bVal - aVal;
-        }
-        
-        // Try to parse as numbers if they look numeric
-        const aNum = parseFloat(aVal);
-        const bNum = parseFloat(bVal);
-        if (!isNaN(aNum) && !isNaN(bNum)) {
-          return defaultSort.direction === 'asc' ? aNum - bNum : bNum - aNum;
-        }
-
-        // Handle strings
-        const aStr = String(aVal).toLowerCase();
-        const bStr = String(bVal).toLowerCase();
-
-        if (defaultSort.direction === 'asc') {
-          return aStr.localeCompare(bStr);
-        } else {
-          return bStr.localeCompare(aStr);
-        }
-      });
+      displayData.sort((a, b) => RewstDOM._compareTableValues(a[defaultSort.column], b[defaultSort.column], defaultSort.direction));
     }
     
     // Initial pagination
@@ -761,36 +815,7 @@ const RewstDOM = {
             }
 
             // Sort the data - always use raw values
-            displayData.sort((a, b) => {
-              let aVal = a[col];
-              let bVal = b[col];
-
-              // Handle null/undefined
-              if (aVal === null || aVal === undefined) aVal = '';
-              if (bVal === null || bVal === undefined) bVal = '';
-
-              // Handle numbers - use raw values which are always source of truth
-              if (typeof aVal === 'number' && typeof bVal === 'number') {
-                return sortDirection === 'asc' ? aVal - bVal : bVal - aVal;
-              }
-              
-              // Try to parse as numbers if they look numeric
-              const aNum = parseFloat(aVal);
-              const bNum = parseFloat(bVal);
-              if (!isNaN(aNum) && !isNaN(bNum)) {
-                return sortDirection === 'asc' ? aNum - bNum : bNum - aNum;
-              }
-
-              // Handle strings
-              const aStr = String(aVal).toLowerCase();
-              const bStr = String(bVal).toLowerCase();
-
-              if (sortDirection === 'asc') {
-                return aStr.localeCompare(bStr);
-              } else {
-                return bStr.localeCompare(aStr);
-              }
-            });
+            displayData.sort((a, b) => RewstDOM._compareTableValues(a[col], b[col], sortDirection));
 
             paginateData();
             renderTable();
@@ -1017,6 +1042,33 @@ const RewstDOM = {
   },
 
 
+  /**
+   * Compare two raw table values for sorting (numbers, numeric strings, then text)
+   * @private
+   */
+  _compareTableValues(aVal, bVal, direction = 'asc') {
+    // Handle null/undefined
+    if (aVal === null || aVal === undefined) aVal = '';
+    if (bVal === null || bVal === undefined) bVal = '';
+
+    // Handle numbers - use raw values which are always source of truth
+    if (typeof aVal === 'number' && typeof bVal === 'number') {
+      return direction === 'asc' ? aVal - bVal : bVal - aVal;
+    }
+
+    // Try to parse as numbers if they look numeric
+    const aNum = parseFloat(aVal);
+    const bNum = parseFloat(bVal);
+    if (!isNaN(aNum) && !isNaN(bNum)) {
+      return direction === 'asc' ? aNum - bNum : bNum - aNum;
+    }
+
+    // Handle strings
+    const aStr = String(aVal).toLowerCase();
+    const bStr = String(bVal).toLowerCase();
+    return direction === 'asc' ? aStr.localeCompare(bStr) : bStr.localeCompare(aStr);
+  },
+
   /**
    * Parse date from various formats to Date object
    * @private
@@ -1809,6 +1861,228 @@ const RewstDOM = {
     return wrapper;
   },
 
+  /**
+   * Create a multiselect over a tree (e.g. parent / child organizations).
+   * Same tags box and API as createMultiSelect; the dropdown indents children under
+   * collapsible parents and has a search box that keeps matches' ancestors visible.
+   * @param {Array} nodes - Array of {value, label, children?: [...]} objects
+   * @param {Object} config - Configuration options
+   * @param {string} config.placeholder - Text shown when nothing is selected
+   * @param {Array} config.defaultValues - Initially selected values
+   * @param {Function} config.onChange - Called with the selected values array
+   * @param {string} config.maxHeight - Dropdown max height (default '320px')
+   * @param {string} config.searchPlaceholder - Search box placeholder
+   * @returns {HTMLElement} The tree select component
+   */
+  createTreeSelect(nodes, config = {}) {
+    const {
+      placeholder = 'Select items...',
+      defaultValues = [],
+      onChange = null,
+      maxHeight = '320px',
+      searchPlaceholder = 'Search...'
+    } = config;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'w-full relative';
+
+    const selectedValues = new Set(defaultValues);
+    const labels = new Map();
+    const visit = (list) => list.forEach(node => {
+      labels.set(node.value, node.label);
+      visit(node.children || []);
+    });
+    visit(nodes);
+
+    // Top-level parents start expanded, deeper ones collapsed
+    const expanded = new Set(nodes.filter(node => node.children?.length).map(node => node.value));
+    let searchTerm = '';
+
+    const tagsContainer = document.createElement('div');
+    tagsContainer.className = 'w-full min-h-[42px] px-3 py-2 border-2 border-rewst-light-gray rounded-md focus-within:ring-2 focus-within:ring-rewst-teal focus-within:border-rewst-teal flex flex-wrap gap-2 items-center bg-white cursor-pointer hover:border-rewst-gray transition-colors';
+
+    const dropdownMenu = document.createElement('div');
+    dropdownMenu.className = 'hidden absolute z-10 w-full mt-1 bg-white border-2 border-rewst-light-gray rounded-md shadow-lg';
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'text';
+    searchInput.placeholder = searchPlaceholder;
+    searchInput.className = 'w-full px-3 py-2 text-sm border-b border-rewst-light-gray focus:outline-none';
+
+    const treeContainer = document.createElement('div');
+    treeContainer.className = 'overflow-auto py-1';
+    treeContainer.style.maxHeight = maxHeight;
+
+    dropdownMenu.appendChild(searchInput);
+    dropdownMenu.appendChild(treeContainer);
+
+    const notifyChange = () => {
+      if (onChange) onChange(Array.from(selectedValues));
+    };
+
+    const renderTags = () => {
+      tagsContainer.innerHTML = '';
+
+      if (selectedValues.size > 0) {
+        selectedValues.forEach(value => {
+          const tag = document.createElement('div');
+          tag.className = 'inline-flex items-center gap-1 px-3 py-1.5 bg-rewst-light-gray text-rewst-dark-gray rounded-full text-sm font-medium';
+
+          const tagLabel = document.createElement('span');
+          tagLabel.textContent = labels.get(value) || value;
+
+          const removeBtn = document.createElement('button');
+          removeBtn.type = 'button';
+          removeBtn.className = 'material-icons text-rewst-dark-gray hover:text-rewst-black cursor-pointer';
+          removeBtn.style.fontSize = '18px';
+          removeBtn.textContent = 'close';
+          removeBtn.onclick = (e) => {
+            e.stopPropagation();
+            selectedValues.delete(value);
+            renderTags();
+            renderTree();
+            notifyChange();
+          };
+
+          tag.appendChild(tagLabel);
+          tag.appendChild(removeBtn);
+          tagsContainer.appendChild(tag);
+        });
+      } else {
+        const placeholderSpan = document.createElement('span');
+        placeholderSpan.className = 'text-rewst-gray text-sm';
+        placeholderSpan.textContent = placeholder;
+        tagsContainer.appendChild(placeholderSpan);
+      }
+
+      const arrow = document.createElement('span');
+      arrow.className = 'material-icons text-rewst-gray ml-auto';
+      arrow.style.fontSize = '20px';
+      arrow.textContent = 'expand_more';
+      tagsContainer.appendChild(arrow);
+    };
+
+    // A node is shown when it or any descendant matches the search
+    const matchesSearch = (node) => {
+      if (!searchTerm) return true;
+      if (String(node.label).toLowerCase().includes(searchTerm)) return true;
+      return (node.children || []).some(matchesSearch);
+    };
+
+    const renderNode = (node, depth) => {
+      if (!matchesSearch(node)) return;
+
+      const hasChildren = node.children?.length > 0;
+      const isOpen = hasChildren && (searchTerm !== '' || expanded.has(node.value));
+      const isSelected = selectedValues.has(node.value);
+
+      const row = document.createElement('div');
+      row.className = `flex items-center gap-1 pr-3 py-1 hover:bg-rewst-light-gray ${isSelected ? 'bg-rewst-light' : ''}`;
+      row.style.paddingLeft = `${8 + depth * 16}px`;
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'material-icons text-rewst-gray';
+      toggle.style.fontSize = '18px';
+      toggle.style.visibility = hasChildren ? 'visible' : 'hidden';
+      toggle.textContent = isOpen ? 'expand_more' : 'chevron_right';
+      toggle.title = isOpen ? 'Collapse' : 'Expand';
+      toggle.onclick = (e) => {
+        e.stopPropagation();
+        if (expanded.has(node.value)) {
+          expanded.delete(node.value);
+        } else {
+          expanded.add(node.value);
+        }
+        renderTree();
+      };
+
+      const optionEl = document.createElement('button');
+      optionEl.type = 'button';
+      optionEl.className = 'flex-1 min-w-0 flex items-center justify-between gap-2 text-left';
+
+      const labelSpan = document.createElement('span');
+      labelSpan.textContent = hasChildren ? `${node.label} (${node.children.length})` : node.label;
+      labelSpan.className = `truncate text-sm ${isSelected ? 'text-rewst-teal font-medium' : 'text-rewst-dark-gray'}`;
+
+      const checkIcon = document.createElement('span');
+      checkIcon.className = 'material-icons text-rewst-teal';
+      checkIcon.style.fontSize = '20px';
+      checkIcon.textContent = 'check';
+      checkIcon.style.visibility = isSelected ? 'visible' : 'hidden';
+
+      optionEl.appendChild(labelSpan);
+      optionEl.appendChild(checkIcon);
+      optionEl.onclick = (e) => {
+        e.stopPropagation();
+        if (isSelected) {
+          selectedValues.delete(node.value);
+        } else {
+          selectedValues.add(node.value);
+        }
+        renderTags();
+        renderTree();
+        notifyChange();
+      };
+
+      row.appendChild(toggle);
+      row.appendChild(optionEl);
+      treeContainer.appendChild(row);
+
+      if (isOpen) {
+        node.children.forEach(child => renderNode(child, depth + 1));
+      }
+    };
+
+    const renderTree = () => {
+      treeContainer.innerHTML = '';
+      nodes.forEach(node => renderNode(node, 0));
+
+      if (!treeContainer.hasChildNodes()) {
+        const emptyMsg = document.createElement('div');
+        emptyMsg.className = 'px-3 py-2 text-rewst-gray text-sm';
+        emptyMsg.textContent = nodes.length === 0 ? 'No options available' : 'No results found';
+        treeContainer.appendChild(emptyMsg);
+      }
+    };
+
+    searchInput.addEventListener('input', () => {
+      searchTerm = searchInput.value.trim().toLowerCase();
+      renderTree();
+    });
+    searchInput.addEventListener('click', (e) => e.stopPropagation());
+
+    tagsContainer.onclick = (e) => {
+      if (e.target.closest('button[type="button"]')) return;
+      e.stopPropagation();
+      dropdownMenu.classList.toggle('hidden');
+      if (!dropdownMenu.classList.contains('hidden')) searchInput.focus();
+    };
+
+    const closeHandler = (e) => {
+      if (!wrapper.contains(e.target)) {
+        dropdownMenu.classList.add('hidden');
+      }
+    };
+    document.addEventListener('click', closeHandler);
+
+    wrapper.appendChild(tagsContainer);
+    wrapper.appendChild(dropdownMenu);
+
+    renderTags();
+    renderTree();
+
+    wrapper.getValues = () => Array.from(selectedValues);
+    wrapper.setValues = (values) => {
+      selectedValues.clear();
+      values.forEach(v => selectedValues.add(v));
+      renderTags();
+      renderTree();
+    };
+
+    return wrapper;
+  },
+
 
   /**
    * Create a Rewst form dynamically with conditional field support and workflow tracking
@@ -3204,6 +3478,12 @@ const RewstDOM = {
       card.className = `w-full card card-metric card-${color}`;
     }
 
+    // Final (un-animated) values, read back by report generation
+    card.dataset.metricTitle = title;
+    card.dataset.metricValue = value;
+    if (subtitle) card.dataset.metricSubtitle = subtitle;
+    if (trend && trendValue) card.dataset.metricTrend = trendValue;
+
     // Header with title/subtitle and optional icon
     const header = document.createElement('div');
     header.className = 'flex items-start justify-between mb-4';
@@ -0,0 +1,156 @@
+(function attachRewstSavedViews(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstSavedViews = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstSavedViewsApi() {
+  const PREFERENCE_KEY = 'savedViews';
+  const MAX_NAME_LENGTH = 60;
+
+  function createId() {
+    return `view_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function normalizeList(values) {
+    return Array.isArray(values)
+      ? Array.from(new Set(values.filter(value => typeof value === 'string' && value))).sort()
+      : [];
+  }
+
+  // A view only holds the drawer filters; no orgIds means every org. Views saved
+  // before multi-org selection hold a single orgId.
+  function normalizeFilters(value = {}) {
+    return {
+      orgIds: normalizeList(value?.orgIds || (value?.orgId ? [value.orgId] : [])),
+      rollUpChildren: value?.rollUpChildren === true,
+      triggerTypes: normalizeList(value?.triggerTypes),
+      excludeTest: value?.excludeTest === true,
+    };
+  }
+
+  function normalizeName(name) {
+    return String(name ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+  }
+
+  /**
+   * Fill defaults and drop malformed entries from stored views
+   * @param {Object} value - { defaultViewId?, views?: [{ id, name, orgIds, rollUpChildren, triggerTypes, excludeTest }] }
+   * @returns {Object} - { defaultViewId: string|null, views: [...] } sorted by name
+   */
+  function normalizeViews(value = {}) {
+    const seen = new Set();
+    const views = (Array.isArray(value?.views) ? value.views : [])
+      .map(view => ({ id: view?.id, name: normalizeName(view?.name), ...normalizeFilters(view) }))
+      .filter(view => {
+        if (typeof view.id !== 'string' || !view.id || !view.name || seen.has(view.id)) return false;
+        seen.add(view.id);
+        return true;
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const defaultViewId = views.some(view => view.id === value?.defaultViewId) ? value.defaultViewId : null;
+    return { defaultViewId, views };
+  }
+
+  function assertName(collection, name, ignoreId = null) {
+    const normalized = normalizeName(name);
+    if (!normalized) {
+      throw new Error('View name is required');
+    }
+    const taken = collection.views.some(view =>
+      view.id !== ignoreId && view.name.toLowerCase() === normalized.toLowerCase()
+    );
+    if (taken) {
+      throw new Error(`A view named "${normalized}" already exists`);
+    }
+    return normalized;
+  }
+
+  function assertView(collection, id) {
+    const view = collection.views.find(item => item.id === id);
+    if (!view) {
+      throw new Error('Saved view not found');
+    }
+    return view;
+  }
+
+  /**
+   * Add a view for the given filters. Collections are never mutated; every change returns a new one.
+   * @param {Object} collection - Normalized views
+   * @param {string} name - Display name (unique, case-insensitive)
+   * @param {Object} filters - { orgIds, rollUpChildren, triggerTypes, excludeTest }
+   * @returns {Object} - { collection, view }
+   */
+  function createView(collection, name, filters) {
+    const view = { id: createId(), name: assertName(collection, name), ...normalizeFilters(filters) };
+    return { collection: normalizeViews({ ...collection, views: [...collection.views, view] }), view };
+  }
+
+  function renameView(collection, id, name) {
+    assertView(collection, id);
+    const normalized = assertName(collection, name, id);
+    return normalizeViews({
+      ...collection,
+      views: collection.views.map(view => (view.id === id ? { ...view, name: normalized } : view)),
+    });
+  }
+
+  function deleteView(collection, id) {
+    assertView(collection, id);
+    return normalizeViews({
+      defaultViewId: collection.defaultViewId === id ? null : collection.defaultViewId,
+      views: collection.views.filter(view => view.id !== id),
+    });
+  }
+
+  // Pass null to clear the default
+  function setDefaultView(collection, id) {
+    if (id !== null) assertView(collection, id);
+    return normalizeViews({ ...collection, defaultViewId: id });
+  }
+
+  function getDefaultView(collection) {
+    return collection.views.find(view => view.id === collection.defaultViewId) || null;
+  }
+
+  // The saved view whose filters equal the current ones (checked in the header menu), if any
+  function findMatchingView(collection, filters) {
+    const current = normalizeFilters(filters);
+    return collection.views.find(view =>
+      view.orgIds.join('\n') === current.orgIds.join('\n')
+      && view.rollUpChildren === current.rollUpChildren
+      && view.excludeTest === current.excludeTest
+      && view.triggerTypes.join('\n') === current.triggerTypes.join('\n')
+    ) || null;
+  }
+
+  async function loadViews(store) {
+    return normalizeViews(await store.load(PREFERENCE_KEY));
+  }
+
+  async function saveViews(store, collection) {
+    const normalized = normalizeViews(collection);
+    await store.save(PREFERENCE_KEY, normalized);
+    return normalized;
+  }
+
+  return {
+    PREFERENCE_KEY,
+    MAX_NAME_LENGTH,
+    normalizeFilters,
+    normalizeViews,
+    createView,
+    renameView,
+    deleteView,
+    setDefaultView,
+    getDefaultView,
+    findMatchingView,
+    loadViews,
+    saveViews,
+  };
+});
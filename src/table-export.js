@@ -0,0 +1,289 @@
+(function attachRewstTableExport(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstTableExport = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstTableExportApi() {
+  const CSV_MIME = 'text/csv;charset=utf-8';
+  const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+  // Spreadsheet apps evaluate text cells starting with these as formulas
+  const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+  function getHeaderLabel(column, headers = {}) {
+    return headers[column] || column.replace(/_/g, ' ');
+  }
+
+  // Raw row value → exportable scalar. Objects are written as JSON, the same way the table shows them.
+  function toCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+    if (typeof value === 'number') return Number.isFinite(value) ? value : '';
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  function toTextCell(value) {
+    const cell = toCellValue(value);
+    if (typeof cell !== 'string') return String(cell);
+    return FORMULA_PREFIX.test(cell) ? `'${cell}` : cell;
+  }
+
+  /**
+   * Rows as RFC 4180 CSV (CRLF line endings, header row first)
+   * @param {Array<Object>} rows - Raw row objects
+   * @param {Array<string>} columns - Column keys, in output order
+   * @param {Object} headers - Optional display names { key: 'Header' }
+   * @returns {string}
+   */
+  function toCsv(rows, columns, headers = {}) {
+    const quote = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = [columns.map(column => quote(getHeaderLabel(column, headers)))];
+
+    rows.forEach(row => {
+      lines.push(columns.map(column => quote(toTextCell(row[column]))));
+    });
+
+    return lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+  }
+
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // XML 1.0 has no representation for most control characters
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+
+  function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  function xmlCell(ref, value, style = 0) {
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (typeof value === 'number') return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+    if (value === '') return '';
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  }
+
+  function buildSheetXml(rows, columns, headers) {
+    const headerCells = columns.map((column, index) => xmlCell(`${columnName(index)}1`, getHeaderLabel(column, headers), 1));
+    const sheetRows = [`<row r="1">${headerCells.join('')}</row>`];
+
+    rows.forEach((row, rowIndex) => {
+      const r = rowIndex + 2;
+      const cells = columns.map((column, index) => xmlCell(`${columnName(index)}${r}`, toCellValue(row[column])));
+      sheetRows.push(`<row r="${r}">${cells.join('')}</row>`);
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<sheetData>${sheetRows.join('')}</sheetData>` +
+      '</worksheet>';
+  }
+
+  // Excel rejects sheet names over 31 chars or containing []:*?/\
+  function toSheetName(name) {
+    const cleaned = String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31);
+    return cleaned || 'Sheet1';
+  }
+
+  function buildWorkbookFiles(rows, columns, headers, sheetName) {
+    return {
+      '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+      '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+      'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(toSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+      'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>',
+      // Style 1 = bold header row
+      'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>',
+      'xl/worksheets/sheet1.xml': buildSheetXml(rows, columns, headers),
+    };
+  }
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // Minimal ZIP writer: entries are STORED (no compression), which every
+  // spreadsheet app accepts and keeps the dashboard free of a zip dependency.
+  function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+      const nameBytes = encoder.encode(name);
+      const data = typeof content === 'string' ? encoder.encode(content) : content;
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+      centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, centralParts.length / 2, true);
+    end.setUint16(10, centralParts.length / 2, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      output.set(part, position);
+      position += part.length;
+    });
+    return output;
+  }
+
+  /**
+   * Rows as a single-sheet XLSX workbook. Numbers and booleans keep their cell
+   * types; everything else is written as text.
+   * @param {Array<Object>} rows - Raw row objects
+   * @param {Array<string>} columns - Column keys, in output order
+   * @param {Object} headers - Optional display names { key: 'Header' }
+   * @param {string} sheetName - Worksheet tab name
+   * @returns {Uint8Array} - .xlsx file bytes
+   */
+  function toXlsx(rows, columns, headers = {}, sheetName = 'Sheet1') {
+    return createZip(buildWorkbookFiles(rows, columns, headers, sheetName));
+  }
+
+  // Table titles are HTML and often lead with a Material Icons ligature
+  // ('<span class="material-icons">emoji_events</span> Top Workflows'); keep only the words.
+  function toPlainTitle(title) {
+    return String(title || '')
+      .replace(/<(\w+)[^>]*class="[^"]*material-icons[^"]*"[^>]*>[\s\S]*?<\/\1>/g, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // "<span>Top Workflows</span>" → "Top-Workflows-2026-03-01"
+  function toFileBaseName(title, now = new Date()) {
+    const text = toPlainTitle(title);
+    const base = text.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'table';
+    const pad = number => String(number).padStart(2, '0');
+    return `${base}-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+
+  function downloadFile(content, fileName, mimeType, doc = document) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    doc.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Export rows and trigger a browser download
+   * @param {string} format - 'csv' or 'xlsx'
+   * @param {Array<Object>} rows - Raw row objects
+   * @param {Object} options - { columns, headers?, fileName?, sheetName? }
+   */
+  function exportRows(format, rows, { columns, headers = {}, fileName = 'table', sheetName } = {}) {
+    if (format === 'csv') {
+      // BOM so Excel opens UTF-8 CSVs with the right encoding
+      downloadFile('﻿' + toCsv(rows, columns, headers), `${fileName}.csv`, CSV_MIME);
+      return;
+    }
+    if (format === 'xlsx') {
+      downloadFile(toXlsx(rows, columns, headers, sheetName || fileName), `${fileName}.xlsx`, XLSX_MIME);
+      return;
+    }
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  return {
+    toCsv,
+    toXlsx,
+    toPlainTitle,
+    toFileBaseName,
+    downloadFile,
+    exportRows,
+  };
+});
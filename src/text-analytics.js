@@ -0,0 +1,139 @@
+(function attachRewstTextAnalytics(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstTextAnalytics = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstTextAnalyticsApi() {
+  const FREE_TEXT_FIELD_TYPES = ['TEXT_INPUT', 'TEXTAREA'];
+  const DEFAULT_TOP_TERMS = 20;
+
+  // Answer length buckets in characters; the last is open-ended
+  const LENGTH_EDGES = [1, 11, 51, 101, 251, 501];
+
+  const STOPWORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+    'before', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'get', 'had', 'has',
+    'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+    'me', 'my', 'need', 'needs', 'no', 'not', 'of', 'on', 'or', 'our', 'please', 'she', 'so', 'some',
+    'than', 'thank', 'thanks', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with',
+    'would', 'you', 'your',
+  ]);
+
+  function toText(value) {
+    if (value === null || value === undefined) return '';
+    return (Array.isArray(value) ? value.join(' ') : String(value)).trim();
+  }
+
+  /**
+   * Lower-cased words of an answer in order. Numbers and one-letter words are dropped;
+   * stopwords are kept here so bigrams don't join words that weren't next to each other.
+   * @param {string} text
+   * @returns {Array} - Words
+   */
+  function tokenize(text) {
+    return (toText(text).toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'_-]*/gu) || [])
+      .map(word => word.replace(/['_-]+$/, ''))
+      .filter(word => word.length > 1 && !/^\d+$/.test(word));
+  }
+
+  /**
+   * Whether a form field holds free text: by field type when the form is known, otherwise
+   * by its answers (mostly distinct values with spaces in them)
+   * @param {string|null} fieldType - Form field type, e.g. TEXT_INPUT
+   * @param {Array} values - Non-empty answers seen for the field
+   * @returns {boolean}
+   */
+  function isFreeTextField(fieldType, values = []) {
+    if (fieldType) return FREE_TEXT_FIELD_TYPES.includes(fieldType);
+    const texts = values.filter(value => typeof value === 'string' && value.trim());
+    if (texts.length < 5) return false;
+    const distinct = new Set(texts).size;
+    return distinct / texts.length >= 0.7 && texts.some(text => /\s/.test(text.trim()));
+  }
+
+  function rankTerms(counts, topN) {
+    return Array.from(counts.entries())
+      .map(([term, { count, answers }]) => ({ term, count, answers }))
+      .sort((a, b) => b.answers - a.answers || b.count - a.count || a.term.localeCompare(b.term))
+      .slice(0, topN);
+  }
+
+  /**
+   * Summarize free-text answers: how many were filled in, how long they are, and the
+   * most common words and two-word phrases with stopwords removed
+   * @param {Array} answers - One raw answer per submission (empty / missing answers included)
+   * @param {Object} [options]
+   * @param {number} [options.topN=20] - Terms and bigrams returned
+   * @returns {Object} - { total, filled, empty, filledRate, length: { min, max, mean, median },
+   *   lengthBuckets: [{ label, min, max, count }], terms: [{ term, count, answers }], bigrams: [...] }
+   */
+  function analyzeAnswers(answers = [], { topN = DEFAULT_TOP_TERMS } = {}) {
+    const texts = answers.map(toText);
+    const filledTexts = texts.filter(Boolean);
+    const lengths = filledTexts.map(text => text.length).sort((a, b) => a - b);
+
+    const terms = new Map();
+    const bigrams = new Map();
+    const add = (counts, term, seen) => {
+      if (!counts.has(term)) counts.set(term, { count: 0, answers: 0 });
+      const entry = counts.get(term);
+      entry.count++;
+      if (!seen.has(term)) {
+        seen.add(term);
+        entry.answers++;
+      }
+    };
+
+    filledTexts.forEach(text => {
+      const words = tokenize(text);
+      const seen = new Set();
+      words.forEach((word, index) => {
+        if (STOPWORDS.has(word)) return;
+        add(terms, word, seen);
+        const next = words[index + 1];
+        if (next && !STOPWORDS.has(next)) add(bigrams, `${word} ${next}`, seen);
+      });
+    });
+
+    const lengthBuckets = LENGTH_EDGES.map((min, index) => {
+      const max = index < LENGTH_EDGES.length - 1 ? LENGTH_EDGES[index + 1] - 1 : null;
+      return {
+        label: max === null ? `${min}+` : `${min}–${max}`,
+        min,
+        max,
+        count: lengths.filter(length => length >= min && (max === null || length <= max)).length,
+      };
+    });
+
+    const middle = Math.floor(lengths.length / 2);
+    return {
+      total: texts.length,
+      filled: filledTexts.length,
+      empty: texts.length - filledTexts.length,
+      filledRate: texts.length > 0 ? (filledTexts.length / texts.length) * 100 : 0,
+      length: {
+        min: lengths.length > 0 ? lengths[0] : null,
+        max: lengths.length > 0 ? lengths[lengths.length - 1] : null,
+        mean: lengths.length > 0 ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : null,
+        median: lengths.length === 0 ? null : lengths.length % 2 ? lengths[middle] : (lengths[middle - 1] + lengths[middle]) / 2,
+      },
+      lengthBuckets,
+      terms: rankTerms(terms, topN),
+      bigrams: rankTerms(bigrams, topN),
+    };
+  }
+
+  return {
+    FREE_TEXT_FIELD_TYPES,
+    STOPWORDS,
+    tokenize,
+    isFreeTextField,
+    analyzeAnswers,
+  };
+});
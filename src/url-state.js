@@ -0,0 +1,115 @@
+(function attachRewstUrlState(root, factory) {
+  const dateRangeApi = typeof module === 'object' && module.exports
+    ? require('./date-range.js')
+    : root.RewstDateRange;
+  const api = factory(dateRangeApi);
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstUrlState = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstUrlStateApi(RewstDateRange) {
+  const PAGES = ['overall', 'workflows', 'forms', 'adoption', 'insights'];
+  const DEFAULT_PAGE = 'overall';
+
+  // A selection only means something on its own detail page
+  const SELECTION_PAGES = {
+    workflowId: 'workflows',
+    formId: 'forms',
+  };
+
+  /**
+   * Dashboard state → URL hash. Defaults are left out so a fresh dashboard keeps a bare URL.
+   * Open-ended presets (rolling, *_to_date) are stored by name and re-resolved on open;
+   * closed ranges also store their inclusive calendar days so a shared link shows the same data.
+   * @param {Object} state - { page, workflowId, formId, orgIds, rollUpChildren, dateRange, triggerTypes, excludeTest }
+   * @returns {string} - Hash including the leading "#", or "" for the default state
+   */
+  function serializeState(state = {}) {
+    const params = new URLSearchParams();
+    const page = PAGES.includes(state.page) ? state.page : DEFAULT_PAGE;
+
+    if (page !== DEFAULT_PAGE) params.set('page', page);
+    if (page === SELECTION_PAGES.workflowId && state.workflowId) params.set('workflow', state.workflowId);
+    if (page === SELECTION_PAGES.formId && state.formId) params.set('form', state.formId);
+    (state.orgIds || []).forEach(orgId => params.append('org', orgId));
+    if (state.rollUpChildren && state.orgIds?.length > 0) params.set('rollup', '1');
+
+    const range = state.dateRange;
+    if (range?.preset && !(range.preset === RewstDateRange.DEFAULT_PRESET && RewstDateRange.isOpenEnded(range))) {
+      params.set('range', range.preset);
+      if (!RewstDateRange.isOpenEnded(range)) {
+        // Range end is exclusive, so the last included day is one millisecond earlier
+        params.set('from', RewstDateRange.toInputValue(range.start));
+        params.set('to', RewstDateRange.toInputValue(new Date(new Date(range.end).getTime() - 1)));
+      }
+    }
+
+    (state.triggerTypes || []).forEach(type => params.append('trigger', type));
+    if (state.excludeTest) params.set('excludeTest', '1');
+
+    const query = params.toString();
+    return query ? `#${query}` : '';
+  }
+
+  function parseDateRange(params, now) {
+    const preset = params.get('range');
+    if (!preset || !RewstDateRange.PRESETS.some(option => option.value === preset)) {
+      return RewstDateRange.resolvePreset(RewstDateRange.DEFAULT_PRESET, now);
+    }
+
+    if (RewstDateRange.isOpenEnded({ preset })) {
+      return RewstDateRange.resolvePreset(preset, now);
+    }
+
+    try {
+      return { ...RewstDateRange.createCustomRange(params.get('from'), params.get('to')), preset };
+    } catch (error) {
+      // Calendar presets without usable bounds fall back to their meaning today
+      return preset === RewstDateRange.CUSTOM_PRESET
+        ? RewstDateRange.resolvePreset(RewstDateRange.DEFAULT_PRESET, now)
+        : RewstDateRange.resolvePreset(preset, now);
+    }
+  }
+
+  /**
+   * URL hash → dashboard state. Unknown or malformed values fall back to the defaults.
+   * @param {string} hash - location.hash (with or without the leading "#")
+   * @param {Date} now - Reference time for open-ended presets
+   * @returns {Object} - { page, workflowId, formId, orgIds, rollUpChildren, dateRange, triggerTypes, excludeTest }
+   */
+  function parseState(hash = '', now = new Date()) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const page = PAGES.includes(params.get('page')) ? params.get('page') : DEFAULT_PAGE;
+
+    return {
+      page,
+      workflowId: page === SELECTION_PAGES.workflowId ? params.get('workflow') : null,
+      formId: page === SELECTION_PAGES.formId ? params.get('form') : null,
+      orgIds: params.getAll('org').filter(Boolean),
+      rollUpChildren: params.get('rollup') === '1',
+      dateRange: parseDateRange(params, now),
+      triggerTypes: params.getAll('trigger').filter(Boolean),
+      excludeTest: params.get('excludeTest') === '1',
+    };
+  }
+
+  // Moving to another page or selection is a navigation step (new history entry);
+  // filter tweaks on the same view replace the current entry.
+  function isNavigation(previous, next) {
+    return previous.page !== next.page
+      || previous.workflowId !== next.workflowId
+      || previous.formId !== next.formId;
+  }
+
+  return {
+    PAGES,
+    DEFAULT_PAGE,
+    serializeState,
+    parseState,
+    isNavigation,
+  };
+});
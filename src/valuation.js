@@ -0,0 +1,117 @@
+(function attachRewstValuation(root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  if (root) {
+    root.RewstValuation = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createRewstValuationApi() {
+  const PREFERENCE_KEY = 'valuationSettings';
+  const DEFAULT_HOURLY_RATE = 50;
+  const DEFAULT_CURRENCY = 'USD';
+
+  const CURRENCIES = [
+    { value: 'USD', label: 'US Dollar (USD)' },
+    { value: 'CAD', label: 'Canadian Dollar (CAD)' },
+    { value: 'EUR', label: 'Euro (EUR)' },
+    { value: 'GBP', label: 'British Pound (GBP)' },
+    { value: 'AUD', label: 'Australian Dollar (AUD)' },
+    { value: 'NZD', label: 'New Zealand Dollar (NZD)' },
+    { value: 'ZAR', label: 'South African Rand (ZAR)' },
+  ];
+
+  function toRate(value) {
+    const rate = Number(value);
+    return Number.isFinite(rate) && rate >= 0 ? rate : null;
+  }
+
+  // Keep only well-formed { id: rate } entries
+  function normalizeRates(rates) {
+    return Object.entries(rates || {}).reduce((result, [id, value]) => {
+      const rate = toRate(value);
+      if (id && rate !== null) result[id] = rate;
+      return result;
+    }, {});
+  }
+
+  /**
+   * Fill defaults and drop invalid values from stored or edited settings
+   * @param {Object} value - { currency?, defaultRate?, orgRates?, workflowRates? }
+   * @returns {Object} - { currency, defaultRate, orgRates: { orgId: rate }, workflowRates: { workflowId: rate } }
+   */
+  function normalizeSettings(value = {}) {
+    const currency = CURRENCIES.some(option => option.value === value?.currency) ? value.currency : DEFAULT_CURRENCY;
+    const defaultRate = toRate(value?.defaultRate);
+
+    return {
+      currency,
+      defaultRate: defaultRate === null ? DEFAULT_HOURLY_RATE : defaultRate,
+      orgRates: normalizeRates(value?.orgRates),
+      workflowRates: normalizeRates(value?.workflowRates),
+    };
+  }
+
+  // Most specific rate wins: workflow override, then org override, then the default
+  function getHourlyRate(settings, { orgId = null, workflowId = null } = {}) {
+    if (workflowId && settings.workflowRates[workflowId] !== undefined) return settings.workflowRates[workflowId];
+    if (orgId && settings.orgRates[orgId] !== undefined) return settings.orgRates[orgId];
+    return settings.defaultRate;
+  }
+
+  /**
+   * Value time saved at the configured rates. This is the only place hours become money.
+   * @param {Array} entries - [{ seconds, orgId?, workflowId? }]
+   * @param {Object} settings - Normalized valuation settings
+   * @returns {Object} - { hours, value }
+   */
+  function valueTimeSaved(entries, settings) {
+    return entries.reduce((totals, entry) => {
+      const hours = (entry.seconds || 0) / 3600;
+      totals.hours += hours;
+      totals.value += hours * getHourlyRate(settings, entry);
+      return totals;
+    }, { hours: 0, value: 0 });
+  }
+
+  function formatCurrency(amount, settings, { maximumFractionDigits = 0 } = {}) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: settings.currency,
+      minimumFractionDigits: Math.min(maximumFractionDigits, 2),
+      maximumFractionDigits,
+    }).format(amount || 0);
+  }
+
+  // Rate phrase for card subtitles, e.g. "$50/hour" or "$50/hour (3 custom rates)"
+  function describeRate(settings) {
+    const overrides = Object.keys(settings.orgRates).length + Object.keys(settings.workflowRates).length;
+    const base = `${formatCurrency(settings.defaultRate, settings, { maximumFractionDigits: 2 }).replace(/\.00$/, '')}/hour`;
+    return overrides > 0 ? `${base} (${overrides} custom rate${overrides === 1 ? '' : 's'})` : base;
+  }
+
+  async function loadSettings(store) {
+    return normalizeSettings(await store.load(PREFERENCE_KEY));
+  }
+
+  async function saveSettings(store, settings) {
+    const normalized = normalizeSettings(settings);
+    await store.save(PREFERENCE_KEY, normalized);
+    return normalized;
+  }
+
+  return {
+    PREFERENCE_KEY,
+    DEFAULT_HOURLY_RATE,
+    CURRENCIES,
+    normalizeSettings,
+    getHourlyRate,
+    valueTimeSaved,
+    formatCurrency,
+    describeRate,
+    loadSettings,
+    saveSettings,
+  };
+});
@@ -86,6 +86,18 @@ class RewstApp {
     // Session-scoped cache for getManagedOrganizations (keyed by parentOrgId)
     // Stores the in-flight promise so concurrent calls get deduplicated too
     this._managedOrgsCache = new Map();
+
+    // Retry bookkeeping for _graphql (see getRetryStats). onRetry is called before each retry
+    // with { operationName, attempt, retries, delayMs, status, error } so a UI can show "retrying…"
+    this.onRetry = config.onRetry || null;
+    this._retryStats = { retries: 0, recovered: 0, exhausted: 0, pending: 0 };
+
+    // Request layer for _graphql queries: identical in-flight requests share one call, and
+    // callers passing options.cacheTtlMs reuse the response until it expires (see invalidateRequestCache)
+    this._inflightRequests = new Map();
+    this._responseCache = new Map();
+    this._requestCacheGeneration = 0;
+    this._requestStats = { hits: 0, misses: 0, coalesced: 0 };
   }
 
   /**
@@ -102,6 +114,11 @@ class RewstApp {
     }
   }
 
+  // Truncation and partial-data warnings are shown even without debug mode
+  _warn(...args) {
+    console.warn('[Rewst Warning]', ...args);
+  }
+
   /**
    * Hard safety guard. Throws if the given orgId OR orgName matches the blocklist
    * (RewstApp.BLOCKED_EXECUTION_ORG_IDS, RewstApp.BLOCKED_EXECUTION_ORG_NAMES).
@@ -1248,6 +1265,7 @@ class RewstApp {
     const targetOrgId = parentOrgId || this.orgId;
 
     if (this._managedOrgsCache.has(targetOrgId)) {
+      this._requestStats.hits++;
       this._log(`Returning cached managed organizations for org: ${targetOrgId}`);
       return this._managedOrgsCache.get(targetOrgId);
     }
@@ -1426,12 +1444,17 @@ class RewstApp {
    * @param {object} [options]
    * @param {number} [options.failureLimit=50]   - max recent failures to fetch
    * @param {number} [options.successLimit=100]  - max recent successes to fetch
+   * @param {Date|string} [options.startDate]     - absolute window start (overrides `days`)
+   * @param {Date|string} [options.endDate]       - absolute window end (default: now)
+   * @param {AbortSignal} [options.signal]         - cancels both queries; rejects with an AbortError
    * @returns {Promise<Array>} failures first, then successes, newest-first within each group
    */
-  async getWorkflowExecutionSample(workflowId, orgId, days, { failureLimit = 50, successLimit = 100 } = {}) {
+  async getWorkflowExecutionSample(workflowId, orgId, days, { failureLimit = 50, successLimit = 100, startDate = null, endDate = null, signal = null } = {}) {
     if (!workflowId || !orgId) return [];
 
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const since = startDate
+      ? new Date(startDate).toISOString()
+      : new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
 
     const query = `
       query getWorkflowSample($workflowId: ID!, $search: WorkflowExecutionSearchInput, $limit: Int) {
@@ -1455,7 +1478,7 @@ class RewstApp {
 
     const baseSearch = {
       orgId: { _eq: orgId },
-      createdAt: { _gte: since },
+      createdAt: endDate ? { _gte: since, _lt: new Date(endDate).toISOString() } : { _gte: since },
       originatingExecutionId: { _eq: null }  // parent executions only
     };
 
@@ -1464,7 +1487,7 @@ class RewstApp {
         workflowId,
         search: { ...baseSearch, status: { _in: ['FAILED', 'failed'] } },
         limit: failureLimit
-      }, { timeout: 15000 }).then(r => r.workflowExecutions || []).catch(err => {
+      }, { timeout: 15000, signal }).then(r => r.workflowExecutions || []).catch(err => {
         this._warn(`getWorkflowExecutionSample(${workflowId}) failures failed: ${err.message}`);
         return [];
       }),
@@ -1473,11 +1496,12 @@ class RewstApp {
         workflowId,
         search: { ...baseSearch, status: { _in: ['SUCCEEDED', 'succeeded', 'COMPLETED'] } },
         limit: successLimit
-      }, { timeout: 15000 }).then(r => r.workflowExecutions || []).catch(err => {
+      }, { timeout: 15000, signal }).then(r => r.workflowExecutions || []).catch(err => {
         this._warn(`getWorkflowExecutionSample(${workflowId}) successes failed: ${err.message}`);
         return [];
       })
     ]);
+    this._throwIfAborted(signal, 'getWorkflowExecutionSample');
 
     this._log(`📊 Workflow sample ${workflowId}: ${failures.length} failures + ${successes.length} successes`);
     return [...failures, ...successes];
@@ -1522,6 +1546,10 @@ class RewstApp {
    * @param {string|null} workflowId - Optional workflow ID to filter by (default: null for all workflows)
    * @param {boolean} includeRawContext - Include raw context data in triggerInfo (default: false)
    * @param {Array<string>|null} orgIds - Optional array of org IDs to fetch executions for (default: null for current org only)
+   * @param {Object} options - timeout, scope, includeOnlyWorkflowIds, priorityWorkflowIds, onProgress, and
+   *   startDate/endDate (Date or ISO string) for an absolute window — startDate overrides daysBack.
+   *   signal (AbortSignal) cancels every request of the fetch; the promise then rejects with an
+   *   AbortError (error.isAborted) instead of returning partial results.
    * @returns {Promise<Array>} Array of execution objects with status, workflow (including humanSecondsSaved), and optional triggerInfo
    */
   // ============================================================================
@@ -1556,6 +1584,27 @@ class RewstApp {
   static ORG_SLIDING_THRESHOLD = 10;  // Use sliding window if ≤10 orgs
   static ORG_WINDOW_SIZE = 3;         // Process 3 orgs at a time (staggered parallel)
   static MAX_SLIDING_WINDOW_MS = 60000; // Max time for sliding window phase (60s) - then render with what we have
+  // Rows per executions query. A full page means there may be more, so the chunk fetchers keep paging.
+  static EXECUTION_PAGE_SIZE = 10000;
+  static MAX_EXECUTION_PAGES = 100;   // Safety stop per chunk (1M rows)
+  // Default _graphql retry policy; override per call with options.retry (an object, or false for none).
+  // Mutations are only retried when the call passes a policy, since a retry could run a workflow twice.
+  // Client-side timeouts (options.timeout) aren't retried by default: the chunk fetchers already shrink
+  // their windows on timeout. Server responses, 504 included, are retried like any other 5xx.
+  static RETRY_POLICY = {
+    retries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    maxRetryAfterMs: 30000, // Longer Retry-After waits give up, unless they end before the fetch's deadline
+    retryTimeouts: false,
+  };
+  // How long getAllWorkflows / getAllForms responses are reused (the dashboard and pages ask for them repeatedly)
+  static RESPONSE_CACHE_TTL_MS = 60 * 1000;
+  // Aggregate queries getDailyExecutionCounts runs at once (one per day boundary)
+  static DAILY_STATS_CONCURRENCY = 5;
+  // Delta refreshes start this far before the snapshot so rows written while it was fetched aren't missed
+  static DELTA_OVERLAP_MS = 10 * 60 * 1000;
+  static EXECUTION_ID_BATCH_SIZE = 100; // Ids per query when re-checking executions by id
 
   // Workflow scope filter: 'parents' | 'subs' | 'both'
   static WORKFLOW_SCOPE = 'parents';  // Default: parents only (fast load)
@@ -1657,6 +1706,11 @@ class RewstApp {
         currentEnd = currentStart;
 
       } catch (error) {
+        // Cancelled load: stop here; completed chunks ride along on the error
+        if (error.isAborted) {
+          error.partialResults = allResults;
+          throw error;
+        }
         // Check if it's a timeout/abort error OR our explicit retry signal
         const isTimeout = error.name === 'AbortError' || error.message?.includes('timed out');
         const isRetrySignal = error.message?.includes('will retry with smaller');
@@ -1734,6 +1788,11 @@ class RewstApp {
         currentEnd = currentStart;
 
       } catch (error) {
+        // Cancelled load: stop here; completed chunks ride along on the error
+        if (error.isAborted) {
+          error.partialResults = allResults;
+          throw error;
+        }
         if (currentChunkIndex < CHUNK_SIZES.length - 1) {
           const smallerSize = CHUNK_SIZES[currentChunkIndex + 1];
           this._log(`   ⚠️ [${orgId.slice(0, 8)}] timeout, trying ${smallerSize}d chunk...`);
@@ -1789,6 +1848,11 @@ class RewstApp {
         currentEnd = currentStart;
 
       } catch (error) {
+        // Cancelled load: stop here; completed chunks ride along on the error
+        if (error.isAborted) {
+          error.partialResults = allResults;
+          throw error;
+        }
         if (currentChunkIndex < CHUNK_SIZES.length - 1) {
           const smallerSize = CHUNK_SIZES[currentChunkIndex + 1];
           this._log(`   [RETRY] ⚠️ Failed, trying ${smallerSize}-day chunks...`);
@@ -1908,6 +1972,11 @@ class RewstApp {
         currentEnd = currentStart;
 
       } catch (error) {
+        // Cancelled load: stop here; completed chunks ride along on the error
+        if (error.isAborted) {
+          error.partialResults = allResults;
+          throw error;
+        }
         if (currentChunkIndex < CHUNK_SIZES.length - 1) {
           const smallerSize = CHUNK_SIZES[currentChunkIndex + 1];
           this._log(`   [RETRY-LITE] ⚠️ Failed, trying ${smallerSize}-day chunks...`);
@@ -1953,8 +2022,26 @@ class RewstApp {
       }
     }
 
+    this._throwIfAborted(options.signal, 'Execution fetch');
+
+    // DELTA MODE: only executions created since a cached snapshot, plus a re-check of
+    // the ones it still had in flight (see _getExecutionsDelta)
+    if (options.since !== undefined && options.since !== null) {
+      return this._getExecutionsDelta(includeTriggerInfo, daysBack, workflowId, includeRawContext, orgIds, options);
+    }
+
+    // Absolute windows (options.startDate / options.endDate) are converted into the
+    // "days ago" offsets every chunk fetcher already works in: rangeStartDay is the
+    // recent edge (0 = now) and daysBack becomes the far edge.
+    const rangeStartDay = options.endDate ? this._daysAgo(options.endDate) : 0;
+    if (options.startDate) {
+      daysBack = this._daysAgo(options.startDate);
+    }
+
     const timeoutMs = options.timeout || 30000; // Default 30s for backwards compatibility
-    const timeRangeMsg = daysBack ? `from last ${daysBack} day(s)` : 'from all time';
+    const timeRangeMsg = options.startDate
+      ? `from ${new Date(options.startDate).toISOString()} to ${options.endDate ? new Date(options.endDate).toISOString() : 'now'}`
+      : daysBack ? `from last ${daysBack} day(s)` : 'from all time';
     this._log(`Fetching executions ${timeRangeMsg}...`);
 
     // Create a GLOBAL deadline for the entire fetch operation
@@ -1977,6 +2064,7 @@ class RewstApp {
         includeTriggerInfo,
         includeRawContext,
         globalDeadline,  // form path now respects the same global deadline
+        rangeStartDay,
       });
     }
 
@@ -2008,7 +2096,7 @@ class RewstApp {
         RewstApp.INCLUDE_SUB_WORKFLOWS = false;
 
         if (daysBack && daysBack > 0) {
-          allExecutions = await this._fetchChunkAdaptive(0, daysBack, 0, workflowId, orgIds, [], {
+          allExecutions = await this._fetchChunkAdaptive(rangeStartDay, daysBack, 0, workflowId, orgIds, [], {
             ...options,
             globalDeadline,
             deadlineFailedOrgs,
@@ -2036,7 +2124,7 @@ class RewstApp {
         let subExecutions = [];
 
         if (daysBack && daysBack > 0) {
-          subExecutions = await this._fetchChunkAdaptiveLightweight(0, daysBack, 0, workflowId, orgIds, [], {
+          subExecutions = await this._fetchChunkAdaptiveLightweight(rangeStartDay, daysBack, 0, workflowId, orgIds, [], {
             ...options,
             scope: 'subs',
             globalDeadline,
@@ -2071,7 +2159,7 @@ class RewstApp {
         if (daysBack && daysBack > 0) {
           this._log(`Using adaptive chunking (6→3→2→1→0.5→0.25→0.1 days) with progressive timeouts`);
           // Pass global deadline and deadlineFailedOrgs to skip orgs that already timed out
-          allExecutions = await this._fetchChunkAdaptive(0, daysBack, 0, workflowId, orgIds, [], {
+          allExecutions = await this._fetchChunkAdaptive(rangeStartDay, daysBack, 0, workflowId, orgIds, [], {
             ...options,
             globalDeadline,
             deadlineFailedOrgs,
@@ -2096,7 +2184,7 @@ class RewstApp {
 
         await this._buildReferenceCache();
 
-        const result = await this._fetchTriggerInfoBatched(allExecutions, includeRawContext, { timeout: timeoutMs });
+        const result = await this._fetchTriggerInfoBatched(allExecutions, includeRawContext, { timeout: timeoutMs, signal: options.signal });
         allExecutions = result.executions;
         this._failedExecutionIds = result.failedIds; // Store for retry later
       }
@@ -2105,6 +2193,15 @@ class RewstApp {
       return allExecutions;
   
     } catch (error) {
+      // Cancelled (options.signal): reject rather than return partial data the caller no longer wants.
+      // Completed chunks are on error.partialResults for callers that keep them on purpose.
+      // Org batches this load queued for background retry are dropped with it.
+      if (error.isAborted) {
+        this._log(`🛑 Execution fetch cancelled (${error.partialResults?.length || 0} executions already fetched)`);
+        if (this._failedOrgBatchRetry?.options?.signal === options.signal) this._failedOrgBatchRetry = null;
+        throw error;
+      }
+
       // Handle DEADLINE_HIT specially - return partial results instead of throwing
       if (error.isDeadline) {
         this._log(`⏱️ Global deadline hit - returning ${error.partialResults?.length || 0} partial results`);
@@ -2154,7 +2251,7 @@ class RewstApp {
           for (const orgId of failedOrgIds) {
             // These orgs failed completely, so retry the full range
             const existingFullChunk = this._failedOrgBatchRetry.chunks.find(
-              c => c.orgId === orgId && c.daysAgoStart === 0 && c.daysAgoEnd === (daysBack || 30)
+              c => c.orgId === orgId && c.daysAgoStart === rangeStartDay && c.daysAgoEnd === (daysBack || 30)
             );
             if (!existingFullChunk) {
               if (!this._failedOrgBatchRetry.orgIds.includes(orgId)) {
@@ -2162,7 +2259,7 @@ class RewstApp {
               }
               this._failedOrgBatchRetry.chunks.push({
                 orgId,
-                daysAgoStart: 0,
+                daysAgoStart: rangeStartDay,
                 daysAgoEnd: daysBack || 30
               });
             }
@@ -2173,7 +2270,7 @@ class RewstApp {
         if (includeTriggerInfo && allExecutions.length > 0) {
           this._log(`Fetching trigger information for ${allExecutions.length} executions (partial data)...`);
           await this._buildReferenceCache();
-          const result = await this._fetchTriggerInfoBatched(allExecutions, includeRawContext, { timeout: timeoutMs });
+          const result = await this._fetchTriggerInfoBatched(allExecutions, includeRawContext, { timeout: timeoutMs, signal: options.signal });
           allExecutions = result.executions;
           this._failedExecutionIds = result.failedIds;
         }
@@ -2194,6 +2291,104 @@ class RewstApp {
     }
   }
 
+  /**
+   * Delta mode of getRecentExecutions: fetches executions created since options.since
+   * (less DELTA_OVERLAP_MS) inside the requested window, then older executions in the window
+   * updated since then, then re-fetches every id in options.refreshExecutionIds
+   * (EXECUTION_ID_BATCH_SIZE per query) so executions that were in flight pick up their new status.
+   * The caller merges the result into its snapshot (see RewstExecutionDelta.mergeExecutions).
+   * @param {boolean} includeTriggerInfo
+   * @param {number|null} daysBack
+   * @param {string|null} workflowId
+   * @param {boolean} includeRawContext
+   * @param {Array|null} orgIds
+   * @param {object} options - getRecentExecutions options plus since (ms timestamp),
+   *   refreshExecutionIds (ids to re-check) and deltaOverlapMs
+   * @returns {Promise<Array>} Created, updated and re-checked executions, deduplicated by id
+   * @private
+   */
+  async _getExecutionsDelta(includeTriggerInfo, daysBack, workflowId, includeRawContext, orgIds, options) {
+    const { since, refreshExecutionIds = [], deltaOverlapMs = RewstApp.DELTA_OVERLAP_MS, ...rangeOptions } = options;
+    const deltaStart = new Date(Number(since) - deltaOverlapMs);
+    const windowStart = rangeOptions.startDate
+      ? new Date(rangeOptions.startDate)
+      : daysBack ? new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000) : null;
+    const startDate = windowStart && windowStart > deltaStart ? windowStart : deltaStart;
+
+    this._log(`🔁 Delta fetch: executions created since ${startDate.toISOString()}, re-checking ${refreshExecutionIds.length} in flight`);
+    const created = await this.getRecentExecutions(includeTriggerInfo, daysBack, workflowId, includeRawContext, orgIds, {
+      ...rangeOptions,
+      startDate,
+    });
+
+    const seenIds = new Set(created.map(e => e.id));
+    const updated = windowStart && windowStart < startDate
+      ? (await this._fetchExecutionsUpdatedSince(deltaStart, windowStart, startDate, orgIds, rangeOptions))
+        .filter(e => !seenIds.has(e.id))
+      : [];
+    updated.forEach(e => seenIds.add(e.id));
+
+    const recheckIds = refreshExecutionIds.filter(id => !seenIds.has(id));
+    let rechecked = [...updated, ...(recheckIds.length > 0 ? await this._fetchExecutionsByIds(recheckIds, orgIds, rangeOptions) : [])];
+    if (rechecked.length === 0) return created;
+
+    if (includeTriggerInfo) {
+      await this._buildReferenceCache();
+      const result = await this._fetchTriggerInfoBatched(rechecked, includeRawContext, { timeout: rangeOptions.timeout || 30000, signal: rangeOptions.signal });
+      rechecked = result.executions;
+      this._failedExecutionIds = [...(this._failedExecutionIds || []), ...result.failedIds];
+    }
+
+    this._log(`🔁 Delta fetch: ${created.length} created, ${updated.length} updated, ${rechecked.length - updated.length} re-checked`);
+    return [...created, ...rechecked];
+  }
+
+  /**
+   * Fetch executions created in [createdFrom, createdBefore) and updated since updatedSince
+   * (delta refreshes: runs that finished or changed after the snapshot was taken). The window can
+   * be nearly the whole range, so it goes through the same adaptive, per-org chunking as a full fetch.
+   * @param {Date} updatedSince
+   * @param {Date} createdFrom
+   * @param {Date} createdBefore
+   * @param {Array|null} orgIds - Org filter, as for the chunk fetchers
+   * @param {object} options - includeOnlyWorkflowIds, globalDeadline, signal
+   * @returns {Promise<Array>}
+   * @private
+   */
+  async _fetchExecutionsUpdatedSince(updatedSince, createdFrom, createdBefore, orgIds = null, options = {}) {
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    return this._fetchChunkAdaptive((now - createdBefore) / day, (now - createdFrom) / day, 0, null, orgIds, [], {
+      includeOnlyWorkflowIds: options.includeOnlyWorkflowIds,
+      updatedSince,
+      globalDeadline: options.globalDeadline,
+      signal: options.signal,
+    });
+  }
+
+  /**
+   * Fetch executions by id, EXECUTION_ID_BATCH_SIZE ids per query. Missing ids are skipped.
+   * @param {Array} executionIds
+   * @param {Array|null} orgIds - Org filter, as for the chunk fetchers
+   * @param {object} options - timeout, signal
+   * @returns {Promise<Array>}
+   * @private
+   */
+  async _fetchExecutionsByIds(executionIds, orgIds = null, options = {}) {
+    const results = [];
+    for (let i = 0; i < executionIds.length; i += RewstApp.EXECUTION_ID_BATCH_SIZE) {
+      const batch = executionIds.slice(i, i + RewstApp.EXECUTION_ID_BATCH_SIZE);
+      const executions = await this._fetchExecutionsChunkSingle(null, null, null, orgIds, {
+        timeout: options.timeout || 30000,
+        scope: 'both',
+        includeOnlyExecutionIds: batch,
+        signal: options.signal,
+      });
+      results.push(...executions);
+    }
+    return results;
+  }
+
   /**
    * Retry fetching trigger info for executions that failed during initial load
    * Call this after dashboard renders to fill in missing data in the background
@@ -2587,6 +2782,9 @@ async _fetchExecutionsMultiOrg(daysAgoStart, daysAgoEnd, workflowId, orgIds, opt
           .catch(error => {
             const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
             pendingBatches.delete(batchNum);
+            if (error.isAborted) {
+              return { results: [], batchIndex: batchNum, success: false, aborted: true };
+            }
             completedResults.push({ results: [], batchIndex: batchNum, elapsed: parseFloat(elapsed), success: false, failedOrgIds: batchOrgIds });
             this._error(`❌ Batch ${batchNum} FAILED after ${elapsed}s (${batchOrgIds.length} orgs)`, error);
             return { results: [], batchIndex: batchNum, success: false, failedOrgIds: batchOrgIds };
@@ -2601,6 +2799,7 @@ async _fetchExecutionsMultiOrg(daysAgoStart, daysAgoEnd, workflowId, orgIds, opt
   }, maxWaitMs));
 
   await Promise.race([Promise.all(batchPromises), timeoutPromise]);
+  this._throwIfAborted(options.signal, 'Batched org fetch');
 
   const totalElapsed = ((Date.now() - batchStartTime) / 1000).toFixed(1);
 
@@ -2759,6 +2958,10 @@ async _fetchExecutionsMultiOrgSliding(daysAgoStart, daysAgoEnd, workflowId, orgI
 
       return { success: true, results: orgExecs, orgId };
     } catch (error) {
+      // Cancelled load: nothing to keep or queue for retry
+      if (error.isAborted) {
+        return { success: false, results: [], orgId, aborted: true };
+      }
       // Handle deadline error specially - keep partial results, queue remaining range
       if (error.isDeadline) {
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -2784,6 +2987,7 @@ async _fetchExecutionsMultiOrgSliding(daysAgoStart, daysAgoEnd, workflowId, orgI
 
   const processResult = (result) => {
     activeOrgIds.delete(result.orgId);
+    if (result.aborted) return;
     if (result.results.length > 0) {
       allExecutions.push(...result.results);
     }
@@ -2846,6 +3050,7 @@ async _fetchExecutionsMultiOrgSliding(daysAgoStart, daysAgoEnd, workflowId, orgI
     }
 
     await Promise.race(activePromises.values());
+    if (options.signal?.aborted) break;
 
     // Check deadline again after completing an org
     if (Date.now() > deadline) {
@@ -2866,6 +3071,9 @@ async _fetchExecutionsMultiOrgSliding(daysAgoStart, daysAgoEnd, workflowId, orgI
     }
   }
 
+  // Cancelled: in-flight orgs settle on their own, and nothing is queued for retry
+  this._throwIfAborted(options.signal, 'Sliding window fetch');
+
   // If deadline hit, we need to handle remaining orgs
   if (deadlineHit) {
     // Wait for active promises to settle (they'll finish on their own, we just won't start new ones)
@@ -2997,6 +3205,10 @@ async _fetchExecutionsMultiOrgSlidingLightweight(daysAgoStart, daysAgoEnd, workf
 
       return { success: true, results: orgExecs, orgId };
     } catch (error) {
+      // Cancelled load: nothing to keep or queue for retry
+      if (error.isAborted) {
+        return { success: false, results: [], orgId, aborted: true };
+      }
       // Handle deadline error specially - keep partial results, queue remaining range
       if (error.isDeadline) {
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -3022,6 +3234,7 @@ async _fetchExecutionsMultiOrgSlidingLightweight(daysAgoStart, daysAgoEnd, workf
 
   const processResult = (result) => {
     activeOrgIds.delete(result.orgId);
+    if (result.aborted) return;
     if (result.results.length > 0) {
       allExecutions.push(...result.results);
     }
@@ -3084,6 +3297,7 @@ async _fetchExecutionsMultiOrgSlidingLightweight(daysAgoStart, daysAgoEnd, workf
     }
 
     await Promise.race(activePromises.values());
+    if (options.signal?.aborted) break;
 
     // Check deadline again after completing an org
     if (Date.now() > deadline) {
@@ -3104,6 +3318,9 @@ async _fetchExecutionsMultiOrgSlidingLightweight(daysAgoStart, daysAgoEnd, workf
     }
   }
 
+  // Cancelled: in-flight orgs settle on their own, and nothing is queued for retry
+  this._throwIfAborted(options.signal, 'Sliding window fetch');
+
   // If deadline hit, we need to handle remaining orgs
   if (deadlineHit) {
     // Wait for active promises to settle (they'll finish on their own, we just won't start new ones)
@@ -3225,6 +3442,7 @@ async _fetchExecutionsMultiOrgLightweight(daysAgoStart, daysAgoEnd, workflowId,
   });
 
   const results = await Promise.all(batchPromises);
+  this._throwIfAborted(options.signal, 'Batched org fetch');
   results.forEach(batchResults => {
     if (batchResults.length > 0) {
       allExecutions.push(...batchResults);
@@ -3308,7 +3526,7 @@ async retryFailedOrgBatches(timeoutMs = 30000, retryOptions = {}) {
         if (enrichAsYouGo) {
           try {
             this._log(`   ${progress} 📊 Enriching ${orgResults.length} from ${orgShort}...`);
-            const enrichResult = await this._fetchTriggerInfoBatched(orgResults, false, { timeout: 15000 });
+            const enrichResult = await this._fetchTriggerInfoBatched(orgResults, false, { timeout: 15000, signal: options.signal });
             finalResults = enrichResult.executions;
             enrichedCount += finalResults.length;
           } catch (enrichError) {
@@ -3494,7 +3712,7 @@ async _fetchExecutionsChunk(daysAgoStart, daysAgoEnd, workflowId, orgIds = null,
  * - Total: ~6-20 requests depending on data volume vs ~100+ with org chunking
  */
 async _fetchExecutionsByWorkflowChunks(workflowIds, daysBack, orgIds, options = {}) {
-  const { timeout = 45000, onProgress, globalDeadline } = options;
+  const { timeout = 45000, onProgress, globalDeadline, rangeStartDay = 0 } = options;
   const targetOrgIds = orgIds || [this.orgId];
 
   // Configuration
@@ -3533,6 +3751,7 @@ async _fetchExecutionsByWorkflowChunks(workflowIds, daysBack, orgIds, options =
   for (let i = 0; i < workflowChunks.length; i += PARALLEL_CHUNKS) {
     // Honor the global deadline — bail with partial results so the dashboard's
     // Promise.all can resolve and the UI can render with what we have.
+    this._throwIfAborted(options.signal, 'Workflow-chunked fetch');
     if (globalDeadline && Date.now() > globalDeadline) {
       const remaining = workflowChunks.length - i;
       this._log(`⏰ FORM-PATH DEADLINE HIT — returning ${allResults.length} partial executions, ${remaining} workflow chunk(s) skipped`);
@@ -3545,7 +3764,7 @@ async _fetchExecutionsByWorkflowChunks(workflowIds, daysBack, orgIds, options =
 
     // Process this batch in parallel - each workflow chunk tries adaptive day ranges with ALL orgs at once
     const batchPromises = batch.map(chunkWorkflowIds =>
-      this._fetchWorkflowChunkWithAdaptiveDays(chunkWorkflowIds, daysBack, targetOrgIds, WORKFLOW_DAY_CHUNKS, WORKFLOW_DAY_TIMEOUTS)
+      this._fetchWorkflowChunkWithAdaptiveDays(chunkWorkflowIds, daysBack, targetOrgIds, WORKFLOW_DAY_CHUNKS, WORKFLOW_DAY_TIMEOUTS, rangeStartDay, { signal: options.signal, globalDeadline })
     );
 
     const batchResults = await Promise.all(batchPromises);
@@ -3566,7 +3785,7 @@ async _fetchExecutionsByWorkflowChunks(workflowIds, daysBack, orgIds, options =
   if (includeTriggerInfo && allResults.length > 0) {
     this._log(`Fetching trigger information for ${allResults.length} executions...`);
     await this._buildReferenceCache();
-    const result = await this._fetchTriggerInfoBatched(allResults, includeRawContext, { timeout });
+    const result = await this._fetchTriggerInfoBatched(allResults, includeRawContext, { timeout, signal: options.signal });
     return result.executions;
   }
 
@@ -3576,19 +3795,21 @@ async _fetchExecutionsByWorkflowChunks(workflowIds, daysBack, orgIds, options =
 /**
  * Fetch a single workflow chunk with adaptive day ranges, ALL orgs at once (no sliding window)
  * Loops through time (30d → 14d → 6d...) and covers full date range
+ * minDays is the recent edge of the window (0 = now, >0 for absolute ranges ending in the past)
+ * options.signal cancels it (see getRecentExecutions)
  */
-async _fetchWorkflowChunkWithAdaptiveDays(workflowIds, maxDays, orgIds, dayChunks, dayTimeouts) {
+async _fetchWorkflowChunkWithAdaptiveDays(workflowIds, maxDays, orgIds, dayChunks, dayTimeouts, minDays = 0, options = {}) {
   const allResults = [];
   let currentEnd = maxDays;  // Start from most recent
   let chunkIndex = 0;
 
   this._log(`   🎯 Fetching ${workflowIds.length} workflow(s), ${orgIds.length} org(s), ${maxDays} days max`);
 
-  // Loop backwards through time (30 → 0), breaking into adaptive chunks
-  while (currentEnd > 0 && chunkIndex < dayChunks.length) {
+  // Loop backwards through time (30 → minDays), breaking into adaptive chunks
+  while (currentEnd > minDays && chunkIndex < dayChunks.length) {
     const targetChunkSize = dayChunks[chunkIndex];
-    const actualChunkSize = Math.min(targetChunkSize, currentEnd);
-    const currentStart = Math.max(0, currentEnd - actualChunkSize);
+    const actualChunkSize = Math.min(targetChunkSize, currentEnd - minDays);
+    const currentStart = Math.max(minDays, currentEnd - actualChunkSize);
     const timeoutMs = dayTimeouts[targetChunkSize] || 10000;
 
     this._log(`   📦 Trying days ${currentStart}-${currentEnd} (${targetChunkSize}d chunk, ${timeoutMs/1000}s timeout)...`);
@@ -3597,7 +3818,9 @@ async _fetchWorkflowChunkWithAdaptiveDays(workflowIds, maxDays, orgIds, dayChunk
       // Fetch ALL orgs at once - no sliding window!
       const executions = await this._fetchExecutionsChunkSingle(currentStart, currentEnd, null, orgIds, {
         timeout: timeoutMs,
-        includeOnlyWorkflowIds: workflowIds
+        includeOnlyWorkflowIds: workflowIds,
+        signal: options.signal,
+        globalDeadline: options.globalDeadline
       });
 
       this._log(`   ✅ Success: ${executions.length} executions (days ${currentStart}-${currentEnd})`);
@@ -3609,6 +3832,7 @@ async _fetchWorkflowChunkWithAdaptiveDays(workflowIds, maxDays, orgIds, dayChunk
       // chunkIndex stays the same
 
     } catch (error) {
+      if (error.isAborted) throw error;
       this._log(`   ⚠️ Failed (${targetChunkSize}d chunk): ${error.message}`);
 
       // Try smaller chunk size for THIS SAME TIME WINDOW
@@ -3629,6 +3853,78 @@ async _fetchWorkflowChunkWithAdaptiveDays(workflowIds, maxDays, orgIds, dayChunk
   return allResults;
 }
 
+/**
+ * Internal: Run an executions query page by page until a page comes back short.
+ * Results are newest first, so each page continues below the oldest createdAt of the one
+ * before (createdAt cursor). Rows sharing that boundary timestamp are fetched again and
+ * dropped by id. Pages after the first are reported through options.onProgress.
+ * @private
+ * @param {string} label - Caller name for logs
+ * @param {string} query - getWorkflowExecutions query
+ * @param {Object} variables - Query variables; limit is the page size
+ * @param {Object} options - _graphql options, plus onProgress
+ * @returns {Promise<Array>} Executions, newest first
+ */
+async _fetchExecutionPages(label, query, variables, options = {}) {
+  const { onProgress } = options;
+  const pageSize = variables.limit;
+  const maxPages = RewstApp.MAX_EXECUTION_PAGES || 100;
+  const toTime = (value) => (/^\d+$/.test(String(value)) ? Number(value) : Date.parse(value));
+
+  const seenIds = new Set();
+  const executions = [];
+  let search = variables.search;
+
+  for (let page = 1; ; page++) {
+    const result = await this._graphql('getWorkflowExecutions', query, { ...variables, search }, options);
+    const rows = result.workflowExecutions || [];
+    let added = 0;
+    rows.forEach(row => {
+      if (seenIds.has(row.id)) return;
+      seenIds.add(row.id);
+      executions.push(row);
+      added++;
+    });
+
+    if (rows.length < pageSize) break;
+    if (added === 0) {
+      this._warn(`${label}: more than ${pageSize} executions share one createdAt — stopping at ${executions.length} rows.`);
+      break;
+    }
+    if (page >= maxPages) {
+      this._warn(`${label}: stopped after ${maxPages} pages (${executions.length} rows) — data may be truncated. Consider narrowing the date range.`);
+      break;
+    }
+
+    const oldest = rows.reduce((min, row) => {
+      const time = toTime(row.createdAt);
+      return Number.isFinite(time) && time < min ? time : min;
+    }, Infinity);
+    if (!Number.isFinite(oldest)) {
+      this._warn(`${label}: page ${page} has no usable createdAt to continue from — data may be truncated.`);
+      break;
+    }
+
+    // createdAt comes back in whole milliseconds; +1ms keeps rows on the boundary in the next page
+    search = { ...search, createdAt: { ...(search.createdAt || {}), _lt: new Date(oldest + 1).toISOString() } };
+    this._log(`📄 ${label}: page ${page} full (${rows.length} rows), continuing before ${new Date(oldest).toISOString()}`);
+    if (onProgress) {
+      try {
+        onProgress({
+          phase: 'paging',
+          page: page + 1,
+          executions: executions.length,
+          status: `Loaded ${executions.length.toLocaleString()} executions, fetching page ${page + 1}...`
+        });
+      } catch (progressError) {
+        this._warn(`onProgress callback failed: ${progressError.message}`);
+      }
+    }
+  }
+
+  return executions;
+}
+
 /**
  * Internal: Fetch executions for a single chunk (≤ORG_BATCH_SIZE orgs)
  * @private
@@ -3688,7 +3984,7 @@ async _fetchExecutionsChunkSingle(daysAgoStart, daysAgoEnd, workflowId, orgIds =
       ...(scope === 'parents' ? { originatingExecutionId: { _eq: null } } :
           scope === 'subs' ? { originatingExecutionId: { _ne: null } } : {})
     },
-    limit: 10000
+    limit: RewstApp.EXECUTION_PAGE_SIZE
   };
 
   // Add org filter to search (not where) - matches original
@@ -3723,12 +4019,17 @@ async _fetchExecutionsChunkSingle(daysAgoStart, daysAgoEnd, workflowId, orgIds =
     this._log(`🎯 Filtering to ${options.includeOnlyWorkflowIds.length} workflow(s)`);
   }
 
-  const result = await this._graphql('getWorkflowExecutions', query, variables, options);
-  const executions = result.workflowExecutions || [];
-  if (executions.length >= 10000) {
-    this._warn('_fetchExecutionsChunkSingle: result hit the 10k row limit — data may be truncated. Consider narrowing the date range.');
+  // Specific executions (delta refresh re-checks)
+  if (options.includeOnlyExecutionIds && options.includeOnlyExecutionIds.length > 0) {
+    variables.search.id = { _in: options.includeOnlyExecutionIds };
   }
-  return executions;
+
+  // Only executions changed since a delta refresh's snapshot
+  if (options.updatedSince) {
+    variables.search.updatedAt = { _gt: new Date(options.updatedSince).toISOString() };
+  }
+
+  return await this._fetchExecutionPages('_fetchExecutionsChunkSingle', query, variables, options);
 }
 
 /**
@@ -3778,7 +4079,7 @@ async _fetchExecutionsChunkSingleLightweight(daysAgoStart, daysAgoEnd, workflowI
       ...(scope === 'parents' ? { originatingExecutionId: { _eq: null } } :
           scope === 'subs' ? { originatingExecutionId: { _ne: null } } : {})
     },
-    limit: 10000
+    limit: RewstApp.EXECUTION_PAGE_SIZE
   };
 
   // Add org filter to search (not where) - matches original
@@ -3804,12 +4105,7 @@ async _fetchExecutionsChunkSingleLightweight(daysAgoStart, daysAgoEnd, workflowI
     variables.where.workflowId = workflowId;
   }
 
-  const result = await this._graphql('getWorkflowExecutions', query, variables, options);
-  const executions = result.workflowExecutions || [];
-  if (executions.length >= 10000) {
-    this._warn('_fetchExecutionsChunkSingleLightweight: result hit the 10k row limit — data may be truncated.');
-  }
-  return executions;
+  return await this._fetchExecutionPages('_fetchExecutionsChunkSingleLightweight', query, variables, options);
 }
 
 /**
@@ -3903,6 +4199,11 @@ async _fetchChunkAdaptiveLightweight(startDay, endDay, chunkSizeIndex, workflowI
       currentEnd = currentStart;
 
     } catch (error) {
+      // Cancelled load: stop here; completed chunks ride along on the error
+      if (error.isAborted) {
+        error.partialResults = allResults;
+        throw error;
+      }
       // Check if it's a timeout/abort error OR our explicit retry signal
       const isTimeout = error.name === 'AbortError' || error.message?.includes('timed out');
       const isRetrySignal = error.message?.includes('will retry with smaller');
@@ -3975,6 +4276,11 @@ async _fetchChunkAdaptiveSingleOrgLightweight(startDay, endDay, chunkSizeIndex,
       currentEnd = currentStart;
 
     } catch (error) {
+      // Cancelled load: stop here; completed chunks ride along on the error
+      if (error.isAborted) {
+        error.partialResults = allResults;
+        throw error;
+      }
       if (currentChunkIndex < CHUNK_SIZES.length - 1) {
         currentChunkIndex++;
       } else {
@@ -4246,18 +4552,30 @@ _buildExecutionLink(executionId, orgId = null) {
 
     // Cache hit — return the resolved value without refetching.
     if (this._triggerInfoCache.has(executionId)) {
+      this._requestStats.hits++;
       return this._triggerInfoCache.get(executionId);
     }
     // In-flight dedupe — multiple concurrent callers share one Promise.
+    // If the shared fetch was cancelled by another caller's signal, fetch again for this one.
     if (this._triggerInfoInflight.has(executionId)) {
-      return this._triggerInfoInflight.get(executionId);
+      this._requestStats.coalesced++;
+      const shared = this._triggerInfoInflight.get(executionId);
+      try {
+        return await shared;
+      } catch (error) {
+        if (!error.isAborted || options.signal?.aborted) throw error;
+        if (this._triggerInfoInflight.get(executionId) === shared) this._triggerInfoInflight.delete(executionId);
+        return this.getExecutionTriggerInfo(executionId, includeRawContext, options);
+      }
     }
 
+    const generation = this._requestCacheGeneration;
     const p = this._doGetExecutionTriggerInfo(executionId, includeRawContext, options);
     this._triggerInfoInflight.set(executionId, p);
     try {
       const result = await p;
-      this._triggerInfoCache.set(executionId, result);
+      // Not cached if invalidateRequestCache ran meanwhile
+      if (generation === this._requestCacheGeneration) this._triggerInfoCache.set(executionId, result);
       return result;
     } finally {
       this._triggerInfoInflight.delete(executionId);
@@ -4314,6 +4632,7 @@ _buildExecutionLink(executionId, orgId = null) {
       return triggerInfo;
 
     } catch (error) {
+      if (error.isAborted) throw error;
       this._error(`Failed to get trigger info for execution ${executionId}`, error);
       throw new Error(`Failed to get execution trigger info: ${error.message}`);
     }
@@ -4414,7 +4733,7 @@ _buildExecutionLink(executionId, orgId = null) {
         where: { orgId: this.orgId },
         order: [["updatedAt", "desc"]],
         limit: 1000
-      });
+      }, { cacheTtlMs: RewstApp.RESPONSE_CACHE_TTL_MS });
 
       const workflows = result.workflows || [];
 
@@ -4424,7 +4743,8 @@ _buildExecutionLink(executionId, orgId = null) {
       });
 
       this._log(`Retrieved ${workflows.length} workflow(s)`);
-      return workflows;
+      // A copy, so callers adding to the list don't change the cached response
+      return [...workflows];
 
     } catch (error) {
       this._error('Failed to get workflows', error);
@@ -4439,10 +4759,10 @@ _buildExecutionLink(executionId, orgId = null) {
    * @param {string} orgId - Organization ID
    * @param {string} startDate - Start date (ISO format)
    * @param {string} endDate - End date (ISO format)
-   * @param {boolean} includeSubWorkflows - Include sub-workflow executions (default: false)
+   * @param {object} options - { signal?: AbortSignal }
    * @returns {Promise<Array>} Array of workflow stats: { id, name, totalExecutions, totalTasks, numSucceededTasks, totalHumanSecondsSaved }
    */
-  async getWorkflowStatsByOrg(orgId, startDate, endDate) {
+  async getWorkflowStatsByOrg(orgId, startDate, endDate, options = {}) {
     if (!this.isInitialized) {
       const error = new Error('Rewst not initialized. Call rewst.init() first!');
       this._error('getWorkflowStatsByOrg called before initialization', error);
@@ -4476,7 +4796,7 @@ _buildExecutionLink(executionId, orgId = null) {
       `;
 
       // Pass null as operationName since query is anonymous (no "query name { }")
-      const result = await this._graphql(null, query, {}, { timeout: 15000 });
+      const result = await this._graphql(null, query, {}, { timeout: 15000, signal: options.signal });
 
       const stats = result.workflowStatsByOrg || [];
       this._log(`Retrieved stats for ${stats.length} workflow(s)`);
@@ -4508,18 +4828,64 @@ _buildExecutionLink(executionId, orgId = null) {
     return new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000).toISOString();
   }
 
+  /**
+   * Internal helper to resolve an aggregate window. Absolute options.startDate /
+   * options.endDate (Date, ISO string or epoch ms) win over `daysBack`.
+   * `isOpenEnded` is true when the window runs up to now.
+   * @private
+   */
+  _resolveDateRange(daysBack, options = {}) {
+    const startDate = options.startDate ? new Date(options.startDate).toISOString() : this._isoDaysAgo(daysBack);
+    const endDate = options.endDate ? new Date(options.endDate).toISOString() : new Date().toISOString();
+    // A minute of slack so "end = now" computed by the caller still counts as open-ended
+    const isOpenEnded = Date.now() - new Date(endDate).getTime() < 60 * 1000;
+    return { startDate, endDate, isOpenEnded };
+  }
+
+  /**
+   * Internal helper converting an absolute date into the fractional "days ago"
+   * offsets the chunked execution fetchers work in.
+   * @private
+   */
+  _daysAgo(date) {
+    return Math.max(0, (Date.now() - new Date(date).getTime()) / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * Internal helper for resolvers that only accept a lower bound
+   * (createdSince / updatedAt). A closed window [start, end) is computed as
+   * totals-since-start minus totals-since-end, matched on `keyFn`.
+   * @private
+   */
+  _subtractTotals(sinceStart, sinceEnd, keyFn, numericFields) {
+    const laterByKey = new Map((sinceEnd || []).map(row => [keyFn(row), row]));
+    return (sinceStart || [])
+      .map(row => {
+        const later = laterByKey.get(keyFn(row));
+        if (!later) return row;
+        const windowed = { ...row };
+        for (const field of numericFields) {
+          windowed[field] = Math.max(0, (row[field] || 0) - (later[field] || 0));
+        }
+        return windowed;
+      })
+      .filter(row => numericFields.some(field => row[field] > 0));
+  }
+
   /**
    * Overall execution stats for an org over a date range.
    * Returns { delayed, failed, humanSecondsSaved, paused, pending, running, succeeded }.
    * Backend resolver: workflowExecutionStats (single aggregate query, sub-second)
+   * The resolver only takes a lower bound, so closed windows (options.endDate in
+   * the past) are computed as stats-since-start minus stats-since-end.
    * @param {number} daysBack - Days to look back (default 7)
-   * @param {object} options - { includeSubWorkflows?: boolean, rollUpTimeSaved?: boolean, orgId?: string }
+   * @param {object} options - { includeSubWorkflows?: boolean, rollUpTimeSaved?: boolean, orgId?: string, startDate?: Date|string, endDate?: Date|string, signal?: AbortSignal }
    */
   async getWorkflowExecutionStats(daysBack = 7, options = {}) {
     if (!this.isInitialized) throw new Error('Rewst not initialized. Call rewst.init() first!');
     const orgId = options.orgId || this.orgId;
     this._assertExecutionOrgAllowed(orgId, this._currentOrgName);
-    const createdSince = this._isoDaysAgo(daysBack);
+    const { startDate, endDate, isOpenEnded } = this._resolveDateRange(daysBack, options);
     const includeSubWorkflows = options.includeSubWorkflows ?? false;
     const rollUpTimeSaved = options.rollUpTimeSaved ?? true;
 
@@ -4542,24 +4908,33 @@ _buildExecutionLink(executionId, orgId = null) {
       }
     `;
 
-    const result = await this._graphql('getWorkflowExecutionStats', query, {
-      orgId, createdSince, includeSubWorkflows, rollUpTimeSaved
-    });
-    return result.workflowExecutionStats || null;
+    const fetchSince = async (createdSince) => {
+      const result = await this._graphql('getWorkflowExecutionStats', query, {
+        orgId, createdSince, includeSubWorkflows, rollUpTimeSaved
+      }, { signal: options.signal });
+      return result.workflowExecutionStats || null;
+    };
+
+    if (isOpenEnded) return fetchSince(startDate);
+
+    const [sinceStart, sinceEnd] = await Promise.all([fetchSince(startDate), fetchSince(endDate)]);
+    if (!sinceStart) return null;
+    const [windowed] = this._subtractTotals([sinceStart], [sinceEnd].filter(Boolean), () => 'stats',
+      ['succeeded', 'failed', 'delayed', 'paused', 'pending', 'running', 'humanSecondsSaved']);
+    return windowed || { succeeded: 0, failed: 0, delayed: 0, paused: 0, pending: 0, running: 0, humanSecondsSaved: 0 };
   }
 
   /**
    * Daily task counts over a date range. Returns [{ date, count }, ...].
    * Backend resolver: dailyTaskCountsByDateRange (sub-second aggregate)
    * @param {number} daysBack - Days to look back (default 30)
-   * @param {object} options - { orgId?: string }
+   * @param {object} options - { orgId?: string, startDate?: Date|string, endDate?: Date|string, signal?: AbortSignal }
    */
   async getDailyTaskCountsByDateRange(daysBack = 30, options = {}) {
     if (!this.isInitialized) throw new Error('Rewst not initialized. Call rewst.init() first!');
     const orgId = options.orgId || this.orgId;
     this._assertExecutionOrgAllowed(orgId, this._currentOrgName);
-    const startDate = this._isoDaysAgo(daysBack);
-    const endDate = new Date().toISOString();
+    const { startDate, endDate } = this._resolveDateRange(daysBack, options);
 
     const query = `
       query getDailyTaskCountsByDateRange($orgId: ID!, $startDate: String!, $endDate: String!) {
@@ -4570,7 +4945,7 @@ _buildExecutionLink(executionId, orgId = null) {
       }
     `;
 
-    const result = await this._graphql('getDailyTaskCountsByDateRange', query, { orgId, startDate, endDate }, { timeout: 20000 });
+    const result = await this._graphql('getDailyTaskCountsByDateRange', query, { orgId, startDate, endDate }, { timeout: 20000, signal: options.signal });
     return result.dailyTaskCountsByDateRange || [];
   }
 
@@ -4582,8 +4957,7 @@ _buildExecutionLink(executionId, orgId = null) {
     if (!this.isInitialized) throw new Error('Rewst not initialized. Call rewst.init() first!');
     const orgId = options.orgId || this.orgId;
     this._assertExecutionOrgAllowed(orgId, this._currentOrgName);
-    const startDate = this._isoDaysAgo(daysBack);
-    const endDate = new Date().toISOString();
+    const { startDate, endDate } = this._resolveDateRange(daysBack, options);
 
     const query = `
       query getDailyTimeSavedByDateRange($orgId: ID!, $startDate: String!, $endDate: String!) {
@@ -4594,21 +4968,64 @@ _buildExecutionLink(executionId, orgId = null) {
       }
     `;
 
-    const result = await this._graphql('getDailyTimeSavedByDateRange', query, { orgId, startDate, endDate }, { timeout: 20000 });
+    const result = await this._graphql('getDailyTimeSavedByDateRange', query, { orgId, startDate, endDate }, { timeout: 20000, signal: options.signal });
     return result.dailyTimeSavedByDateRange || [];
   }
 
+  /**
+   * Daily execution counts over a date range. Returns [{ date, count }, ...], one per local day.
+   * There is no daily execution resolver, so each day is workflowExecutionStats since the day's
+   * start minus since the next day's start: one aggregate query per day boundary, DAILY_STATS_CONCURRENCY at a time.
+   * @param {number} daysBack - Days to look back (default 30)
+   * @param {object} options - { orgId?: string, orgIds?: string[], includeSubWorkflows?: boolean, startDate?: Date|string, endDate?: Date|string, signal?: AbortSignal }
+   */
+  async getDailyExecutionCounts(daysBack = 30, options = {}) {
+    if (!this.isInitialized) throw new Error('Rewst not initialized. Call rewst.init() first!');
+    if (Array.isArray(options.orgIds) && options.orgIds.length > 0) {
+      const { orgIds, ...orgOptions } = options;
+      const countsByDate = new Map();
+      for (const orgId of this._stripBlockedOrgIds(orgIds)) {
+        const counts = await this.getDailyExecutionCounts(daysBack, { ...orgOptions, orgId });
+        counts.forEach(point => countsByDate.set(point.date, (countsByDate.get(point.date) || 0) + point.count));
+      }
+      return [...countsByDate].map(([date, count]) => ({ date, count }));
+    }
+
+    const { startDate, endDate } = this._resolveDateRange(daysBack, options);
+    const boundaries = [new Date(startDate)];
+    const nextDay = new Date(startDate);
+    nextDay.setHours(24, 0, 0, 0);
+    for (; nextDay < new Date(endDate); nextDay.setDate(nextDay.getDate() + 1)) boundaries.push(new Date(nextDay));
+    boundaries.push(new Date(endDate));
+
+    const totals = [];
+    for (let i = 0; i < boundaries.length; i += RewstApp.DAILY_STATS_CONCURRENCY) {
+      const batch = await Promise.all(boundaries.slice(i, i + RewstApp.DAILY_STATS_CONCURRENCY).map(boundary =>
+        this.getWorkflowExecutionStats(null, { ...options, startDate: boundary, endDate: null })
+      ));
+      totals.push(...batch.map(stats => ['succeeded', 'failed', 'delayed', 'paused', 'pending', 'running']
+        .reduce((sum, field) => sum + (stats?.[field] || 0), 0)));
+    }
+
+    const pad = value => String(value).padStart(2, '0');
+    return boundaries.slice(0, -1).map((day, index) => ({
+      date: `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`,
+      count: Math.max(0, totals[index] - totals[index + 1])
+    }));
+  }
+
   /**
    * Time saved grouped by workflow. Returns [{ workflowId, workflowName, secondsSaved, totalExecutions, successfulExecutions, failedExecutions }, ...].
    * Backend resolver: timeSavedGroupByWorkflow (uses stats table by default)
+   * Closed windows are computed by subtraction, same as getWorkflowExecutionStats.
    * @param {number} daysBack - Days to look back (default 30)
-   * @param {object} options - { workflowStatus?: string, useStatsTable?: boolean, orgId?: string }
+   * @param {object} options - { workflowStatus?: string, useStatsTable?: boolean, orgId?: string, startDate?: Date|string, endDate?: Date|string, signal?: AbortSignal }
    */
   async getTimeSavedGroupByWorkflow(daysBack = 30, options = {}) {
     if (!this.isInitialized) throw new Error('Rewst not initialized. Call rewst.init() first!');
     const orgId = options.orgId || this.orgId;
     this._assertExecutionOrgAllowed(orgId, this._currentOrgName);
-    const updatedAt = this._isoDaysAgo(daysBack);
+    const { startDate, endDate, isOpenEnded } = this._resolveDateRange(daysBack, options);
     const workflowStatus = options.workflowStatus || null;
     const useStatsTable = options.useStatsTable ?? true;
 
@@ -4630,19 +5047,27 @@ _buildExecutionLink(executionId, orgId = null) {
       }
     `;
 
-    const result = await this._graphql('getTimeSavedGroupByWorkflow', query, { orgId, updatedAt, workflowStatus, useStatsTable }, { timeout: 20000 });
-    return result.timeSavedGroupByWorkflow || [];
+    const fetchSince = async (updatedAt) => {
+      const result = await this._graphql('getTimeSavedGroupByWorkflow', query, { orgId, updatedAt, workflowStatus, useStatsTable }, { timeout: 20000, signal: options.signal });
+      return result.timeSavedGroupByWorkflow || [];
+    };
+
+    if (isOpenEnded) return fetchSince(startDate);
+
+    const [sinceStart, sinceEnd] = await Promise.all([fetchSince(startDate), fetchSince(endDate)]);
+    return this._subtractTotals(sinceStart, sinceEnd, row => row.workflowId, ['secondsSaved', 'totalExecutions', 'successfulExecutions', 'failedExecutions']);
   }
 
   /**
    * Time saved grouped by sub-org. Returns [{ workflowId, workflowName, secondsSaved, totalExecutions, ranForOrg }, ...].
    * Backend resolver: timeSavedGroupBySubOrg (uses stats table by default)
+   * Closed windows are computed by subtraction, same as getWorkflowExecutionStats.
    */
   async getTimeSavedGroupBySubOrg(daysBack = 30, options = {}) {
     if (!this.isInitialized) throw new Error('Rewst not initialized. Call rewst.init() first!');
     const orgId = options.orgId || this.orgId;
     this._assertExecutionOrgAllowed(orgId, this._currentOrgName);
-    const updatedAt = this._isoDaysAgo(daysBack);
+    const { startDate, endDate, isOpenEnded } = this._resolveDateRange(daysBack, options);
     const workflowStatus = options.workflowStatus || null;
     const useStatsTable = options.useStatsTable ?? true;
 
@@ -4663,20 +5088,30 @@ _buildExecutionLink(executionId, orgId = null) {
       }
     `;
 
-    const result = await this._graphql('getTimeSavedGroupBySubOrg', query, { orgId, updatedAt, workflowStatus, useStatsTable }, { timeout: 20000 });
-    return result.timeSavedGroupBySubOrg || [];
+    const fetchSince = async (updatedAt) => {
+      const result = await this._graphql('getTimeSavedGroupBySubOrg', query, { orgId, updatedAt, workflowStatus, useStatsTable }, { timeout: 20000, signal: options.signal });
+      return result.timeSavedGroupBySubOrg || [];
+    };
+
+    if (isOpenEnded) return fetchSince(startDate);
+
+    const [sinceStart, sinceEnd] = await Promise.all([fetchSince(startDate), fetchSince(endDate)]);
+    return this._subtractTotals(sinceStart, sinceEnd, row => `${row.workflowId}:${JSON.stringify(row.ranForOrg)}`, ['secondsSaved', 'totalExecutions']);
   }
 
   /**
    * Convenience: fire all five aggregate endpoints in parallel for a dashboard summary load.
    * Returns { stats, dailyTasks, dailyTimeSaved, timeSavedByWorkflow, timeSavedBySubOrg }.
    * Each value is null/[] on individual failure (does not throw).
+   * Pass options.startDate / options.endDate for an absolute window (daysBack is then ignored).
+   * options.signal cancels every query; the call then rejects with an AbortError.
    */
   async getDashboardAggregates(daysBack = 7, options = {}) {
     if (!this.isInitialized) throw new Error('Rewst not initialized. Call rewst.init() first!');
     const orgId = options.orgId || this.orgId;
     this._assertExecutionOrgAllowed(orgId, this._currentOrgName);
-    this._log(`📊 Fetching dashboard aggregates (${daysBack} days)...`);
+    const { startDate, endDate } = this._resolveDateRange(daysBack, options);
+    this._log(`📊 Fetching dashboard aggregates (${startDate} → ${endDate})...`);
     const startTime = Date.now();
 
     const [stats, dailyTasks, dailyTimeSaved, timeSavedByWorkflow, timeSavedBySubOrg] = await Promise.all([
@@ -4686,12 +5121,81 @@ _buildExecutionLink(executionId, orgId = null) {
       this.getTimeSavedGroupByWorkflow(daysBack, options).catch(err => { this._error('getTimeSavedGroupByWorkflow failed', err); return []; }),
       this.getTimeSavedGroupBySubOrg(daysBack, options).catch(err => { this._error('getTimeSavedGroupBySubOrg failed', err); return []; }),
     ]);
+    this._throwIfAborted(options.signal, 'getDashboardAggregates');
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
     this._log(`✅ Dashboard aggregates fetched in ${elapsed}s`);
     return { stats, dailyTasks, dailyTimeSaved, timeSavedByWorkflow, timeSavedBySubOrg };
   }
 
+  /**
+   * Period-over-period aggregates: the same summary queries for two windows,
+   * typically the selected range and the equivalent range just before it.
+   * Returns { current, previous }, each { stats, dailyTimeSaved, workflowStats }.
+   * Each value is null/[] on individual failure (does not throw).
+   * workflowStats rows carry the orgId they were fetched for. With options.orgIds
+   * each org is compared separately and the periods are added together.
+   * @param {object} current - { startDate, endDate? } (endDate omitted = up to now)
+   * @param {object} previous - { startDate, endDate }
+   * @param {object} options - { orgId?: string, orgIds?: string[], includeSubWorkflows?: boolean, rollUpTimeSaved?: boolean, signal?: AbortSignal }
+   */
+  async getPeriodComparison(current, previous, options = {}) {
+    if (!this.isInitialized) throw new Error('Rewst not initialized. Call rewst.init() first!');
+    if (Array.isArray(options.orgIds) && options.orgIds.length > 0) {
+      const { orgIds, ...orgOptions } = options;
+      const results = await Promise.all(this._stripBlockedOrgIds(orgIds).map(orgId =>
+        this.getPeriodComparison(current, previous, { ...orgOptions, orgId })
+      ));
+      return {
+        current: this._mergeComparisonPeriods(results.map(result => result.current)),
+        previous: this._mergeComparisonPeriods(results.map(result => result.previous)),
+      };
+    }
+
+    const orgId = options.orgId || this.orgId;
+    this._assertExecutionOrgAllowed(orgId, this._currentOrgName);
+    this._log(`📊 Fetching period comparison (${previous.startDate} → ${current.startDate})...`);
+
+    const fetchPeriod = async (window) => {
+      const rangeOptions = { ...options, orgId, startDate: window.startDate, endDate: window.endDate };
+      const { startDate, endDate } = this._resolveDateRange(null, rangeOptions);
+      const [stats, dailyTimeSaved, workflowStats] = await Promise.all([
+        this.getWorkflowExecutionStats(null, rangeOptions).catch(err => { this._error('getWorkflowExecutionStats failed', err); return null; }),
+        this.getDailyTimeSavedByDateRange(null, rangeOptions).catch(err => { this._error('getDailyTimeSavedByDateRange failed', err); return []; }),
+        this.getWorkflowStatsByOrg(orgId, startDate, endDate, { signal: options.signal }).catch(err => { this._error('getWorkflowStatsByOrg failed', err); return []; }),
+      ]);
+      return { stats, dailyTimeSaved, workflowStats: workflowStats.map(row => ({ ...row, orgId })) };
+    };
+
+    const [currentPeriod, previousPeriod] = await Promise.all([fetchPeriod(current), fetchPeriod(previous)]);
+    this._throwIfAborted(options.signal, 'getPeriodComparison');
+    return { current: currentPeriod, previous: previousPeriod };
+  }
+
+  /**
+   * Internal helper: add per-org comparison periods together.
+   * Stats are summed (null when no org returned any), daily points are summed per date.
+   * @private
+   */
+  _mergeComparisonPeriods(periods) {
+    const statsList = periods.map(period => period.stats).filter(Boolean);
+    const stats = statsList.length === 0 ? null : statsList.reduce((total, item) => {
+      Object.entries(item).forEach(([key, value]) => {
+        if (typeof value === 'number') total[key] = (total[key] || 0) + value;
+      });
+      return total;
+    }, {});
+
+    const secondsByDate = new Map();
+    periods.forEach(period => (period.dailyTimeSaved || []).forEach(point => {
+      secondsByDate.set(point.date, (secondsByDate.get(point.date) || 0) + (point.seconds || 0));
+    }));
+    const dailyTimeSaved = Array.from(secondsByDate, ([date, seconds]) => ({ date, seconds }))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+    return { stats, dailyTimeSaved, workflowStats: periods.flatMap(period => period.workflowStats || []) };
+  }
+
   /**
    * Get all forms in the current organization
    * Includes fields (sorted by index), field types, triggers, and conditions
@@ -4743,7 +5247,7 @@ _buildExecutionLink(executionId, orgId = null) {
       const result = await this._graphql('getForms', query, {
         orgId: this.orgId,
         limit: 500
-      }, { timeout: 60000 }); // 60s timeout for forms
+      }, { timeout: 60000, cacheTtlMs: RewstApp.RESPONSE_CACHE_TTL_MS }); // 60s timeout for forms
 
       const forms = result.forms || [];
       if (forms.length >= 500) {
@@ -4759,7 +5263,8 @@ _buildExecutionLink(executionId, orgId = null) {
       });
 
       this._log(`Retrieved ${forms.length} form(s)`);
-      return forms;
+      // A copy, so callers adding to the list don't change the cached response
+      return [...forms];
 
     } catch (error) {
       this._error('Failed to get forms', error);
@@ -4860,15 +5365,18 @@ _buildExecutionLink(executionId, orgId = null) {
    * @param {string} executionId - The execution ID to lookup
    * @param {boolean} includeOutput - Include output variables, input, and errors (default: false)
    * @param {boolean} includeTriggerInfo - Include trigger type information (default: false)
+   * @param {Object} [options]
+   * @param {string} [options.orgId] - Org the execution ran in (default: the current org); needed for sub-org executions
    * @returns {Promise<object>} Execution details with optional output and triggerInfo
    */
-  async getExecutionStatus(executionId, includeOutput = false, includeTriggerInfo = false) {
+  async getExecutionStatus(executionId, includeOutput = false, includeTriggerInfo = false, { orgId = this.orgId } = {}) {
     if (!executionId) {
       const error = new Error('Execution ID is required');
       this._error('getExecutionStatus called without executionId', error);
       throw error;
     }
 
+    this._assertExecutionOrgAllowed(orgId);
     this._log('Fetching execution status:', executionId);
 
     try {
@@ -4885,6 +5393,12 @@ _buildExecutionLink(executionId, orgId = null) {
               input
               errors
             }
+            parentExecutionId
+            originatingExecutionId
+            organization {
+              id
+              name
+            }
             workflow {
               id
               name
@@ -4896,6 +5410,8 @@ _buildExecutionLink(executionId, orgId = null) {
             message
             result
             executionTime
+            createdAt
+            updatedAt
             workflowTaskName: originalWorkflowTaskName
           }
         }
@@ -4907,6 +5423,12 @@ _buildExecutionLink(executionId, orgId = null) {
             createdAt
             updatedAt
             numSuccessfulTasks
+            parentExecutionId
+            originatingExecutionId
+            organization {
+              id
+              name
+            }
             workflow {
               id
               name
@@ -4918,6 +5440,8 @@ _buildExecutionLink(executionId, orgId = null) {
             message
             result
             executionTime
+            createdAt
+            updatedAt
             workflowTaskName: originalWorkflowTaskName
           }
         }
@@ -4926,7 +5450,7 @@ _buildExecutionLink(executionId, orgId = null) {
       const result = await this._graphql(
         includeOutput ? 'getExecutionWithOutput' : 'getExecution',
         query,
-        { id: executionId, orgId: this.orgId }
+        { id: executionId, orgId }
       );
 
       if (!result.workflowExecution) {
@@ -4963,6 +5487,161 @@ _buildExecutionLink(executionId, orgId = null) {
     }
   }
 
+  /**
+   * Why did these executions fail? Reads the failed task log (falling back to the
+   * conductor errors) of each execution in its own org.
+   *
+   * A failed execution never changes, so results are cached for the session and
+   * concurrent callers share one request per execution. Executions whose lookup
+   * fails are left out of the result rather than failing the whole batch.
+   *
+   * @param {Array} executions - [{ id, organization: { id, name } }]
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=5] - Parallel requests
+   * @returns {Promise<Map>} executionId → { executionId, taskName, message }
+   */
+  async getExecutionFailureDetails(executions, { concurrency = 5 } = {}) {
+    if (!this._failureDetailsCache) this._failureDetailsCache = new Map();
+    if (!this._failureDetailsInflight) this._failureDetailsInflight = new Map();
+
+    const pending = executions.filter(exec => exec?.id && !this._failureDetailsCache.has(exec.id));
+    this._log(`Fetching failure details for ${pending.length} executions (${executions.length - pending.length} cached)...`);
+
+    const fetchOne = async (exec) => {
+      if (this._failureDetailsInflight.has(exec.id)) {
+        return this._failureDetailsInflight.get(exec.id);
+      }
+      const p = this._doGetExecutionFailureDetails(exec);
+      this._failureDetailsInflight.set(exec.id, p);
+      try {
+        this._failureDetailsCache.set(exec.id, await p);
+      } finally {
+        this._failureDetailsInflight.delete(exec.id);
+      }
+    };
+
+    let i = 0;
+    const runNext = async () => {
+      if (i >= pending.length) return;
+      const exec = pending[i++];
+      await fetchOne(exec).catch(error => {
+        this._log(`⚠️ Failure details for ${exec.id} unavailable: ${error.message}`);
+      });
+      await runNext();
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, runNext));
+
+    const details = new Map();
+    executions.forEach(exec => {
+      if (this._failureDetailsCache.has(exec?.id)) details.set(exec.id, this._failureDetailsCache.get(exec.id));
+    });
+    return details;
+  }
+
+  async _doGetExecutionFailureDetails(exec) {
+    const orgId = exec.organization?.id || this.orgId;
+    this._assertExecutionOrgAllowed(orgId, exec.organization?.name);
+
+    const query = `
+      query getExecutionFailure($orgId: ID!, $id: ID!) {
+        workflowExecution(where: {orgId: $orgId, id: $id}) {
+          id
+          conductor {
+            errors
+          }
+        }
+        taskLogs(where: {workflowExecutionId: $id}) {
+          id
+          status
+          message
+          workflowTaskName: originalWorkflowTaskName
+        }
+      }
+    `;
+    const result = await this._graphql('getExecutionFailure', query, { id: exec.id, orgId });
+
+    const failedTask = (result.taskLogs || []).find(log =>
+      ['FAILED', 'failed', 'ERROR', 'error'].includes(log.status) && log.message
+    );
+    if (failedTask) {
+      return { executionId: exec.id, taskName: failedTask.workflowTaskName || null, message: String(failedTask.message) };
+    }
+
+    const conductorError = (result.workflowExecution?.conductor?.errors || [])[0];
+    const message = typeof conductorError === 'string'
+      ? conductorError
+      : conductorError?.message || (conductorError ? JSON.stringify(conductorError) : '');
+    return { executionId: exec.id, taskName: null, message };
+  }
+
+  /**
+   * Cron Job triggers (with their parameters: cron expression and timezone) for each
+   * workflow, and the orgs each one runs for. Cached for the session per workflow;
+   * workflows whose lookup fails are left out.
+   *
+   * @param {Array} workflowIds
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=5] - Parallel requests
+   * @returns {Promise<Map>} workflowId → [{ id, name, enabled, parameters, orgIds }]
+   */
+  async getCronTriggers(workflowIds, { concurrency = 5 } = {}) {
+    if (!this._cronTriggersCache) this._cronTriggersCache = new Map();
+    if (!this._cronTriggersInflight) this._cronTriggersInflight = new Map();
+
+    const pending = workflowIds.filter(id => id && !this._cronTriggersCache.has(id));
+    this._log(`Fetching cron triggers for ${pending.length} workflows (${workflowIds.length - pending.length} cached)...`);
+
+    const fetchOne = async (workflowId) => {
+      if (this._cronTriggersInflight.has(workflowId)) {
+        return this._cronTriggersInflight.get(workflowId);
+      }
+      const p = this._doGetCronTriggers(workflowId);
+      this._cronTriggersInflight.set(workflowId, p);
+      try {
+        this._cronTriggersCache.set(workflowId, await p);
+      } finally {
+        this._cronTriggersInflight.delete(workflowId);
+      }
+    };
+
+    let i = 0;
+    const runNext = async () => {
+      if (i >= pending.length) return;
+      const workflowId = pending[i++];
+      await fetchOne(workflowId).catch(error => {
+        this._log(`⚠️ Cron triggers for ${workflowId} unavailable: ${error.message}`);
+      });
+      await runNext();
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, runNext));
+
+    const triggers = new Map();
+    workflowIds.forEach(id => {
+      if (this._cronTriggersCache.has(id)) triggers.set(id, this._cronTriggersCache.get(id));
+    });
+    return triggers;
+  }
+
+  async _doGetCronTriggers(workflowId) {
+    const triggers = await this.getWorkflowTriggers(workflowId);
+    return triggers
+      .filter(trigger => trigger.triggerType?.name === 'Cron Job')
+      .map(trigger => {
+        // A trigger fires once per org it is activated for
+        const orgIds = new Set([
+          ...(trigger.orgInstances || []).map(instance => instance.orgId || instance.organization?.id),
+          ...(trigger.activatedForOrgs || []).map(org => org.id),
+        ].filter(Boolean));
+        return {
+          id: trigger.id,
+          name: trigger.name,
+          enabled: trigger.enabled !== false,
+          parameters: trigger.parameters,
+          orgIds: orgIds.size > 0 ? Array.from(orgIds) : [this.orgId],
+        };
+      });
+  }
+
   /**
    * Get the input/output schema (I/O configuration) for a workflow
    * Shows expected input parameters and output variables
@@ -5346,6 +6025,7 @@ async _fetchTriggerInfoBatched(executions, includeRawContext = false, options =
     const delayMs = 100;
 
     for (let i = 0; i < needsContextFetch.length; i += batchSize) {
+      this._throwIfAborted(options.signal, 'Trigger info fetch');
       const batch = needsContextFetch.slice(i, i + batchSize);
 
       const batchResults = await Promise.all(
@@ -5405,6 +6085,7 @@ async _fetchTriggerInfoBatched(executions, includeRawContext = false, options =
             };
 
           } catch (error) {
+            if (error.isAborted) throw error;
             this._log(`⚠️ Failed to get context for ${execution.id}: ${error.message}`);
             failedIds.push(execution.id); // Track for retry later
 
@@ -5535,19 +6216,301 @@ async _fetchTriggerInfoBatched(executions, includeRawContext = false, options =
     return null;
   }
 
+  /**
+   * Counts of _graphql retries this session: retries made, requests that succeeded after
+   * retrying, requests that ran out of retries, and retries currently waiting
+   * @returns {object} { retries, recovered, exhausted, pending }
+   */
+  getRetryStats() {
+    return { ...this._retryStats };
+  }
+
+  /**
+   * Request layer counters: responses served from the TTL cache (hits), network calls made
+   * (misses), and calls that joined an identical request already in flight (coalesced).
+   * The session caches of getManagedOrganizations and getExecutionTriggerInfo count too.
+   * @returns {object} { hits, misses, coalesced, cached, inflight }
+   */
+  getRequestCacheStats() {
+    return { ...this._requestStats, cached: this._responseCache.size, inflight: this._inflightRequests.size };
+  }
+
+  /**
+   * Drop cached responses so the next call refetches. Requests already in flight are detached
+   * too, and their responses won't be cached.
+   * @param {string|Array|Function|null} [filter] - Operation name(s) or operationName → boolean;
+   *   null drops everything. getManagedOrgs and getContexts also clear the session caches of
+   *   getManagedOrganizations and getExecutionTriggerInfo.
+   * @returns {number} Cached responses dropped
+   */
+  invalidateRequestCache(filter = null) {
+    const matches = typeof filter === 'function' ? filter
+      : filter === null ? () => true
+      : (operationName) => [].concat(filter).includes(operationName);
+
+    let dropped = 0;
+    for (const [key, entry] of this._responseCache) {
+      if (matches(entry.operationName)) {
+        this._responseCache.delete(key);
+        dropped++;
+      }
+    }
+    for (const [key, entry] of this._inflightRequests) {
+      if (matches(entry.operationName)) this._inflightRequests.delete(key);
+    }
+    if (matches('getManagedOrgs')) this._managedOrgsCache.clear();
+    if (matches('getContexts')) this._triggerInfoCache?.clear();
+    this._requestCacheGeneration++;
+
+    this._log(`🧹 Request cache invalidated (${dropped} response(s) dropped)`);
+    return dropped;
+  }
+
+  // Same operation, query text and variables → same key. The query is hashed to keep keys short.
+  _getRequestKey(operationName, query, variables) {
+    let hash = 5381;
+    for (let i = 0; i < query.length; i++) {
+      hash = ((hash << 5) + hash + query.charCodeAt(i)) | 0;
+    }
+    return `${operationName}:${hash}:${JSON.stringify(variables)}`;
+  }
+
+  // Wait on a shared request with the caller's own signal. Aborting rejects only this caller;
+  // the request itself is cancelled once every caller waiting on it has gone.
+  _joinRequest(key, entry, signal) {
+    entry.waiting++;
+    if (!signal) return entry.promise;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(this._createAbortError(entry.operationName));
+        if (--entry.waiting === 0) {
+          if (this._inflightRequests.get(key) === entry) this._inflightRequests.delete(key);
+          entry.controller.abort();
+        }
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Run a GraphQL operation. Queries go through the request layer: an identical request already
+   * in flight is joined instead of sent again (its options win, except the signal, which only
+   * rejects its own caller), and with options.cacheTtlMs a response is reused until it expires. Responses are shared between callers, so treat them
+   * as read-only. Mutations always go straight to the network.
+   * @param {string} operationName
+   * @param {string} query
+   * @param {object} variables
+   * @param {object} options - timeout, retry, onRetry, globalDeadline / deadline (see _graphqlWithRetry), cacheTtlMs,
+   *   coalesce (false to always send a new request), signal (AbortSignal; rejects with an AbortError)
+   * @returns {Promise<object>} result.data
+   */
   async _graphql(operationName, query, variables = {}, options = {}) {
+    this._throwIfAborted(options.signal, operationName);
+    if (/^\s*mutation\b/.test(query) || options.coalesce === false) {
+      return this._graphqlWithRetry(operationName, query, variables, options);
+    }
+
+    // The signal is left out of the key so loads share in-flight and cached responses
+    const key = this._getRequestKey(operationName, query, variables);
+    const cacheTtlMs = options.cacheTtlMs || 0;
+    if (cacheTtlMs > 0) {
+      const cached = this._responseCache.get(key);
+      if (cached && cached.expiresAt > Date.now()) {
+        this._requestStats.hits++;
+        return cached.data;
+      }
+      if (cached) this._responseCache.delete(key);
+    }
+
+    const inflight = this._inflightRequests.get(key);
+    if (inflight) {
+      this._requestStats.coalesced++;
+      return this._joinRequest(key, inflight, options.signal);
+    }
+
+    this._requestStats.misses++;
+    const generation = this._requestCacheGeneration;
+    const controller = new AbortController();
+    const entry = { operationName, controller, waiting: 0, promise: null };
+    entry.promise = this._graphqlWithRetry(operationName, query, variables, { ...options, signal: controller.signal })
+      .then(data => {
+        if (cacheTtlMs > 0 && generation === this._requestCacheGeneration) {
+          this._responseCache.set(key, { operationName, data, expiresAt: Date.now() + cacheTtlMs });
+        }
+        return data;
+      })
+      .finally(() => {
+        if (this._inflightRequests.get(key) === entry) this._inflightRequests.delete(key);
+      });
+    this._inflightRequests.set(key, entry);
+    return this._joinRequest(key, entry, options.signal);
+  }
+
+  /**
+   * Send a GraphQL operation, retrying 429 / 5xx responses and network errors with exponential
+   * backoff and jitter (Retry-After is honored). AUTH_ERR and GraphQL errors are never retried,
+   * and neither is a failure whose retry wait would end past the fetch's deadline.
+   * @param {string} operationName
+   * @param {string} query
+   * @param {object} variables
+   * @param {object} options - timeout (per attempt), retry (policy overrides or false), onRetry,
+   *   globalDeadline / deadline (ms timestamps, as passed to the chunk fetchers)
+   * @returns {Promise<object>} result.data
+   * @throws {Error} The last error, with error.retries set to the retries made
+   * @private
+   */
+  async _graphqlWithRetry(operationName, query, variables = {}, options = {}) {
+    const isMutation = /^\s*mutation\b/.test(query);
+    const policy = options.retry === false || (isMutation && !options.retry)
+      ? { ...RewstApp.RETRY_POLICY, retries: 0 }
+      : { ...RewstApp.RETRY_POLICY, ...(options.retry || {}) };
+    const deadline = options.globalDeadline || options.deadline || null;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const data = await this._graphqlRequest(operationName, query, variables, options);
+        if (attempt > 0) {
+          this._retryStats.recovered++;
+          this._log(`✅ ${operationName} succeeded after ${attempt} retr${attempt === 1 ? 'y' : 'ies'}`);
+        }
+        return data;
+      } catch (error) {
+        error.retries = attempt;
+        let delayMs = attempt < policy.retries && this._isRetryableError(error, policy)
+          ? this._getRetryDelay(attempt, policy, error, deadline)
+          : null;
+        if (delayMs !== null && deadline && Date.now() + delayMs >= deadline) {
+          this._log(`⏱️ ${operationName} failed (${error.message}) - no time left before the deadline to retry`);
+          delayMs = null;
+        }
+        if (delayMs === null) {
+          if (attempt > 0) this._retryStats.exhausted++;
+          throw error;
+        }
+
+        this._retryStats.retries++;
+        this._log(`🔁 ${operationName} failed (${error.message}) - retry ${attempt + 1}/${policy.retries} in ${Math.round(delayMs)}ms`);
+        const event = { operationName, attempt: attempt + 1, retries: policy.retries, delayMs, status: error.status || null, error };
+        [options.onRetry, this.onRetry].filter(Boolean).forEach(listener => {
+          try {
+            listener(event);
+          } catch (listenerError) {
+            console.warn('[Rewst Warning] onRetry callback failed:', listenerError.message);
+          }
+        });
+
+        this._retryStats.pending++;
+        try {
+          await this._sleep(delayMs, options.signal);
+        } finally {
+          this._retryStats.pending--;
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a failed request may succeed if sent again
+   * @private
+   */
+  _isRetryableError(error, policy) {
+    if (error.isSessionExpired || error.isAborted) return false;
+    if (error.isTimeout) return policy.retryTimeouts === true;
+    if (error.status) return error.status === 429 || error.status >= 500;
+    return error.isNetworkError === true;
+  }
+
+  /**
+   * Wait before retry number attempt + 1: Retry-After when the server sent one, otherwise
+   * exponential backoff with equal jitter. null (give up) when Retry-After is longer than
+   * maxRetryAfterMs and there is no deadline it would end before, since retrying early
+   * only earns another 429.
+   * @private
+   */
+  _getRetryDelay(attempt, policy, error, deadline = null) {
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      if (error.retryAfterMs <= policy.maxRetryAfterMs) return error.retryAfterMs;
+      return deadline && Date.now() + error.retryAfterMs < deadline ? error.retryAfterMs : null;
+    }
+    const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  }
+
+  // Retry-After is either seconds or an HTTP date
+  _parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * The error every cancelled request or fetch rejects with. name is AbortError like fetch's;
+   * check error.isAborted to tell it apart from a timeout.
+   * @private
+   */
+  _createAbortError(what = 'Request') {
+    const error = new Error(`${what} was cancelled`);
+    error.name = 'AbortError';
+    error.isAborted = true;
+    return error;
+  }
+
+  _throwIfAborted(signal, what) {
+    if (signal?.aborted) throw this._createAbortError(what);
+  }
+
+  // setTimeout as a promise that rejects early when the signal fires
+  _sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this._createAbortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this._createAbortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * A single GraphQL request. Errors carry status / retryAfterMs (HTTP errors),
+   * isNetworkError, isTimeout, isAborted or isSessionExpired for the retry policy.
+   * @private
+   */
+  async _graphqlRequest(operationName, query, variables = {}, options = {}) {
     const timeoutMs = options.timeout || 30000; // Default 30s for workflow operations
+    const { signal } = options;
+    this._throwIfAborted(signal, operationName);
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    // The caller's signal aborts this request too
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
     try {
-      const response = await fetch(this.graphqlUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({ operationName, query, variables }),
-        signal: controller.signal
-      });
+      let response;
+      try {
+        response = await fetch(this.graphqlUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ operationName, query, variables }),
+          signal: controller.signal
+        });
+      } catch (error) {
+        // fetch only rejects when no response arrived: aborted (timeout) or a network failure
+        if (error.name !== 'AbortError') error.isNetworkError = true;
+        throw error;
+      }
       clearTimeout(timeoutId);
 
       if (!response.ok) {
@@ -5557,7 +6520,10 @@ async _fetchTriggerInfoBatched(executions, includeRawContext = false, options =
           errorBody = await response.text();
           console.error('[Rewst Debug] HTTP Error Response Body:', errorBody);
         } catch (e) { /* ignore */ }
-        throw new Error(`Request failed: ${response.status}`);
+        const httpError = new Error(`Request failed: ${response.status}`);
+        httpError.status = response.status;
+        httpError.retryAfterMs = this._parseRetryAfter(response.headers?.get?.('Retry-After'));
+        throw httpError;
       }
 
       const result = await response.json();
@@ -5595,11 +6561,18 @@ async _fetchTriggerInfoBatched(executions, includeRawContext = false, options =
       return result.data;
     } catch (error) {
       clearTimeout(timeoutId);
+      if (signal?.aborted) {
+        throw this._createAbortError(operationName);
+      }
       if (error.name === 'AbortError') {
         this._log(`⏱️ ${operationName} timed out after ${timeoutMs/1000}s`);
-        throw new Error(`Request timed out after ${timeoutMs/1000}s: ${operationName}`);
+        const timeoutError = new Error(`Request timed out after ${timeoutMs/1000}s: ${operationName}`);
+        timeoutError.isTimeout = true;
+        throw timeoutError;
       }
       throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
     }
   }
 
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstAlertRules = require('../src/alert-rules.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2026, 1, 1, 9);
+
+function execution(id, { workflow = 'wf-1', status = 'SUCCEEDED', day = 0, org = 'org-1', formId = null } = {}) {
+  return {
+    id,
+    status,
+    createdAt: String(START + day * DAY),
+    workflow: { id: workflow, name: `Workflow ${workflow}`, link: `https://app.rewst.io/workflows/${workflow}` },
+    organization: { id: org, name: `Org ${org}` },
+    triggerInfo: formId ? { type: 'Form Submission', formId } : { type: 'Manual' },
+  };
+}
+
+function rule(overrides) {
+  return RewstAlertRules.normalizeRule({ metric: 'failure_rate', scope: 'workflow', comparator: 'gte', threshold: 30, ...overrides });
+}
+
+test('nothing stored means the default rules; stored lists are cleaned up', () => {
+  assert.deepEqual(RewstAlertRules.normalizeRules(null).map(item => item.id), RewstAlertRules.DEFAULT_RULES.map(item => item.id));
+  assert.deepEqual(RewstAlertRules.normalizeRules([]), []);
+
+  const rules = RewstAlertRules.normalizeRules([
+    { id: 'a', name: '  Too <b>many</b>   failures ', metric: 'failure_count', scope: 'org', comparator: 'nope', threshold: '4', windowDays: '0', severity: 'urgent' },
+    { id: 'a', metric: 'failure_rate', scope: 'form', threshold: 10 },
+    { id: 'bad-metric', metric: 'cpu', scope: 'workflow', threshold: 1 },
+    { id: 'no-threshold', metric: 'failure_rate', scope: 'workflow', threshold: '' },
+  ]);
+
+  assert.equal(rules.length, 2);
+  assert.deepEqual(rules[0], {
+    id: 'a',
+    name: 'Too bmany/b failures',
+    metric: 'failure_count',
+    scope: 'org',
+    comparator: 'gte',
+    threshold: 4,
+    windowDays: null,
+    minExecutions: 0,
+    severity: 'medium',
+    enabled: true,
+  });
+  assert.notEqual(rules[1].id, 'a');
+  assert.equal(rules[1].name, 'Failure rate (%)');
+});
+
+test('rules are evaluated per workflow, form and org with minimum executions', () => {
+  const executions = [
+    ...Array.from({ length: 4 }, (_, i) => execution(`a${i}`, { workflow: 'wf-1', status: i < 2 ? 'FAILED' : 'SUCCEEDED', formId: 'form-1' })),
+    ...Array.from({ length: 6 }, (_, i) => execution(`b${i}`, { workflow: 'wf-2', status: i === 0 ? 'FAILED' : 'SUCCEEDED', org: 'org-2' })),
+  ];
+  const forms = [{ id: 'form-1', name: 'New hire', link: 'https://app.rewst.io/forms/form-1' }];
+
+  const matches = RewstAlertRules.evaluateRules([
+    rule({ id: 'wf', minExecutions: 3 }),
+    rule({ id: 'form', scope: 'form', threshold: 50, severity: 'critical' }),
+    rule({ id: 'org', scope: 'org', metric: 'execution_count', comparator: 'lt', threshold: 5, severity: 'low' }),
+    rule({ id: 'off', metric: 'failure_count', threshold: 0, enabled: false }),
+  ], executions, { forms });
+
+  assert.deepEqual(matches.map(match => [match.ruleId, match.subjectId, match.value]), [
+    ['form', 'form-1', 50],
+    ['wf', 'wf-1', 50],
+    ['org', 'org-1', 4],
+  ]);
+  assert.equal(matches[0].formLink, 'https://app.rewst.io/forms/form-1');
+  assert.equal(matches[1].workflowLink, 'https://app.rewst.io/workflows/wf-1');
+  assert.equal(matches[1].title, 'Workflow wf-1 has 50.0% failure rate');
+  assert.equal(matches[2].orgId, 'org-1');
+  assert.deepEqual([matches[1].failedCount, matches[1].executionCount], [2, 4]);
+
+  const strict = RewstAlertRules.evaluateRules([rule({ minExecutions: 5 })], executions);
+  assert.deepEqual(strict, []);
+});
+
+test('the most severe rule wins for the same metric and subject, and windows count back from the latest run', () => {
+  const executions = [
+    ...Array.from({ length: 5 }, (_, i) => execution(`old${i}`, { day: i })),
+    execution('f1', { status: 'FAILED', day: 10 }),
+    execution('f2', { status: 'FAILED', day: 11 }),
+    execution('f3', { status: 'FAILED', day: 12 }),
+  ];
+
+  const matches = RewstAlertRules.evaluateRules([
+    rule({ id: 'high', severity: 'high' }),
+    rule({ id: 'critical', threshold: 35, severity: 'critical' }),
+    rule({ id: 'streak', metric: 'consecutive_failures', threshold: 3 }),
+  ], executions);
+  assert.deepEqual(matches.map(match => [match.ruleId, match.value]), [['critical', 37.5], ['streak', 3]]);
+
+  const windowed = RewstAlertRules.evaluateRules([rule({ threshold: 100, windowDays: 3 })], executions);
+  assert.deepEqual(windowed.map(match => match.value), [100]);
+  assert.equal(RewstAlertRules.describeRule(rule({ windowDays: 3 })), 'Failure rate (%) ≥ 30 over the last 3 days');
+});
+
+test('execution drops compare the recent per-day rate with the historical one', () => {
+  const executions = [
+    ...Array.from({ length: 14 }, (_, i) => execution(`h${i}`, { day: i / 2 })),
+    execution('r1', { day: 10 }),
+    execution('r2', { day: 20 }),
+  ];
+
+  const [match] = RewstAlertRules.evaluateRules([rule({ metric: 'execution_drop', threshold: 50, minExecutions: 10 })], executions);
+  assert.equal(Math.round(match.value), 84);
+  assert.match(match.title, /executions dropped \d+%/);
+});
+
+test('the default rules flag execution drops over 50%, as high from 80%', () => {
+  const executions = [
+    // wf-1: 84% drop, wf-2: about 68%, wf-3: steady
+    ...Array.from({ length: 14 }, (_, i) => execution(`a${i}`, { workflow: 'wf-1', day: i / 2 })),
+    execution('a-r1', { workflow: 'wf-1', day: 10 }),
+    execution('a-r2', { workflow: 'wf-1', day: 20 }),
+    ...Array.from({ length: 14 }, (_, i) => execution(`b${i}`, { workflow: 'wf-2', day: i })),
+    ...Array.from({ length: 6 }, (_, i) => execution(`b-r${i}`, { workflow: 'wf-2', day: 16 + i * 3.5 })),
+    ...Array.from({ length: 20 }, (_, i) => execution(`c${i}`, { workflow: 'wf-3', day: i })),
+  ];
+
+  const matches = RewstAlertRules.evaluateRules(RewstAlertRules.normalizeRules(null), executions);
+  assert.deepEqual(matches.map(match => [match.subjectId, match.ruleId, match.severity]), [
+    ['wf-1', 'default_execution_drop_high', 'high'],
+    ['wf-2', 'default_execution_drop', 'medium'],
+  ]);
+});
+
+test('rules round-trip through export and import', () => {
+  const rules = [rule({ id: 'r1', name: 'Failing' })];
+  assert.deepEqual(RewstAlertRules.parseRulesImport(RewstAlertRules.exportRules(rules)), rules);
+  assert.deepEqual(RewstAlertRules.parseRulesImport(JSON.stringify(rules)), rules);
+
+  assert.throws(() => RewstAlertRules.parseRulesImport('{oops'), /not valid JSON/);
+  assert.throws(() => RewstAlertRules.parseRulesImport('{"version":1}'), /no rules list/);
+  assert.throws(() => RewstAlertRules.parseRulesImport('[{"metric":"cpu"}]'), /no valid rules/);
+});
+
+test('rules load from and save to the preference store', async () => {
+  const saved = {};
+  const store = {
+    load: async (key) => saved[key] ?? null,
+    save: async (key, value) => { saved[key] = value; },
+  };
+
+  assert.equal((await RewstAlertRules.loadRules(store)).length, RewstAlertRules.DEFAULT_RULES.length);
+  await RewstAlertRules.saveRules(store, [rule({ id: 'only' })]);
+  assert.deepEqual((await RewstAlertRules.loadRules(store)).map(item => item.id), ['only']);
+  assert.equal(saved[RewstAlertRules.PREFERENCE_KEY].length, 1);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstAnomalyDetection = require('../src/anomaly-detection.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+// A Monday, local time
+const START = new Date(2026, 1, 2, 9).getTime();
+
+// Weekly cycle: busy on weekdays, nearly idle on weekends
+function weeklySeries(weeks, overrides = {}) {
+  const executions = [];
+  for (let day = 0; day < weeks * 7; day++) {
+    const weekend = day % 7 >= 5;
+    const count = overrides[day] ?? (weekend ? 1 : 20 + (day % 3));
+    for (let i = 0; i < count; i++) executions.push({ id: `${day}-${i}`, createdAt: String(START + day * DAY + i * 1000) });
+  }
+  return RewstAnomalyDetection.toDailySeries(executions, { start: START, end: START + (weeks * 7 - 1) * DAY });
+}
+
+test('median and MAD ignore a single outlier', () => {
+  assert.equal(RewstAnomalyDetection.median([5, 1, 3]), 3);
+  assert.equal(RewstAnomalyDetection.median([4, 1, 3, 2]), 2.5);
+  assert.equal(RewstAnomalyDetection.median([]), null);
+  assert.equal(RewstAnomalyDetection.mad([10, 11, 9, 10, 500]), 1);
+});
+
+test('daily series are zero-filled and carry the weekday', () => {
+  const series = RewstAnomalyDetection.toDailySeries([
+    { createdAt: String(START) },
+    { createdAt: String(START + 1000) },
+    { createdAt: String(START + 2 * DAY) },
+    { createdAt: 'bad' },
+  ]);
+  assert.deepEqual(series.map(point => [point.date, point.dayOfWeek, point.count]), [
+    ['2026-02-02', 1, 2],
+    ['2026-02-03', 2, 0],
+    ['2026-02-04', 3, 1],
+  ]);
+
+  assert.deepEqual(RewstAnomalyDetection.fromDailyCounts([
+    { date: '2026-02-04T00:00:00Z', count: 7 },
+    { date: '2026-02-02', count: '3' },
+    { date: null, count: 9 },
+  ]).map(point => [point.date, point.count]), [['2026-02-02', 3], ['2026-02-03', 0], ['2026-02-04', 7]]);
+
+  assert.deepEqual(
+    RewstAnomalyDetection.dropPartialDay(series, START + 2 * DAY + 5000).map(point => point.date),
+    ['2026-02-02', '2026-02-03']
+  );
+});
+
+test('weekly cycles are not anomalies; the weekday baseline catches real drops and spikes', () => {
+  const quiet = RewstAnomalyDetection.scoreSeries(weeklySeries(5));
+  assert.equal(quiet.filter(point => point.anomaly).length, 0);
+  assert.equal(quiet[quiet.length - 1].expected, 1);
+
+  // Week 5 Tuesday stops entirely, Saturday gets a burst
+  const points = RewstAnomalyDetection.scoreSeries(weeklySeries(5, { 29: 0, 33: 40 }));
+  const flagged = points.filter(point => point.anomaly).map(point => [point.date, point.anomaly]);
+  assert.deepEqual(flagged, [['2026-03-03', 'drop'], ['2026-03-07', 'spike']]);
+
+  const drop = points.find(point => point.date === '2026-03-03');
+  assert.ok(drop.z < -RewstAnomalyDetection.DEFAULT_THRESHOLD);
+  assert.ok(drop.lower <= drop.expected && drop.expected <= drop.upper);
+});
+
+test('days need three earlier same weekdays before they are scored, and small wobbles are ignored', () => {
+  const points = RewstAnomalyDetection.scoreSeries(weeklySeries(4));
+  assert.equal(points.slice(0, 21).every(point => point.expected === null), true);
+  assert.equal(points.slice(21).every(point => point.expected !== null), true);
+
+  const tiny = RewstAnomalyDetection.scoreSeries([0, 0, 0, 3].map((count, i) => ({ date: `2026-02-0${i + 1}`, dayOfWeek: 1, count })));
+  assert.deepEqual([tiny[3].expected, tiny[3].anomaly], [0, null]);
+});
+
+test('the most extreme recent anomaly is reported', () => {
+  const points = [
+    { date: '2026-02-01', anomaly: 'spike', z: 9 },
+    { date: '2026-02-10', anomaly: 'drop', z: -4 },
+    { date: '2026-02-11', anomaly: 'spike', z: 5 },
+    { date: '2026-02-12', anomaly: null, z: 0 },
+  ];
+  assert.equal(RewstAnomalyDetection.findRecentAnomaly(points, { recentDays: 3 }).date, '2026-02-11');
+  assert.equal(RewstAnomalyDetection.findRecentAnomaly(points.slice(3)), null);
+});
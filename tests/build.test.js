@@ -20,3 +20,53 @@ test('build embeds the persistent theme feature in the compiled dashboard', () =
   assert.match(compiled, /id="theme-toggle"/);
   assert.match(compiled, /IDB_PREFERENCES_STORE_NAME = 'preferences'/);
 });
+
+// Each src module's marker and the UMD attach function its source starts with
+const EMBEDDED_MODULES = [
+  ['DATE_RANGE', 'attachRewstDateRange'],
+  ['TABLE_EXPORT', 'attachRewstTableExport'],
+  ['REPORT_BUILDER', 'attachRewstReport'],
+  ['VALUATION', 'attachRewstValuation'],
+  ['URL_STATE', 'attachRewstUrlState'],
+  ['SAVED_VIEWS', 'attachRewstSavedViews'],
+  ['ORG_GROUPS', 'attachRewstOrgGroups'],
+  ['ORG_TREE', 'attachRewstOrgTree'],
+  ['DURATION_STATS', 'attachRewstDurationStats'],
+  ['FAILURE_SIGNATURES', 'attachRewstFailureSignatures'],
+  ['EXECUTION_TIMELINE', 'attachRewstExecutionTimeline'],
+  ['CALL_GRAPH', 'attachRewstCallGraph'],
+  ['ALERT_RULES', 'attachRewstAlertRules'],
+  ['INSIGHT_NOTIFIER', 'attachRewstInsightNotifier'],
+  ['ANOMALY_DETECTION', 'attachRewstAnomalyDetection'],
+  ['CRON_SCHEDULE', 'attachRewstCronSchedule'],
+  ['FORM_FUNNEL', 'attachRewstFormFunnel'],
+  ['CROSSTAB', 'attachRewstCrossTab'],
+  ['TEXT_ANALYTICS', 'attachRewstTextAnalytics'],
+  ['EXECUTION_DELTA', 'attachRewstExecutionDelta'],
+];
+
+test('build embeds every src module and the page hooks that use them', () => {
+  execFileSync(process.execPath, ['build.js'], {
+    cwd: repositoryRoot,
+    stdio: 'pipe',
+  });
+
+  const compiled = fs.readFileSync(compiledDashboard, 'utf8');
+
+  for (const [marker, attachName] of EMBEDDED_MODULES) {
+    assert.ok(!compiled.includes(`{{ ${marker} }}`), `${marker} marker left in the compiled dashboard`);
+    assert.ok(compiled.includes(`function ${attachName}(`), `${attachName} missing from the compiled dashboard`);
+  }
+
+  assert.ok(compiled.indexOf('function attachRewstDateRange') < compiled.indexOf('function createDateRangePicker'));
+  assert.match(compiled, /id="generate-report"/);
+  assert.match(compiled, /id="execution-panel"/);
+  assert.doesNotMatch(compiled, /filterState\.selectedOrgId\b/);
+});
+
+test('no page hard-codes the hourly rate', () => {
+  for (const page of ['overalldash.js', 'formdetail.js', 'workflowdetail.js']) {
+    const source = fs.readFileSync(path.join(repositoryRoot, 'pages', page), 'utf8');
+    assert.doesNotMatch(source, /\* 50\b|\$50\/hour/, page);
+  }
+});
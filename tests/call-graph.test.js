@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstCallGraph = require('../src/call-graph.js');
+
+const START = Date.UTC(2026, 1, 1, 9);
+
+function execution(id, name, seconds, { parent = null, status = 'SUCCEEDED', offset = 0 } = {}) {
+  return {
+    id,
+    status,
+    parentExecutionId: parent,
+    workflow: { id: `wf-${name}`, name },
+    createdAt: String(START + offset * 1000),
+    updatedAt: String(START + (offset + seconds) * 1000),
+  };
+}
+
+test('sub-workflow calls become edges with call counts, failure rates and time', () => {
+  const roots = [execution('r1', 'Onboard', 60), execution('r2', 'Onboard', 40)];
+  const all = [
+    ...roots,
+    execution('c1', 'Create user', 20, { parent: 'r1' }),
+    execution('c2', 'Create user', 10, { parent: 'r2', status: 'FAILED' }),
+    execution('c3', 'Assign license', 5, { parent: 'r1' }),
+    execution('g1', 'Send email', 4, { parent: 'c1' }),
+    execution('x1', 'Unrelated', 30, { parent: 'other' }),
+  ];
+
+  const graph = RewstCallGraph.buildCallGraph(roots, all);
+
+  assert.equal(graph.rootId, 'Onboard');
+  assert.deepEqual(graph.edges.map(edge => [edge.from, edge.to, edge.calls, edge.failureRate, edge.avgSeconds]), [
+    ['Onboard', 'Create user', 2, 50, 15],
+    ['Onboard', 'Assign license', 1, 0, 5],
+    ['Create user', 'Send email', 1, 0, 4],
+  ]);
+
+  const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+  assert.deepEqual([...nodes.keys()].sort(), ['Assign license', 'Create user', 'Onboard', 'Send email']);
+  assert.deepEqual(
+    ['executions', 'failed', 'depth', 'totalSeconds', 'selfSeconds'].map(key => nodes.get('Onboard')[key]),
+    [2, 0, 0, 100, 65]
+  );
+  assert.deepEqual([nodes.get('Create user').selfSeconds, nodes.get('Create user').failed], [26, 1]);
+  assert.equal(nodes.get('Send email').depth, 2);
+});
+
+test('recursion and cycles terminate and maxDepth stops the walk', () => {
+  const roots = [execution('r1', 'Paginate', 30)];
+  const all = [
+    ...roots,
+    execution('p2', 'Paginate', 20, { parent: 'r1' }),
+    execution('p3', 'Paginate', 10, { parent: 'p2' }),
+    execution('loop', 'Paginate', 1, { parent: 'loop' }),
+  ];
+
+  const graph = RewstCallGraph.buildCallGraph(roots, all);
+  assert.deepEqual(graph.edges.map(edge => [edge.from, edge.to, edge.calls]), [['Paginate', 'Paginate', 2]]);
+  assert.equal(graph.nodes[0].executions, 3);
+
+  const shallow = RewstCallGraph.buildCallGraph(roots, all, { maxDepth: 1 });
+  assert.deepEqual(shallow.edges.map(edge => edge.calls), [1]);
+  assert.equal(shallow.nodes[0].executions, 2);
+
+  assert.deepEqual(RewstCallGraph.buildCallGraph([], all), { rootId: null, nodes: [], edges: [] });
+});
+
+test('layout puts each call depth in its own column, busiest workflow first', () => {
+  const graph = {
+    nodes: [
+      { id: 'root', name: 'root', depth: 0, executions: 5 },
+      { id: 'rare', name: 'rare', depth: 1, executions: 1 },
+      { id: 'busy', name: 'busy', depth: 1, executions: 9 },
+    ],
+    edges: [],
+  };
+
+  const layout = RewstCallGraph.layoutCallGraph(graph, { nodeWidth: 100, nodeHeight: 40, columnGap: 50, rowGap: 10, padding: 5 });
+
+  assert.deepEqual(layout.positions.get('root'), { x: 5, y: 5 });
+  assert.deepEqual(layout.positions.get('busy'), { x: 155, y: 5 });
+  assert.deepEqual(layout.positions.get('rare'), { x: 155, y: 55 });
+  assert.deepEqual([layout.width, layout.height], [260, 100]);
+});
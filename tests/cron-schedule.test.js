@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstCronSchedule = require('../src/cron-schedule.js');
+
+globalThis.window = globalThis.window || {};
+const RewstApp = require('../src/zip-graphql-js-lib-v2-optimized.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// A Monday
+const START = Date.UTC(2026, 1, 2);
+
+const iso = (times) => times.map(time => new Date(time).toISOString());
+
+test('cron fields accept lists, ranges, steps, names and macros', () => {
+  const schedule = RewstCronSchedule.parseCron('*/15 9-17/4 1,15 jan-mar MON-FRI');
+  assert.deepEqual(Array.from(schedule.minute), [0, 15, 30, 45]);
+  assert.deepEqual(Array.from(schedule.hour), [9, 13, 17]);
+  assert.deepEqual(Array.from(schedule.dayOfMonth), [1, 15]);
+  assert.deepEqual(Array.from(schedule.month), [1, 2, 3]);
+  assert.deepEqual(Array.from(schedule.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.deepEqual([schedule.dayOfMonthRestricted, schedule.dayOfWeekRestricted], [true, true]);
+
+  assert.deepEqual(Array.from(RewstCronSchedule.parseCron('0 0 * * 7').dayOfWeek), [0]);
+  assert.deepEqual(Array.from(RewstCronSchedule.parseCron('5/20 * * * *').minute), [5, 25, 45]);
+  assert.deepEqual(Array.from(RewstCronSchedule.parseCron('@daily').hour), [0]);
+
+  assert.throws(() => RewstCronSchedule.parseCron('0 0 * *'), /expected 5 fields/);
+  assert.throws(() => RewstCronSchedule.parseCron('60 * * * *'), /out of range for minute/);
+  assert.throws(() => RewstCronSchedule.parseCron('*/0 * * * *'), /bad step/);
+  assert.throws(() => RewstCronSchedule.parseCron(''), /Invalid cron expression/);
+});
+
+test('expected runs cover the window, with day-of-month and day-of-week ORed when both are set', () => {
+  const weekdays = RewstCronSchedule.getExpectedRuns('30 8 * * 1-5', { start: START, end: START + 7 * 24 * HOUR });
+  assert.equal(weekdays.length, 5);
+  assert.equal(new Date(weekdays[0]).toISOString(), '2026-02-02T08:30:00.000Z');
+
+  // The 4th (a Wednesday) or any Sunday
+  const either = RewstCronSchedule.getExpectedRuns('0 12 4 * 0', { start: START, end: START + 14 * 24 * HOUR });
+  assert.deepEqual(iso(either), ['2026-02-04T12:00:00.000Z', '2026-02-08T12:00:00.000Z', '2026-02-15T12:00:00.000Z']);
+
+  assert.equal(RewstCronSchedule.getExpectedRuns('* * * * *', { start: START, end: START + HOUR }).length, 60);
+  assert.deepEqual(RewstCronSchedule.getExpectedRuns('* * * * *', { start: START, end: START }), []);
+});
+
+test('expected runs follow the trigger timezone across DST changes', () => {
+  const newYork = (start, end) => iso(RewstCronSchedule.getExpectedRuns('30 1,2 * * *', {
+    start: Date.UTC(2026, 2, start),
+    end: Date.UTC(2026, 2, end),
+    timeZone: 'America/New_York',
+  }));
+
+  // 2:30 doesn't exist on 8 March 2026, the day clocks spring forward
+  assert.deepEqual(newYork(8, 9), ['2026-03-08T06:30:00.000Z']);
+  assert.deepEqual(newYork(9, 10), ['2026-03-09T05:30:00.000Z', '2026-03-09T06:30:00.000Z']);
+
+  // 1:30 happens twice on 1 November 2026; only the first counts
+  assert.equal(RewstCronSchedule.zonedTimeToUtc(2026, 11, 1, 1, 30, 'America/New_York'), Date.UTC(2026, 10, 1, 5, 30));
+
+  const kolkata = RewstCronSchedule.getExpectedRuns('0 9 * * *', { start: START, end: START + 24 * HOUR, timeZone: 'Asia/Kolkata' });
+  assert.deepEqual(iso(kolkata), ['2026-02-02T03:30:00.000Z']);
+});
+
+test('runs are matched to slots as on time, late, missed or duplicate', () => {
+  const expected = [0, 1, 2, 3, 4].map(hour => START + hour * HOUR);
+  const actual = [
+    START + 20 * 1000,
+    START + HOUR - 30 * 1000,
+    START + HOUR + 2 * MINUTE,
+    START + 2 * HOUR + 12 * MINUTE,
+    START - 10 * MINUTE,
+  ];
+
+  const result = RewstCronSchedule.compareRuns(expected, actual, { now: START + 4 * HOUR + MINUTE });
+
+  assert.equal(result.expected, 4);
+  assert.equal(result.onTime, 2);
+  assert.deepEqual(result.late, [{ expectedAt: START + 2 * HOUR, actualAt: START + 2 * HOUR + 12 * MINUTE, delayMs: 12 * MINUTE }]);
+  assert.deepEqual(result.missed, [START + 3 * HOUR]);
+  assert.deepEqual(result.duplicates, [{ expectedAt: START + HOUR, count: 2 }]);
+  assert.equal(result.unscheduled, 1);
+});
+
+test('trigger parameters give the cron expression and timezone', () => {
+  assert.deepEqual(RewstCronSchedule.getTriggerSchedule({ cron: ' 0 6 * * * ', timezone: 'Europe/London' }), { cron: '0 6 * * *', timeZone: 'Europe/London' });
+  assert.deepEqual(RewstCronSchedule.getTriggerSchedule('{"cronExpression":"@hourly"}'), { cron: '@hourly', timeZone: 'UTC' });
+  assert.equal(RewstCronSchedule.getTriggerSchedule('not json'), null);
+  assert.equal(RewstCronSchedule.getTriggerSchedule({ timezone: 'UTC' }), null);
+});
+
+test('cron triggers are read per workflow with their orgs, and cached', async () => {
+  const requests = [];
+  const app = new RewstApp();
+  app.isInitialized = true;
+  app.orgId = 'org-1';
+  app.getWorkflowTriggers = async (workflowId) => {
+    requests.push(workflowId);
+    if (workflowId === 'broken') throw new Error('server error');
+    return [
+      {
+        id: 'cron-1',
+        name: 'Nightly',
+        enabled: true,
+        parameters: { cron: '0 2 * * *', timezone: 'UTC' },
+        triggerType: { name: 'Cron Job' },
+        orgInstances: [{ id: 'inst-1', orgId: 'org-1' }],
+        activatedForOrgs: [{ id: 'org-2', name: 'Client' }, { id: 'org-1', name: 'MSP' }],
+      },
+      { id: 'hook', name: 'Webhook', enabled: true, triggerType: { name: 'Webhook' } },
+    ];
+  };
+
+  const triggers = await app.getCronTriggers(['wf-1', 'broken']);
+
+  assert.deepEqual(triggers.get('wf-1'), [{
+    id: 'cron-1',
+    name: 'Nightly',
+    enabled: true,
+    parameters: { cron: '0 2 * * *', timezone: 'UTC' },
+    orgIds: ['org-1', 'org-2'],
+  }]);
+  assert.equal(triggers.has('broken'), false);
+
+  await app.getCronTriggers(['wf-1', 'broken']);
+  assert.deepEqual(requests, ['wf-1', 'broken', 'broken']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstCrossTab = require('../src/crosstab.js');
+
+const records = [
+  { license: 'E5', site: 'HQ', apps: ['Teams', 'Visio'] },
+  { license: 'E5', site: 'HQ', apps: ['Teams'] },
+  { license: 'E3', site: 'Branch', apps: [] },
+  { license: 'E3', site: 'HQ', apps: ['Teams'] },
+  { license: null, site: 'HQ', apps: ['Teams'] },
+];
+
+test('records are counted by both dimensions, most frequent values first', () => {
+  const table = RewstCrossTab.buildCrossTab(records, {
+    getRowValues: record => record.license,
+    getColumnValues: record => record.site,
+  });
+
+  assert.deepEqual(table.rows, ['E3', 'E5']);
+  assert.deepEqual(table.columns, ['HQ', 'Branch']);
+  assert.deepEqual(table.cells, [[1, 1], [2, 0]]);
+  assert.deepEqual([table.rowTotals, table.columnTotals, table.total, table.records], [[2, 2], [3, 1], 4, 4]);
+});
+
+test('multi-select answers count once per choice and empty answers are skipped', () => {
+  const table = RewstCrossTab.buildCrossTab(records, {
+    getRowValues: record => record.apps,
+    getColumnValues: record => record.site,
+  });
+
+  assert.deepEqual(table.rows, ['Teams', 'Visio']);
+  assert.deepEqual(table.cells, [[4], [1]]);
+  assert.equal(table.records, 4);
+});
+
+test('values past the limit fold into Other', () => {
+  const many = ['a', 'a', 'a', 'b', 'b', 'c', 'd'].map(value => ({ value, status: 'SUCCEEDED' }));
+  const table = RewstCrossTab.buildCrossTab(many, {
+    getRowValues: record => record.value,
+    getColumnValues: record => record.status,
+    maxRows: 3,
+  });
+
+  assert.deepEqual(table.rows, ['a', 'b', RewstCrossTab.OTHER_KEY]);
+  assert.deepEqual(table.cells, [[3], [2], [2]]);
+});
+
+test('percentages are measured against the row, the column or the whole table', () => {
+  const table = RewstCrossTab.buildCrossTab(records, {
+    getRowValues: record => record.license,
+    getColumnValues: record => record.site,
+  });
+
+  assert.equal(RewstCrossTab.getPercent(table, 0, 0), 50);
+  assert.equal(RewstCrossTab.getPercent(table, 1, 0, 'column'), (2 / 3) * 100);
+  assert.equal(RewstCrossTab.getPercent(table, 1, 0, 'total'), 50);
+  assert.equal(RewstCrossTab.getPercent({ cells: [[0]], rowTotals: [0], columnTotals: [0], total: 0 }, 0, 0), 0);
+});
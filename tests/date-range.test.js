@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstDateRange = require('../src/date-range.js');
+
+globalThis.window = globalThis.window || {};
+const RewstApp = require('../src/zip-graphql-js-lib-v2-optimized.js');
+
+const NOW = new Date(2026, 1, 15, 10, 30);
+
+function initializedApp(graphql) {
+  const app = new RewstApp();
+  app.isInitialized = true;
+  app.orgId = 'org-1';
+  app._graphql = graphql;
+  return app;
+}
+
+test('calendar presets snap to local month and quarter boundaries', () => {
+  const lastMonth = RewstDateRange.resolvePreset('last_month', NOW);
+  assert.deepEqual([lastMonth.start, lastMonth.end], [new Date(2026, 0, 1), new Date(2026, 1, 1)]);
+
+  const monthToDate = RewstDateRange.resolvePreset('month_to_date', NOW);
+  assert.deepEqual([monthToDate.start, monthToDate.end], [new Date(2026, 1, 1), NOW]);
+
+  const lastQuarter = RewstDateRange.resolvePreset('last_quarter', NOW);
+  assert.deepEqual([lastQuarter.start, lastQuarter.end], [new Date(2025, 9, 1), new Date(2026, 0, 1)]);
+
+  const quarterToDate = RewstDateRange.resolvePreset('quarter_to_date', NOW);
+  assert.deepEqual(quarterToDate.start, new Date(2026, 0, 1));
+});
+
+test('custom ranges include the whole end day and reject inverted bounds', () => {
+  const range = RewstDateRange.createCustomRange('2026-01-01', '2026-01-31');
+
+  assert.deepEqual(range.start, new Date(2026, 0, 1));
+  assert.deepEqual(range.end, new Date(2026, 1, 1));
+  assert.equal(RewstDateRange.getRangeDays(range), 31);
+  assert.equal(RewstDateRange.formatRangeLabel(range), 'Jan 1, 2026 – Jan 31, 2026');
+  assert.ok(RewstDateRange.containsTimestamp(range, new Date(2026, 0, 31, 23, 59).getTime()));
+  assert.ok(!RewstDateRange.containsTimestamp(range, new Date(2026, 1, 1).getTime()));
+
+  assert.throws(() => RewstDateRange.createCustomRange('2026-02-01', '2026-01-31'), /start must be on or before/);
+});
+
+test('rolling ranges keep the legacy day-count cache token', () => {
+  assert.equal(RewstDateRange.toCacheToken(RewstDateRange.resolvePreset('last_30_days', NOW)), '30');
+  assert.equal(RewstDateRange.toCacheToken(RewstDateRange.resolvePreset('last_month', NOW)), '2026-01-01_2026-01-31');
+});
+
+test('containsRange treats open-ended outer ranges as running to now', () => {
+  const loaded = RewstDateRange.resolvePreset('last_30_days', NOW);
+  const later = new Date(NOW.getTime() + 60 * 1000);
+
+  assert.ok(RewstDateRange.containsRange(loaded, RewstDateRange.resolvePreset('last_7_days', later), later));
+  assert.ok(!RewstDateRange.containsRange(loaded, RewstDateRange.resolvePreset('last_quarter', NOW), NOW));
+});
+
+test('serialized ranges round-trip; open-ended presets re-resolve to now', () => {
+  const closed = RewstDateRange.resolvePreset('last_month', NOW);
+  const restored = RewstDateRange.deserializeRange(RewstDateRange.serializeRange(closed), new Date(2026, 5, 1));
+  assert.deepEqual(restored, closed);
+
+  const rolling = RewstDateRange.serializeRange(RewstDateRange.resolvePreset('last_7_days', NOW));
+  const later = new Date(2026, 5, 1);
+  assert.deepEqual(RewstDateRange.deserializeRange(rolling, later).end, later);
+});
+
+test('refreshing moves open-ended ranges up to now and leaves closed ranges alone', () => {
+  const later = new Date(NOW.getTime() + 3 * 24 * 60 * 60 * 1000);
+
+  const rolling = RewstDateRange.refreshRange(RewstDateRange.resolvePreset('last_30_days', NOW), later);
+  assert.deepEqual([rolling.start, rolling.end], [new Date(later.getTime() - 30 * 24 * 60 * 60 * 1000), later]);
+  assert.deepEqual(RewstDateRange.refreshRange(RewstDateRange.resolvePreset('month_to_date', NOW), later).end, later);
+
+  const custom = RewstDateRange.createCustomRange('2026-01-01', '2026-01-31');
+  assert.equal(RewstDateRange.refreshRange(custom, later), custom);
+});
+
+test('closed aggregate windows subtract totals since the window end', async () => {
+  const calls = [];
+  const app = initializedApp(async (operationName, query, variables) => {
+    calls.push(variables.createdSince);
+    const since = variables.createdSince;
+    return {
+      workflowExecutionStats: since.startsWith('2026-01-01')
+        ? { succeeded: 120, failed: 12, delayed: 0, paused: 0, pending: 1, running: 2, humanSecondsSaved: 9000 }
+        : { succeeded: 20, failed: 2, delayed: 0, paused: 0, pending: 1, running: 2, humanSecondsSaved: 1000 },
+    };
+  });
+
+  const stats = await app.getWorkflowExecutionStats(30, {
+    startDate: '2026-01-01T00:00:00.000Z',
+    endDate: '2026-02-01T00:00:00.000Z',
+  });
+
+  assert.deepEqual(calls, ['2026-01-01T00:00:00.000Z', '2026-02-01T00:00:00.000Z']);
+  assert.equal(stats.succeeded, 100);
+  assert.equal(stats.failed, 10);
+  assert.equal(stats.humanSecondsSaved, 8000);
+  assert.equal(stats.pending, 0);
+});
+
+test('open-ended aggregate windows issue a single lower-bound query', async () => {
+  const calls = [];
+  const app = initializedApp(async (operationName, query, variables) => {
+    calls.push(variables);
+    return { timeSavedGroupByWorkflow: [{ workflowId: 'wf-1', secondsSaved: 60, totalExecutions: 1 }] };
+  });
+
+  const rows = await app.getTimeSavedGroupByWorkflow(30, { startDate: '2026-01-01T00:00:00.000Z' });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].updatedAt, '2026-01-01T00:00:00.000Z');
+  assert.equal(rows[0].secondsSaved, 60);
+});
+
+test('previous range steps back a calendar period or the range length', () => {
+  const lastMonth = RewstDateRange.getPreviousRange(RewstDateRange.resolvePreset('last_month', NOW));
+  assert.deepEqual([lastMonth.start, lastMonth.end], [new Date(2025, 11, 1), new Date(2026, 0, 1)]);
+
+  const quarterToDate = RewstDateRange.getPreviousRange(RewstDateRange.resolvePreset('quarter_to_date', NOW));
+  assert.deepEqual([quarterToDate.start, quarterToDate.end], [new Date(2025, 9, 1), new Date(2025, 10, 15, 10, 30)]);
+
+  const custom = RewstDateRange.getPreviousRange(RewstDateRange.createCustomRange('2026-01-11', '2026-01-20'));
+  assert.deepEqual([custom.start, custom.end], [new Date(2026, 0, 1), new Date(2026, 0, 11)]);
+  assert.equal(custom.preset, RewstDateRange.CUSTOM_PRESET);
+
+  const endOfMonth = RewstDateRange.getPreviousRange({ preset: 'month_to_date', start: new Date(2026, 2, 1), end: new Date(2026, 2, 31, 12) });
+  assert.deepEqual(endOfMonth.end, new Date(2026, 1, 28, 12));
+});
+
+test('period comparison queries both windows with their own bounds', async () => {
+  const statsSince = [];
+  const app = initializedApp(async (operationName, query, variables) => {
+    if (operationName === 'getWorkflowExecutionStats') {
+      statsSince.push(variables.createdSince);
+      return { workflowExecutionStats: { succeeded: 10, failed: 0, delayed: 0, paused: 0, pending: 0, running: 0, humanSecondsSaved: 3600 } };
+    }
+    if (operationName === 'getDailyTimeSavedByDateRange') {
+      return { dailyTimeSavedByDateRange: [{ date: variables.startDate.slice(0, 10), seconds: 60 }] };
+    }
+    throw new Error('workflow stats unavailable');
+  });
+
+  const result = await app.getPeriodComparison(
+    { startDate: '2026-01-01T00:00:00.000Z' },
+    { startDate: '2025-12-01T00:00:00.000Z', endDate: '2026-01-01T00:00:00.000Z' }
+  );
+
+  assert.deepEqual(statsSince.sort(), ['2025-12-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z']);
+  assert.equal(result.current.stats.humanSecondsSaved, 3600);
+  assert.equal(result.previous.stats.humanSecondsSaved, 0);
+  assert.equal(result.previous.dailyTimeSaved[0].date, '2025-12-01');
+  assert.deepEqual(result.current.workflowStats, []);
+});
+
+test('period comparison across several orgs adds the periods together', async () => {
+  const statsOrgs = [];
+  const app = initializedApp(async (operationName, query, variables) => {
+    if (operationName === 'getWorkflowExecutionStats') {
+      statsOrgs.push(variables.orgId);
+      return { workflowExecutionStats: { succeeded: 5, failed: 1, delayed: 0, paused: 0, pending: 0, running: 0, humanSecondsSaved: 1800 } };
+    }
+    if (operationName === 'getDailyTimeSavedByDateRange') {
+      return { dailyTimeSavedByDateRange: [{ date: '2026-01-02', seconds: 30 }] };
+    }
+    const orgId = /orgId: "([^"]+)"/.exec(query)[1];
+    return { workflowStatsByOrg: [{ id: `wf-${orgId}`, totalExecutions: 2, totalHumanSecondsSaved: 600 }] };
+  });
+
+  const result = await app.getPeriodComparison(
+    { startDate: '2026-01-01T00:00:00.000Z' },
+    { startDate: '2025-12-01T00:00:00.000Z', endDate: '2026-01-01T00:00:00.000Z' },
+    { orgIds: ['org-2', 'org-3'] }
+  );
+
+  assert.deepEqual([...new Set(statsOrgs)].sort(), ['org-2', 'org-3']);
+  assert.equal(result.current.stats.succeeded, 10);
+  assert.equal(result.current.stats.humanSecondsSaved, 3600);
+  assert.deepEqual(result.current.dailyTimeSaved, [{ date: '2026-01-02', seconds: 60 }]);
+  assert.deepEqual(result.current.workflowStats.map(row => row.orgId), ['org-2', 'org-3']);
+});
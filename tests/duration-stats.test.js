@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstDurationStats = require('../src/duration-stats.js');
+
+const START = Date.UTC(2026, 1, 1);
+
+// Epoch-millisecond strings, as the executions query returns them
+function execution(offsetMinutes, seconds, status = 'SUCCEEDED') {
+  const createdAt = START + offsetMinutes * 60 * 1000;
+  return { createdAt: String(createdAt), updatedAt: String(createdAt + seconds * 1000), status };
+}
+
+test('durations come from createdAt / updatedAt and skip unusable timestamps', () => {
+  assert.equal(RewstDurationStats.getExecutionDuration(execution(0, 12.5)), 12.5);
+  assert.equal(RewstDurationStats.getExecutionDuration({ createdAt: String(START) }), null);
+  assert.equal(RewstDurationStats.getExecutionDuration({ createdAt: String(START), updatedAt: String(START - 1) }), null);
+});
+
+test('percentiles interpolate between ranks and expose the tail', () => {
+  const executions = Array.from({ length: 10 }, (_, index) => execution(index, index + 1));
+  executions.push({ createdAt: String(START) });
+
+  const summary = RewstDurationStats.summarizeDurations(executions);
+  assert.equal(summary.count, 10);
+  assert.equal(summary.p50, 5.5);
+  assert.equal(summary.p90, 9.1);
+  assert.equal(summary.p99, 9.91);
+  assert.deepEqual([summary.min, summary.max, summary.mean], [1, 10, 5.5]);
+
+  assert.deepEqual(RewstDurationStats.summarizeDurations([]), {
+    count: 0, min: null, max: null, mean: null, p50: null, p90: null, p99: null,
+  });
+});
+
+test('the histogram uses widening buckets up to the longest run', () => {
+  const buckets = RewstDurationStats.buildHistogram([
+    execution(0, 0.5),
+    execution(1, 4),
+    execution(2, 45),
+    execution(3, 59.9),
+  ]);
+
+  assert.deepEqual(buckets.map(bucket => [bucket.label, bucket.count]), [
+    ['0s–1s', 1],
+    ['1s–5s', 1],
+    ['5s–10s', 0],
+    ['10s–30s', 0],
+    ['30s–1m', 2],
+  ]);
+  assert.equal(RewstDurationStats.buildHistogram([execution(0, 7200)]).at(-1).label, '1h+');
+});
+
+test('scatter points are ordered by start time and keep the status', () => {
+  const points = RewstDurationStats.toScatterPoints([
+    execution(5, 30, 'FAILED'),
+    execution(1, 2),
+    { createdAt: String(START) },
+  ]);
+
+  assert.deepEqual(points, [
+    { x: START + 60 * 1000, y: 2, status: 'SUCCEEDED' },
+    { x: START + 5 * 60 * 1000, y: 30, status: 'FAILED' },
+  ]);
+  assert.equal(RewstDurationStats.formatDuration(90), '1.5m');
+  assert.equal(RewstDurationStats.formatDuration(null), '—');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstExecutionDelta = require('../src/execution-delta.js');
+const RewstDateRange = require('../src/date-range.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 1, 10, 12);
+
+function execution(id, daysAgo, status = 'SUCCEEDED', extra = {}) {
+  return { id, status, createdAt: String(NOW - daysAgo * DAY), workflow: { id: 'wf-1' }, ...extra };
+}
+
+test('in-flight executions are re-checked newest first, up to the limit', () => {
+  const executions = [
+    execution('old-running', 5, 'RUNNING'),
+    execution('done', 1),
+    execution('pending', 2, 'pending'),
+    execution('new-running', 0.5, 'running', { workflow: { id: 'wf-2' } }),
+    execution('failed', 0.1, 'FAILED'),
+  ];
+
+  assert.deepEqual(RewstExecutionDelta.getRefreshIds(executions), ['new-running', 'pending', 'old-running']);
+  assert.deepEqual(RewstExecutionDelta.getRefreshIds(executions, { limit: 2 }), ['new-running', 'pending']);
+  assert.deepEqual(RewstExecutionDelta.getRefreshIds(executions, { filter: e => e.workflow.id === 'wf-1' }), ['pending', 'old-running']);
+
+  const many = Array.from({ length: 1500 }, (_, i) => execution(`r${i}`, i / 1000, 'RUNNING'));
+  assert.equal(RewstExecutionDelta.getRefreshIds(many).length, 1500);
+});
+
+test('fetched rows are merged by id and rows before the window start are evicted', () => {
+  const cached = [
+    execution('a', 31),
+    execution('b', 3, 'RUNNING', { triggerInfo: { type: 'Form' } }),
+    execution('c', 2),
+  ];
+  const fetched = [
+    execution('b', 3, 'SUCCEEDED', { triggerInfo: { type: 'Form' } }),
+    execution('d', 0.1),
+  ];
+
+  const result = RewstExecutionDelta.mergeExecutions(cached, fetched, { start: new Date(NOW - 30 * DAY) });
+
+  assert.deepEqual(result.executions.map(e => [e.id, e.status]), [['d', 'SUCCEEDED'], ['c', 'SUCCEEDED'], ['b', 'SUCCEEDED']]);
+  assert.deepEqual([result.added, result.updated, result.evicted], [1, 1, 1]);
+});
+
+test('a rolling window re-resolved later evicts rows that slid out of it', () => {
+  const cached = [execution('a', 29.5), execution('b', 10)];
+  const loaded = RewstDateRange.resolvePreset('last_30_days', new Date(NOW));
+  assert.equal(RewstExecutionDelta.mergeExecutions(cached, [], { start: loaded.start }).evicted, 0);
+
+  const refreshed = RewstDateRange.refreshRange(loaded, new Date(NOW + DAY));
+  const result = RewstExecutionDelta.mergeExecutions(cached, [execution('c', -0.5)], { start: refreshed.start });
+
+  assert.deepEqual(result.executions.map(e => e.id), ['c', 'b']);
+  assert.equal(result.evicted, 1);
+});
+
+test('window ends are exclusive', () => {
+  const end = new Date(NOW - DAY);
+  const result = RewstExecutionDelta.mergeExecutions([execution('at-end', 1), execution('before-end', 1.5)], [], { end });
+
+  assert.deepEqual(result.executions.map(e => e.id), ['before-end']);
+  assert.equal(result.evicted, 1);
+});
+
+test('enrichment that failed to load on refresh keeps the cached trigger info', () => {
+  const cached = [execution('a', 1, 'RUNNING', { triggerInfo: { type: 'Form' }, user: { username: 'sam' } })];
+  const fetched = [execution('a', 1, 'FAILED', { triggerInfo: null, user: null, _needsRetry: true, error: 'timeout' })];
+
+  const [merged] = RewstExecutionDelta.mergeExecutions(cached, fetched).executions;
+
+  assert.equal(merged.status, 'FAILED');
+  assert.deepEqual(merged.triggerInfo, { type: 'Form' });
+  assert.deepEqual(merged.user, { username: 'sam' });
+  assert.equal(merged._needsRetry, undefined);
+});
+
+test('replaced workflows drop their cached rows before merging', () => {
+  const cached = [execution('sample-1', 1, 'FAILED', { workflow: { id: 'busy' } }), execution('a', 1)];
+  const fetched = [execution('sample-2', 0.5, 'FAILED', { workflow: { id: 'busy' } })];
+
+  const result = RewstExecutionDelta.mergeExecutions(cached, fetched, { replaceWorkflowIds: ['busy'] });
+
+  assert.deepEqual(result.executions.map(e => e.id), ['sample-2', 'a']);
+});
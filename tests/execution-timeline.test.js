@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstExecutionTimeline = require('../src/execution-timeline.js');
+
+globalThis.window = globalThis.window || {};
+const RewstApp = require('../src/zip-graphql-js-lib-v2-optimized.js');
+
+const START = Date.UTC(2026, 1, 1, 9);
+
+test('timestamps accept epoch-millisecond strings and ISO dates', () => {
+  assert.equal(RewstExecutionTimeline.toTimestamp(String(START)), START);
+  assert.equal(RewstExecutionTimeline.toTimestamp(new Date(START).toISOString()), START);
+  assert.equal(RewstExecutionTimeline.toTimestamp(''), null);
+  assert.equal(RewstExecutionTimeline.toTimestamp('not a date'), null);
+});
+
+test('tasks are placed on the execution time axis', () => {
+  const timeline = RewstExecutionTimeline.buildTaskTimeline([
+    { id: 't2', status: 'FAILED', workflowTaskName: 'Create ticket', createdAt: new Date(START + 6000).toISOString(), updatedAt: new Date(START + 10000).toISOString() },
+    { id: 't1', status: 'SUCCEEDED', workflowTaskName: 'Lookup', createdAt: new Date(START).toISOString(), updatedAt: new Date(START + 5000).toISOString() },
+  ], { createdAt: String(START), updatedAt: String(START + 10000) });
+
+  assert.equal(timeline.duration, 10);
+  assert.deepEqual(timeline.tasks.map(task => [task.id, task.duration, task.offsetPercent, task.widthPercent]), [
+    ['t1', 5, 0, 50],
+    ['t2', 4, 60, 40],
+  ]);
+});
+
+test('tasks without their own timestamps are chained using executionTime', () => {
+  const timeline = RewstExecutionTimeline.buildTaskTimeline([
+    { id: 't1', status: 'SUCCEEDED', executionTime: 2 },
+    { id: 't2', status: 'SUCCEEDED', executionTime: 6 },
+    { id: 't3', status: 'PENDING' },
+  ], { createdAt: String(START), updatedAt: String(START + 8000) });
+
+  assert.deepEqual(timeline.tasks.map(task => [task.id, task.offsetPercent, task.widthPercent]), [
+    ['t1', 0, 25],
+    ['t2', 25, 75],
+    ['t3', 100, 0],
+  ]);
+  assert.equal(timeline.tasks[0].name, 'Unnamed task');
+  assert.deepEqual(RewstExecutionTimeline.buildTaskTimeline([], {}), { start: null, end: null, duration: 0, tasks: [] });
+});
+
+test('chain links point at the parent and, when different, the originating execution', () => {
+  assert.deepEqual(RewstExecutionTimeline.getChainLinks({ parentExecutionId: 'p', originatingExecutionId: 'root' }).map(link => link.executionId), ['p', 'root']);
+  assert.deepEqual(RewstExecutionTimeline.getChainLinks({ parentExecutionId: 'root', originatingExecutionId: 'root' }).map(link => link.relation), ['parent']);
+  assert.deepEqual(RewstExecutionTimeline.getChainLinks({}), []);
+});
+
+test('execution status can be read from a sub-org', async () => {
+  const app = new RewstApp();
+  app.isInitialized = true;
+  app.orgId = 'org-1';
+  let queriedOrg = null;
+  app._graphql = async (operationName, query, variables) => {
+    queriedOrg = variables.orgId;
+    return { workflowExecution: { id: variables.id, status: 'SUCCEEDED' }, taskLogs: [] };
+  };
+
+  await app.getExecutionStatus('exec-1', false, false, { orgId: 'org-2' });
+  assert.equal(queriedOrg, 'org-2');
+  await app.getExecutionStatus('exec-1');
+  assert.equal(queriedOrg, 'org-1');
+});
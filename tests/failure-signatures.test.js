@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstFailureSignatures = require('../src/failure-signatures.js');
+
+globalThis.window = globalThis.window || {};
+const RewstApp = require('../src/zip-graphql-js-lib-v2-optimized.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = new Date(2026, 1, 1, 9).getTime();
+
+function failedExecution(id, dayOffset) {
+  return { id, createdAt: String(START + dayOffset * DAY), status: 'FAILED', link: `https://app.rewst.io/executions/${id}` };
+}
+
+test('volatile parts of error messages are replaced with placeholders', () => {
+  assert.equal(
+    RewstFailureSignatures.normalizeMessage('Ticket 1234567 for 3f2b8c1e-9d4a-4b7e-8c2f-1a2b3c4d5e6f not found at 2026-02-01T09:15:42.123Z'),
+    'Ticket <n> for <guid> not found at <timestamp>'
+  );
+  assert.equal(
+    RewstFailureSignatures.normalizeMessage('HTTP 404   from  /users/a1b2c3d4e5f6a7b8c9d0'),
+    'HTTP 404 from /users/<id>'
+  );
+  assert.equal(RewstFailureSignatures.normalizeMessage('  '), RewstFailureSignatures.UNKNOWN_MESSAGE);
+  assert.ok(RewstFailureSignatures.normalizeMessage('x'.repeat(500)).length <= 200);
+});
+
+test('failures group by task and normalized message with counts and first / last seen', () => {
+  const executions = [failedExecution('a', 0), failedExecution('b', 2), failedExecution('c', 1), failedExecution('d', 1)];
+  const details = new Map([
+    ['a', { taskName: 'Get user', message: 'User 10001 not found' }],
+    ['b', { taskName: 'Get user', message: 'User 10002 not found' }],
+    ['c', { taskName: 'Create ticket', message: 'HTTP 500' }],
+  ]);
+
+  const groups = RewstFailureSignatures.groupFailures(executions, details, { maxExamples: 1 });
+
+  assert.deepEqual(groups.map(group => [group.taskName, group.message, group.count]), [
+    ['Get user', 'User <n> not found', 2],
+    ['Create ticket', 'HTTP 500', 1],
+  ]);
+  assert.deepEqual([groups[0].firstSeen, groups[0].lastSeen], [START, START + 2 * DAY]);
+  assert.equal(groups[0].sampleMessage, 'User 10001 not found');
+  assert.deepEqual(groups[0].examples.map(exec => exec.id), ['b']);
+});
+
+test('the signature timeline counts per day and folds the tail into Other', () => {
+  const executions = [failedExecution('a', 0), failedExecution('b', 0), failedExecution('c', 1), failedExecution('d', 1)];
+  const details = new Map([
+    ['a', { taskName: null, message: 'Timeout' }],
+    ['b', { taskName: null, message: 'Timeout' }],
+    ['c', { taskName: 'Notify', message: 'Rate limited' }],
+    ['d', { taskName: 'Lookup', message: 'Missing input' }],
+  ]);
+
+  const groups = RewstFailureSignatures.groupFailures(executions, details);
+  const timeline = RewstFailureSignatures.buildSignatureTimeline(groups, { maxSeries: 1 });
+
+  assert.deepEqual(timeline.days, ['2026-02-01', '2026-02-02']);
+  assert.deepEqual(timeline.series.map(series => [series.label, series.counts]), [
+    ['Timeout', [2, 0]],
+    ['Other (2 signatures)', [0, 2]],
+  ]);
+});
+
+test('failure details come from the failed task log, per org, and are cached', async () => {
+  const requests = [];
+  const app = new RewstApp();
+  app.isInitialized = true;
+  app.orgId = 'org-1';
+  app._graphql = async (operationName, query, variables) => {
+    requests.push([variables.id, variables.orgId]);
+    if (variables.id === 'broken') throw new Error('server error');
+    if (variables.id === 'no-task') {
+      return { workflowExecution: { id: 'no-task', conductor: { errors: [{ message: 'Workflow timed out' }] } }, taskLogs: [] };
+    }
+    return {
+      workflowExecution: { id: variables.id, conductor: { errors: [] } },
+      taskLogs: [
+        { id: 't1', status: 'SUCCEEDED', message: null, workflowTaskName: 'Start' },
+        { id: 't2', status: 'FAILED', message: 'Invalid API key', workflowTaskName: 'Call API' },
+      ],
+    };
+  };
+
+  const executions = [
+    { id: 'exec-1', organization: { id: 'org-2', name: 'Client' } },
+    { id: 'no-task' },
+    { id: 'broken' },
+  ];
+  const details = await app.getExecutionFailureDetails(executions);
+
+  assert.deepEqual(details.get('exec-1'), { executionId: 'exec-1', taskName: 'Call API', message: 'Invalid API key' });
+  assert.deepEqual(details.get('no-task'), { executionId: 'no-task', taskName: null, message: 'Workflow timed out' });
+  assert.equal(details.has('broken'), false);
+  assert.deepEqual(requests.find(([id]) => id === 'exec-1'), ['exec-1', 'org-2']);
+
+  await app.getExecutionFailureDetails(executions);
+  assert.equal(requests.filter(([id]) => id === 'exec-1').length, 1);
+  assert.equal(requests.filter(([id]) => id === 'broken').length, 2);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstFormFunnel = require('../src/form-funnel.js');
+
+function submission(status, inputs = {}) {
+  return { status, triggerInfo: { submittedInputs: inputs } };
+}
+
+const getInputs = (e) => e.triggerInfo.submittedInputs;
+
+test('statuses are grouped into outcomes regardless of case', () => {
+  assert.equal(RewstFormFunnel.classifyStatus('SUCCEEDED'), 'succeeded');
+  assert.equal(RewstFormFunnel.classifyStatus('failed'), 'failed');
+  assert.equal(RewstFormFunnel.classifyStatus('Cancelled'), 'canceled');
+  assert.equal(RewstFormFunnel.classifyStatus('pending'), 'pending');
+  assert.equal(RewstFormFunnel.classifyStatus(null), 'unknown');
+});
+
+test('the funnel counts each stage against submissions and the previous stage', () => {
+  const { stages, outcomes } = RewstFormFunnel.buildFunnel([
+    submission('SUCCEEDED'),
+    submission('SUCCEEDED'),
+    submission('SUCCEEDED'),
+    submission('FAILED'),
+    submission('CANCELED'),
+    submission('RUNNING'),
+    submission('PENDING'),
+    submission('PENDING'),
+  ]);
+
+  assert.deepEqual(stages.map(stage => [stage.key, stage.count, stage.rate]), [
+    ['submitted', 8, 100],
+    ['started', 6, 75],
+    ['finished', 5, 62.5],
+    ['succeeded', 3, 37.5],
+  ]);
+  assert.equal(stages[3].stepRate, 60);
+  assert.deepEqual(outcomes, { succeeded: 3, failed: 1, canceled: 1, running: 1, pending: 2, unknown: 0 });
+
+  assert.deepEqual(RewstFormFunnel.buildFunnel([]).stages.map(stage => stage.rate), [0, 0, 0, 0]);
+});
+
+test('failure rates are reported per input value over finished submissions', () => {
+  const submissions = [
+    ...Array.from({ length: 4 }, () => submission('FAILED', { license: 'E5', site: 'HQ' })),
+    ...Array.from({ length: 1 }, () => submission('SUCCEEDED', { license: 'E5', site: 'HQ' })),
+    ...Array.from({ length: 5 }, () => submission('SUCCEEDED', { license: 'E3', site: 'HQ' })),
+    submission('RUNNING', { license: 'E5', site: 'HQ' }),
+  ];
+
+  const analysis = RewstFormFunnel.analyzeInputFailures(submissions, { getInputs });
+
+  assert.equal(analysis.completed, 10);
+  assert.equal(analysis.failed, 4);
+  assert.equal(analysis.baselineRate, 40);
+  assert.deepEqual(analysis.rows[0].conditions, [{ field: 'license', value: 'E5' }]);
+  assert.deepEqual([analysis.rows[0].submissions, analysis.rows[0].failed, analysis.rows[0].failureRate, analysis.rows[0].lift], [5, 4, 80, 2]);
+
+  // The E5 + HQ pair fails no more than E5 alone, so it isn't repeated
+  assert.equal(analysis.rows.some(row => row.conditions.length === 2), false);
+});
+
+test('pairs are reported when the combination fails more than either value alone', () => {
+  const submissions = [];
+  ['Windows', 'Mac'].forEach(os => ['Remote', 'Office'].forEach(location => {
+    const broken = os === 'Mac' && location === 'Remote';
+    for (let i = 0; i < 6; i++) {
+      submissions.push(submission(broken || i === 0 ? 'FAILED' : 'SUCCEEDED', { os, location: [location], notes: `note ${os} ${location} ${i}` }));
+    }
+  }));
+
+  const analysis = RewstFormFunnel.analyzeInputFailures(submissions, {
+    getInputs,
+    getFieldKey: (e, key) => (key === 'notes' ? null : key),
+  });
+
+  assert.deepEqual(analysis.rows[0].conditions, [{ field: 'location', value: 'Remote' }, { field: 'os', value: 'Mac' }]);
+  assert.equal(analysis.rows[0].failureRate, 100);
+  assert.equal(analysis.rows.some(row => row.conditions.some(condition => condition.field === 'notes')), false);
+
+  // Values seen fewer than minSubmissions times are left out
+  assert.equal(RewstFormFunnel.analyzeInputFailures(submissions, { getInputs, minSubmissions: 13 }).rows.length, 0);
+});
@@ -0,0 +1,392 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis.window || {};
+const RewstApp = require('../src/zip-graphql-js-lib-v2-optimized.js');
+
+const BASE = Date.UTC(2026, 1, 1, 12);
+
+function createApp() {
+  const app = new RewstApp();
+  app.isInitialized = true;
+  app.orgId = 'org-1';
+  app._log = () => {};
+  app._warn = () => {};
+  return app;
+}
+
+// Serves rows newest first, honoring search.createdAt._lt and the page limit like the API
+function servePages(rows, requests) {
+  return async (operationName, query, variables) => {
+    requests.push(variables);
+    const before = variables.search.createdAt?._lt ? Date.parse(variables.search.createdAt._lt) : Infinity;
+    const page = rows
+      .filter(row => Number(row.createdAt) < before)
+      .sort((a, b) => Number(b.createdAt) - Number(a.createdAt))
+      .slice(0, variables.limit);
+    return { workflowExecutions: page };
+  };
+}
+
+test('chunk fetchers keep paging past a full page until the window is exhausted', async (t) => {
+  const pageSize = RewstApp.EXECUTION_PAGE_SIZE;
+  RewstApp.EXECUTION_PAGE_SIZE = 3;
+  t.after(() => { RewstApp.EXECUTION_PAGE_SIZE = pageSize; });
+
+  // e3 and e4 share a timestamp across the first page boundary
+  const rows = [0, 1, 2, 2, 3, 4, 5].map((offset, index) => ({ id: `e${index + 1}`, createdAt: String(BASE - offset * 1000) }));
+  const requests = [];
+  const progress = [];
+  const app = createApp();
+  app._graphql = servePages(rows, requests);
+
+  const executions = await app._fetchExecutionsChunkSingle(0, 7, null, ['org-1'], {
+    onProgress: (event) => progress.push(event),
+  });
+
+  assert.deepEqual(executions.map(e => e.id).sort(), ['e1', 'e2', 'e3', 'e4', 'e5', 'e6', 'e7']);
+  assert.equal(requests.length, 4);
+  assert.equal(requests[0].limit, 3);
+  assert.ok(requests[1].search.createdAt._gt, 'the window start is kept while paging');
+  assert.equal(requests[1].search.createdAt._lt, new Date(BASE - 2000 + 1).toISOString());
+  assert.deepEqual(progress.map(event => [event.phase, event.page, event.executions]), [['paging', 2, 3], ['paging', 3, 5], ['paging', 4, 7]]);
+
+  const lightweight = createApp();
+  lightweight._graphql = servePages(rows, []);
+  assert.equal((await lightweight._fetchExecutionsChunkSingleLightweight(0, 7, null, ['org-1'])).length, 7);
+});
+
+test('paging stops when a full page brings nothing new', async (t) => {
+  const pageSize = RewstApp.EXECUTION_PAGE_SIZE;
+  RewstApp.EXECUTION_PAGE_SIZE = 2;
+  t.after(() => { RewstApp.EXECUTION_PAGE_SIZE = pageSize; });
+
+  const rows = ['a', 'b', 'c'].map(id => ({ id, createdAt: String(BASE) }));
+  const requests = [];
+  const app = createApp();
+  app._graphql = servePages(rows, requests);
+
+  const executions = await app._fetchExecutionsChunkSingle(0, 1, null, null);
+
+  assert.deepEqual(executions.map(e => e.id), ['a', 'b']);
+  assert.equal(requests.length, 2);
+  assert.deepEqual(requests[0].search.orgId, { _eq: 'org-1' });
+});
+
+test('delta mode fetches rows created or updated since the snapshot and re-checks the rest of the in-flight ids', async (t) => {
+  const realNow = Date.now;
+  Date.now = () => BASE;
+  t.after(() => { Date.now = realNow; });
+
+  const daysAgo = days => String(BASE - days * 24 * 60 * 60 * 1000);
+  const rows = [
+    { id: 'new', status: 'SUCCEEDED', createdAt: String(BASE - 60 * 1000), updatedAt: String(BASE - 60 * 1000) },
+    { id: 'was-running', status: 'SUCCEEDED', createdAt: daysAgo(2), updatedAt: String(BASE - 5 * 60 * 1000) },
+    { id: 'rerun', status: 'FAILED', createdAt: daysAgo(3), updatedAt: String(BASE - 5 * 60 * 1000) },
+    { id: 'still-running', status: 'RUNNING', createdAt: daysAgo(4), updatedAt: daysAgo(4) },
+    { id: 'untouched', status: 'SUCCEEDED', createdAt: daysAgo(5), updatedAt: daysAgo(5) },
+  ];
+  const requests = [];
+  const app = createApp();
+  app._graphql = async (operationName, query, variables) => {
+    requests.push(variables);
+    const { id, createdAt, updatedAt } = variables.search;
+    return {
+      workflowExecutions: rows.filter(row =>
+        (!id || id._in.includes(row.id)) &&
+        (!createdAt || ((!createdAt._gt || Number(row.createdAt) > Date.parse(createdAt._gt)) && Number(row.createdAt) < Date.parse(createdAt._lt))) &&
+        (!updatedAt || Number(row.updatedAt) > Date.parse(updatedAt._gt))
+      ),
+    };
+  };
+
+  const since = BASE - 60 * 60 * 1000;
+  const executions = await app.getRecentExecutions(false, 30, null, false, ['org-1'], {
+    since,
+    refreshExecutionIds: ['was-running', 'still-running', 'new'],
+  });
+
+  assert.deepEqual(executions.map(e => e.id).sort(), ['new', 'rerun', 'still-running', 'was-running']);
+  const created = requests.filter(variables => variables.search.createdAt && !variables.search.updatedAt && !variables.search.id);
+  assert.ok(created.length > 0);
+  assert.ok(created.every(variables => Date.parse(variables.search.createdAt._gt) >= since - RewstApp.DELTA_OVERLAP_MS - 1));
+
+  // The updated-since window is chunked like a full fetch, every chunk with the same cut-off
+  const updated = requests.filter(variables => variables.search.updatedAt);
+  assert.ok(updated.length > 1);
+  assert.ok(updated.every(variables => variables.search.updatedAt._gt === new Date(since - RewstApp.DELTA_OVERLAP_MS).toISOString()));
+
+  const byId = requests.filter(variables => variables.search.id);
+  assert.equal(byId.length, 1);
+  assert.deepEqual(byId[0].search.id, { _in: ['still-running'] });
+  assert.equal(byId[0].search.createdAt, undefined);
+});
+
+function response(status, body = { data: {} }, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[name] ?? null },
+    text: async () => JSON.stringify(body),
+    json: async () => body,
+  };
+}
+
+function mockFetch(t, responses) {
+  const realFetch = globalThis.fetch;
+  const realConsoleError = console.error;
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push(JSON.parse(init.body));
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  console.error = () => {};
+  t.after(() => {
+    globalThis.fetch = realFetch;
+    console.error = realConsoleError;
+  });
+  return calls;
+}
+
+test('_graphql retries 429, 5xx and network errors and reports each retry', async (t) => {
+  const calls = mockFetch(t, [
+    response(503),
+    new TypeError('fetch failed'),
+    response(429, {}, { 'Retry-After': '0' }),
+    response(200, { data: { ok: true } }),
+  ]);
+  const app = createApp();
+  const events = [];
+  app.onRetry = (event) => events.push([event.attempt, event.retries, event.status]);
+
+  const data = await app._graphql('getThing', 'query getThing { ok }', {}, { retry: { baseDelayMs: 1 } });
+
+  assert.deepEqual(data, { ok: true });
+  assert.equal(calls.length, 4);
+  assert.deepEqual(events, [[1, 3, 503], [2, 3, null], [3, 3, 429]]);
+  assert.deepEqual(app.getRetryStats(), { retries: 3, recovered: 1, exhausted: 0, pending: 0 });
+});
+
+test('_graphql retries gateway timeouts, honors long Retry-After waits only within the deadline and stops at it', async (t) => {
+  const calls = mockFetch(t, [
+    response(504),
+    response(200, { data: { ok: 1 } }),
+    response(429, {}, { 'Retry-After': '120' }),
+    response(429, {}, { 'Retry-After': '0.02' }),
+    response(200, { data: { ok: 2 } }),
+    response(502),
+  ]);
+  const app = createApp();
+  const delays = [];
+  app.onRetry = (event) => delays.push(event.delayMs);
+
+  assert.deepEqual(await app._graphql('getThing', 'query getThing { ok }', { n: 1 }, { retry: { baseDelayMs: 1 } }), { ok: 1 });
+  await assert.rejects(
+    app._graphql('getThing', 'query getThing { ok }', { n: 2 }, { retry: { maxRetryAfterMs: 5 } }),
+    { status: 429, retries: 0 }
+  );
+  assert.deepEqual(
+    await app._graphql('getThing', 'query getThing { ok }', { n: 2 }, { retry: { maxRetryAfterMs: 5 }, globalDeadline: Date.now() + 5000 }),
+    { ok: 2 }
+  );
+  assert.equal(delays[1], 20, 'a long Retry-After that fits before the deadline is waited out in full');
+
+  await assert.rejects(
+    app._graphql('getThing', 'query getThing { ok }', { n: 3 }, { retry: { baseDelayMs: 1000 }, globalDeadline: Date.now() + 100 }),
+    { status: 502, retries: 0 }
+  );
+  assert.equal(calls.length, 6);
+});
+
+test('_graphql gives up on auth errors and mutations, and after its retries', async (t) => {
+  const calls = mockFetch(t, [
+    response(200, { errors: [{ code: 'AUTH_ERR' }] }),
+    response(500),
+    response(502),
+    response(502),
+  ]);
+  const app = createApp();
+
+  await assert.rejects(app._graphql('getThing', 'query getThing { ok }'), (error) => error.isSessionExpired && error.retries === 0);
+  await assert.rejects(app._graphql('testWorkflow', 'mutation testWorkflow { ok }'), { message: 'Request failed: 500' });
+  assert.equal(calls.length, 2);
+
+  await assert.rejects(
+    app._graphql('getThing', 'query getThing { ok }', {}, { retry: { retries: 1, baseDelayMs: 1 } }),
+    { status: 502, retries: 1 }
+  );
+  assert.equal(calls.length, 4);
+  assert.deepEqual(app.getRetryStats(), { retries: 1, recovered: 0, exhausted: 1, pending: 0 });
+});
+
+test('identical queries in flight share one request and TTL-cached responses are reused', async () => {
+  const app = createApp();
+  const requests = [];
+  const pending = [];
+  app._graphqlWithRetry = (operationName, query, variables) => {
+    requests.push([operationName, variables]);
+    return new Promise(resolve => pending.push(() => resolve({ workflows: [{ id: variables.orgId }] })));
+  };
+
+  const first = app._graphql('getWorkflows', 'query getWorkflows { id }', { orgId: 'org-1' }, { cacheTtlMs: 1000 });
+  const second = app._graphql('getWorkflows', 'query getWorkflows { id }', { orgId: 'org-1' });
+  const otherOrg = app._graphql('getWorkflows', 'query getWorkflows { id }', { orgId: 'org-2' });
+  assert.equal(requests.length, 2);
+  pending.forEach(resolve => resolve());
+  await otherOrg;
+
+  const [a, b] = await Promise.all([first, second]);
+  assert.equal(a, b);
+
+  const cached = await app._graphql('getWorkflows', 'query getWorkflows { id }', { orgId: 'org-1' }, { cacheTtlMs: 1000 });
+  assert.equal(cached, a);
+  assert.deepEqual(app.getRequestCacheStats(), { hits: 1, misses: 2, coalesced: 1, cached: 1, inflight: 0 });
+});
+
+test('adding to a cached workflow or form list leaves the cached response alone', async () => {
+  const app = createApp();
+  app._buildWorkflowLink = (id) => `/workflows/${id}`;
+  app._buildFormLink = (id) => `/forms/${id}`;
+  let requests = 0;
+  app._graphqlWithRetry = async (operationName) => {
+    requests++;
+    return operationName === 'getForms'
+      ? { forms: [{ id: 'form-1', fields: [] }] }
+      : { workflows: [{ id: 'wf-1' }] };
+  };
+
+  (await app.getAllForms()).push({ id: 'form-extra' });
+  (await app.getAllWorkflows()).push({ id: 'wf-extra' });
+
+  assert.deepEqual((await app.getAllForms()).map(form => form.id), ['form-1']);
+  assert.deepEqual((await app.getAllWorkflows()).map(wf => wf.id), ['wf-1']);
+  assert.equal(requests, 2);
+});
+
+test('invalidation drops matching responses and the session caches', async () => {
+  const app = createApp();
+  let calls = 0;
+  app._graphqlWithRetry = async (operationName) => ({ operationName, call: ++calls });
+  const options = { cacheTtlMs: 60000 };
+
+  await app._graphql('getWorkflows', 'query getWorkflows { id }', {}, options);
+  await app._graphql('getForms', 'query getForms { id }', {}, options);
+  app._managedOrgsCache.set('org-1', Promise.resolve([]));
+
+  assert.equal(app.invalidateRequestCache('getForms'), 1);
+  assert.equal((await app._graphql('getWorkflows', 'query getWorkflows { id }', {}, options)).call, 1);
+  assert.equal((await app._graphql('getForms', 'query getForms { id }', {}, options)).call, 3);
+  assert.equal(app._managedOrgsCache.size, 1);
+
+  assert.equal(app.invalidateRequestCache(), 2);
+  assert.equal(app._managedOrgsCache.size, 0);
+  assert.equal((await app._graphql('getWorkflows', 'query getWorkflows { id }', {}, options)).call, 4);
+
+  await app._graphql('testWorkflow', 'mutation testWorkflow { id }', {}, options);
+  await app._graphql('testWorkflow', 'mutation testWorkflow { id }', {}, options);
+  assert.equal(calls, 6, 'mutations are never coalesced or cached');
+});
+
+test('aborting a load rejects only its own callers and cancels requests nobody else waits on', async (t) => {
+  const realFetch = globalThis.fetch;
+  const realConsoleError = console.error;
+  let fetches = 0;
+  let cancelled = 0;
+  globalThis.fetch = (url, init) => {
+    fetches++;
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => {
+        cancelled++;
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      });
+    });
+  };
+  console.error = () => {};
+  t.after(() => {
+    globalThis.fetch = realFetch;
+    console.error = realConsoleError;
+  });
+
+  const app = createApp();
+  const current = new AbortController();
+  const other = new AbortController();
+  const request = app._graphql('getThing', 'query getThing { ok }', {}, { signal: current.signal });
+  const otherRequest = app._graphql('getThing', 'query getThing { ok }', {}, { signal: other.signal });
+  assert.equal(fetches, 1, 'requests from different loads share one fetch');
+
+  current.abort();
+  await assert.rejects(request, (error) => error.name === 'AbortError' && error.isAborted);
+  assert.equal(cancelled, 0, 'the other load is still waiting on the fetch');
+  other.abort();
+  await assert.rejects(otherRequest, { isAborted: true });
+  assert.equal(cancelled, 1);
+  assert.deepEqual(app.getRetryStats(), { retries: 0, recovered: 0, exhausted: 0, pending: 0 });
+
+  await assert.rejects(
+    app.getRecentExecutions(false, 7, null, false, ['org-1'], { signal: current.signal }),
+    { isAborted: true }
+  );
+  assert.equal(fetches, 1);
+  assert.equal(app._failedOrgBatchRetry ?? null, null);
+});
+
+test('TTL-cached responses are reused by later loads with a different signal', async () => {
+  const app = createApp();
+  let requests = 0;
+  app._graphqlWithRetry = async () => {
+    requests++;
+    return { workflows: [{ id: 'wf-1' }] };
+  };
+
+  const first = await app._graphql('getWorkflows', 'query getWorkflows { id }', {}, { cacheTtlMs: 1000, signal: new AbortController().signal });
+  const second = await app._graphql('getWorkflows', 'query getWorkflows { id }', {}, { cacheTtlMs: 1000, signal: new AbortController().signal });
+  assert.equal(second, first);
+  assert.equal(requests, 1);
+});
+
+test('aggregates and samples stop with the load that asked for them', async () => {
+  const app = createApp();
+  const sent = [];
+  app._error = () => {};
+  app._graphqlWithRetry = (operationName, query, variables, options) => {
+    sent.push(operationName);
+    return new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(app._createAbortError(operationName)));
+    });
+  };
+
+  const load = new AbortController();
+  const aggregates = app.getDashboardAggregates(7, { signal: load.signal });
+  const sample = app.getWorkflowExecutionSample('wf-1', 'org-1', 7, { signal: load.signal });
+  assert.equal(sent.length, 7);
+
+  load.abort();
+  await assert.rejects(aggregates, { isAborted: true });
+  await assert.rejects(sample, { isAborted: true });
+});
+
+test('daily execution counts are the differences between cumulative stats at each day boundary', async () => {
+  const app = createApp();
+  const start = new Date(2026, 1, 1, 12);
+  const end = new Date(2026, 1, 4);
+  // One execution every six hours
+  const runs = [];
+  for (let time = start.getTime(); time < end.getTime(); time += 6 * 60 * 60 * 1000) runs.push(time);
+  const queried = [];
+  app._graphql = async (operationName, query, variables) => {
+    queried.push(variables.createdSince);
+    const since = Date.parse(variables.createdSince);
+    const count = runs.filter(time => time >= since).length;
+    return { workflowExecutionStats: { succeeded: count, failed: 0, delayed: 0, paused: 0, pending: 0, running: 0, humanSecondsSaved: 0 } };
+  };
+
+  const counts = await app.getDailyExecutionCounts(null, { startDate: start, endDate: end });
+  assert.deepEqual(counts, [
+    { date: '2026-02-01', count: 2 },
+    { date: '2026-02-02', count: 4 },
+    { date: '2026-02-03', count: 4 },
+  ]);
+  assert.equal(queried.length, 4);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstInsightNotifier = require('../src/insight-notifier.js');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 1, 1, 9);
+
+const failing = {
+  type: 'rule',
+  ruleId: 'default_failure_rate_critical',
+  ruleName: 'Critical failure rate',
+  metric: 'failure_rate',
+  scope: 'workflow',
+  threshold: 50,
+  value: 62.5,
+  severity: 'critical',
+  title: 'Sync has 62.5% failure rate',
+  description: '5 failures out of 8 executions',
+  failedCount: 5,
+  executionCount: 8,
+  workflowId: 'wf-1',
+  workflowName: 'Sync',
+  workflowLink: 'https://app.rewst.io/workflows/wf-1',
+};
+const streak = { type: 'rule', ruleId: 'streak', metric: 'consecutive_failures', scope: 'workflow', severity: 'high', title: 'Sync failed 3 times consecutively', workflowId: 'wf-1' };
+const slow = { type: 'slow_execution', severity: 'medium', title: 'Report has slow execution time', workflowId: 'wf-2' };
+
+test('notifications stay off until enabled with a workflow', () => {
+  assert.deepEqual(RewstInsightNotifier.normalizeSettings(null), {
+    enabled: false,
+    workflowId: null,
+    workflowName: null,
+    minSeverity: 'high',
+    dedupeHours: 24,
+    autoSend: false,
+  });
+  assert.equal(RewstInsightNotifier.normalizeSettings({ enabled: true }).enabled, false);
+
+  const settings = RewstInsightNotifier.normalizeSettings({ enabled: true, workflowId: 'wf-alerts', workflowName: 'Post to Teams', minSeverity: 'medium', dedupeHours: '6' });
+  assert.deepEqual([settings.enabled, settings.minSeverity, settings.dedupeHours], [true, 'medium', 6]);
+  assert.equal(RewstInsightNotifier.normalizeSettings({ dedupeHours: '' }).dedupeHours, 24);
+});
+
+test('the fingerprint ignores the current numbers', () => {
+  assert.equal(
+    RewstInsightNotifier.getFingerprint(failing),
+    RewstInsightNotifier.getFingerprint({ ...failing, value: 70, title: 'Sync has 70.0% failure rate' })
+  );
+  assert.notEqual(RewstInsightNotifier.getFingerprint(failing), RewstInsightNotifier.getFingerprint(streak));
+  assert.notEqual(
+    RewstInsightNotifier.getFingerprint({ ...failing, orgScope: 'org-a' }),
+    RewstInsightNotifier.getFingerprint({ ...failing, orgScope: 'org-b' })
+  );
+});
+
+test('pending alerts respect the minimum severity and the dedupe window', () => {
+  const settings = RewstInsightNotifier.normalizeSettings({ enabled: true, workflowId: 'wf-alerts', dedupeHours: 12 });
+  const sentLog = {
+    [RewstInsightNotifier.getFingerprint(streak)]: NOW - 2 * HOUR,
+    [RewstInsightNotifier.getFingerprint(failing)]: NOW - 13 * HOUR,
+  };
+
+  const { pending, suppressed } = RewstInsightNotifier.selectPending([streak, slow, failing, failing], settings, sentLog, NOW);
+
+  assert.deepEqual(pending.map(insight => insight.title), [failing.title]);
+  assert.deepEqual(suppressed.map(insight => insight.title), [streak.title]);
+});
+
+test('the payload carries severity counts, rule details and links', () => {
+  const payload = RewstInsightNotifier.buildPayload([failing, slow], {
+    orgId: 'org-1',
+    orgName: 'Acme MSP',
+    rangeLabel: 'Last 30 days',
+    dashboardUrl: 'https://example.test/#insights',
+    generatedAt: new Date(NOW),
+  });
+
+  assert.equal(payload.generatedAt, '2026-02-01T09:00:00.000Z');
+  assert.deepEqual(payload.organization, { id: 'org-1', name: 'Acme MSP', link: null });
+  assert.deepEqual([payload.alertCount, payload.truncatedCount], [2, 0]);
+  assert.deepEqual(payload.severityCounts, { critical: 1, high: 0, medium: 1, low: 0 });
+  assert.deepEqual(payload.alerts[0].rule, { id: 'default_failure_rate_critical', name: 'Critical failure rate', metric: 'failure_rate', threshold: 50 });
+  assert.deepEqual(payload.alerts[0].workflow, { id: 'wf-1', name: 'Sync', link: 'https://app.rewst.io/workflows/wf-1' });
+  assert.deepEqual(payload.alerts[0].counts, { failed: 5, executions: 8 });
+  assert.equal(payload.alerts[1].rule, null);
+  assert.equal(payload.alerts[1].form, null);
+
+  const many = Array.from({ length: RewstInsightNotifier.MAX_BATCH_SIZE + 3 }, (_, i) => ({ ...slow, workflowId: `wf-${i}` }));
+  assert.equal(RewstInsightNotifier.buildPayload(many).truncatedCount, 3);
+});
+
+test('recording a batch marks it sent and prunes expired entries', async () => {
+  const settings = RewstInsightNotifier.normalizeSettings({ enabled: true, workflowId: 'wf-alerts', dedupeHours: 1 });
+  const log = RewstInsightNotifier.recordSent({ old: NOW - 2 * HOUR, recent: NOW - 10 }, [failing], settings, NOW);
+
+  assert.deepEqual(log, { recent: NOW - 10, [RewstInsightNotifier.getFingerprint(failing)]: NOW });
+
+  const saved = {};
+  const store = {
+    load: async (key) => saved[key] ?? null,
+    save: async (key, value) => { saved[key] = value; },
+  };
+  await RewstInsightNotifier.saveSentLog(store, { ...log, broken: 'yesterday' });
+  assert.deepEqual(await RewstInsightNotifier.loadSentLog(store), log);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstOrgGroups = require('../src/org-groups.js');
+
+const ORGS = [
+  { id: 'org-1', name: 'Acme' },
+  { id: 'org-2', name: 'Globex' },
+  { id: 'org-3', name: 'Initech' },
+];
+
+test('stored groups drop malformed entries and normalize members', () => {
+  const groups = RewstOrgGroups.normalizeGroups([
+    { id: 'b', name: ' West   coast ', orgIds: ['org-3', 'org-1', 'org-3', ''] },
+    { id: 'a', name: 'Empty', orgIds: [] },
+    { id: 'b', name: 'Duplicate id', orgIds: ['org-2'] },
+    { name: 'No id', orgIds: ['org-2'] },
+    null,
+  ]);
+
+  assert.deepEqual(groups, [{ id: 'b', name: 'West coast', orgIds: ['org-1', 'org-3'] }]);
+  assert.deepEqual(RewstOrgGroups.normalizeGroups('not a list'), []);
+});
+
+test('groups can be created and deleted without mutating the list', () => {
+  const { groups, group } = RewstOrgGroups.createGroup([], 'Top clients', ['org-2', 'org-1']);
+
+  assert.match(group.id, /^group_/);
+  assert.deepEqual(group.orgIds, ['org-1', 'org-2']);
+  assert.throws(() => RewstOrgGroups.createGroup(groups, 'top CLIENTS', ['org-3']), /already exists/);
+  assert.throws(() => RewstOrgGroups.createGroup(groups, ' ', ['org-3']), /name is required/);
+  assert.throws(() => RewstOrgGroups.createGroup(groups, 'Nobody', []), /at least one organization/);
+
+  assert.deepEqual(RewstOrgGroups.deleteGroup(groups, group.id), []);
+  assert.equal(groups.length, 1);
+  assert.throws(() => RewstOrgGroups.deleteGroup([], group.id), /not found/);
+});
+
+test('selection labels prefer group and org names', () => {
+  const { groups } = RewstOrgGroups.createGroup([], 'Top clients', ['org-1', 'org-2']);
+
+  assert.equal(RewstOrgGroups.describeSelection([], ORGS, groups), 'All organizations');
+  assert.equal(RewstOrgGroups.describeSelection(['org-3'], ORGS, groups), 'Initech');
+  assert.equal(RewstOrgGroups.describeSelection(['org-2', 'org-1'], ORGS, groups), 'Top clients');
+  assert.equal(RewstOrgGroups.describeSelection(['org-1', 'org-3'], ORGS, groups), '2 organizations');
+});
+
+test('groups persist through the preference store under one key', async () => {
+  const records = new Map();
+  const store = {
+    load: async key => records.get(key) ?? null,
+    save: async (key, value) => { records.set(key, value); },
+  };
+
+  assert.deepEqual(await RewstOrgGroups.loadGroups(store), []);
+
+  const { groups } = RewstOrgGroups.createGroup([], 'Top clients', ['org-1']);
+  await RewstOrgGroups.saveGroups(store, groups);
+  assert.deepEqual([...records.keys()], [RewstOrgGroups.PREFERENCE_KEY]);
+  assert.deepEqual(await RewstOrgGroups.loadGroups(store), groups);
+});
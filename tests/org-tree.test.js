@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstOrgTree = require('../src/org-tree.js');
+
+// MSP → reseller → clients, plus a direct client
+const ORGS = [
+  { id: 'msp', name: 'MSP', managingOrgId: null },
+  { id: 'client-b', name: 'Beta Co', managingOrgId: 'reseller' },
+  { id: 'reseller', name: 'Reseller', managingOrgId: 'msp' },
+  { id: 'client-a', name: 'Alpha Co', managingOrgId: 'reseller' },
+  { id: 'direct', name: 'Direct Client', managingOrgId: 'msp' },
+];
+
+test('orgs nest under their managing org, sorted by name', () => {
+  const rows = RewstOrgTree.flattenOrgTree(RewstOrgTree.buildOrgTree(ORGS));
+
+  assert.deepEqual(rows.map(row => [row.id, row.depth, row.parentId]), [
+    ['msp', 0, null],
+    ['direct', 1, 'msp'],
+    ['reseller', 1, 'msp'],
+    ['client-a', 2, 'reseller'],
+    ['client-b', 2, 'reseller'],
+  ]);
+  assert.deepEqual(RewstOrgTree.toTreeOptions(RewstOrgTree.buildOrgTree(ORGS))[0].children[1], {
+    value: 'reseller',
+    label: 'Reseller',
+    children: [
+      { value: 'client-a', label: 'Alpha Co', children: [] },
+      { value: 'client-b', label: 'Beta Co', children: [] },
+    ],
+  });
+});
+
+test('orgs with an unlisted managing org or a managing cycle still appear once', () => {
+  const rows = RewstOrgTree.flattenOrgTree(RewstOrgTree.buildOrgTree([
+    { id: 'orphan', name: 'Orphan', managingOrgId: 'not-loaded' },
+    { id: 'loop-a', name: 'Loop A', managingOrgId: 'loop-b' },
+    { id: 'loop-b', name: 'Loop B', managingOrgId: 'loop-a' },
+  ]));
+
+  assert.deepEqual(rows.map(row => [row.id, row.depth]), [
+    ['orphan', 0],
+    ['loop-a', 0],
+    ['loop-b', 1],
+  ]);
+});
+
+test('rolling up a selection adds every descendant', () => {
+  assert.deepEqual(RewstOrgTree.getDescendantIds(ORGS, 'msp').sort(), ['client-a', 'client-b', 'direct', 'reseller']);
+  assert.deepEqual(RewstOrgTree.expandOrgSelection(['reseller'], ORGS, false), ['reseller']);
+  assert.deepEqual(RewstOrgTree.expandOrgSelection(['reseller', 'direct'], ORGS, true), ['reseller', 'direct', 'client-b', 'client-a']);
+  assert.deepEqual(RewstOrgTree.expandOrgSelection([], ORGS, true), []);
+});
+
+test('subtotals include the listed descendants of each org', () => {
+  const rows = [
+    { id: 'msp', submissions: 1 },
+    { id: 'reseller', submissions: 2 },
+    { id: 'client-a', submissions: 3 },
+    { id: 'client-b', submissions: 4 },
+    { name: 'Unknown', submissions: 9 },
+  ];
+
+  const totals = RewstOrgTree.rollUpTotals(rows, ORGS, ['submissions']);
+  assert.deepEqual(totals.get('msp'), { descendantCount: 3, submissions: 10 });
+  assert.deepEqual(totals.get('reseller'), { descendantCount: 2, submissions: 9 });
+  assert.deepEqual(totals.get('client-a'), { descendantCount: 0, submissions: 3 });
+  assert.equal(totals.size, 4);
+});
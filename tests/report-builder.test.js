@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstReport = require('../src/report-builder.js');
+
+function fakeRoot(selectorMap) {
+  return { querySelectorAll: selector => selectorMap[selector] || [] };
+}
+
+test('tables are read in their current order with transforms applied and icons dropped', () => {
+  const rows = Array.from({ length: 12 }, (_, index) => ({ name: `Workflow ${index}`, hours_saved: index * 1.5, status: 'ok' }));
+  const table = {
+    getTableSnapshot: () => ({
+      title: '<span class="material-icons text-rewst-teal">emoji_events</span> Top Workflows',
+      columns: ['name', 'hours_saved', 'status'],
+      headers: { name: 'Workflow' },
+      transforms: { status: value => `<span class="badge"><span class="material-icons">check</span>${value.toUpperCase()}</span>` },
+      rows,
+    }),
+  };
+
+  const [snapshot] = RewstReport.readTables(fakeRoot({ '.rewst-table-container': [table, {}] }));
+
+  assert.equal(snapshot.title, 'Top Workflows');
+  assert.deepEqual(snapshot.columns.map(column => column.label), ['Workflow', 'hours saved', 'status']);
+  assert.equal(snapshot.rows.length, RewstReport.DEFAULT_TABLE_ROWS);
+  assert.deepEqual(snapshot.rows[3], ['Workflow 3', '4.5', 'OK']);
+  assert.equal(snapshot.totalRows, 12);
+});
+
+test('metric cards are read from their final values, not the animated text', () => {
+  const card = { dataset: { metricTitle: 'Hours Saved', metricValue: '1,234.5', metricTrend: '+12.0% vs previous period' } };
+  const skeleton = { dataset: {} };
+
+  assert.deepEqual(RewstReport.readMetricCards(fakeRoot({ '.card-metric': [card, skeleton] })), [
+    { title: 'Hours Saved', subtitle: '', value: '1,234.5', trend: '+12.0% vs previous period' },
+  ]);
+});
+
+test('report HTML is self-contained, escaped and scoped to the org and range', () => {
+  const html = RewstReport.buildReportHtml({
+    orgName: 'Acme <MSP>',
+    rangeLabel: 'Jan 1, 2026 – Jan 31, 2026',
+    generatedAt: new Date(2026, 1, 2, 9, 0),
+    sections: [{
+      title: 'Time Saved & Forms',
+      metrics: [{ title: 'Hours Saved', value: '120', subtitle: 'Jan 1, 2026 – Jan 31, 2026', trend: '' }],
+      charts: [{ title: 'Execution Trend', image: 'data:image/png;base64,AAAA' }, { title: 'Missing', image: null }],
+      tables: [{ title: 'Top Workflows', columns: [{ key: 'name', label: 'Workflow' }], rows: [['<script>alert(1)</script>']], totalRows: 40 }],
+    }],
+    insights: [{ title: 'Needs Attention', items: [{ title: 'Sync has 50.0% failure rate', description: '5 failures', severity: 'critical' }] }],
+  });
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /Acme &lt;MSP&gt; · Jan 1, 2026 – Jan 31, 2026/);
+  assert.match(html, /<img src="data:image\/png;base64,AAAA" alt="Execution Trend">/);
+  assert.doesNotMatch(html, /Missing/);
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(html, /Showing top 1 of 40 rows/);
+  assert.match(html, /class="insight insight-critical"/);
+  assert.match(html, /@media print/);
+  assert.doesNotMatch(html, /<link|src="http/);
+});
+
+test('openReport reports a blocked pop-up instead of failing silently', () => {
+  assert.throws(() => RewstReport.openReport('<p></p>', { win: { open: () => null } }), /blocked/);
+});
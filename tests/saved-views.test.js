@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstSavedViews = require('../src/saved-views.js');
+
+function emptyViews() {
+  return RewstSavedViews.normalizeViews(null);
+}
+
+test('stored views drop malformed entries, a dangling default and upgrade single-org views', () => {
+  const views = RewstSavedViews.normalizeViews({
+    defaultViewId: 'missing',
+    views: [
+      { id: 'b', name: '  Webhooks   only ', triggerTypes: ['Webhook', 'Webhook', ''], excludeTest: 'yes' },
+      { id: 'a', name: 'Acme', orgId: 'org-2', triggerTypes: 'Cron Job', excludeTest: true },
+      { id: 'a', name: 'Duplicate id' },
+      { id: 'c', name: '   ' },
+      null,
+    ],
+  });
+
+  assert.equal(views.defaultViewId, null);
+  assert.deepEqual(views.views, [
+    { id: 'a', name: 'Acme', orgIds: ['org-2'], rollUpChildren: false, triggerTypes: [], excludeTest: true },
+    { id: 'b', name: 'Webhooks only', orgIds: [], rollUpChildren: false, triggerTypes: ['Webhook'], excludeTest: false },
+  ]);
+});
+
+test('views can be created, renamed, set as default and deleted', () => {
+  const filters = { orgIds: ['org-3', 'org-2'], triggerTypes: ['Webhook', 'Cron Job'], excludeTest: true };
+  const { collection: created, view } = RewstSavedViews.createView(emptyViews(), 'Client review', filters);
+
+  assert.match(view.id, /^view_/);
+  assert.deepEqual(view.orgIds, ['org-2', 'org-3']);
+  assert.deepEqual(view.triggerTypes, ['Cron Job', 'Webhook']);
+  assert.throws(() => RewstSavedViews.createView(created, 'client REVIEW', filters), /already exists/);
+  assert.throws(() => RewstSavedViews.createView(created, '  ', filters), /name is required/);
+
+  const renamed = RewstSavedViews.renameView(created, view.id, 'Quarterly review');
+  assert.equal(renamed.views[0].name, 'Quarterly review');
+  assert.equal(created.views[0].name, 'Client review');
+
+  const withDefault = RewstSavedViews.setDefaultView(renamed, view.id);
+  assert.equal(RewstSavedViews.getDefaultView(withDefault).id, view.id);
+  assert.equal(RewstSavedViews.getDefaultView(RewstSavedViews.setDefaultView(withDefault, null)), null);
+
+  const deleted = RewstSavedViews.deleteView(withDefault, view.id);
+  assert.deepEqual(deleted, emptyViews());
+  assert.throws(() => RewstSavedViews.deleteView(deleted, view.id), /not found/);
+});
+
+test('the matching view ignores trigger type order', () => {
+  const { collection } = RewstSavedViews.createView(emptyViews(), 'Automations', {
+    triggerTypes: ['Webhook', 'Cron Job'],
+  });
+
+  const match = RewstSavedViews.findMatchingView(collection, { orgIds: [], triggerTypes: ['Cron Job', 'Webhook'], excludeTest: false });
+  assert.equal(match?.name, 'Automations');
+  assert.equal(RewstSavedViews.findMatchingView(collection, { triggerTypes: ['Webhook'] }), null);
+});
+
+test('rolling up sub-organizations is part of a view', () => {
+  const { collection } = RewstSavedViews.createView(emptyViews(), 'Reseller', { orgIds: ['org-1'], rollUpChildren: true });
+
+  assert.equal(collection.views[0].rollUpChildren, true);
+  assert.equal(RewstSavedViews.findMatchingView(collection, { orgIds: ['org-1'] }), null);
+  assert.equal(RewstSavedViews.findMatchingView(collection, { orgIds: ['org-1'], rollUpChildren: true })?.name, 'Reseller');
+});
+
+test('views persist through the preference store under one key', async () => {
+  const records = new Map();
+  const store = {
+    load: async key => records.get(key) ?? null,
+    save: async (key, value) => { records.set(key, value); },
+  };
+
+  assert.deepEqual(await RewstSavedViews.loadViews(store), emptyViews());
+
+  const { collection } = RewstSavedViews.createView(emptyViews(), 'Acme', { orgIds: ['org-2'] });
+  await RewstSavedViews.saveViews(store, collection);
+  assert.deepEqual([...records.keys()], [RewstSavedViews.PREFERENCE_KEY]);
+  assert.deepEqual(await RewstSavedViews.loadViews(store), collection);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstTableExport = require('../src/table-export.js');
+
+const columns = ['workflow_name', 'executions', 'hours_saved', 'details'];
+const headers = { workflow_name: 'Workflow' };
+const rows = [
+  { workflow_name: 'Onboard "new" user, fast', executions: 42, hours_saved: 3.5, details: { tags: ['a'] } },
+  { workflow_name: '=HYPERLINK("http://example.com")', executions: 0, hours_saved: null, details: 'line 1\nline 2' },
+];
+
+// Stored (uncompressed) entries can be read straight from the central directory
+function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const endOffset = bytes.length - 22;
+  assert.equal(view.getUint32(endOffset, true), 0x06054b50);
+
+  const entries = {};
+  let offset = view.getUint32(endOffset + 16, true);
+  for (let i = 0; i < view.getUint16(endOffset + 10, true); i++) {
+    assert.equal(view.getUint32(offset, true), 0x02014b50);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = Buffer.from(bytes.subarray(offset + 46, offset + 46 + nameLength)).toString('utf8');
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    entries[name] = Buffer.from(bytes.subarray(dataStart, dataStart + size)).toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('CSV quotes delimiters, keeps raw values and neutralises formulas', () => {
+  const csv = RewstTableExport.toCsv(rows, columns, headers);
+
+  assert.equal(csv, [
+    'Workflow,executions,hours saved,details',
+    '"Onboard ""new"" user, fast",42,3.5,"{""tags"":[""a""]}"',
+    '"\'=HYPERLINK(""http://example.com"")",0,,"line 1\nline 2"',
+    '',
+  ].join('\r\n'));
+});
+
+test('XLSX is a zip workbook with typed cells and a bold header row', () => {
+  const entries = readZipEntries(RewstTableExport.toXlsx(rows, columns, headers, 'Failures: 7/30 days'));
+
+  assert.deepEqual(Object.keys(entries).sort(), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml',
+  ]);
+
+  const sheet = entries['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Workflow<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2"><v>42<\/v><\/c><c r="C2"><v>3.5<\/v><\/c>/);
+  assert.match(sheet, /Onboard &quot;new&quot; user, fast/);
+  assert.doesNotMatch(sheet, /r="C3"/);
+  assert.match(entries['xl/workbook.xml'], /<sheet name="Failures  7 30 days"/);
+});
+
+test('file names drop title markup and carry the export date', () => {
+  const now = new Date(2026, 2, 1);
+  assert.equal(RewstTableExport.toFileBaseName('<span class="material-icons">star</span> Top Workflows', now), 'Top-Workflows-2026-03-01');
+  assert.equal(RewstTableExport.toFileBaseName(null, now), 'table-2026-03-01');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstTextAnalytics = require('../src/text-analytics.js');
+
+test('tokens are lower-cased words without numbers or one-letter words', () => {
+  assert.deepEqual(
+    RewstTextAnalytics.tokenize("Can't log in to VPN-client since 2 days, a user's Outlook crashes!"),
+    ["can't", 'log', 'in', 'to', 'vpn-client', 'since', 'days', "user's", 'outlook', 'crashes']
+  );
+  assert.deepEqual(RewstTextAnalytics.tokenize(null), []);
+});
+
+test('free-text fields are recognized by type, or by their answers when the form is unknown', () => {
+  assert.equal(RewstTextAnalytics.isFreeTextField('TEXTAREA'), true);
+  assert.equal(RewstTextAnalytics.isFreeTextField('DROPDOWN', ['a b', 'c d', 'e f', 'g h', 'i j']), false);
+
+  assert.equal(RewstTextAnalytics.isFreeTextField(null, ['New laptop', 'Printer jam', 'Reset MFA', 'VPN down', 'Need Visio']), true);
+  assert.equal(RewstTextAnalytics.isFreeTextField(null, ['Yes', 'No', 'Yes', 'Yes', 'No', 'No']), false);
+  assert.equal(RewstTextAnalytics.isFreeTextField(null, ['one two', 'three four']), false);
+});
+
+test('answers are summarized by fill rate, length and common terms', () => {
+  const analysis = RewstTextAnalytics.analyzeAnswers([
+    'Please reset my password',
+    'Password reset needed for the VPN',
+    'VPN password expired, password reset please',
+    '',
+    null,
+    '   ',
+  ]);
+
+  assert.deepEqual([analysis.total, analysis.filled, analysis.empty, analysis.filledRate], [6, 3, 3, 50]);
+  assert.deepEqual(analysis.length, { min: 24, max: 43, mean: (24 + 33 + 43) / 3, median: 33 });
+  assert.deepEqual(analysis.lengthBuckets.map(bucket => bucket.count), [0, 3, 0, 0, 0, 0]);
+
+  assert.deepEqual(analysis.terms.slice(0, 3), [
+    { term: 'password', count: 4, answers: 3 },
+    { term: 'reset', count: 3, answers: 3 },
+    { term: 'vpn', count: 2, answers: 2 },
+  ]);
+  assert.equal(analysis.terms.some(term => RewstTextAnalytics.STOPWORDS.has(term.term)), false);
+
+  // "reset my password" has a stopword between the words, so it isn't a phrase
+  assert.deepEqual(analysis.bigrams.slice(0, 2), [
+    { term: 'password reset', count: 2, answers: 2 },
+    { term: 'expired password', count: 1, answers: 1 },
+  ]);
+});
+
+test('empty input gives an empty summary', () => {
+  const analysis = RewstTextAnalytics.analyzeAnswers([]);
+  assert.deepEqual([analysis.total, analysis.filledRate, analysis.length.median, analysis.terms.length], [0, 0, null, 0]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstDateRange = require('../src/date-range.js');
+const RewstUrlState = require('../src/url-state.js');
+
+const NOW = new Date(2026, 1, 15, 10, 30);
+
+test('default dashboard state keeps a bare URL', () => {
+  const hash = RewstUrlState.serializeState({
+    page: 'overall',
+    dateRange: RewstDateRange.resolvePreset('last_30_days', NOW),
+    triggerTypes: [],
+    excludeTest: false,
+  });
+  assert.equal(hash, '');
+  assert.equal(RewstUrlState.serializeState({ orgIds: [], rollUpChildren: true }), '');
+
+  const state = RewstUrlState.parseState('', NOW);
+  assert.equal(state.page, 'overall');
+  assert.equal(state.dateRange.preset, 'last_30_days');
+  assert.deepEqual(state.triggerTypes, []);
+  assert.equal(state.excludeTest, false);
+});
+
+test('workflow detail link round-trips selection and filters', () => {
+  const hash = RewstUrlState.serializeState({
+    page: 'workflows',
+    workflowId: 'wf-1',
+    formId: 'form-1',
+    orgIds: ['org-2', 'org-3'],
+    rollUpChildren: true,
+    dateRange: RewstDateRange.createCustomRange('2026-01-05', '2026-01-20'),
+    triggerTypes: ['Cron Job', 'Form Submission'],
+    excludeTest: true,
+  });
+
+  assert.doesNotMatch(hash, /form-1/);
+
+  const state = RewstUrlState.parseState(hash, NOW);
+  assert.equal(state.page, 'workflows');
+  assert.equal(state.workflowId, 'wf-1');
+  assert.equal(state.formId, null);
+  assert.deepEqual(state.orgIds, ['org-2', 'org-3']);
+  assert.equal(state.rollUpChildren, true);
+  assert.deepEqual(state.triggerTypes, ['Cron Job', 'Form Submission']);
+  assert.equal(state.excludeTest, true);
+  assert.equal(state.dateRange.preset, 'custom');
+  assert.deepEqual([state.dateRange.start, state.dateRange.end], [new Date(2026, 0, 5), new Date(2026, 0, 21)]);
+});
+
+test('open-ended presets re-resolve on open, closed presets keep their days', () => {
+  const rolling = RewstUrlState.serializeState({ dateRange: RewstDateRange.resolvePreset('last_7_days', NOW) });
+  assert.equal(rolling, '#range=last_7_days');
+  const later = new Date(2026, 2, 1);
+  assert.deepEqual(RewstUrlState.parseState(rolling, later).dateRange.end, later);
+
+  const lastMonth = RewstUrlState.serializeState({ dateRange: RewstDateRange.resolvePreset('last_month', NOW) });
+  const restored = RewstUrlState.parseState(lastMonth, later).dateRange;
+  assert.equal(restored.preset, 'last_month');
+  assert.deepEqual([restored.start, restored.end], [new Date(2026, 0, 1), new Date(2026, 1, 1)]);
+});
+
+test('malformed hashes fall back to defaults', () => {
+  const state = RewstUrlState.parseState('#page=admin&workflow=wf-1&range=forever&excludeTest=yes', NOW);
+  assert.equal(state.page, 'overall');
+  assert.equal(state.workflowId, null);
+  assert.equal(state.dateRange.preset, 'last_30_days');
+  assert.equal(state.excludeTest, false);
+
+  const badCustom = RewstUrlState.parseState('#range=custom&from=2026-02-10&to=2026-02-01', NOW);
+  assert.equal(badCustom.dateRange.preset, 'last_30_days');
+});
+
+test('page and selection changes are navigation, filter changes are not', () => {
+  const base = { page: 'workflows', workflowId: 'wf-1', formId: null };
+  assert.equal(RewstUrlState.isNavigation(base, { ...base, workflowId: 'wf-2' }), true);
+  assert.equal(RewstUrlState.isNavigation(base, { ...base, page: 'forms', workflowId: null }), true);
+  assert.equal(RewstUrlState.isNavigation(base, { ...base, orgId: 'org-2' }), false);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RewstValuation = require('../src/valuation.js');
+
+test('missing or invalid settings fall back to $50/hour in USD', () => {
+  assert.deepEqual(RewstValuation.normalizeSettings(null), {
+    currency: 'USD',
+    defaultRate: 50,
+    orgRates: {},
+    workflowRates: {},
+  });
+
+  const settings = RewstValuation.normalizeSettings({
+    currency: 'XYZ',
+    defaultRate: '-5',
+    orgRates: { 'org-1': '75', 'org-2': 'abc' },
+    workflowRates: { 'wf-1': 0 },
+  });
+  assert.equal(settings.currency, 'USD');
+  assert.equal(settings.defaultRate, 50);
+  assert.deepEqual(settings.orgRates, { 'org-1': 75 });
+  assert.deepEqual(settings.workflowRates, { 'wf-1': 0 });
+});
+
+test('workflow rates beat org rates, which beat the default', () => {
+  const settings = RewstValuation.normalizeSettings({
+    defaultRate: 50,
+    orgRates: { 'org-1': 100 },
+    workflowRates: { 'wf-1': 20 },
+  });
+
+  const { hours, value } = RewstValuation.valueTimeSaved([
+    { seconds: 3600, orgId: 'org-1', workflowId: 'wf-1' },
+    { seconds: 3600, orgId: 'org-1', workflowId: 'wf-2' },
+    { seconds: 1800, orgId: 'org-2', workflowId: 'wf-2' },
+    { seconds: 0 },
+  ], settings);
+
+  assert.equal(hours, 2.5);
+  assert.equal(value, 20 + 100 + 25);
+});
+
+test('currency formatting and the rate label follow the selected currency', () => {
+  const usd = RewstValuation.normalizeSettings({});
+  assert.equal(RewstValuation.formatCurrency(1234.56, usd), '$1,235');
+  assert.equal(RewstValuation.formatCurrency(1.5, usd, { maximumFractionDigits: 2 }), '$1.50');
+  assert.equal(RewstValuation.describeRate(usd), '$50/hour');
+
+  const eur = RewstValuation.normalizeSettings({ currency: 'EUR', defaultRate: 62.5, orgRates: { 'org-1': 80 } });
+  assert.equal(RewstValuation.describeRate(eur), '€62.50/hour (1 custom rate)');
+});
+
+test('settings persist through the preference store under one key', async () => {
+  const records = new Map();
+  const store = {
+    load: async key => records.get(key) ?? null,
+    save: async (key, value) => { records.set(key, value); },
+  };
+
+  assert.equal((await RewstValuation.loadSettings(store)).defaultRate, 50);
+
+  await RewstValuation.saveSettings(store, { currency: 'GBP', defaultRate: '40' });
+  assert.deepEqual([...records.keys()], [RewstValuation.PREFERENCE_KEY]);
+
+  const loaded = await RewstValuation.loadSettings(store);
+  assert.equal(loaded.currency, 'GBP');
+  assert.equal(loaded.defaultRate, 40);
+});